@@ -9,13 +9,20 @@
  * - Logging estruturado
  * - Configuração por ambiente
  * - Error handling robusto
+ * - Transporte stdio (padrao) ou Streamable HTTP (`--http [--port N] [--host H]`)
  */
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const {
   CallToolRequestSchema,
-  ListToolsRequestSchema
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  CompleteRequestSchema
 } = require('@modelcontextprotocol/sdk/types.js');
 
 // Core components
@@ -25,19 +32,75 @@ const Logger = require('./src/core/Logger');
 
 // Infrastructure
 const InfrastructureBootstrap = require('./src/infrastructure/InfrastructureBootstrap');
+const RateLimiter = require('./src/infrastructure/http/RateLimiter');
+const CircuitBreaker = require('./src/infrastructure/http/CircuitBreaker');
+const RequestCoalescer = require('./src/infrastructure/http/RequestCoalescer');
+const Cassette = require('./src/infrastructure/http/Cassette');
+const TiFluxAPI = require('./src/api/tiflux-api');
+const SandboxServer = require('./src/sandbox/SandboxServer');
+const DriftMonitor = require('./src/telemetry/DriftMonitor');
+const { renderMetrics } = require('./src/telemetry/metrics');
+const ClientFingerprint = require('./src/telemetry/ClientFingerprint');
 
 // Registry central de tools — schemas + roteamento self-describing por handler
 const { createRegistry } = require('./src/registry');
 
+// Resources MCP (tiflux://tickets/{n}, clients, desks, knowledges)
+const { createResourceRegistry } = require('./src/resources');
+
+// Prompts MCP (fluxos de help-desk com dados pre-carregados pelas tools)
+const { createPromptRegistry } = require('./src/prompts');
+
+// Autocomplete de argumentos (completion/complete) via resolvers de nome
+const { createCompletionRegistry } = require('./src/completions');
+
+// Transporte Streamable HTTP (self-hosting)
+const { StreamableHttpServer, API_KEY_HEADER, VERBOSITY_HEADER } = require('./src/transport/StreamableHttpServer');
+
+const { CancelledError } = require('./src/utils/errors');
+
 const { version } = require('./package.json');
 
+/**
+ * Le as flags de linha de comando do binario `tiflux-mcp`.
+ *   --http            usa Streamable HTTP em vez de stdio
+ *   --port <n>        porta HTTP (sobrescreve config http.port)
+ *   --host <h>        interface de bind (sobrescreve config http.host)
+ * `TIFLUX_MCP_TRANSPORT=http` equivale a `--http`.
+ */
+function parseCliArgs(argv = process.argv.slice(2)) {
+  const options = {
+    transport: process.env.TIFLUX_MCP_TRANSPORT === 'http' ? 'http' : 'stdio'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+    if (flag === '--http') options.transport = 'http';
+    else if (flag === '--port') options.port = parseInt(value(), 10);
+    else if (flag === '--host') options.host = value();
+  }
+
+  return options;
+}
+
 class TifluxMCPServerV2 {
-  constructor() {
+  /**
+   * @param {object} [options] - saida de parseCliArgs ({ transport, port, host })
+   */
+  constructor(options = {}) {
+    this.options = { transport: 'stdio', ...options };
     this.container = null;
     this.server = null;
+    this.httpServer = null;
+    this.sandbox = null;
     this.logger = null;
     this.config = null;
     this.registry = null;
+    this.resourceRegistry = null;
+    this.promptRegistry = null;
+    this.completionRegistry = null;
     this.isInitialized = false;
   }
 
@@ -62,27 +125,48 @@ class TifluxMCPServerV2 {
       InfrastructureBootstrap.register(this.container);
       InfrastructureBootstrap.registerEnvironmentConfig(this.container);
 
-      // 5. Setup MCP Server
-      this.server = new Server(
-        {
-          name: 'tiflux-mcp',
-          version,
-          vendor: 'TiFlux'
-        },
-        {
-          capabilities: {
-            tools: {}
-          }
-        }
+      // Rate limit client-side por chave de API (config `rateLimit.*`)
+      RateLimiter.configure(this.config.get('rateLimit', {}));
+      // Circuit breaker por host (config `api.circuitBreaker.*`)
+      CircuitBreaker.configure(this.config.get('api.circuitBreaker', {}));
+      // Cassette de record/replay (config `api.cassette.*` / TIFLUX_MCP_CASSETTE_MODE)
+      Cassette.configure(this.config.get('api.cassette', {}), this.logger);
+      // Cache de metadados para todo TiFluxAPI criado pelos registries (config `cache.*`)
+      TiFluxAPI.useMetadataCache(
+        this.config.get('cache.enabled') === false ? null : this.container.resolve('metadataCacheStrategy')
       );
+      // Deriva de payload da API (src/api/responseSchemas.js) vira warning no log
+      DriftMonitor.shared().setLogger(this.logger);
+      // Sandbox: API falsa local no lugar da real (config `sandbox.enabled` / TIFLUX_MCP_SANDBOX)
+      if (this.config.get('sandbox.enabled')) {
+        await this.startSandbox();
+      }
 
-      // 6. Criar registry central (instancia handlers + agrega schemas)
-      this.registry = createRegistry();
+      // 5. Criar registry central (instancia handlers + agrega schemas).
+      // Compartilhado entre sessoes: chave/verbosidade seguem por requisicao.
+      // Perfil de tools (config `tools.*` / TIFLUX_MCP_TOOL_PROFILE) filtra ListTools e CallTool.
+      // Diario de auditoria das escritas em `audit.*` (TIFLUX_MCP_AUDIT_FILE).
+      // get_server_status le o estado do processo via `serverStatus`.
+      // Permissoes da chave checadas em background: no stdio a checagem comeca
+      // ja na subida e, quando termina, o cliente e avisado para relistar.
+      const isStdio = this.options.transport !== 'http';
+      this.registry = createRegistry({
+        tools: this.config.get('tools', {}),
+        audit: this.config.get('audit', {}),
+        logger: this.logger,
+        transport: this.options.transport,
+        serverStatus: () => this.getStats(),
+        onToolsChanged: isStdio ? () => this.notifyToolListChanged() : undefined
+      });
+      if (isStdio) this.registry.warmPermissions();
+      this.resourceRegistry = createResourceRegistry();
+      this.promptRegistry = createPromptRegistry(this.registry);
+      this.completionRegistry = createCompletionRegistry({ promptRegistry: this.promptRegistry });
 
-      // 7. Setup handlers
-      this.setupHandlers();
+      // 6. Setup MCP Server + handlers (stdio; no modo HTTP cada sessao cria o seu)
+      this.server = this.createMcpServer();
 
-      // 8. Health check inicial
+      // 7. Health check inicial
       const healthChecker = this.container.resolve('infrastructureHealthChecker');
       const health = await healthChecker.checkHealth();
 
@@ -103,19 +187,59 @@ class TifluxMCPServerV2 {
     }
   }
 
+  /**
+   * Cria um `Server` MCP com os handlers ligados aos registries compartilhados.
+   * Um Server conecta em um unico transporte: stdio usa um so; o modo HTTP
+   * cria um por sessao.
+   */
+  createMcpServer() {
+    const server = new Server(
+      {
+        name: 'tiflux-mcp',
+        version,
+        vendor: 'TiFlux'
+      },
+      {
+        capabilities: {
+          tools: this.options.transport === 'http' ? {} : { listChanged: true },
+          resources: {},
+          prompts: {},
+          completions: {}
+        }
+      }
+    );
+
+    this.setupHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    this.setupCompletionHandlers(server);
+    return server;
+  }
+
   /**
    * Setup dos handlers MCP — delega schemas e roteamento ao registry.
+   *
+   * No modo HTTP a chave de API (e a verbosidade) chegam por requisicao nos
+   * headers `x-tiflux-api-key` / `x-tiflux-verbosity`, lidos de
+   * `extra.requestInfo` e repassados como contexto request-scoped de
+   * `registry.execute` — nada e gravado no registry compartilhado.
    */
-  setupHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  setupHandlers(server) {
+    const registry = this.registry;
+
+    // Tools sem permissao do usuario da chave saem sinalizadas ou ocultas (`tools.permissions`)
+    server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
       this.logger.debug('Listing available tools');
-      return { tools: this.registry.getTools() };
+      const headers = extra?.requestInfo?.headers || {};
+      return { tools: registry.getToolsFor({ apiKey: headers[API_KEY_HEADER] }) };
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
       const requestId = Math.random().toString(36).substring(7);
 
+      const headers = extra?.requestInfo?.headers || {};
+
       const timer = this.logger.startTimer(`tool_${name}_${requestId}`);
 
       this.logger.info('Tool execution started', {
@@ -125,7 +249,15 @@ class TifluxMCPServerV2 {
       });
 
       try {
-        const result = await this.registry.execute(name, args);
+        const result = await registry.execute(name, args, {
+          apiKey: headers[API_KEY_HEADER],
+          verbosity: headers[VERBOSITY_HEADER],
+          logger: this.logger.child({ requestId, toolName: name }),
+          requestId,
+          progressToken: request.params._meta?.progressToken,
+          sendNotification: extra?.sendNotification,
+          signal: extra?.signal
+        });
 
         timer();
 
@@ -140,6 +272,11 @@ class TifluxMCPServerV2 {
       } catch (error) {
         timer();
 
+        if (error instanceof CancelledError) {
+          this.logger.info('Tool execution cancelled by client', { requestId, toolName: name });
+          throw error;
+        }
+
         this.logger.error('Tool execution failed', {
           requestId,
           toolName: name,
@@ -152,6 +289,84 @@ class TifluxMCPServerV2 {
     });
   }
 
+  /**
+   * Setup dos handlers de resources — so templates (tiflux://tickets/{n}, ...);
+   * nao ha lista estatica de resources concretos. Chave/verbosidade seguem o
+   * mesmo caminho por requisicao dos tools.
+   */
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return { resources: [] };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: this.resourceRegistry.getResourceTemplates() };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      const { uri } = request.params;
+      const headers = extra?.requestInfo?.headers || {};
+
+      this.logger.info('Resource read started', { uri });
+
+      return await this.resourceRegistry.read(uri, {
+        apiKey: headers[API_KEY_HEADER],
+        verbosity: headers[VERBOSITY_HEADER]
+      });
+    });
+  }
+
+  /**
+   * Setup dos handlers de prompts — a pre-carga roda as tools pelo registry
+   * com o contexto da requisicao (chave/verbosidade dos headers no modo HTTP).
+   */
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts: this.promptRegistry.getPrompts() };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+      const { name, arguments: args } = request.params;
+      const requestId = Math.random().toString(36).substring(7);
+      const headers = extra?.requestInfo?.headers || {};
+
+      this.logger.info('Prompt requested', { requestId, promptName: name });
+
+      return await this.promptRegistry.get(name, args || {}, {
+        apiKey: headers[API_KEY_HEADER],
+        verbosity: headers[VERBOSITY_HEADER],
+        logger: this.logger.child({ requestId, promptName: name }),
+        requestId,
+        signal: extra?.signal
+      });
+    });
+  }
+
+  /**
+   * Setup do handler de autocomplete (argumentos de prompts e resource templates)
+   */
+  setupCompletionHandlers(server) {
+    server.setRequestHandler(CompleteRequestSchema, async (request, extra) => {
+      const headers = extra?.requestInfo?.headers || {};
+
+      return await this.completionRegistry.complete(request.params, {
+        apiKey: headers[API_KEY_HEADER],
+        logger: this.logger
+      });
+    });
+  }
+
+  /**
+   * Avisa o cliente stdio que a lista de tools mudou (permissoes checadas).
+   * Antes de conectar nao ha para quem avisar: o ListTools ja sai atualizado.
+   */
+  notifyToolListChanged() {
+    if (!this.server?.transport) return;
+    this.server.sendToolListChanged().catch((error) => {
+      this.logger.warn('Failed to send tools/list_changed', { error: error.message });
+    });
+  }
+
   /**
    * Executa o servidor
    */
@@ -161,14 +376,18 @@ class TifluxMCPServerV2 {
     }
 
     try {
-      const transport = new StdioServerTransport();
-      await this.server.connect(transport);
-
-      this.logger.info('TiFlux MCP Server v2.0 connected and ready', {
-        transport: 'stdio',
-        pid: process.pid,
-        nodeVersion: process.version
-      });
+      if (this.options.transport === 'http') {
+        await this.startHttp();
+      } else {
+        const transport = new StdioServerTransport();
+        await this.server.connect(transport);
+
+        this.logger.info('TiFlux MCP Server v2.0 connected and ready', {
+          transport: 'stdio',
+          pid: process.pid,
+          nodeVersion: process.version
+        });
+      }
 
       // Setup graceful shutdown
       this.setupGracefulShutdown();
@@ -179,6 +398,45 @@ class TifluxMCPServerV2 {
     }
   }
 
+  /**
+   * Sobe o transporte Streamable HTTP. CLI (--port/--host) vence config `http.*`.
+   * Todas as sessoes compartilham o registry; o isolamento entre tenants vem
+   * do contexto request-scoped de `registry.execute`.
+   */
+  async startHttp() {
+    this.httpServer = new StreamableHttpServer({
+      createServer: () => this.createMcpServer(),
+      logger: this.logger,
+      host: this.options.host || this.config.get('http.host', '127.0.0.1'),
+      port: this.options.port ?? this.config.get('http.port', 8787),
+      path: this.config.get('http.path', '/mcp'),
+      sessionIdleMs: this.config.get('http.sessionIdleMs'),
+      maxSessions: this.config.get('http.maxSessions'),
+      version,
+      renderMetrics
+    });
+
+    const { host, port } = await this.httpServer.start();
+
+    this.logger.info('TiFlux MCP Server v2.0 connected and ready', {
+      transport: 'streamable-http',
+      url: `http://${host}:${port}${this.httpServer.path}`,
+      pid: process.pid,
+      nodeVersion: process.version
+    });
+  }
+
+  /**
+   * Sobe a API TiFlux falsa (src/sandbox) e aponta todo TiFluxAPI para ela.
+   */
+  async startSandbox() {
+    this.sandbox = new SandboxServer({ logger: this.logger });
+    const { baseUrl } = await this.sandbox.start();
+    TiFluxAPI.useBaseUrl(baseUrl, { apiKey: 'sandbox' });
+
+    this.logger.warn('Modo sandbox: usando API TiFlux falsa com dados de exemplo (nada chega à conta real)', { baseUrl });
+  }
+
   /**
    * Setup graceful shutdown
    */
@@ -187,6 +445,15 @@ class TifluxMCPServerV2 {
       this.logger.info(`Received ${signal}, shutting down gracefully...`);
 
       try {
+        // Encerrar sessoes HTTP (se o transporte HTTP estiver ativo)
+        if (this.httpServer) {
+          await this.httpServer.close();
+        }
+
+        if (this.sandbox) {
+          await this.sandbox.close();
+        }
+
         // Cleanup infrastructure
         const healthChecker = this.container.resolve('infrastructureHealthChecker');
         await healthChecker.cleanup();
@@ -234,10 +501,19 @@ class TifluxMCPServerV2 {
     return {
       initialized: true,
       version,
+      mode: ClientFingerprint.detectMode(),
+      transport: this.options.transport,
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       infrastructure: await healthChecker.checkHealth(),
       cache: cacheStrategy.getStats(),
+      http: {
+        coalescing: RequestCoalescer.shared().getStats(),
+        cassette: Cassette.active()?.getStats() ?? null
+      },
+      sandbox: this.sandbox ? this.sandbox.getStats() : null,
+      // Segredos mascarados: o resultado chega ao cliente MCP via get_server_status
+      config: this.config.getMasked(),
       container: {
         services: this.container.list()
       }
@@ -254,11 +530,12 @@ class TifluxMCPServerV2 {
 
 // Inicializar servidor se executado diretamente
 if (require.main === module) {
-  const server = new TifluxMCPServerV2();
+  const server = new TifluxMCPServerV2(parseCliArgs());
   server.run().catch((error) => {
     console.error('[FATAL] Server startup failed:', error);
     process.exit(1);
   });
 }
 
-module.exports = TifluxMCPServerV2;
\ No newline at end of file
+module.exports = TifluxMCPServerV2;
+module.exports.parseCliArgs = parseCliArgs;
\ No newline at end of file
@@ -0,0 +1,293 @@
+/**
+ * Schemas de resposta da API TiFlux v2 — deteccao de deriva (drift) de payload
+ *
+ * Os formatters das tools leem campos fixos do payload; quando a API renomeia
+ * ou muda o tipo de um campo, o bloco correspondente some da saida sem erro
+ * nenhum (ver historico em src/tools/equipments/getEquipment.js). Aqui ficam,
+ * por endpoint, os campos que as tools de fato consomem — so os confirmados
+ * contra chamadas reais ou documentados nos slices.
+ *
+ * Notacao dos shapes:
+ * - 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any'; uniao com `|`
+ *   ('number|string'); sufixo `?` = pode vir null, mas a chave vem sempre.
+ * - objeto literal = objeto com esses campos; `[shape]` = array de itens
+ *   (so os primeiros SAMPLE_ITEMS itens sao conferidos).
+ * - `maybe(shape)` = pode vir null ou nem vir (campo condicional).
+ *
+ * Chave ausente e o sinal mais forte de renomeacao: `memory: { total_gb: null }`
+ * passa, `memory: { total: 16 }` nao.
+ *
+ * TiFluxAPI._dispatch confere toda resposta 2xx de GET com schema e registra
+ * as divergencias no DriftMonitor (src/telemetry/DriftMonitor.js).
+ */
+
+const { endpointTemplate } = require('../telemetry/metrics');
+
+const SAMPLE_ITEMS = 3;
+const MAYBE = Symbol('maybe');
+
+/**
+ * Campo condicional (null ou ausente aceitos).
+ */
+function maybe(shape) {
+  return { [MAYBE]: true, shape };
+}
+
+// --- Shapes reutilizados -----------------------------------------------------
+
+const REF = { id: 'number', name: 'string?' };
+
+const TICKET = {
+  id: 'number',
+  ticket_number: 'number|string',
+  title: 'string',
+  description: 'string?',
+  status: { id: 'number', name: 'string' },
+  priority: maybe({ id: 'number', name: 'string' }),
+  desk: { id: 'number', name: 'string' },
+  stage: maybe({ id: 'number', name: 'string' }),
+  responsible: maybe({ id: 'number', name: 'string' }),
+  client: { id: 'number', name: 'string' },
+  services_catalog: maybe({ id: 'number' }),
+  is_closed: 'boolean',
+  created_at: 'string',
+  updated_at: 'string?',
+  closed_at: 'string?',
+  sla_info: maybe({ solve_expiration: 'string?', stage_expiration: 'string?' })
+};
+
+const TICKET_DETAIL = {
+  ...TICKET,
+  worked_hours: maybe('string'),
+  url_internal_path: 'string?',
+  url_external_path: 'string?'
+};
+
+const ANSWER = {
+  id: 'number',
+  name: 'string',
+  author: 'string?',
+  answer_time: 'string'
+};
+
+const CLIENT = {
+  id: 'number',
+  name: 'string',
+  social: 'string?',
+  status: 'boolean',
+  social_revenue: 'string?'
+};
+
+const DESK = {
+  id: 'number',
+  name: 'string',
+  display_name: 'string?',
+  active: 'boolean'
+};
+
+const APPOINTMENT = {
+  id: 'number',
+  date: 'string',
+  init_time: 'string',
+  end_time: 'string',
+  description: 'string?',
+  user: maybe(REF),
+  client: maybe(REF),
+  desk: maybe(REF)
+};
+
+const CHAT = {
+  id: 'number',
+  origin: 'string?',
+  online: 'boolean?',
+  waiting_answer: 'boolean?',
+  client: maybe({ name: 'string?' }),
+  requestor: maybe({ name: 'string?' }),
+  department: maybe({ name: 'string?' }),
+  last_client_message: 'string?',
+  created_at: 'string'
+};
+
+const EQUIPMENT_ITEM = {
+  id: 'number',
+  name: 'string',
+  client: maybe(REF),
+  equipment_type: maybe(REF),
+  equipment_group: maybe(REF),
+  online: 'boolean?'
+};
+
+// Contrato confirmado em src/tools/equipments/getEquipment.js (sem `agent` nem `online`)
+const EQUIPMENT_DETAIL = {
+  id: 'number',
+  name: 'string',
+  client: maybe(REF),
+  equipment_type: maybe(REF),
+  equipment_group: maybe(REF),
+  current_user: 'string?',
+  processor: maybe({ name: 'string?' }),
+  memory: maybe({ total_gb: 'number?' }),
+  motherboard: maybe({ manufacturer: 'string?', model: 'string?', bios: 'string?' }),
+  disks: maybe([{ name: 'string?', size_gb: 'number?', use_percent: 'number?' }]),
+  disksmart: maybe([{ model: 'string?', status: 'string?' }]),
+  network: maybe([{ name: 'string?', ipv4: 'string?', mac: 'string?' }]),
+  vga: maybe([{ name: 'string?', vram_mb: 'number?' }]),
+  printer: maybe([{ name: 'string?', port: 'string?', default: 'boolean?' }]),
+  antivirus: maybe([{ name: 'string?', up_to_date: 'boolean?', active: 'boolean?' }]),
+  operating_system: maybe({ name: 'string?', version: 'string?', kernel: 'string?' }),
+  windows_update: maybe({ pending_count: 'number?', has_critical_pending: 'boolean?' })
+};
+
+// Contrato confirmado em src/tools/billings/getBillingsHistory.js
+const BILLING = {
+  billing_id: 'number',
+  billing_date: 'string',
+  client_id: 'number',
+  client_name: 'string',
+  due_date: 'string?',
+  nfe_number: 'string?',
+  paid: 'boolean',
+  real_value: 'string',
+  reversal: 'boolean'
+};
+
+/**
+ * Schemas por endpoint. `endpoint` e o template de metrics.endpointTemplate
+ * (IDs viram `:id`); `when` desempata respostas de shapes diferentes no mesmo
+ * endpoint (ex: GET /tickets agregado por group_by).
+ */
+const RESPONSE_SCHEMAS = [
+  {
+    method: 'GET', endpoint: '/tickets', when: endpoint => /[?&]group_by=/.test(endpoint),
+    shape: { group_by: 'string', total: maybe('number|string'), buckets: [{ period: 'string|number', count: 'number|string' }] }
+  },
+  { method: 'GET', endpoint: '/tickets', shape: [TICKET] },
+  { method: 'GET', endpoint: '/tickets/:id', shape: TICKET_DETAIL },
+  { method: 'GET', endpoint: '/tickets/:id/answers', shape: [ANSWER] },
+  { method: 'GET', endpoint: '/tickets/:id/answers/:id', shape: ANSWER },
+  { method: 'GET', endpoint: '/tickets/:id/appointments', shape: [APPOINTMENT] },
+  { method: 'GET', endpoint: '/appointments', shape: [APPOINTMENT] },
+  { method: 'GET', endpoint: '/clients', shape: [CLIENT] },
+  { method: 'GET', endpoint: '/clients/:id', shape: CLIENT },
+  { method: 'GET', endpoint: '/desks', shape: [DESK] },
+  { method: 'GET', endpoint: '/desks/:id', shape: DESK },
+  { method: 'GET', endpoint: '/desks/:id/stages', shape: [{ id: 'number', name: 'string', first_stage: 'boolean?', last_stage: 'boolean?' }] },
+  { method: 'GET', endpoint: '/desks/:id/priorities', shape: [{ id: 'number', name: 'string' }] },
+  { method: 'GET', endpoint: '/desks/:id/services-catalogs-items', shape: [{ id: 'number', name: 'string', area: maybe(REF), catalog: maybe(REF) }] },
+  { method: 'GET', endpoint: '/users/me', shape: { id: 'number', name: 'string', email: 'string?' } },
+  ...['inbox', 'mine', 'in_attendance', 'archived'].map(queue => ({
+    method: 'GET', endpoint: `/chats/${queue}`, shape: [CHAT]
+  })),
+  { method: 'GET', endpoint: '/chats/:id', shape: CHAT },
+  {
+    method: 'GET', endpoint: '/chats/:id/messages',
+    shape: [{ id: 'number|string', type: 'string?', text: maybe('string'), author: maybe({ type: 'string?', name: 'string?' }), created_at: 'string' }]
+  },
+  { method: 'GET', endpoint: '/equipments', shape: [EQUIPMENT_ITEM] },
+  { method: 'GET', endpoint: '/equipments/:id', shape: EQUIPMENT_DETAIL },
+  { method: 'GET', endpoint: '/equipments/:id/softwares', shape: [{ name: 'string', version: 'string?' }] },
+  { method: 'GET', endpoint: '/reports/billings/history', shape: [BILLING] }
+];
+
+/**
+ * Schema aplicavel a uma requisicao, ou null.
+ * @param {string} method
+ * @param {string} endpoint - com query string (ex: "/tickets?group_by=month")
+ * @returns {{ method, endpoint, shape }|null}
+ */
+function schemaFor(method, endpoint) {
+  const upper = String(method).toUpperCase();
+  const template = endpointTemplate(endpoint);
+  return RESPONSE_SCHEMAS.find(schema =>
+    schema.method === upper && schema.endpoint === template && (!schema.when || schema.when(endpoint))
+  ) || null;
+}
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Campos nao declarados com nome parecido com o que sumiu — candidatos a
+ * renomeacao (`mac` → `mac_address`, `total_gb` → `total`).
+ */
+function renameCandidates(missing, value, declared) {
+  const tokens = missing.split('_');
+  return Object.keys(value)
+    .filter(key => !declared.has(key))
+    .filter(key => key.includes(missing) || missing.includes(key) || key.split('_').some(token => tokens.includes(token)))
+    .slice(0, 3);
+}
+
+/**
+ * Divergencias entre o payload e o shape declarado.
+ * @param {*} shape
+ * @param {*} value
+ * @param {string} [path]
+ * @returns {Array<{ path: string, kind: 'missing'|'type', expected: string, actual: string, candidates?: string[] }>}
+ */
+function findDrift(shape, value, path = '$') {
+  if (shape && shape[MAYBE]) {
+    return value === null || value === undefined ? [] : findDrift(shape.shape, value, path);
+  }
+
+  if (typeof shape === 'string') {
+    const nullable = shape.endsWith('?');
+    const types = shape.replace(/\?$/, '').split('|');
+    const actual = typeOf(value);
+    if (actual === 'null') {
+      return nullable || types.includes('any') ? [] : [{ path, kind: 'type', expected: shape, actual }];
+    }
+    return types.includes('any') || types.includes(actual) ? [] : [{ path, kind: 'type', expected: shape, actual }];
+  }
+
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(value)) return [{ path, kind: 'type', expected: 'array', actual: typeOf(value) }];
+    return value.slice(0, SAMPLE_ITEMS).flatMap(item => findDrift(shape[0], item, `${path}[]`));
+  }
+
+  // objeto
+  if (typeOf(value) !== 'object') {
+    return [{ path, kind: value === undefined ? 'missing' : 'type', expected: 'object', actual: typeOf(value) }];
+  }
+  const declared = new Set(Object.keys(shape));
+  const findings = [];
+  for (const [field, fieldShape] of Object.entries(shape)) {
+    const fieldPath = `${path}.${field}`;
+    if (!(field in value)) {
+      if (!fieldShape?.[MAYBE]) {
+        const candidates = renameCandidates(field, value, declared);
+        const expected = typeof fieldShape === 'string' ? fieldShape : Array.isArray(fieldShape) ? 'array' : 'object';
+        findings.push({ path: fieldPath, kind: 'missing', expected, actual: 'ausente', ...(candidates.length ? { candidates } : {}) });
+      }
+      continue;
+    }
+    findings.push(...findDrift(fieldShape, value[field], fieldPath));
+  }
+  return findings;
+}
+
+/**
+ * Uma divergencia por caminho (os itens conferidos de um array repetem o mesmo caminho).
+ */
+function uniqueByPath(findings) {
+  const seen = new Map();
+  for (const finding of findings) {
+    if (!seen.has(finding.path)) seen.set(finding.path, finding);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Confere o payload de uma resposta contra o schema do endpoint.
+ * @returns {{ schema: object, findings: object[] }|null} null quando o endpoint nao tem schema
+ */
+function checkResponse(method, endpoint, data) {
+  const schema = schemaFor(method, endpoint);
+  if (!schema) return null;
+  return { schema, findings: uniqueByPath(findDrift(schema.shape, data)) };
+}
+
+module.exports = { RESPONSE_SCHEMAS, SAMPLE_ITEMS, maybe, schemaFor, findDrift, checkResponse };
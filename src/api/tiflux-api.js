@@ -7,17 +7,52 @@
  *
  * Contrato externo preservado: retorna `{ data, status }` em sucesso e
  * `{ error, status }` em falha — handlers MCP nao precisam mudar.
+ *
+ * Excecao: cancelamento (`withSignal`) LANCA CancelledError em vez de virar
+ * `{ error }` — slices que paginam ou encadeiam chamadas param na hora, sem
+ * tratar o cancelamento como mais uma resposta de erro da API.
+ *
+ * Rate limit: instancias com a mesma chave dividem um RateLimiter
+ * (`RateLimiter.forKey`). Limite estourado vira `{ error, status: 429, retryAfter }`.
+ *
+ * Metadados (mesas, prioridades, estagios, catalogos, campos personalizados,
+ * grupos de atendimento, templates, tipos de equipamento) passam por um cache
+ * read-through por chave de API (`metadataCache`).
+ *
+ * GETs identicos da mesma chave feitos ao mesmo tempo viram uma unica
+ * requisicao HTTP (`RequestCoalescer.shared()`).
+ *
+ * Respostas de GET com schema declarado (`responseSchemas`) sao conferidas;
+ * divergencias de shape vao para o `DriftMonitor.shared()` — a resposta segue
+ * para o slice sem alteracao.
  */
 
+const crypto = require('crypto');
 const querystring = require('querystring');
 
 const HttpClient = require('../infrastructure/http/HttpClient');
-const { APIError, TimeoutError, NetworkError } = require('../utils/errors');
+const RateLimiter = require('../infrastructure/http/RateLimiter');
+const RequestCoalescer = require('../infrastructure/http/RequestCoalescer');
+const { metadataTypeOf, invalidatedTypesFor } = require('../infrastructure/cache/metadataRules');
+const { checkResponse } = require('./responseSchemas');
+const DriftMonitor = require('../telemetry/DriftMonitor');
+const {
+  APIError, TimeoutError, NetworkError, CancelledError, CircuitOpenError, CassetteMissError, RateLimitError,
+  throwIfCancelled
+} = require('../utils/errors');
 const ClientFingerprint = require('../telemetry/ClientFingerprint');
+const metrics = require('../telemetry/metrics');
 const { MAX_BASE64_BYTES_25MB, MAX_BASE64_BYTES_40MB } = require('../tools/_shared/fileValidation');
 
 const DEFAULT_TIMEOUT_MS = 15000;
 
+// Cache de metadados default (TiFluxAPI.useMetadataCache)
+let defaultMetadataCache = null;
+
+// Destino forcado pelo sandbox (TiFluxAPI.useBaseUrl)
+let defaultBaseUrl = null;
+let forcedApiKey = null;
+
 /**
  * Avalia se um usuario do fallback technical-groups esta ativo, de forma
  * tolerante a variacao de shape da API (boolean true, 1, "true", "1" ou campo
@@ -53,12 +88,77 @@ class TiFluxAPI {
    * @param {object} [options]
    * @param {HttpClient} [options.httpClient] - cliente HTTP injetado (DI)
    * @param {object} [options.logger] - logger estruturado (usa stub silencioso por default)
+   * @param {RateLimiter|null} [options.rateLimiter] - limiter injetado; default o
+   *   compartilhado da chave (`RateLimiter.forKey`), null desliga
+   * @param {CacheStrategy|null} [options.metadataCache] - cache de metadados;
+   *   default o definido por `TiFluxAPI.useMetadataCache` (nenhum fora do servidor)
+   * @param {RequestCoalescer|null} [options.coalescer] - single-flight de GETs;
+   *   default o compartilhado do processo, null desliga
+   * @param {DriftMonitor|null} [options.driftMonitor] - registro de deriva de
+   *   payload; default o compartilhado do processo, null desliga a conferencia
    */
   constructor(apiKey = null, options = {}) {
-    this.baseUrl = process.env.TIFLUX_API_BASE_URL || 'https://api.tiflux.com/api/v2';
-    this.apiKey = apiKey || process.env.TIFLUX_API_KEY;
+    this.baseUrl = defaultBaseUrl || process.env.TIFLUX_API_BASE_URL || 'https://api.tiflux.com/api/v2';
+    this.apiKey = forcedApiKey || apiKey || process.env.TIFLUX_API_KEY;
     this.logger = options.logger || this._createSilentLogger();
     this.httpClient = options.httpClient || this._createDefaultHttpClient();
+    this.rateLimiter = options.rateLimiter !== undefined ? options.rateLimiter : RateLimiter.forKey(this.apiKey);
+    this.metadataCache = options.metadataCache !== undefined ? options.metadataCache : defaultMetadataCache;
+    this.coalescer = options.coalescer !== undefined ? options.coalescer : RequestCoalescer.shared();
+    this.driftMonitor = options.driftMonitor !== undefined ? options.driftMonitor : DriftMonitor.shared();
+  }
+
+  /**
+   * Define o cache de metadados usado por toda instancia criada sem
+   * `options.metadataCache` (registries criam TiFluxAPI por requisicao).
+   * O namespace por chave de API fica no proprio CacheStrategy.
+   *
+   * @param {CacheStrategy|null} cacheStrategy - null desliga
+   */
+  static useMetadataCache(cacheStrategy) {
+    defaultMetadataCache = cacheStrategy || null;
+  }
+
+  /**
+   * Aponta toda instancia criada depois para outra API (sandbox local).
+   * Tem precedencia sobre `TIFLUX_API_BASE_URL`.
+   *
+   * @param {string|null} baseUrl - null volta ao destino normal
+   * @param {object} [options]
+   * @param {string|null} [options.apiKey] - chave usada no lugar da informada:
+   *   a chave real nunca vai para o sandbox nem divide cache com ele
+   */
+  static useBaseUrl(baseUrl, options = {}) {
+    defaultBaseUrl = baseUrl || null;
+    forcedApiKey = baseUrl ? options.apiKey || null : null;
+  }
+
+  /**
+   * Visao desta instancia presa ao AbortSignal de uma requisicao MCP: toda
+   * chamada HTTP feita por ela e abortada quando o signal disparar. Nao muta
+   * a instancia original (compartilhada entre requisicoes no stdio).
+   *
+   * @param {AbortSignal} signal
+   * @returns {TiFluxAPI}
+   */
+  withSignal(signal) {
+    const bound = Object.create(this);
+    bound.signal = signal;
+    return bound;
+  }
+
+  /**
+   * Visao desta instancia que anota em `log` cada espera por rate limit
+   * (`{ type: 'wait', ms }` e `{ type: '429', retryAfterMs }`). O
+   * HandlerRegistry usa para avisar na resposta da tool que houve throttling.
+   *
+   * @param {object[]} log - array da requisicao, preenchido durante a tool
+   * @returns {TiFluxAPI}
+   */
+  withThrottleLog(log) {
+    const bound = Object.create(this);
+    bound.throttleLog = log;
+    return bound;
   }
 
   _createSilentLogger() {
@@ -103,6 +203,21 @@ class TiFluxAPI {
    * os handlers MCP consomem. Preserva semantica do codigo antigo.
    */
   _convertErrorToResponse(error, endpoint, method) {
+    if (error instanceof RateLimitError) {
+      const retryAfter = error.details.retryAfter;
+      this.logger.warn('TiFlux API rate limit', { endpoint, method, retryAfter });
+      const hint = retryAfter ? ` Tente novamente em ${retryAfter}s.` : ' Aguarde alguns segundos e tente novamente.';
+      return { error: `Limite de requisições da API TiFlux atingido (HTTP 429).${hint}`, status: 429, retryAfter };
+    }
+
+    if (error instanceof CircuitOpenError) {
+      return { error: error.message, status: 'CONNECTION_ERROR', retryAt: error.details.retryAt };
+    }
+
+    if (error instanceof CassetteMissError) {
+      return { error: error.message, status: 'CASSETTE_MISS' };
+    }
+
     if (error instanceof TimeoutError) {
       this.logger.error('TiFlux API request timeout', {
         endpoint, method, timeoutMs: DEFAULT_TIMEOUT_MS, error: error.message
@@ -149,12 +264,53 @@ class TiFluxAPI {
 
   /**
    * Requisicao HTTP base para endpoints JSON da API v2.
+   *
+   * GETs de metadados (ver infrastructure/cache/metadataRules.js) passam pelo
+   * cache read-through quando ha `metadataCache`; escritas bem-sucedidas
+   * invalidam os tipos relacionados.
    */
   async makeRequest(endpoint, method = 'GET', data = null, headers = {}) {
     if (!this.apiKey) {
       return { error: 'TIFLUX_API_KEY não configurada', status: 'CONFIG_ERROR' };
     }
+    throwIfCancelled(this.signal);
+
+    const metadataType = this.metadataCache && String(method).toUpperCase() === 'GET'
+      ? metadataTypeOf(endpoint)
+      : null;
+    if (metadataType) {
+      return this.metadataCache.getOrFetchMetadata(
+        this.apiKey, metadataType, endpoint, () => this._dispatchCoalesced(endpoint, method, data, headers)
+      );
+    }
+
+    const response = await this._dispatchCoalesced(endpoint, method, data, headers);
+    this._invalidateMetadata(endpoint, method, response);
+    return response;
+  }
+
+  /**
+   * GET passa pelo single-flight (mesma chave de API + endpoint + headers);
+   * escritas vao direto.
+   */
+  _dispatchCoalesced(endpoint, method, data, headers) {
+    if (!this.coalescer || String(method).toUpperCase() !== 'GET') {
+      return this._dispatch(endpoint, method, data, headers);
+    }
+    const tenant = crypto.createHash('sha256').update(String(this.apiKey)).digest('hex').slice(0, 16);
+    const extra = Object.keys(headers || {}).length > 0 ? ` ${JSON.stringify(headers)}` : '';
+    return this.coalescer.run(
+      `${tenant} GET ${endpoint}${extra}`,
+      () => this._dispatch(endpoint, method, data, headers),
+      this.signal
+    );
+  }
 
+  /**
+   * Envia a requisicao pelo HttpClient e normaliza para `{ data, status, headers }`
+   * ou `{ error, status }`. Base de makeRequest e makeRequestBinary.
+   */
+  async _dispatch(endpoint, method, data, headers) {
     const url = `${this.baseUrl}${endpoint}`;
     const requestHeaders = {
       'accept': 'application/json',
@@ -165,6 +321,13 @@ class TiFluxAPI {
       'User-Agent': ClientFingerprint.userAgent()
     };
 
+    const endpointLabel = metrics.endpointTemplate(endpoint);
+    const stopTimer = metrics.apiDuration.startTimer({ method, endpoint: endpointLabel });
+    const count = (status) => {
+      stopTimer();
+      metrics.apiRequests.inc({ method, endpoint: endpointLabel, status });
+    };
+
     try {
       const response = await this.httpClient.request({
         method,
@@ -172,15 +335,46 @@ class TiFluxAPI {
         headers: requestHeaders,
         data,
         timeout: DEFAULT_TIMEOUT_MS,
-        retryCondition: this._retryConditionForMethod(method)
+        retryCondition: this._retryConditionForMethod(method),
+        signal: this.signal,
+        rateLimiter: this.rateLimiter,
+        circuitKey: this.apiKey,
+        onThrottle: this.throttleLog ? (event) => this.throttleLog.push(event) : undefined
       });
 
+      count(response.statusCode);
+      this._checkResponseShape(method, endpoint, response.data);
       return { data: response.data, status: response.statusCode, headers: response.headers };
     } catch (error) {
-      return this._convertErrorToResponse(error, endpoint, method);
+      if (error instanceof CancelledError) {
+        count('cancelled');
+        throw error;
+      }
+      const converted = this._convertErrorToResponse(error, endpoint, method);
+      count(converted.status);
+      return converted;
     }
   }
 
+  /**
+   * Confere o payload de um GET contra o schema do endpoint (se houver) e
+   * registra as divergencias. So observa: nunca altera nem rejeita a resposta.
+   */
+  _checkResponseShape(method, endpoint, data) {
+    if (!this.driftMonitor || String(method).toUpperCase() !== 'GET') return;
+    const result = checkResponse(method, endpoint, data);
+    if (result) this.driftMonitor.record('GET', result.schema.endpoint, result.findings);
+  }
+
+  /**
+   * Escrita bem-sucedida invalida os metadados cacheados que ela pode ter alterado.
+   */
+  _invalidateMetadata(endpoint, method, response) {
+    if (!this.metadataCache || String(method).toUpperCase() === 'GET' || response?.error) return;
+    const types = invalidatedTypesFor(endpoint);
+    if (types.length > 0) this.metadataCache.invalidateMetadata(this.apiKey, types);
+  }
+
   /**
    * Busca um ticket específico pelo ID
    */
@@ -938,31 +1132,11 @@ class TiFluxAPI {
     if (!this.apiKey) {
       return { error: 'TIFLUX_API_KEY não configurada', status: 'CONFIG_ERROR' };
     }
+    throwIfCancelled(this.signal);
 
-    const url = `${this.baseUrl}${endpoint}`;
-    const requestHeaders = {
-      'accept': 'application/json',
-      'authorization': `Bearer ${this.apiKey}`,
-      ...headers,
-      // User-Agent e o ponto canonico de telemetria — definido por ULTIMO de
-      // proposito para que nenhum caller sobrescreva o valor do ClientFingerprint.
-      'User-Agent': ClientFingerprint.userAgent()
-    };
-
-    try {
-      const response = await this.httpClient.request({
-        method,
-        url,
-        headers: requestHeaders,
-        data,
-        timeout: DEFAULT_TIMEOUT_MS,
-        retryCondition: this._retryConditionForMethod(method)
-      });
-
-      return { data: response.data, status: response.statusCode, headers: response.headers };
-    } catch (error) {
-      return this._convertErrorToResponse(error, endpoint, method);
-    }
+    const response = await this._dispatch(endpoint, method, data, headers);
+    this._invalidateMetadata(endpoint, method, response);
+    return response;
   }
 
   /**
@@ -1359,6 +1533,21 @@ class TiFluxAPI {
     return await this.makeRequest('/users/me');
   }
 
+  /**
+   * Lista usuarios paginado, sem filtro client-side
+   * GET /users
+   *
+   * So transporte. Com `limit: 1` serve de checagem barata da permissao de
+   * administrador (src/registry/toolPermissions.js).
+   */
+  async listUsers(filters = {}) {
+    const params = new URLSearchParams();
+    params.append('offset', Math.max(1, parseInt(filters.offset) || 1));
+    params.append('limit', Math.min(200, Math.max(1, parseInt(filters.limit) || 20)));
+    const response = await this.makeRequest(`/users?${params.toString()}`);
+    return this._attachTotalItems(response);
+  }
+
   /**
    * Lista grupos de atendimento (technical groups)
    * GET /technical-groups
@@ -0,0 +1,136 @@
+/**
+ * AuditJournal — diario local append-only das operacoes de escrita.
+ *
+ * Uma linha JSON por tool de escrita executada (ver ./auditEntry.js para o
+ * shape). Responde "o que o assistente alterou ontem?" sem depender do Logger,
+ * que so emite linhas livres no stderr.
+ *
+ * Multi-tenancy: cada entrada guarda `tenant` (hash curto da chave de API,
+ * nunca a chave) e `query` so devolve as entradas do tenant que consulta —
+ * no servidor HTTP um tenant nao le o diario do outro.
+ *
+ * Falha de escrita no arquivo NAO derruba a tool: a operacao ja aconteceu na
+ * API, entao o erro vira warning no logger.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+
+const DEFAULT_QUERY_LIMIT = 50;
+
+/**
+ * Identificador estavel e nao reversivel da chave de API.
+ * @param {string|null|undefined} apiKey
+ * @returns {string|null}
+ */
+function tenantOf(apiKey) {
+  if (!apiKey) return null;
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 12);
+}
+
+class AuditJournal {
+  /**
+   * @param {object} options
+   * @param {string} options.file - caminho do arquivo JSONL
+   * @param {object} [options.logger] - logger estruturado (warn em falha de escrita)
+   */
+  constructor(options = {}) {
+    if (!options.file) {
+      throw new Error('AuditJournal precisa de options.file');
+    }
+    this.file = options.file;
+    this.logger = options.logger || null;
+    this._dirReady = false;
+    // Fila de escrita: appends concorrentes saem na ordem de chegada, sem intercalar linhas.
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Acrescenta uma entrada. Nunca rejeita.
+   * @param {object} entry - entrada montada por buildAuditEntry
+   */
+  append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    this._queue = this._queue.then(async () => {
+      try {
+        if (!this._dirReady) {
+          await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+          this._dirReady = true;
+        }
+        await fs.promises.appendFile(this.file, line, { encoding: 'utf8', mode: 0o600 });
+      } catch (error) {
+        this.logger?.warn?.('Audit journal write failed', {
+          file: this.file,
+          tool: entry.tool,
+          error: error.message
+        });
+      }
+    });
+    return this._queue;
+  }
+
+  /**
+   * Consulta o diario, mais recentes primeiro.
+   *
+   * @param {object} [filters]
+   * @param {string|null} [filters.tenant] - so entradas deste tenant (tenantOf)
+   * @param {Date} [filters.start] - ts >= start
+   * @param {Date} [filters.end] - ts <= end
+   * @param {string} [filters.tool] - nome exato da tool
+   * @param {string} [filters.ticketNumber] - entradas ligadas ao ticket
+   * @param {number} [filters.limit=50]
+   * @returns {Promise<{ entries: object[], matched: number }>} `matched` = total antes do limit
+   */
+  async query(filters = {}) {
+    await this._queue;
+    const limit = filters.limit || DEFAULT_QUERY_LIMIT;
+    const startMs = filters.start ? filters.start.getTime() : null;
+    const endMs = filters.end ? filters.end.getTime() : null;
+    const ticketNumber = filters.ticketNumber != null ? String(filters.ticketNumber) : null;
+
+    // Janela deslizante das ultimas `limit` entradas: o arquivo cresce sem teto,
+    // entao nao carregamos tudo em memoria.
+    const recent = [];
+    let matched = 0;
+
+    let stream;
+    try {
+      stream = fs.createReadStream(this.file, { encoding: 'utf8' });
+      await new Promise((resolve, reject) => {
+        stream.once('open', resolve);
+        stream.once('error', reject);
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') return { entries: [], matched: 0 };
+      throw error;
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // linha truncada (ex: disco cheio) nao invalida o resto
+      }
+      if (filters.tenant !== undefined && entry.tenant !== filters.tenant) continue;
+      if (filters.tool && entry.tool !== filters.tool) continue;
+      if (ticketNumber && String(entry.ticket_number) !== ticketNumber) continue;
+      const ts = Date.parse(entry.ts);
+      if (startMs !== null && !(ts >= startMs)) continue;
+      if (endMs !== null && !(ts <= endMs)) continue;
+
+      matched++;
+      recent.push(entry);
+      if (recent.length > limit) recent.shift();
+    }
+
+    return { entries: recent.reverse(), matched };
+  }
+}
+
+module.exports = AuditJournal;
+module.exports.tenantOf = tenantOf;
@@ -0,0 +1,181 @@
+/**
+ * auditEntry.js — captura e shape das entradas do diario de auditoria.
+ *
+ * O HandlerRegistry roda toda tool de escrita com o api embrulhado por
+ * `createAuditedApi`: as chamadas seguem para a API normalmente, e cada
+ * escrita (metodo != GET) fica registrada com endpoint, status HTTP, IDs
+ * enviados no payload e IDs devolvidos pela API. Ao fim da tool,
+ * `buildAuditEntry` monta a linha do diario.
+ *
+ * Shape de uma entrada:
+ *   { ts, tool, request_id, tenant, outcome, ticket_number, args,
+ *     requests: [{ method, endpoint, status, resolved_ids, entity_ids }], error? }
+ *
+ * `resolved_ids` sao os `*_id`/`*_ids` do payload efetivamente enviado — ja
+ * com nomes (mesa, estagio, prioridade, catalogo, solicitante) resolvidos.
+ */
+
+const { describeBody } = require('../registry/dryRun');
+const { tenantOf } = require('./AuditJournal');
+
+const MAX_ARG_STRING = 500;
+const SECRET_KEY = /pass(word)?|senha|token|secret|api_?key|authorization/i;
+const ENTITY_ID_KEYS = ['id', 'ticket_number', 'number', 'uuid'];
+const TICKET_ENDPOINT = /^\/tickets\/(\d+)(?:[/?]|$)/;
+
+/**
+ * Copia dos args segura para disco: segredos mascarados, conteudo base64 de
+ * anexos trocado pelo tamanho, textos longos truncados.
+ */
+function sanitizeArgs(value, key = '') {
+  if (key && SECRET_KEY.test(key)) return '[redacted]';
+  if (Array.isArray(value)) return value.map(item => sanitizeArgs(item));
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (k === 'content' && typeof v === 'string' && value.filename) {
+        result[k] = `[base64: ${v.length} caracteres]`;
+      } else {
+        result[k] = sanitizeArgs(v, k);
+      }
+    }
+    return result;
+  }
+  if (typeof value === 'string' && value.length > MAX_ARG_STRING) {
+    return `${value.slice(0, MAX_ARG_STRING)}… (+${value.length - MAX_ARG_STRING} caracteres)`;
+  }
+  return value;
+}
+
+function isIdKey(key) {
+  return /(^|_)ids?$/.test(key);
+}
+
+/** IDs do payload enviado (JSON ou campos multipart). */
+function collectResolvedIds(body) {
+  const ids = {};
+  if (!body) return ids;
+  if (body.format === 'multipart') {
+    for (const { name, value } of body.fields || []) {
+      if (name && isIdKey(name.replace(/\[\]$/, ''))) {
+        ids[name] = ids[name] !== undefined ? [].concat(ids[name], value) : value;
+      }
+    }
+    return ids;
+  }
+  const payload = body.payload;
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    for (const [key, value] of Object.entries(payload)) {
+      if (isIdKey(key) && value !== null && typeof value !== 'object') ids[key] = value;
+      if (isIdKey(key) && Array.isArray(value)) ids[key] = value;
+    }
+  }
+  return ids;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pickEntityIds(obj) {
+  const ids = {};
+  for (const key of ENTITY_ID_KEYS) {
+    if (obj[key] !== undefined && obj[key] !== null && typeof obj[key] !== 'object') {
+      ids[key] = obj[key];
+    }
+  }
+  return ids;
+}
+
+/**
+ * IDs da entidade criada/alterada, lidos da resposta da API. Aceita o objeto
+ * na raiz ou embrulhado num nivel (ex: POST /tickets devolve `{ ticket: {...} }`).
+ */
+function collectEntityIds(data) {
+  if (!isPlainObject(data)) return {};
+  const ids = pickEntityIds(data);
+  if (Object.keys(ids).length > 0) return ids;
+  const wrapped = Object.values(data).find(isPlainObject);
+  return wrapped ? pickEntityIds(wrapped) : {};
+}
+
+/**
+ * Embrulha um TiFluxAPI registrando as escritas sem alterar o comportamento.
+ *
+ * @param {object} api - TiFluxAPI (ou compativel: makeRequest/makeRequestBinary)
+ * @returns {{ api: object, writes: object[] }}
+ */
+function createAuditedApi(api) {
+  const writes = [];
+  const wrapped = Object.create(api);
+
+  const intercept = (original) => async function (endpoint, method = 'GET', data = null, headers = {}) {
+    const response = await original.call(this, endpoint, method, data, headers);
+    const normalizedMethod = String(method).toUpperCase();
+    if (normalizedMethod !== 'GET') {
+      writes.push({
+        method: normalizedMethod,
+        endpoint,
+        status: response?.status ?? null,
+        resolved_ids: collectResolvedIds(describeBody(data, headers)),
+        entity_ids: response?.error ? {} : collectEntityIds(response?.data)
+      });
+    }
+    return response;
+  };
+
+  wrapped.makeRequest = intercept(api.makeRequest);
+  wrapped.makeRequestBinary = intercept(api.makeRequestBinary);
+
+  return { api: wrapped, writes };
+}
+
+function ticketNumberOf(args, writes) {
+  if (args?.ticket_number != null && /^\d+$/.test(String(args.ticket_number))) {
+    return String(args.ticket_number);
+  }
+  for (const write of writes) {
+    const match = TICKET_ENDPOINT.exec(write.endpoint);
+    if (match) return match[1];
+    if (write.endpoint.startsWith('/tickets') && write.entity_ids.ticket_number != null) {
+      return String(write.entity_ids.ticket_number);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resultado da tool → 'ok' | 'error'. Escrita com status HTTP de falha,
+ * `isError` do slice ou excecao contam como erro.
+ */
+function outcomeOf(result, writes, error) {
+  if (error || result?.isError) return 'error';
+  return writes.some(write => typeof write.status !== 'number' || write.status >= 400) ? 'error' : 'ok';
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.tool
+ * @param {object} params.args - args originais da chamada
+ * @param {object[]} params.writes - `writes` de createAuditedApi
+ * @param {object} params.api - api base (para o tenant)
+ * @param {string} [params.requestId]
+ * @param {object} [params.result] - retorno do slice
+ * @param {Error} [params.error] - excecao do slice
+ */
+function buildAuditEntry({ tool, args, writes, api, requestId, result, error }) {
+  const entry = {
+    ts: new Date().toISOString(),
+    tool,
+    request_id: requestId || null,
+    tenant: tenantOf(api?.apiKey),
+    outcome: outcomeOf(result, writes, error),
+    ticket_number: ticketNumberOf(args, writes),
+    args: sanitizeArgs(args || {}),
+    requests: writes
+  };
+  if (error) entry.error = error.message;
+  return entry;
+}
+
+module.exports = { createAuditedApi, buildAuditEntry, sanitizeArgs };
@@ -0,0 +1,28 @@
+/**
+ * Diario de auditoria das tools de escrita.
+ *
+ * Config em `audit.*` (config/*.json) ou env:
+ *   - enabled: default true (TIFLUX_MCP_AUDIT=false desliga)
+ *   - file: caminho do JSONL (TIFLUX_MCP_AUDIT_FILE).
+ *       Default: ~/.tiflux-mcp/audit.jsonl
+ */
+
+const os = require('os');
+const path = require('path');
+const AuditJournal = require('./AuditJournal');
+
+const DEFAULT_AUDIT_FILE = path.join(os.homedir(), '.tiflux-mcp', 'audit.jsonl');
+
+/**
+ * @param {object} [options] - bloco `audit` da config
+ * @param {boolean} [options.enabled]
+ * @param {string} [options.file]
+ * @param {object} [logger]
+ * @returns {AuditJournal|null} null quando desabilitado
+ */
+function createAuditJournal(options = {}, logger = null) {
+  if (options.enabled === false) return null;
+  return new AuditJournal({ file: options.file || DEFAULT_AUDIT_FILE, logger });
+}
+
+module.exports = { AuditJournal, createAuditJournal, DEFAULT_AUDIT_FILE };
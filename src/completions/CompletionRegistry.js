@@ -0,0 +1,93 @@
+/**
+ * CompletionRegistry - handler de `completion/complete` do MCP.
+ *
+ * Autocomplete e por NOME de argumento (desk_name, client_name, ...), nao por
+ * prompt: o mesmo completer atende qualquer prompt que declare o argumento.
+ * Referencias a resource templates caem na mesma tabela — hoje nenhum template
+ * tem variavel por nome (so IDs), entao devolvem lista vazia.
+ *
+ * Os candidatos vem de ./argumentCompleters.js e sao ordenados pelo mesmo
+ * fuzzyMatch que os resolvers usam, limitados a 100 valores (teto do protocolo).
+ */
+
+const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const TiFluxAPI = require('../api/tiflux-api');
+const { fuzzyMatchItems } = require('../tools/_shared/fuzzyMatch');
+const argumentCompleters = require('./argumentCompleters');
+
+const MAX_COMPLETION_VALUES = 100;
+
+function emptyCompletion() {
+  return { completion: { values: [], total: 0, hasMore: false } };
+}
+
+class CompletionRegistry {
+  /**
+   * @param {object} [options]
+   * @param {import('../prompts/PromptRegistry').PromptRegistry} [options.promptRegistry] - valida refs de prompt
+   * @param {(apiKey: string) => object} [options.apiFactory] - cria o TiFluxAPI por requisicao
+   * @param {object} [options.completers] - mapa argumento -> completer (default ./argumentCompleters)
+   */
+  constructor(options = {}) {
+    this.promptRegistry = options.promptRegistry || null;
+    this.apiFactory = options.apiFactory || null;
+    this.completers = options.completers || argumentCompleters;
+    this.api = new TiFluxAPI();
+  }
+
+  /**
+   * @param {object} params - params do request completion/complete ({ ref, argument, context })
+   * @param {object} [context] - { apiKey, logger } da requisicao
+   * @returns {Promise<{ completion: { values: string[], total: number, hasMore: boolean } }>}
+   * @throws {McpError} InvalidParams para prompt desconhecido
+   */
+  async complete(params, context = {}) {
+    const { ref, argument } = params;
+
+    if (ref.type === 'ref/prompt') {
+      const prompt = this.promptRegistry && this.promptRegistry.getPrompt(ref.name);
+      if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `Prompt desconhecido: ${ref.name}`);
+      }
+      const declared = (prompt.arguments || []).some(arg => arg.name === argument.name);
+      if (!declared) return emptyCompletion();
+    }
+
+    const completer = this.completers[argument.name];
+    if (!completer) return emptyCompletion();
+
+    const api = context.apiKey ? this._createApi(context.apiKey) : this.api;
+    const value = (argument.value || '').trim();
+    const contextArgs = (params.context && params.context.arguments) || {};
+
+    let names;
+    try {
+      names = await completer(api, value, contextArgs);
+    } catch (error) {
+      if (context.logger) {
+        context.logger.warn('Completion failed', { argument: argument.name, error: error.message });
+      }
+      return emptyCompletion();
+    }
+
+    const unique = [...new Set(names)];
+    const ranked = value
+      ? fuzzyMatchItems(value, unique, name => name).matches.map(match => match.item)
+      : unique;
+
+    return {
+      completion: {
+        values: ranked.slice(0, MAX_COMPLETION_VALUES),
+        total: ranked.length,
+        hasMore: ranked.length > MAX_COMPLETION_VALUES
+      }
+    };
+  }
+
+  _createApi(apiKey) {
+    if (this.apiFactory) return this.apiFactory(apiKey);
+    return new TiFluxAPI(apiKey);
+  }
+}
+
+module.exports = { CompletionRegistry, MAX_COMPLETION_VALUES };
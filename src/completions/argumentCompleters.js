@@ -0,0 +1,71 @@
+/**
+ * argumentCompleters.js — Candidatos de autocomplete por nome de argumento.
+ *
+ * Cada completer busca candidatos pelas MESMAS chamadas de API que os
+ * resolvers de src/tools/_shared usam para resolver o nome na execucao —
+ * o que o autocomplete sugere e exatamente o que a tool vai conseguir resolver.
+ *
+ * Assinatura: `async (api, value, contextArgs) => string[]`
+ *   - value: texto digitado ate agora (pode ser vazio)
+ *   - contextArgs: argumentos ja preenchidos no prompt (ex.: desk_name para
+ *     escopar stage_name/priority_name/responsible_name)
+ *
+ * Erro de API nao e fatal: o completer devolve [] (autocomplete e best-effort).
+ * O ranking fuzzy e o corte de 100 valores ficam no CompletionRegistry.
+ */
+
+const { resolveDeskName } = require('../tools/_shared/deskResolver');
+const { searchResponsibles } = require('../tools/_shared/userResolver');
+
+// Mesmo teto que listTickets usa para carregar estagios/prioridades de uma mesa
+const DESK_SCOPED_LIMIT = 200;
+const USER_SEARCH_LIMIT = 50;
+
+function namesOf(response) {
+  if (response.error || !Array.isArray(response.data)) return [];
+  return response.data.map(item => item && item.name).filter(Boolean);
+}
+
+/**
+ * Resolve o desk_name ja preenchido para escopar o completer. null quando
+ * ausente ou ambiguo — nesse caso nao ha como listar estagios/prioridades.
+ */
+async function scopedDeskId(api, contextArgs) {
+  if (!contextArgs.desk_name) return null;
+  const resolved = await resolveDeskName(api, contextArgs.desk_name);
+  return resolved.error ? null : resolved.deskId;
+}
+
+async function completeDeskName(api, value) {
+  return namesOf(await api.smartSearchDesks(value));
+}
+
+async function completeClientName(api, value) {
+  return namesOf(await api.searchClients(value));
+}
+
+async function completeStageName(api, value, contextArgs) {
+  const deskId = await scopedDeskId(api, contextArgs);
+  if (!deskId) return [];
+  return namesOf(await api.searchStages(deskId, { limit: DESK_SCOPED_LIMIT }));
+}
+
+async function completePriorityName(api, value, contextArgs) {
+  const deskId = await scopedDeskId(api, contextArgs);
+  if (!deskId) return [];
+  return namesOf(await api.listDeskPriorities(deskId, { limit: DESK_SCOPED_LIMIT }));
+}
+
+async function completeResponsibleName(api, value, contextArgs) {
+  const deskId = await scopedDeskId(api, contextArgs);
+  const scope = deskId ? { deskId } : {};
+  return namesOf(await searchResponsibles(api, value || undefined, scope, USER_SEARCH_LIMIT));
+}
+
+module.exports = {
+  desk_name: completeDeskName,
+  client_name: completeClientName,
+  stage_name: completeStageName,
+  priority_name: completePriorityName,
+  responsible_name: completeResponsibleName
+};
@@ -0,0 +1,17 @@
+/**
+ * Autocomplete de argumentos (MCP completion/complete).
+ *
+ * Para um argumento novo autocompletar: adicione um completer com o nome do
+ * argumento em ./argumentCompleters.js.
+ */
+
+const { CompletionRegistry } = require('./CompletionRegistry');
+
+/**
+ * @param {object} [options] - repassado ao CompletionRegistry (ex: { promptRegistry, apiFactory })
+ */
+function createCompletionRegistry(options = {}) {
+  return new CompletionRegistry(options);
+}
+
+module.exports = { CompletionRegistry, createCompletionRegistry };
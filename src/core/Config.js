@@ -5,6 +5,27 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseGlobList, PROFILES } = require('../registry/toolProfile');
+const { MODES: PERMISSION_MODES } = require('../registry/toolPermissions');
+
+const SECRET_KEY = /pass(word)?|senha|token|secret|api_?key|authorization/i;
+
+/**
+ * Copia da config com segredos mascarados: preenchido vira "****" + os 4
+ * ultimos caracteres (suficiente para conferir QUAL chave esta em uso);
+ * vazio fica como esta (mostra que falta).
+ */
+function maskSecrets(value, key = '') {
+  if (key && SECRET_KEY.test(key) && value !== null && value !== undefined && value !== '') {
+    const text = String(value);
+    return text.length >= 12 ? `****${text.slice(-4)}` : '****';
+  }
+  if (Array.isArray(value)) return value.map(item => maskSecrets(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, maskSecrets(v, k)]));
+  }
+  return value;
+}
 
 class Config {
   constructor(environment = null) {
@@ -98,6 +119,20 @@ class Config {
       this.set('api.baseUrl', process.env.TIFLUX_API_BASE_URL);
     }
 
+    // Cassette de record/replay das respostas da API (reproducao offline)
+    if (process.env.TIFLUX_MCP_CASSETTE_MODE) {
+      this.set('api.cassette.mode', process.env.TIFLUX_MCP_CASSETTE_MODE.trim().toLowerCase() || null);
+    }
+
+    if (process.env.TIFLUX_MCP_CASSETTE) {
+      this.set('api.cassette.file', process.env.TIFLUX_MCP_CASSETTE);
+    }
+
+    // Sandbox: API TiFlux falsa em processo (treinamento/demos)
+    if (process.env.TIFLUX_MCP_SANDBOX) {
+      this.set('sandbox.enabled', ['1', 'true'].includes(process.env.TIFLUX_MCP_SANDBOX.trim().toLowerCase()));
+    }
+
     // Valores padrão
     if (process.env.TIFLUX_DEFAULT_CLIENT_ID) {
       this.set('defaults.clientId', parseInt(process.env.TIFLUX_DEFAULT_CLIENT_ID));
@@ -115,6 +150,76 @@ class Config {
       this.set('defaults.catalogItemId', parseInt(process.env.TIFLUX_DEFAULT_CATALOG_ITEM_ID));
     }
 
+    // Transporte Streamable HTTP (tiflux-mcp --http)
+    if (process.env.TIFLUX_MCP_HTTP_HOST) {
+      this.set('http.host', process.env.TIFLUX_MCP_HTTP_HOST);
+    }
+
+    if (process.env.TIFLUX_MCP_HTTP_PORT) {
+      this.set('http.port', parseInt(process.env.TIFLUX_MCP_HTTP_PORT));
+    }
+
+    // Perfil de tools (read-only, agent, allow/deny por glob)
+    if (process.env.TIFLUX_MCP_TOOL_PROFILE) {
+      this.set('tools.profile', process.env.TIFLUX_MCP_TOOL_PROFILE.trim());
+    }
+
+    if (process.env.TIFLUX_MCP_TOOLS_INCLUDE) {
+      this.set('tools.include', parseGlobList(process.env.TIFLUX_MCP_TOOLS_INCLUDE));
+    }
+
+    if (process.env.TIFLUX_MCP_TOOLS_EXCLUDE) {
+      this.set('tools.exclude', parseGlobList(process.env.TIFLUX_MCP_TOOLS_EXCLUDE));
+    }
+
+    // Tools sem permissao do usuario da chave: flag | hide | off
+    if (process.env.TIFLUX_MCP_TOOL_PERMISSIONS) {
+      this.set('tools.permissions', process.env.TIFLUX_MCP_TOOL_PERMISSIONS.trim().toLowerCase());
+    }
+
+    // Dry-run global: nenhuma escrita chega a API
+    if (process.env.TIFLUX_MCP_DRY_RUN) {
+      this.set('tools.dryRun', ['1', 'true'].includes(process.env.TIFLUX_MCP_DRY_RUN.trim().toLowerCase()));
+    }
+
+    // Coercao de tipos na validacao dos argumentos das tools
+    if (process.env.TIFLUX_MCP_COERCE_ARGS) {
+      this.set('tools.coerceArgs', !['0', 'false'].includes(process.env.TIFLUX_MCP_COERCE_ARGS.trim().toLowerCase()));
+    }
+
+    // Diario de auditoria das escritas
+    if (process.env.TIFLUX_MCP_AUDIT) {
+      this.set('audit.enabled', !['0', 'false'].includes(process.env.TIFLUX_MCP_AUDIT.trim().toLowerCase()));
+    }
+
+    if (process.env.TIFLUX_MCP_AUDIT_FILE) {
+      this.set('audit.file', process.env.TIFLUX_MCP_AUDIT_FILE);
+    }
+
+    // Cache de metadados (mesas, estagios, prioridades, catalogos...)
+    if (process.env.TIFLUX_MCP_CACHE) {
+      this.set('cache.enabled', !['0', 'false'].includes(process.env.TIFLUX_MCP_CACHE.trim().toLowerCase()));
+    }
+
+    // Cache de metadados em disco (sobrevive ao restart do servidor stdio)
+    if (process.env.TIFLUX_MCP_CACHE_PERSIST) {
+      this.set('cache.persistent.enabled', ['1', 'true'].includes(process.env.TIFLUX_MCP_CACHE_PERSIST.trim().toLowerCase()));
+    }
+
+    if (process.env.TIFLUX_MCP_CACHE_DIR) {
+      this.set('cache.persistent.dir', process.env.TIFLUX_MCP_CACHE_DIR);
+      this.set('cache.persistent.enabled', true);
+    }
+
+    // Rate limit client-side das chamadas a API TiFlux
+    if (process.env.TIFLUX_MCP_RATE_LIMIT) {
+      this.set('rateLimit.enabled', !['0', 'false'].includes(process.env.TIFLUX_MCP_RATE_LIMIT.trim().toLowerCase()));
+    }
+
+    if (process.env.TIFLUX_MCP_RATE_LIMIT_MAX) {
+      this.set('rateLimit.maxRequests', parseInt(process.env.TIFLUX_MCP_RATE_LIMIT_MAX));
+    }
+
     // Configurações de logging
     if (process.env.LOG_LEVEL) {
       this.set('logging.level', process.env.LOG_LEVEL.toLowerCase());
@@ -152,6 +257,34 @@ class Config {
       throw new Error('api.retries must be 0 or greater');
     }
 
+    const toolProfile = this.get('tools.profile');
+    if (toolProfile !== undefined && !PROFILES[toolProfile]) {
+      throw new Error(`Invalid tools.profile. Must be one of: ${Object.keys(PROFILES).join(', ')}`);
+    }
+
+    const permissionMode = this.get('tools.permissions');
+    if (permissionMode !== undefined && !PERMISSION_MODES.includes(permissionMode)) {
+      throw new Error(`Invalid tools.permissions. Must be one of: ${PERMISSION_MODES.join(', ')}`);
+    }
+
+    if (this.get('rateLimit.enabled') &&
+        !(this.get('rateLimit.maxRequests') > 0 && this.get('rateLimit.windowMs') > 0)) {
+      throw new Error('rateLimit.maxRequests and rateLimit.windowMs must be greater than 0');
+    }
+
+    if (this.get('cache.persistent.enabled') &&
+        !(this.get('cache.persistent.maxEntries') > 0 && this.get('cache.persistent.maxBytes') > 0)) {
+      throw new Error('cache.persistent.maxEntries and cache.persistent.maxBytes must be greater than 0');
+    }
+
+    const cassetteMode = this.get('api.cassette.mode');
+    if (cassetteMode && !['record', 'replay'].includes(cassetteMode)) {
+      throw new Error('Invalid api.cassette.mode. Must be one of: record, replay');
+    }
+    if (cassetteMode && !this.get('api.cassette.file')) {
+      throw new Error('api.cassette.file is required when api.cassette.mode is set (TIFLUX_MCP_CASSETTE)');
+    }
+
     const validLogLevels = ['error', 'warn', 'info', 'debug'];
     if (!validLogLevels.includes(this.get('logging.level'))) {
       throw new Error(`Invalid logging.level. Must be one of: ${validLogLevels.join(', ')}`);
@@ -236,6 +369,14 @@ class Config {
     return { ...this.config };
   }
 
+  /**
+   * Configuração efetiva com segredos mascarados (diagnóstico: get_server_status)
+   * @returns {Object}
+   */
+  getMasked() {
+    return maskSecrets(this.config);
+  }
+
   /**
    * Obtém informações sobre o ambiente atual
    * @returns {Object} - Informações do ambiente
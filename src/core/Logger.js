@@ -120,6 +120,7 @@ class Logger {
       message,
       service: 'tiflux-mcp',
       pid: process.pid,
+      ...this.defaultContext,
       ...meta
     };
 
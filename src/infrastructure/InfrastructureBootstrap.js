@@ -6,6 +6,13 @@
  * - Cache managers e estratégias
  * - Configurações específicas para TiFlux API
  */
+/**
+ * Cache de metadados do TiFluxAPI, ou null com `cache.enabled: false`.
+ */
+function metadataCacheFor(container, config) {
+  return config.get('cache.enabled') === false ? null : container.resolve('metadataCacheStrategy');
+}
+
 class InfrastructureBootstrap {
   static register(container) {
     const config = container.resolve('config');
@@ -78,12 +85,13 @@ class InfrastructureBootstrap {
 
     // TiFluxAPI com injecao de httpClient compartilhado + logger estruturado.
     // A apiKey nao e injetada aqui — o consumidor resolve e opcionalmente
-    // sobrescreve (ex: HandlerRegistry.setApiKey para multi-tenancy Lambda).
+    // sobrescreve (ex: contexto { apiKey } de HandlerRegistry.execute).
     container.registerFactory('tifluxApi', () => {
       const TiFluxAPI = require('../api/tiflux-api');
       return new TiFluxAPI(config.get('api.key'), {
         httpClient: container.resolve('tifluxHttpClient'),
-        logger
+        logger,
+        metadataCache: metadataCacheFor(container, config)
       });
     });
 
@@ -95,7 +103,8 @@ class InfrastructureBootstrap {
         const TiFluxAPI = require('../api/tiflux-api');
         return new TiFluxAPI(apiKey, {
           httpClient: container.resolve('tifluxHttpClient'),
-          logger
+          logger,
+          metadataCache: metadataCacheFor(container, config)
         });
       };
     });
@@ -123,11 +132,32 @@ class InfrastructureBootstrap {
       return new CacheStrategy(apiCache, logger);
     });
 
-    // Estratégia de cache para metadados
+    // Estratégia de cache para metadados — read-through do TiFluxAPI
+    // (mesas, estágios, prioridades, catálogos...), TTL por tipo em `cache.metadataTtl`.
+    // Instância única: factories criam uma nova a cada resolve, e o cache
+    // precisa sobreviver entre requisições. Com `cache.persistent.enabled`,
+    // os metadados também vão para disco e sobrevivem ao restart do stdio.
+    let metadataCacheStrategy = null;
     container.registerFactory('metadataCacheStrategy', () => {
-      const CacheStrategy = require('./cache/CacheStrategy');
-      const metadataCache = container.resolve('metadataCacheManager');
-      return new CacheStrategy(metadataCache, logger);
+      if (!metadataCacheStrategy) {
+        const CacheStrategy = require('./cache/CacheStrategy');
+        const metadataCache = container.resolve('metadataCacheManager');
+        let persistentStore = null;
+        if (config.get('cache.persistent.enabled')) {
+          const FileCacheStore = require('./cache/FileCacheStore');
+          persistentStore = new FileCacheStore({
+            dir: config.get('cache.persistent.dir') || undefined,
+            maxEntries: config.get('cache.persistent.maxEntries'),
+            maxBytes: config.get('cache.persistent.maxBytes'),
+            logger
+          });
+        }
+        metadataCacheStrategy = new CacheStrategy(metadataCache, logger, {
+          metadataTtl: config.get('cache.metadataTtl', {}),
+          persistentStore
+        });
+      }
+      return metadataCacheStrategy;
     });
 
     // ============ RETRY POLICIES ============
@@ -178,8 +208,9 @@ class InfrastructureBootstrap {
     // Health checker para infraestrutura
     container.registerFactory('infrastructureHealthChecker', () => {
       const apiCache = container.resolve('apiCacheManager');
-      const metadataCache = container.resolve('metadataCacheManager');
+      const metadataCache = container.resolve('metadataCacheStrategy').cache;
       const httpClient = container.resolve('tifluxHttpClient');
+      const CircuitBreaker = require('./http/CircuitBreaker');
 
       return {
         async checkHealth() {
@@ -190,7 +221,9 @@ class InfrastructureBootstrap {
             },
             http: {
               configured: !!httpClient,
-              hasAuthToken: !!config.get('api.key')
+              hasAuthToken: !!config.get('api.key'),
+              // Um breaker por host ja chamado: closed | open | half_open
+              circuitBreakers: CircuitBreaker.snapshot()
             },
             timestamp: new Date().toISOString()
           };
@@ -5,12 +5,29 @@
  * - Tickets
  * - Clientes
  * - Comunicações internas
- * - Metadados do sistema
+ * - Metadados do sistema (read-through do TiFluxAPI; regras em ./metadataRules.js)
  */
+const crypto = require('crypto');
+const { METADATA_TYPES } = require('./metadataRules');
+const { cacheLookups } = require('../../telemetry/metrics');
+
 class CacheStrategy {
-  constructor(cacheManager, logger = null) {
+  /**
+   * @param {CacheManager} cacheManager
+   * @param {object} [logger]
+   * @param {object} [options]
+   * @param {object} [options.metadataTtl] - TTL por tipo de metadado em segundos
+   *   (config `cache.metadataTtl`); ausente = TTL de ./metadataRules.js
+   * @param {FileCacheStore} [options.persistentStore] - segunda camada em disco
+   *   para metadados (config `cache.persistent`); ausente = so memoria
+   */
+  constructor(cacheManager, logger = null, options = {}) {
     this.cache = cacheManager;
     this.logger = logger;
+    this.metadataTtl = options.metadataTtl || {};
+    this.persistentStore = options.persistentStore || null;
+    // Namespaces de metadados ja usados (um por chave de API + tipo)
+    this.metadataNamespaces = new Set();
   }
 
   /**
@@ -222,6 +239,106 @@ class CacheStrategy {
     return invalidated;
   }
 
+  /**
+   * Read-through de metadados por chave de API: devolve a resposta cacheada
+   * ou chama `fetchFn` e guarda a resposta se ela nao for erro.
+   *
+   * Cada chamador recebe uma copia — slices que ordenam ou filtram
+   * `response.data` nao alteram o que fica no cache.
+   *
+   * Com `persistentStore`, um miss em memoria consulta o disco antes da API
+   * (entrada de sessao anterior volta para a memoria com o TTL restante) e
+   * toda resposta buscada e gravada tambem no disco.
+   *
+   * @param {string} apiKey - chave do tenant (so o hash entra no namespace)
+   * @param {string} type - tipo de ./metadataRules.js (ex: 'stages')
+   * @param {string} endpoint - chave do cache (endpoint com query string)
+   * @param {() => Promise<{ data?: *, error?: string }>} fetchFn
+   */
+  async getOrFetchMetadata(apiKey, type, endpoint, fetchFn) {
+    const namespace = this._metadataNamespace(apiKey, type);
+    const cached = this.cache.get(endpoint, namespace);
+
+    if (cached !== null) {
+      cacheLookups.inc({ cache: 'metadata', type, result: 'hit' });
+      this.logger?.debug?.('Metadata cache hit', { type, endpoint });
+      return structuredClone(cached);
+    }
+
+    const stored = await this._readPersistedMetadata(apiKey, type, endpoint);
+    if (stored) {
+      cacheLookups.inc({ cache: 'metadata', type, result: 'hit_disk' });
+      this.cache.set(endpoint, structuredClone(stored.value), { namespace, ttl: stored.expiresAt - Date.now() });
+      this.metadataNamespaces.add(namespace);
+      this.logger?.debug?.('Metadata persistent cache hit', { type, endpoint });
+      return structuredClone(stored.value);
+    }
+
+    cacheLookups.inc({ cache: 'metadata', type, result: 'miss' });
+    const response = await fetchFn();
+    if (response && !response.error) {
+      const ttl = this._metadataTtl(type);
+      this.cache.set(endpoint, structuredClone(response), { namespace, ttl });
+      this.metadataNamespaces.add(namespace);
+      this._persistMetadata(apiKey, type, endpoint, response, Date.now() + ttl);
+    }
+    return response;
+  }
+
+  /**
+   * Invalida tipos de metadados de uma chave de API (apos escrita).
+   * @param {string} apiKey
+   * @param {string[]} types
+   * @returns {string[]} tipos invalidados
+   */
+  invalidateMetadata(apiKey, types) {
+    for (const type of types) {
+      const namespace = this._metadataNamespace(apiKey, type);
+      this.cache.clear(namespace);
+      this.metadataNamespaces.delete(namespace);
+      this.persistentStore?.deletePrefix(this._tenantOf(apiKey), `${type}|`)
+        .catch(error => this.logger?.warn?.('Persistent metadata invalidation failed', { type, error: error.message }));
+    }
+
+    if (types.length > 0) {
+      this.logger?.info?.('Metadata cache invalidated', { types });
+    }
+    return types;
+  }
+
+  _tenantOf(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey || '')).digest('hex').slice(0, 12);
+  }
+
+  _metadataNamespace(apiKey, type) {
+    return `metadata:${this._tenantOf(apiKey)}:${type}`;
+  }
+
+  /**
+   * Entrada do store em disco, ou null (sem store, ausente, vencida ou erro de leitura).
+   */
+  async _readPersistedMetadata(apiKey, type, endpoint) {
+    if (!this.persistentStore) return null;
+    try {
+      return await this.persistentStore.get(this._tenantOf(apiKey), `${type}|${endpoint}`);
+    } catch (error) {
+      this.logger?.warn?.('Persistent metadata read failed', { type, error: error.message });
+      return null;
+    }
+  }
+
+  _persistMetadata(apiKey, type, endpoint, response, expiresAt) {
+    if (!this.persistentStore) return;
+    this.persistentStore.set(this._tenantOf(apiKey), `${type}|${endpoint}`, structuredClone(response), expiresAt)
+      .catch(error => this.logger?.warn?.('Persistent metadata write failed', { type, error: error.message }));
+  }
+
+  _metadataTtl(type) {
+    const override = Number(this.metadataTtl[type]);
+    if (override > 0) return override * 1000;
+    return METADATA_TYPES[type]?.ttl ?? this.cache.config.defaultTTL;
+  }
+
   /**
    * Estratégia de cache inteligente com fallback
    */
@@ -287,7 +404,8 @@ class CacheStrategy {
   }
 
   /**
-   * Limpa todos os caches
+   * Limpa todos os caches, inclusive o store de metadados em disco — senao
+   * mesas/estagios/catalogos antigos voltariam do disco no proximo miss.
    */
   async clearAll() {
     const namespaces = ['tickets', 'ticket_lists', 'clients', 'client_searches',
@@ -299,6 +417,21 @@ class CacheStrategy {
       cleared.push(namespace);
     }
 
+    for (const namespace of this.metadataNamespaces) {
+      this.cache.clear(namespace);
+    }
+    this.metadataNamespaces.clear();
+    cleared.push('metadata');
+
+    if (this.persistentStore) {
+      try {
+        await this.persistentStore.clear();
+        cleared.push('persistent');
+      } catch (error) {
+        this.logger?.warn?.('Persistent metadata clear failed', { error: error.message });
+      }
+    }
+
     this.logger?.info?.('All caches cleared', { cleared });
     return cleared;
   }
@@ -315,7 +448,9 @@ class CacheStrategy {
         clients: this.cache.keys('clients').length,
         client_searches: this.cache.keys('client_searches').length,
         communications: this.cache.keys('communications').length,
-        communication_details: this.cache.keys('communication_details').length
+        communication_details: this.cache.keys('communication_details').length,
+        metadata: Array.from(this.metadataNamespaces)
+          .reduce((total, namespace) => total + this.cache.keys(namespace).length, 0)
       }
     };
   }
@@ -0,0 +1,278 @@
+/**
+ * Store em disco para o cache de metadados
+ *
+ * O servidor stdio e reiniciado a cada sessao do Claude Desktop/Claude Code e
+ * o CacheManager em memoria comeca frio. Com este store, o CacheStrategy
+ * consulta o disco antes da API: mesas, estagios e catalogos resolvidos na
+ * sessao anterior continuam validos ate o TTL original.
+ *
+ * Layout: um arquivo JSON por chave de API (`<hash>.json`, nunca a chave) no
+ * diretorio de cache do usuario:
+ *   { version: 1, entries: { "<tipo>|<endpoint>": { value, expiresAt, storedAt } } }
+ *
+ * Escrita: em lote (debounce) e atomica (arquivo temporario + rename), com
+ * permissao 0600. Pendencias sao gravadas de forma sincrona no `exit` do
+ * processo. Falha de disco nunca derruba a tool — vira warning no logger e o
+ * cache segue so em memoria.
+ *
+ * `clear()` avanca a geracao e espera as gravacoes em curso antes de apagar
+ * os arquivos: um rename atrasado de antes do clear nao ressuscita o arquivo.
+ *
+ * Limites por arquivo: `maxEntries` e `maxBytes`; estourou, saem primeiro as
+ * entradas gravadas ha mais tempo.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FILE_VERSION = 1;
+
+const DEFAULTS = {
+  maxEntries: 500,
+  maxBytes: 5 * 1024 * 1024,
+  saveDelayMs: 1000
+};
+
+/**
+ * Diretorio de cache do usuario por plataforma:
+ * XDG_CACHE_HOME, ~/Library/Caches (macOS), %LOCALAPPDATA% (Windows) ou ~/.cache.
+ */
+function defaultCacheDir() {
+  let base;
+  if (process.env.XDG_CACHE_HOME) {
+    base = process.env.XDG_CACHE_HOME;
+  } else if (process.platform === 'darwin') {
+    base = path.join(os.homedir(), 'Library', 'Caches');
+  } else if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    base = process.env.LOCALAPPDATA;
+  } else {
+    base = path.join(os.homedir(), '.cache');
+  }
+  return path.join(base, 'tiflux-mcp', 'metadata');
+}
+
+class FileCacheStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - diretorio dos arquivos (default: defaultCacheDir())
+   * @param {number} [options.maxEntries=500] - entradas por chave de API
+   * @param {number} [options.maxBytes=5242880] - tamanho maximo do arquivo por chave
+   * @param {number} [options.saveDelayMs=1000] - debounce da gravacao
+   * @param {object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || defaultCacheDir();
+    this.config = {
+      maxEntries: options.maxEntries || DEFAULTS.maxEntries,
+      maxBytes: options.maxBytes || DEFAULTS.maxBytes,
+      saveDelayMs: options.saveDelayMs ?? DEFAULTS.saveDelayMs
+    };
+    this.logger = options.logger || null;
+    // tenant → { entries, loading, dirty, timer }
+    this.tenants = new Map();
+    // Incrementada por clear(); gravacao de geracao anterior e descartada
+    this.generation = 0;
+    this.pendingSaves = new Set();
+
+    this._onExit = () => this.flushSync();
+    process.once('exit', this._onExit);
+  }
+
+  /**
+   * @param {string} tenant - hash da chave de API
+   * @param {string} key - "<tipo>|<endpoint>"
+   * @returns {Promise<{ value: *, expiresAt: number }|null>} null se ausente ou vencida
+   */
+  async get(tenant, key) {
+    const state = await this._load(tenant);
+    const entry = state.entries[key];
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      delete state.entries[key];
+      this._scheduleSave(tenant, state);
+      return null;
+    }
+    return { value: entry.value, expiresAt: entry.expiresAt };
+  }
+
+  /**
+   * @param {string} tenant
+   * @param {string} key
+   * @param {*} value - serializavel em JSON
+   * @param {number} expiresAt - epoch ms
+   */
+  async set(tenant, key, value, expiresAt) {
+    const state = await this._load(tenant);
+    state.entries[key] = { value, expiresAt, storedAt: Date.now() };
+    this._scheduleSave(tenant, state);
+  }
+
+  /**
+   * Remove as entradas cuja chave comeca com `prefix` (ex: "catalogs|").
+   */
+  async deletePrefix(tenant, prefix) {
+    const state = await this._load(tenant);
+    let removed = 0;
+    for (const key of Object.keys(state.entries)) {
+      if (key.startsWith(prefix)) {
+        delete state.entries[key];
+        removed++;
+      }
+    }
+    if (removed > 0) this._scheduleSave(tenant, state);
+    return removed;
+  }
+
+  /**
+   * Apaga todas as entradas de todas as chaves: memoria, gravacoes pendentes
+   * e os arquivos `<hash>.json` do diretorio.
+   * @returns {Promise<number>} arquivos removidos
+   */
+  async clear() {
+    this.generation += 1;
+    for (const state of this.tenants.values()) {
+      clearTimeout(state.timer);
+    }
+    this.tenants.clear();
+    await Promise.all(this.pendingSaves);
+
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+    let removed = 0;
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      await fs.promises.unlink(path.join(this.dir, file)).catch(() => {});
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Grava de forma sincrona os arquivos com alteracoes pendentes.
+   */
+  flushSync() {
+    for (const [tenant, state] of this.tenants) {
+      if (!state.dirty || !state.entries) continue;
+      clearTimeout(state.timer);
+      state.timer = null;
+      try {
+        fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+        fs.writeFileSync(this._file(tenant), this._serialize(state), { mode: 0o600 });
+        state.dirty = false;
+      } catch (error) {
+        this.logger?.warn?.('Persistent cache flush failed', { dir: this.dir, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Para de observar o `exit` e grava pendencias (testes, shutdown explicito).
+   */
+  close() {
+    process.removeListener('exit', this._onExit);
+    this.flushSync();
+  }
+
+  _file(tenant) {
+    return path.join(this.dir, `${tenant}.json`);
+  }
+
+  _load(tenant) {
+    let state = this.tenants.get(tenant);
+    if (!state) {
+      state = { entries: null, loading: null, dirty: false, timer: null };
+      this.tenants.set(tenant, state);
+    }
+    if (state.entries) return Promise.resolve(state);
+
+    if (!state.loading) {
+      state.loading = fs.promises.readFile(this._file(tenant), 'utf8')
+        .then(content => {
+          const parsed = JSON.parse(content);
+          return parsed && parsed.version === FILE_VERSION && parsed.entries ? parsed.entries : {};
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            // Arquivo corrompido ou ilegivel: recomeca vazio, sera sobrescrito no proximo save
+            this.logger?.warn?.('Persistent cache load failed', { file: this._file(tenant), error: error.message });
+          }
+          return {};
+        })
+        .then(entries => {
+          const now = Date.now();
+          for (const [key, entry] of Object.entries(entries)) {
+            if (!entry || !(entry.expiresAt > now)) delete entries[key];
+          }
+          state.entries = entries;
+          return state;
+        });
+    }
+    return state.loading;
+  }
+
+  _scheduleSave(tenant, state) {
+    // Estado descartado por clear() (ex: _load em curso durante o clear)
+    if (this.tenants.get(tenant) !== state) return;
+    state.dirty = true;
+    if (state.timer) return;
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this._save(tenant, state);
+    }, this.config.saveDelayMs);
+    state.timer.unref?.();
+  }
+
+  _save(tenant, state) {
+    const pending = this._write(tenant, state, this.generation)
+      .finally(() => this.pendingSaves.delete(pending));
+    this.pendingSaves.add(pending);
+    return pending;
+  }
+
+  async _write(tenant, state, generation) {
+    if (!state.dirty) return;
+    state.dirty = false;
+    const file = this._file(tenant);
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+      await fs.promises.writeFile(tmp, this._serialize(state), { mode: 0o600 });
+      if (generation !== this.generation) {
+        await fs.promises.unlink(tmp).catch(() => {});
+        return;
+      }
+      await fs.promises.rename(tmp, file);
+    } catch (error) {
+      state.dirty = true;
+      this.logger?.warn?.('Persistent cache write failed', { file, error: error.message });
+      fs.promises.unlink(tmp).catch(() => {});
+    }
+  }
+
+  /**
+   * Poda vencidas e aplica maxEntries/maxBytes (sai quem foi gravado ha mais tempo).
+   */
+  _serialize(state) {
+    const now = Date.now();
+    let items = Object.entries(state.entries)
+      .filter(([, entry]) => entry.expiresAt > now)
+      .sort((a, b) => b[1].storedAt - a[1].storedAt)
+      .slice(0, this.config.maxEntries);
+
+    let content = JSON.stringify({ version: FILE_VERSION, entries: Object.fromEntries(items) });
+    while (Buffer.byteLength(content) > this.config.maxBytes && items.length > 0) {
+      items = items.slice(0, Math.floor(items.length * 0.8));
+      content = JSON.stringify({ version: FILE_VERSION, entries: Object.fromEntries(items) });
+    }
+
+    state.entries = Object.fromEntries(items);
+    return content;
+  }
+}
+
+module.exports = FileCacheStore;
+module.exports.defaultCacheDir = defaultCacheDir;
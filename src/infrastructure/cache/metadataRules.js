@@ -0,0 +1,82 @@
+/**
+ * Regras do cache de metadados da API TiFlux
+ *
+ * Metadados mudam pouco e sao consultados a cada resolucao de nome
+ * (`desk_name`, `stage_name`, `priority_name`, campos personalizados...).
+ * Cada tipo declara:
+ * - ttl: validade em ms (sobrescrevivel por `cache.metadataTtl.<tipo>`, em segundos)
+ * - reads: GETs cacheados (regex sobre o endpoint, query string inclusa na chave)
+ * - writes: escritas (POST/PUT/PATCH/DELETE) que invalidam o tipo
+ *
+ * O cache e read-through em TiFluxAPI.makeRequest — vale tanto para os
+ * metodos do TiFluxAPI quanto para slices que chamam `api.makeRequest` direto.
+ */
+
+const METADATA_TYPES = {
+  desks: {
+    ttl: 1800000, // 30 minutos
+    reads: [/^\/desks(\?|$)/, /^\/desks\/\d+$/, /^\/clients\/[^/?]+\/desks(\?|$)/],
+    writes: [/^\/desks(\/|\?|$)/, /^\/clients\/[^/?]+$/]
+  },
+  priorities: {
+    ttl: 1800000,
+    reads: [/^\/desks\/\d+\/priorities(\?|$)/],
+    writes: [/^\/desks(\/|\?|$)/]
+  },
+  stages: {
+    ttl: 1800000,
+    reads: [/^\/desks\/\d+\/stages(\?|$)/],
+    writes: [/^\/desks(\/|\?|$)/]
+  },
+  catalogs: {
+    ttl: 600000, // 10 minutos: catalogos tem tools de escrita neste servidor
+    reads: [/^\/services-catalogs(-areas)?(\/|\?|$)/, /^\/desks\/\d+\/services-catalogs(-items)?(\?|$)/],
+    writes: [/^\/services-catalogs(-areas)?(\/|\?|$)/, /^\/desks(\/|\?|$)/]
+  },
+  entity_fields: {
+    ttl: 1800000,
+    reads: [/^\/entities(\/|\?|$)/, /^\/entity_fields\/\d+\/options(\?|$)/],
+    writes: [/^\/entities(\/|\?|$)/, /^\/entity_fields(\/|\?|$)/]
+  },
+  technical_groups: {
+    ttl: 900000, // 15 minutos
+    reads: [/^\/technical-groups(\/|\?|$)/, /^\/clients\/[^/?]+\/technical-groups(\?|$)/],
+    // POST/PUT /users mudam os grupos tecnicos do usuario (technical_group_id)
+    writes: [/^\/technical-groups(\/|\?|$)/, /^\/clients\/[^/?]+$/, /^\/users(\/|\?|$)/]
+  },
+  templates: {
+    ttl: 1800000,
+    reads: [/^\/templates\//],
+    writes: [/^\/templates(\/|\?|$)/]
+  },
+  equipment_types: {
+    ttl: 3600000, // 1 hora
+    reads: [/^\/equipment-types(\?|$)/, /^\/equipment-groups(\?|$)/],
+    writes: [/^\/equipment-types(\/|\?|$)/, /^\/equipment-groups(\/|\?|$)/]
+  }
+};
+
+/**
+ * Tipo de metadado de um GET, ou null quando o endpoint nao e cacheavel.
+ * @param {string} endpoint - ex: "/desks/12/stages?limit=200"
+ * @returns {string|null}
+ */
+function metadataTypeOf(endpoint) {
+  for (const [type, rule] of Object.entries(METADATA_TYPES)) {
+    if (rule.reads.some(pattern => pattern.test(endpoint))) return type;
+  }
+  return null;
+}
+
+/**
+ * Tipos invalidados por uma escrita bem-sucedida no endpoint.
+ * @param {string} endpoint
+ * @returns {string[]}
+ */
+function invalidatedTypesFor(endpoint) {
+  return Object.entries(METADATA_TYPES)
+    .filter(([, rule]) => rule.writes.some(pattern => pattern.test(endpoint)))
+    .map(([type]) => type);
+}
+
+module.exports = { METADATA_TYPES, metadataTypeOf, invalidatedTypesFor };
@@ -0,0 +1,330 @@
+/**
+ * Cassette de requisicoes HTTP — grava e reproduz trafego real da API TiFlux
+ *
+ * Para reproduzir offline um bug relatado por cliente (ou fixar o comportamento
+ * de uma tool contra o shape real de um payload), o HttpClient pode passar por
+ * um cassette, ligado por `TIFLUX_MCP_CASSETTE_MODE` + `TIFLUX_MCP_CASSETTE`:
+ *
+ * - record: requisicoes vao para a API normalmente; cada par requisicao/resposta
+ *   e gravado no arquivo (sobrescrito no inicio do processo). Respostas de erro
+ *   (4xx/5xx) tambem entram; falhas de rede e timeout nao.
+ * - replay: nada vai para a rede. Cada requisicao e servida da gravacao com o
+ *   mesmo metodo, caminho+query e corpo; sem gravacao correspondente a chamada
+ *   falha com CassetteMissError (nunca cai na API real).
+ *
+ * Sanitizacao na gravacao: headers de credencial (authorization, cookie,
+ * set-cookie, x-api-key...) nao sao gravados, campos JSON com nome de segredo
+ * (senha, token, api_key...) viram "[redacted]" e corpos binarios/multipart
+ * viram so o tamanho. O host tambem fica de fora: a gravacao serve para
+ * qualquer `TIFLUX_API_BASE_URL`.
+ *
+ * Escrita: como no FileCacheStore, em lote (debounce de `saveDelayMs`) e
+ * atomica (temporario + rename); pendencias sao gravadas de forma sincrona no
+ * `exit` do processo (SIGTERM/SIGINT do servidor passam por ele).
+ *
+ * Formato do arquivo:
+ *   { version: 1, recorded_at, interactions: [
+ *     { request: { method, path, body }, response: { status, status_message, headers, body } } ] }
+ *
+ * Chamadas repetidas sao servidas na ordem em que foram gravadas (retries
+ * inclusos); esgotadas, a ultima gravacao daquela chamada se repete.
+ *
+ * O cassette ativo e do processo (`Cassette.configure`/`Cassette.active`),
+ * como CircuitBreaker e RateLimiter: cada TiFluxAPI cria o proprio HttpClient.
+ */
+const fs = require('fs');
+const path = require('path');
+const FormData = require('form-data');
+const { CassetteMissError, ConfigError } = require('../../utils/errors');
+
+const FILE_VERSION = 1;
+const MODES = ['record', 'replay'];
+const SECRET_HEADER = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|x-auth-token)$/i;
+const SECRET_KEY = /pass(word)?|senha|token|secret|api_?key|authorization/i;
+const REDACTED = '[redacted]';
+const DEFAULT_SAVE_DELAY_MS = 1000;
+
+let active = null;
+
+/**
+ * Copia do JSON com campos de segredo mascarados.
+ */
+function redact(value, key = '') {
+  if (key && SECRET_KEY.test(key)) return REDACTED;
+  if (Array.isArray(value)) return value.map(item => redact(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+  }
+  return value;
+}
+
+/**
+ * Corpo da requisicao como gravado (e comparado no replay).
+ */
+function describeRequestBody(data) {
+  if (data === null || data === undefined || data === '') return null;
+  if (data instanceof FormData || Buffer.isBuffer(data)) {
+    // Boundary aleatorio: multipart so e comparado pelo metodo + caminho
+    return { binary: true };
+  }
+  if (typeof data === 'string') {
+    try {
+      return redact(JSON.parse(data));
+    } catch {
+      return data;
+    }
+  }
+  return redact(data);
+}
+
+function sanitizeHeaders(headers = {}) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!SECRET_HEADER.test(name)) result[name.toLowerCase()] = value;
+  }
+  return result;
+}
+
+/**
+ * JSON com chaves ordenadas — mesma chave para `{a,b}` e `{b,a}`.
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function isJson(headers) {
+  return String(headers?.['content-type'] || '').includes('application/json');
+}
+
+class Cassette {
+  /**
+   * @param {object} options
+   * @param {'record'|'replay'} options.mode
+   * @param {string} options.file - caminho do arquivo JSON do cassette
+   * @param {number} [options.saveDelayMs=1000] - debounce da gravacao (record)
+   * @param {object} [options.logger]
+   * @throws {ConfigError} modo invalido, arquivo ausente ou ilegivel no replay
+   */
+  constructor({ mode, file, saveDelayMs = DEFAULT_SAVE_DELAY_MS, logger = null }) {
+    if (!MODES.includes(mode)) {
+      throw new ConfigError(`Modo de cassette inválido: ${mode} (use record ou replay)`, 'api.cassette.mode');
+    }
+    if (!file) {
+      throw new ConfigError('Cassette sem arquivo: defina TIFLUX_MCP_CASSETTE', 'api.cassette.file');
+    }
+
+    this.mode = mode;
+    this.file = path.resolve(file);
+    this.logger = logger;
+    this.interactions = [];
+    this.cursors = new Map(); // chave → proxima gravacao a servir
+    this.misses = 0;
+    this.saveDelayMs = saveDelayMs;
+    this.dirty = false;
+    this.timer = null;
+    this.saving = Promise.resolve();
+    this._onExit = null;
+
+    if (mode === 'replay') {
+      this.interactions = this._load();
+    } else {
+      this._onExit = () => this.flushSync();
+      process.once('exit', this._onExit);
+    }
+  }
+
+  /**
+   * Chave de comparacao: metodo, caminho+query e corpo canonico.
+   */
+  static keyOf(method, urlPath, body) {
+    return `${String(method).toUpperCase()} ${urlPath} ${canonical(body)}`;
+  }
+
+  /**
+   * Resposta gravada para a requisicao, no shape de `_executeRequest`
+   * (antes dos interceptors de resposta).
+   * @param {{ method: string, url: string, data?: any }} request
+   * @returns {{ statusCode, statusMessage, headers, data, rawData }}
+   * @throws {CassetteMissError}
+   */
+  replay({ method, url, data }) {
+    const urlPath = this._pathOf(url);
+    const key = Cassette.keyOf(method, urlPath, describeRequestBody(data));
+    const matches = this.interactions.filter(interaction => interaction.key === key);
+
+    if (matches.length === 0) {
+      this.misses += 1;
+      const error = new CassetteMissError(String(method).toUpperCase(), urlPath, this.file);
+      this.logger?.error?.('Cassette miss', { method, path: urlPath, file: this.file });
+      throw error;
+    }
+
+    const cursor = this.cursors.get(key) || 0;
+    this.cursors.set(key, cursor + 1);
+    const { response } = matches[Math.min(cursor, matches.length - 1)];
+
+    const rawData = response.body === null || response.body === undefined
+      ? ''
+      : typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+    return {
+      statusCode: response.status,
+      statusMessage: response.status_message || '',
+      headers: { ...response.headers },
+      data: rawData,
+      rawData
+    };
+  }
+
+  /**
+   * Grava um par requisicao/resposta (resposta crua, antes dos interceptors).
+   * Falha de disco nao derruba a requisicao — vira warning.
+   */
+  record({ method, url, data }, response) {
+    const headers = sanitizeHeaders(response.headers);
+    let body = response.rawData ?? null;
+    if (body && isJson(headers)) {
+      try {
+        body = redact(JSON.parse(body));
+      } catch {
+        // JSON invalido fica como texto, igual a API devolveu
+      }
+    }
+
+    this.interactions.push({
+      request: {
+        method: String(method).toUpperCase(),
+        path: this._pathOf(url),
+        body: describeRequestBody(data)
+      },
+      response: {
+        status: response.statusCode,
+        status_message: response.statusMessage || '',
+        headers,
+        body
+      }
+    });
+    this._scheduleSave();
+  }
+
+  /**
+   * Grava de forma sincrona as interacoes pendentes.
+   */
+  flushSync() {
+    if (!this.dirty) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, this._serialize(), { mode: 0o600 });
+      this.dirty = false;
+    } catch (error) {
+      this.logger?.warn?.('Cassette: falha ao gravar arquivo', { file: this.file, error: error.message });
+    }
+  }
+
+  /**
+   * Para de observar o `exit` e grava pendencias (testes, troca de cassette).
+   */
+  close() {
+    if (this._onExit) process.removeListener('exit', this._onExit);
+    this._onExit = null;
+    this.flushSync();
+  }
+
+  getStats() {
+    return { mode: this.mode, file: this.file, interactions: this.interactions.length, misses: this.misses };
+  }
+
+  _pathOf(url) {
+    const urlObj = new URL(url);
+    return urlObj.pathname + urlObj.search;
+  }
+
+  _load() {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`Cassette ilegível para replay (${this.file}): ${error.message}`, 'api.cassette.file');
+    }
+    if (parsed?.version !== FILE_VERSION || !Array.isArray(parsed.interactions)) {
+      throw new ConfigError(`Cassette em formato desconhecido: ${this.file}`, 'api.cassette.file');
+    }
+    return parsed.interactions.map(interaction => ({
+      ...interaction,
+      key: Cassette.keyOf(interaction.request.method, interaction.request.path, interaction.request.body ?? null)
+    }));
+  }
+
+  _scheduleSave() {
+    this.dirty = true;
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._save();
+    }, this.saveDelayMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Gravacao atomica (temporario + rename). Uma por vez: duas no mesmo
+   * temporario poderiam renomear um arquivo pela metade.
+   * @returns {Promise<void>}
+   */
+  _save() {
+    this.saving = this.saving.then(async () => {
+      if (!this.dirty) return;
+      this.dirty = false;
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tmp, this._serialize(), { mode: 0o600 });
+        await fs.promises.rename(tmp, this.file);
+      } catch (error) {
+        this.dirty = true;
+        this.logger?.warn?.('Cassette: falha ao gravar arquivo', { file: this.file, error: error.message });
+        fs.promises.unlink(tmp).catch(() => {});
+      }
+    });
+    return this.saving;
+  }
+
+  _serialize() {
+    return JSON.stringify({
+      version: FILE_VERSION,
+      recorded_at: new Date().toISOString(),
+      interactions: this.interactions
+    }, null, 2);
+  }
+
+  /**
+   * Liga (ou desliga) o cassette do processo (bloco `api.cassette`).
+   * @param {{ mode?: string|null, file?: string|null }} [options] - sem `mode` desliga
+   * @param {object} [logger]
+   * @returns {Cassette|null}
+   */
+  static configure(options = {}, logger = null) {
+    active?.close();
+    active = options.mode ? new Cassette({ mode: options.mode, file: options.file, logger }) : null;
+    if (active) {
+      logger?.warn?.(`Cassette em modo ${active.mode}`, { file: active.file });
+    }
+    return active;
+  }
+
+  /**
+   * Cassette do processo (null quando desligado).
+   * @returns {Cassette|null}
+   */
+  static active() {
+    return active;
+  }
+}
+
+Cassette.MODES = MODES;
+
+module.exports = Cassette;
@@ -0,0 +1,206 @@
+/**
+ * Circuit breaker por host para o HttpClient
+ *
+ * Com a API fora do ar, cada chamada esperava o timeout vezes o numero de
+ * tentativas. O breaker conta falhas seguidas de infraestrutura (rede,
+ * timeout, 5xx) por host e, ao atingir `failureThreshold`, abre: as
+ * requisicoes seguintes falham na hora com CircuitOpenError
+ * (CONNECTION_ERROR), sem abrir socket.
+ *
+ * Estados:
+ * - closed: normal; sucesso zera o contador
+ * - open: falha rapido ate `resetTimeoutMs` depois da abertura
+ * - half_open: passado o tempo, UMA requisicao de teste passa. Sucesso fecha;
+ *   falha reabre por mais `resetTimeoutMs`
+ *
+ * Qualquer resposta HTTP abaixo de 500 conta como sucesso (a API respondeu).
+ * Cancelamento e rate limit nao contam nem como sucesso nem como falha. O
+ * HttpClient registra um desfecho por requisicao logica, nao por tentativa.
+ *
+ * Breakers sao compartilhados por host + chave de API via
+ * `CircuitBreaker.forHost` — cada TiFluxAPI cria o proprio HttpClient, e no
+ * modo HTTP (varios tenants num processo) os 5xx/timeouts de uma conta nao
+ * abrem o circuito das outras.
+ *
+ * Como cada chave distinta cria um breaker, o mapa e podado: breaker fechado
+ * sem uso ha IDLE_MS sai (o proximo uso recria um igual), e acima de
+ * MAX_BREAKERS saem os fechados e, por fim, os usados ha mais tempo.
+ */
+const crypto = require('crypto');
+const { CircuitOpenError, TimeoutError, NetworkError, APIError } = require('../../utils/errors');
+
+const DEFAULTS = {
+  enabled: true,
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+
+const IDLE_MS = 10 * 60 * 1000;
+const MAX_BREAKERS = 1000;
+
+// host|hash → breaker. Ordem de insercao = LRU: o usado agora vai para o fim.
+const breakers = new Map();
+let sharedConfig = { ...DEFAULTS };
+
+class CircuitBreaker {
+  /**
+   * @param {string} host
+   * @param {object} [options] - { enabled, failureThreshold, resetTimeoutMs }
+   * @param {string|null} [tenant] - prefixo do hash da chave (so diagnostico)
+   */
+  constructor(host, options = {}, tenant = null) {
+    this.host = host;
+    this.tenant = tenant;
+    this.config = { ...DEFAULTS, ...options };
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+    this.lastUsedAt = Date.now();
+  }
+
+  /**
+   * Libera ou recusa uma tentativa.
+   * @throws {CircuitOpenError} circuito aberto (ou half-open com teste em curso)
+   */
+  beforeRequest() {
+    if (!this.config.enabled || this.state === 'closed') return;
+
+    if (this.state === 'open' && Date.now() >= this._retryAt()) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    throw new CircuitOpenError(this.host, {
+      failures: this.failures,
+      retryAt: new Date(this._retryAt()).toISOString(),
+      lastError: this.lastError
+    });
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.failures += 1;
+    this.lastError = error?.message || null;
+
+    if (this.state === 'half_open' || this.failures >= this.config.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Registra o desfecho de uma tentativa classificando o erro.
+   * @param {Error|null} error - null = resposta recebida
+   */
+  record(error) {
+    if (!error) return this.recordSuccess();
+    if (CircuitBreaker.isFailure(error)) return this.recordFailure(error);
+    if (error instanceof APIError) return this.recordSuccess();
+    // Cancelamento, rate limit local, erro de programacao: devolve a vaga de teste
+    this.trialInFlight = false;
+  }
+
+  getState() {
+    return {
+      host: this.host,
+      tenant: this.tenant,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this._retryAt()).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+
+  _retryAt() {
+    return (this.openedAt || 0) + this.config.resetTimeoutMs;
+  }
+
+  /**
+   * Falha de infraestrutura: rede, timeout ou 5xx.
+   */
+  static isFailure(error) {
+    if (error instanceof NetworkError || error instanceof TimeoutError) return true;
+    return error instanceof APIError && error.statusCode >= 500;
+  }
+
+  /**
+   * Define a config dos breakers compartilhados (bloco `api.circuitBreaker`).
+   */
+  static configure(options = {}) {
+    sharedConfig = { ...DEFAULTS, ...options };
+    for (const breaker of breakers.values()) {
+      breaker.config = { ...sharedConfig };
+    }
+  }
+
+  /**
+   * Breaker compartilhado do host (ex: "api.tiflux.com") para a chave de API.
+   * @param {string} host
+   * @param {string|null|undefined} [apiKey] - indexada por hash, nunca em claro
+   * @returns {CircuitBreaker}
+   */
+  static forHost(host, apiKey) {
+    const tenant = crypto.createHash('sha256').update(String(apiKey || '')).digest('hex').slice(0, 12);
+    const id = `${host}|${tenant}`;
+    let breaker = breakers.get(id);
+    if (breaker) {
+      breakers.delete(id);
+    } else {
+      breaker = new CircuitBreaker(host, sharedConfig, tenant);
+    }
+    breaker.lastUsedAt = Date.now();
+    breakers.set(id, breaker);
+    prune();
+    return breaker;
+  }
+
+  /**
+   * Estado dos breakers em uso (health check).
+   * @returns {object[]}
+   */
+  static snapshot() {
+    prune();
+    return Array.from(breakers.values(), breaker => breaker.getState());
+  }
+
+  /** Quantidade de breakers em memoria. */
+  static size() {
+    return breakers.size;
+  }
+}
+
+/**
+ * Remove os fechados ociosos e volta o mapa para MAX_BREAKERS (fechados
+ * primeiro, depois os usados ha mais tempo). Aberto ou em teste so sai pelo
+ * limite: descartar antes faria a chave voltar a bater na API fora do ar.
+ */
+function prune(now = Date.now()) {
+  for (const [id, breaker] of breakers) {
+    const overCap = breakers.size > MAX_BREAKERS;
+    // Daqui em diante todos foram usados ha menos de IDLE_MS
+    if (!overCap && now - breaker.lastUsedAt <= IDLE_MS) break;
+    if (breaker.state === 'closed') breakers.delete(id);
+  }
+  while (breakers.size > MAX_BREAKERS) {
+    breakers.delete(breakers.keys().next().value);
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.IDLE_MS = IDLE_MS;
+module.exports.MAX_BREAKERS = MAX_BREAKERS;
@@ -2,7 +2,34 @@ const https = require('https');
 const http = require('http');
 const { URL } = require('url');
 const FormData = require('form-data');
-const { APIError, TimeoutError, NetworkError } = require('../../utils/errors');
+const {
+  APIError,
+  TimeoutError,
+  NetworkError,
+  CancelledError,
+  CircuitOpenError,
+  CassetteMissError,
+  RateLimitError,
+  throwIfCancelled,
+  cancellableDelay
+} = require('../../utils/errors');
+const { retryAfterMs } = require('./RateLimiter');
+const CircuitBreaker = require('./CircuitBreaker');
+const Cassette = require('./Cassette');
+const metrics = require('../../telemetry/metrics');
+
+// Retry-After acima disso nao e esperado: a requisicao falha com RateLimitError
+const MAX_RETRY_AFTER_MS = 30000;
+
+/**
+ * Motivo de um retry para a metrica `tiflux_mcp_api_retries_total`.
+ */
+function retryReason(error) {
+  if (error instanceof TimeoutError) return 'timeout';
+  if (error instanceof NetworkError) return 'network';
+  if (error instanceof APIError) return String(error.statusCode);
+  return 'other';
+}
 
 /**
  * HttpClient robusto com retry, timeout, interceptors e suporte a multipart
@@ -12,6 +39,15 @@ const { APIError, TimeoutError, NetworkError } = require('../../utils/errors');
  * - Timeout configurável por requisição
  * - Request/Response interceptors
  * - Suporte completo a multipart/form-data
+ * - Cancelamento via `options.signal` (AbortSignal): aborta o socket e a espera entre retries
+ * - Rate limit via `options.rateLimiter` (RateLimiter): espera vez antes de cada
+ *   tentativa; 429 respeita `Retry-After`. `options.onThrottle(event)` recebe
+ *   `{ type: 'wait', ms }` e `{ type: '429', retryAfterMs }`
+ * - Circuit breaker por host + chave (CircuitBreaker, `options.circuitKey`): com a
+ *   API falhando seguidamente as chamadas falham na hora com CircuitOpenError.
+ *   `config.circuitBreaker: false` desliga
+ * - Cassette de record/replay (Cassette): grava ou reproduz offline as
+ *   respostas da API. `config.cassette: false` desliga
  * - Headers customizáveis
  * - Error handling inteligente
  */
@@ -23,6 +59,7 @@ class HttpClient {
       retryDelay: 1000,
       retryMultiplier: 2,
       retryCondition: this._defaultRetryCondition,
+      circuitBreaker: true,
       ...config
     };
 
@@ -116,9 +153,40 @@ class HttpClient {
 
     let lastError;
     const maxRetries = options.maxRetries ?? this.config.maxRetries;
+    const breaker = this._breakerFor(options.url, options.circuitKey);
+
+    // Uma admissao e um desfecho no breaker por requisicao logica: os retries
+    // de uma chamada que estourou o timeout contam como UMA falha, nao quatro.
+    // Circuito aberto recusa antes de consumir token do rate limiter.
+    try {
+      throwIfCancelled(options.signal);
+      breaker?.beforeRequest();
+    } catch (error) {
+      timer?.();
+      if (error instanceof CircuitOpenError) {
+        this.logger.warn?.('HTTP Request rejected: circuit open', {
+          requestId,
+          method: options.method,
+          url: options.url,
+          retryAt: error.details.retryAt
+        });
+      }
+      throw error;
+    }
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
+        throwIfCancelled(options.signal);
+
+        if (options.rateLimiter) {
+          const waited = await options.rateLimiter.acquire(options.signal);
+          if (waited > 0) {
+            metrics.rateLimitWaits.inc();
+            metrics.rateLimitWaitSeconds.inc({}, waited / 1000);
+            options.onThrottle?.({ type: 'wait', ms: waited });
+          }
+        }
+
         this.logger.debug?.(`HTTP Request attempt ${attempt + 1}/${maxRetries + 1}`, {
           requestId,
           method: options.method,
@@ -127,6 +195,8 @@ class HttpClient {
         });
 
         const response = await this._executeRequest(options, requestId);
+        breaker?.record(null);
+        options.rateLimiter?.observe(response.statusCode, response.headers);
 
         timer?.();
         this.logger.info?.(`HTTP Request successful`, {
@@ -142,15 +212,30 @@ class HttpClient {
       } catch (error) {
         lastError = error;
 
+        // Encerram na hora, sem retry nem log de falha: cancelamento, replay sem
+        // gravacao (a proxima tentativa daria o mesmo miss) e limite local
+        // estourado (espera longa demais)
+        if (error instanceof CancelledError || error instanceof CassetteMissError || error instanceof RateLimitError) {
+          breaker?.record(error);
+          timer?.();
+          throw error;
+        }
+
+        const retryAfter = this._observeRateLimit(error, options);
+
         // Não tenta retry se não deve
         const retryCondition = options.retryCondition ?? this.config.retryCondition;
         if (attempt >= maxRetries || !retryCondition(error, attempt)) {
           break;
         }
+        if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS) {
+          break;
+        }
 
-        // Calcula delay para próxima tentativa
-        const retryDelay = this._calculateRetryDelay(attempt, options);
+        // Calcula delay para próxima tentativa (Retry-After do 429 vence o backoff)
+        const retryDelay = retryAfter ?? this._calculateRetryDelay(attempt, options);
 
+        metrics.apiRetries.inc({ method: options.method, reason: retryReason(error) });
         this.logger.warn?.(`HTTP Request failed, retrying in ${retryDelay}ms`, {
           requestId,
           method: options.method,
@@ -160,10 +245,17 @@ class HttpClient {
           retryIn: retryDelay
         });
 
-        await this._delay(retryDelay);
+        try {
+          await this._delay(retryDelay, options.signal);
+        } catch (cancelled) {
+          breaker?.record(cancelled);
+          timer?.();
+          throw cancelled;
+        }
       }
     }
 
+    breaker?.record(lastError);
     timer?.();
     this.logger.error?.(`HTTP Request failed after ${maxRetries + 1} attempts`, {
       requestId,
@@ -172,9 +264,53 @@ class HttpClient {
       error: lastError.message
     });
 
+    if (lastError instanceof APIError && lastError.statusCode === 429) {
+      const retryAfter = retryAfterMs(lastError.response?.headers);
+      const rateLimitError = new RateLimitError(
+        'Limite de requisições da API TiFlux atingido',
+        retryAfter !== null ? Math.ceil(retryAfter / 1000) : null
+      );
+      rateLimitError.response = lastError.response;
+      throw rateLimitError;
+    }
+
     throw lastError;
   }
 
+  /**
+   * Breaker compartilhado do host da URL e da chave (null quando desligado).
+   */
+  _breakerFor(url, circuitKey) {
+    if (this.config.circuitBreaker === false) return null;
+    try {
+      return CircuitBreaker.forHost(new URL(url).host, circuitKey);
+    } catch {
+      return null; // URL invalida: o erro sai em _executeRequest
+    }
+  }
+
+  /**
+   * Repassa os headers de uma resposta de erro ao rate limiter e, num 429,
+   * notifica `onThrottle`.
+   * @returns {number|null} Retry-After em ms (so em 429 com o header)
+   */
+  _observeRateLimit(error, options) {
+    if (!(error instanceof APIError) || !error.response) return null;
+
+    options.rateLimiter?.observe(error.statusCode, error.response.headers);
+    if (error.statusCode !== 429) return null;
+
+    metrics.rateLimitResponses.inc();
+    const retryAfter = retryAfterMs(error.response.headers);
+    this.logger.warn?.('HTTP Request rate limited (429)', {
+      method: options.method,
+      url: options.url,
+      retryAfterMs: retryAfter
+    });
+    options.onThrottle?.({ type: '429', retryAfterMs: retryAfter });
+    return retryAfter;
+  }
+
   /**
    * Executa uma requisição HTTP
    */
@@ -229,6 +365,20 @@ class HttpClient {
       }
     }
 
+    const cassette = this._cassette();
+    if (cassette?.mode === 'replay') {
+      throwIfCancelled(processedOptions.signal);
+      const recorded = cassette.replay(processedOptions);
+      return this._finishResponse({
+        ...recorded,
+        request: {
+          method: processedOptions.method,
+          url: processedOptions.url,
+          headers: requestOptions.headers
+        }
+      }, requestId);
+    }
+
     return new Promise((resolve, reject) => {
       const request = httpModule.request(requestOptions, async (response) => {
         try {
@@ -247,46 +397,30 @@ class HttpClient {
             }
           };
 
-          // Tenta parsear JSON se content-type for application/json
-          const contentType = response.headers['content-type'] || '';
-          if (contentType.includes('application/json') && responseData) {
-            try {
-              responseObj.data = JSON.parse(responseData);
-            } catch (parseError) {
-              this.logger.warn?.(`Failed to parse JSON response`, {
-                requestId,
-                error: parseError.message,
-                contentType,
-                responseLength: responseData.length
-              });
-            }
-          }
-
-          // Aplica interceptors de resposta
-          let processedResponse = responseObj;
-          for (const interceptor of this.responseInterceptors) {
-            processedResponse = await interceptor(processedResponse);
-          }
-
-          // Verifica se é erro HTTP
-          if (response.statusCode >= 400) {
-            const apiError = new APIError(
-              `HTTP ${response.statusCode}: ${response.statusMessage}`,
-              response.statusCode,
-              processedResponse.data
-            );
-            apiError.response = processedResponse;
-            reject(apiError);
-            return;
-          }
-
-          resolve(processedResponse);
+          if (cassette?.mode === 'record') cassette.record(processedOptions, responseObj);
 
+          resolve(await this._finishResponse(responseObj, requestId));
         } catch (error) {
           reject(error);
         }
       });
 
+      // Cancelamento: destroi o socket; o 'error' que vem em seguida e ignorado
+      // porque a promise ja foi rejeitada com CancelledError.
+      const signal = processedOptions.signal;
+      const onAbort = () => {
+        reject(new CancelledError());
+        request.destroy();
+      };
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        request.on('close', () => signal.removeEventListener('abort', onAbort));
+      }
+
       // Error handlers
       request.on('error', (error) => {
         reject(new NetworkError(`Network error: ${error.message}`, error));
@@ -311,6 +445,55 @@ class HttpClient {
     });
   }
 
+  /**
+   * Parse do JSON, interceptors de resposta e APIError em status >= 400.
+   * Comum a resposta da rede e a servida pelo cassette.
+   */
+  async _finishResponse(responseObj, requestId) {
+    // Tenta parsear JSON se content-type for application/json
+    const contentType = responseObj.headers['content-type'] || '';
+    if (contentType.includes('application/json') && responseObj.rawData) {
+      try {
+        responseObj.data = JSON.parse(responseObj.rawData);
+      } catch (parseError) {
+        this.logger.warn?.(`Failed to parse JSON response`, {
+          requestId,
+          error: parseError.message,
+          contentType,
+          responseLength: responseObj.rawData.length
+        });
+      }
+    }
+
+    // Aplica interceptors de resposta
+    let processedResponse = responseObj;
+    for (const interceptor of this.responseInterceptors) {
+      processedResponse = await interceptor(processedResponse);
+    }
+
+    // Verifica se é erro HTTP
+    if (responseObj.statusCode >= 400) {
+      const apiError = new APIError(
+        `HTTP ${responseObj.statusCode}: ${responseObj.statusMessage}`,
+        responseObj.statusCode,
+        processedResponse.data
+      );
+      apiError.response = processedResponse;
+      throw apiError;
+    }
+
+    return processedResponse;
+  }
+
+  /**
+   * Cassette de record/replay em uso (null quando desligado).
+   * `config.cassette: false` ignora o cassette do processo.
+   */
+  _cassette() {
+    if (this.config.cassette === false) return null;
+    return this.config.cassette || Cassette.active();
+  }
+
   /**
    * Coleta dados da resposta
    */
@@ -361,10 +544,10 @@ class HttpClient {
   }
 
   /**
-   * Delay assíncrono
+   * Delay assíncrono (cancelavel pelo signal da requisicao)
    */
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _delay(ms, signal) {
+    return cancellableDelay(ms, signal);
   }
 
   /**
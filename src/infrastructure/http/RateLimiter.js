@@ -0,0 +1,249 @@
+/**
+ * Rate limiter client-side (token bucket) por chave de API
+ *
+ * Toda chamada do TiFluxAPI passa por `acquire()` antes de cada tentativa HTTP
+ * (retries inclusive). Instancias com a mesma chave compartilham o mesmo
+ * bucket via `RateLimiter.forKey` — no modo HTTP cada requisicao cria um
+ * TiFluxAPI novo, mas o limite e da conta, nao da instancia.
+ *
+ * Duas fontes de espera:
+ * - Bucket local: `maxRequests` por `windowMs` (config `rateLimit.*`),
+ *   reposto continuamente. Com `enabled: false` o bucket nao limita.
+ * - Sinal do servidor: `Retry-After` num 429 ou `X-RateLimit-Remaining: 0`
+ *   (+ `X-RateLimit-Reset`) pausam a chave ate o horario indicado — vale
+ *   mesmo com o bucket desligado.
+ *
+ * Espera maior que `maxWaitMs` nao bloqueia a tool: `acquire` lanca
+ * RateLimitError com o `retryAfter` em segundos.
+ *
+ * No modo HTTP cada header `x-tiflux-api-key` distinto (valido ou nao) cria um
+ * limiter: o mapa guarda no maximo MAX_KEYS. Acima disso saem primeiro os
+ * ociosos (bucket cheio e sem pausa — identicos a um novo), do usado ha mais
+ * tempo para o mais recente; todos ocupados, sai o usado ha mais tempo.
+ */
+const crypto = require('crypto');
+const { RateLimitError, throwIfCancelled, cancellableDelay } = require('../../utils/errors');
+
+const DEFAULTS = {
+  enabled: true,
+  maxRequests: 100,
+  windowMs: 60000,
+  maxWaitMs: 30000,
+  // Pausa aplicada num 429 sem Retry-After
+  fallbackPauseMs: 1000
+};
+
+const MAX_KEYS = 1000;
+
+// Limiters compartilhados por chave (hash — a chave nao fica como indice em memoria).
+// Ordem de insercao = LRU: o usado agora vai para o fim.
+const limiters = new Map();
+let sharedConfig = { ...DEFAULTS };
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.config = { ...DEFAULTS, ...options };
+    this.tokens = this.config.maxRequests;
+    this.lastRefill = Date.now();
+    this.blockedUntil = 0;
+  }
+
+  /**
+   * Aguarda vez para uma requisicao e consome um token.
+   *
+   * @param {AbortSignal} [signal] - cancela a espera (CancelledError)
+   * @returns {Promise<number>} ms aguardados (0 = passou direto)
+   * @throws {RateLimitError} quando a espera passaria de `maxWaitMs`
+   */
+  async acquire(signal) {
+    let waited = 0;
+
+    for (;;) {
+      throwIfCancelled(signal);
+      const wait = this._waitTime(Date.now());
+
+      if (wait <= 0) {
+        if (this.config.enabled) this.tokens -= 1;
+        return waited;
+      }
+
+      if (waited + wait > this.config.maxWaitMs) {
+        throw new RateLimitError(
+          'Limite de requisições da API TiFlux atingido',
+          Math.ceil(wait / 1000)
+        );
+      }
+
+      await cancellableDelay(wait, signal);
+      waited += wait;
+    }
+  }
+
+  /**
+   * Pausa a chave por `ms` (nunca encurta uma pausa ja vigente).
+   */
+  pause(ms) {
+    if (!(ms > 0)) return;
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Le os headers de rate limit de uma resposta e pausa a chave se o
+   * servidor mandar.
+   *
+   * @param {number} statusCode
+   * @param {object} [headers] - headers da resposta (nomes em minusculo, como no node)
+   * @returns {number} ms de pausa aplicados (0 = nenhuma)
+   */
+  observe(statusCode, headers = {}) {
+    let pauseMs = 0;
+
+    if (statusCode === 429) {
+      pauseMs = retryAfterMs(headers) ?? this.config.fallbackPauseMs;
+    } else {
+      const remaining = headers['x-ratelimit-remaining'] ?? headers['ratelimit-remaining'];
+      if (remaining !== undefined && Number(remaining) <= 0) {
+        pauseMs = resetMs(headers) ?? 0;
+      }
+    }
+
+    this.pause(pauseMs);
+    return pauseMs;
+  }
+
+  /**
+   * Requisicoes que passariam agora sem esperar: 0 com a chave pausada,
+   * Infinity com o bucket desligado. Usado para dosar a concorrencia da
+   * paginacao (tools/_shared/pagination.js).
+   * @returns {number}
+   */
+  headroom() {
+    const now = Date.now();
+    if (this.blockedUntil > now) return 0;
+    if (!this.config.enabled) return Infinity;
+    this._refill(now);
+    return Math.max(0, Math.floor(this.tokens));
+  }
+
+  /**
+   * Estado da chave para diagnostico (get_server_status).
+   * @returns {{ enabled: boolean, maxRequests: number, windowMs: number, available: number, pausedUntil: string|null }}
+   */
+  getState() {
+    return {
+      enabled: this.config.enabled,
+      maxRequests: this.config.maxRequests,
+      windowMs: this.config.windowMs,
+      available: this.headroom(),
+      pausedUntil: this.blockedUntil > Date.now() ? new Date(this.blockedUntil).toISOString() : null
+    };
+  }
+
+  /**
+   * Sem pausa vigente e com o bucket cheio: descartar nao perde estado.
+   */
+  isIdle(now = Date.now()) {
+    if (this.blockedUntil > now) return false;
+    if (!this.config.enabled) return true;
+    this._refill(now);
+    return this.tokens >= this.config.maxRequests;
+  }
+
+  _refill(now) {
+    const { maxRequests, windowMs } = this.config;
+    const elapsed = now - this.lastRefill;
+    if (elapsed > 0) {
+      this.tokens = Math.min(maxRequests, this.tokens + (elapsed * maxRequests) / windowMs);
+      this.lastRefill = now;
+    }
+  }
+
+  _waitTime(now) {
+    if (this.blockedUntil > now) return this.blockedUntil - now;
+    if (!this.config.enabled) return 0;
+
+    this._refill(now);
+    if (this.tokens >= 1) return 0;
+    return Math.ceil(((1 - this.tokens) * this.config.windowMs) / this.config.maxRequests);
+  }
+
+  /**
+   * Define a config dos limiters compartilhados (bloco `rateLimit` da config).
+   * Limiters ja criados passam a usar os novos limites.
+   */
+  static configure(options = {}) {
+    sharedConfig = { ...DEFAULTS, ...options };
+    for (const limiter of limiters.values()) {
+      limiter.config = { ...sharedConfig };
+    }
+  }
+
+  /**
+   * Limiter compartilhado da chave de API.
+   * @param {string|null|undefined} apiKey
+   * @returns {RateLimiter}
+   */
+  static forKey(apiKey) {
+    const id = crypto.createHash('sha256').update(String(apiKey || '')).digest('hex');
+    let limiter = limiters.get(id);
+    if (limiter) {
+      limiters.delete(id);
+    } else {
+      limiter = new RateLimiter(sharedConfig);
+    }
+    limiters.set(id, limiter);
+    if (limiters.size > MAX_KEYS) prune();
+    return limiter;
+  }
+
+  /** Quantidade de chaves com limiter em memoria. */
+  static size() {
+    return limiters.size;
+  }
+}
+
+/**
+ * Volta o mapa para MAX_KEYS: ociosos primeiro, depois os usados ha mais tempo.
+ */
+function prune() {
+  const now = Date.now();
+  for (const [id, limiter] of limiters) {
+    if (limiters.size <= MAX_KEYS) return;
+    if (limiter.isIdle(now)) limiters.delete(id);
+  }
+  while (limiters.size > MAX_KEYS) {
+    limiters.delete(limiters.keys().next().value);
+  }
+}
+
+/**
+ * `Retry-After` em ms: aceita segundos ("30") ou data HTTP.
+ * @returns {number|null}
+ */
+function retryAfterMs(headers = {}) {
+  const value = headers['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * `X-RateLimit-Reset` / `RateLimit-Reset` em ms: epoch em segundos ou
+ * segundos ate o reset.
+ * @returns {number|null}
+ */
+function resetMs(headers = {}) {
+  const value = Number(headers['x-ratelimit-reset'] ?? headers['ratelimit-reset']);
+  if (!Number.isFinite(value)) return null;
+  // Valores de epoch (segundos desde 1970) sao muito maiores que qualquer janela
+  const ms = value > 1e9 ? value * 1000 - Date.now() : value * 1000;
+  return Math.max(0, ms);
+}
+
+module.exports = RateLimiter;
+module.exports.retryAfterMs = retryAfterMs;
+module.exports.MAX_KEYS = MAX_KEYS;
@@ -0,0 +1,109 @@
+/**
+ * Single-flight para GETs identicos
+ *
+ * Uma tool que resolve `desk_name`, `priority_name` e `catalog_query` pode
+ * disparar o mesmo `GET /desks/...` varias vezes, e tools chamadas em
+ * paralelo pelo cliente repetem as mesmas consultas. Enquanto um GET esta em
+ * voo, chamadas com a mesma chave (hash da API key + endpoint) esperam a
+ * resposta dele em vez de abrir outra requisicao.
+ *
+ * - Quem inicia o voo recebe a resposta original; quem pegou carona recebe
+ *   uma copia (slices ordenam/filtram `response.data`)
+ * - Nada fica guardado depois que o voo termina — isso e papel do cache
+ * - Cancelamento: o carona que cancela sai na hora (CancelledError) sem
+ *   afetar o voo; se quem iniciou cancelar, os caronas ainda ativos refazem
+ *   a chamada por conta propria
+ *
+ * Uma instancia compartilhada (`RequestCoalescer.shared()`) atende todas as
+ * instancias de TiFluxAPI — registries criam uma por requisicao.
+ */
+const { CancelledError, throwIfCancelled } = require('../../utils/errors');
+
+let sharedCoalescer = null;
+
+class RequestCoalescer {
+  constructor() {
+    this.flights = new Map();
+    this.stats = {
+      requests: 0,
+      executed: 0,
+      coalesced: 0
+    };
+  }
+
+  /**
+   * Executa `fn` ou pega carona num voo em curso com a mesma chave.
+   * @param {string} key - identifica a requisicao (inclui a chave de API)
+   * @param {() => Promise<*>} fn
+   * @param {AbortSignal} [signal] - signal de quem chama
+   * @returns {Promise<*>}
+   */
+  async run(key, fn, signal) {
+    throwIfCancelled(signal);
+    this.stats.requests++;
+
+    const flight = this.flights.get(key);
+    if (!flight) {
+      return this._lead(key, fn);
+    }
+
+    this.stats.coalesced++;
+    try {
+      const response = await this._follow(flight, signal);
+      return structuredClone(response);
+    } catch (error) {
+      if (error instanceof CancelledError && !signal?.aborted) {
+        // Quem iniciou o voo cancelou; esta chamada continua valida
+        this.stats.coalesced--;
+        this.stats.requests--;
+        return this.run(key, fn, signal);
+      }
+      throw error;
+    }
+  }
+
+  _lead(key, fn) {
+    this.stats.executed++;
+    const flight = Promise.resolve().then(fn);
+    this.flights.set(key, flight);
+    const release = () => {
+      if (this.flights.get(key) === flight) this.flights.delete(key);
+    };
+    flight.then(release, release);
+    return flight;
+  }
+
+  _follow(flight, signal) {
+    if (!signal) return flight;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new CancelledError());
+      signal.addEventListener('abort', onAbort, { once: true });
+      flight.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Metricas para getStats(): `coalesced` = chamadas HTTP economizadas.
+   */
+  getStats() {
+    const { requests, executed, coalesced } = this.stats;
+    return {
+      requests,
+      executed,
+      coalesced,
+      inFlight: this.flights.size,
+      savedRate: requests > 0 ? `${((coalesced / requests) * 100).toFixed(2)}%` : '0%'
+    };
+  }
+
+  /**
+   * Instancia compartilhada pelo processo.
+   * @returns {RequestCoalescer}
+   */
+  static shared() {
+    if (!sharedCoalescer) sharedCoalescer = new RequestCoalescer();
+    return sharedCoalescer;
+  }
+}
+
+module.exports = RequestCoalescer;
@@ -7,6 +7,8 @@
  * - Fixed delay
  * - Custom conditions
  */
+const { CancelledError, throwIfCancelled, cancellableDelay } = require('../../utils/errors');
+
 class RetryPolicy {
   constructor(options = {}) {
     this.config = {
@@ -24,6 +26,11 @@ class RetryPolicy {
    * Determina se deve fazer retry baseado no erro
    */
   shouldRetry(error, attempt) {
+    // Cancelamento pelo cliente nunca e retentado
+    if (error instanceof CancelledError) {
+      return false;
+    }
+
     // Máximo de tentativas atingido
     if (attempt >= this.config.maxRetries) {
       return false;
@@ -223,12 +230,17 @@ class RetryPolicy {
 
   /**
    * Executa uma função com retry
+   *
+   * @param {Function} asyncFn
+   * @param {object} [logger]
+   * @param {{ signal?: AbortSignal }} [options] - signal aborta antes da proxima tentativa e durante o backoff
    */
-  async execute(asyncFn, logger = null) {
+  async execute(asyncFn, logger = null, { signal } = {}) {
     let lastError;
 
     for (let attempt = 0; attempt <= this.config.maxRetries; attempt++) {
       try {
+        throwIfCancelled(signal);
         return await asyncFn();
       } catch (error) {
         lastError = error;
@@ -248,7 +260,7 @@ class RetryPolicy {
           });
         }
 
-        await this._delay(delay);
+        await this._delay(delay, signal);
       }
     }
 
@@ -258,8 +270,8 @@ class RetryPolicy {
   /**
    * Delay helper
    */
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _delay(ms, signal) {
+    return cancellableDelay(ms, signal);
   }
 
   /**
@@ -0,0 +1,125 @@
+/**
+ * PromptRegistry - registro central de prompts MCP.
+ *
+ * Cada definicao em `./<prompt>.js` exporta
+ * `{ name, title, description, arguments, build }`. O registry agrega as
+ * definicoes para `prompts/list` e, em `prompts/get`, chama
+ * `build(args, helpers)` que pre-carrega os dados pelas tools existentes
+ * (via HandlerRegistry.execute, com o mesmo contexto request-scoped) e
+ * devolve as mensagens do prompt.
+ */
+
+const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const TiFluxAPI = require('../api/tiflux-api');
+const { errorResponse } = require('../tools/_shared/errors');
+const { CancelledError } = require('../utils/errors');
+
+/**
+ * Renderiza o resultado de uma tool como secao Markdown do prompt. Erros da
+ * tool entram no texto (marcados) em vez de abortar o prompt — o modelo
+ * deve saber que aquele dado nao pode ser carregado.
+ */
+function toolSection(title, result) {
+  const text = (result && result.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n\n');
+  const marker = result && result.isError ? ' (falhou ao carregar)' : '';
+  return `## ${title}${marker}\n\n${text || '_Sem dados._'}`;
+}
+
+class PromptRegistry {
+  /**
+   * @param {import('../registry/HandlerRegistry')} handlerRegistry - executa as tools de pre-carga
+   * @param {object} [options]
+   * @param {(apiKey: string) => object} [options.apiFactory] - cria o TiFluxAPI por requisicao
+   */
+  constructor(handlerRegistry, options = {}) {
+    this.handlerRegistry = handlerRegistry;
+    this.prompts = new Map();
+    this.apiFactory = options.apiFactory || null;
+    this.api = new TiFluxAPI();
+  }
+
+  register(definition) {
+    if (!definition || !definition.name || typeof definition.build !== 'function') {
+      throw new Error('Prompt precisa de { name, build }');
+    }
+    if (this.prompts.has(definition.name)) {
+      throw new Error(`Prompt ${definition.name} ja registrado`);
+    }
+    this.prompts.set(definition.name, definition);
+    return this;
+  }
+
+  getPrompts() {
+    return Array.from(this.prompts.values()).map(definition => ({
+      name: definition.name,
+      title: definition.title,
+      description: definition.description,
+      arguments: definition.arguments || []
+    }));
+  }
+
+  getPrompt(name) {
+    return this.prompts.get(name) || null;
+  }
+
+  /**
+   * Monta o prompt com os dados pre-carregados.
+   *
+   * @param {string} name
+   * @param {object} [args] - argumentos do prompt (strings)
+   * @param {object} [context] - { apiKey, verbosity, logger, requestId, signal } da requisicao
+   * @returns {Promise<{ description: string, messages: Array }>}
+   * @throws {McpError} InvalidParams para prompt desconhecido ou argumento obrigatorio ausente
+   */
+  async get(name, args = {}, context = {}) {
+    const definition = this.prompts.get(name);
+    if (!definition) {
+      throw new McpError(ErrorCode.InvalidParams, `Prompt desconhecido: ${name}`);
+    }
+
+    const missing = (definition.arguments || [])
+      .filter(arg => arg.required && (args[arg.name] === undefined || String(args[arg.name]).trim() === ''))
+      .map(arg => arg.name);
+    if (missing.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Argumento(s) obrigatorio(s) ausente(s): ${missing.join(', ')}`);
+    }
+
+    const api = context.apiKey ? this._createApi(context.apiKey) : this.api;
+    const helpers = {
+      api: context.signal && typeof api.withSignal === 'function' ? api.withSignal(context.signal) : api,
+      runTool: (toolName, toolArgs) => this._runTool(toolName, toolArgs, context),
+      toolSection
+    };
+
+    const text = await definition.build(args, helpers);
+
+    return {
+      description: definition.description,
+      messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
+  }
+
+  /**
+   * Executa uma tool de pre-carga. Tool recusada pelo registry (fora do
+   * perfil, oculta por permissao) vira resultado `isError` — a secao sai
+   * marcada e o resto do prompt continua. So o cancelamento aborta.
+   */
+  async _runTool(toolName, toolArgs, context) {
+    try {
+      return await this.handlerRegistry.execute(toolName, toolArgs, context);
+    } catch (error) {
+      if (error instanceof CancelledError) throw error;
+      return errorResponse(`**❌ \`${toolName}\` indisponível**\n\n${error.message}`);
+    }
+  }
+
+  _createApi(apiKey) {
+    if (this.apiFactory) return this.apiFactory(apiKey);
+    return new TiFluxAPI(apiKey);
+  }
+}
+
+module.exports = { PromptRegistry, toolSection };
@@ -0,0 +1,58 @@
+/**
+ * Prompt: client_account_summary — resumo da conta de um cliente.
+ *
+ * Resolve client_name -> client_id (clientResolver) e pre-carrega:
+ * get_client + list_tickets abertos + list_tickets fechados nos ultimos 30 dias.
+ */
+
+const { resolveClientName } = require('../tools/_shared/clientResolver');
+
+const RECENT_DAYS = 30;
+
+const INSTRUCTIONS = [
+  'Resuma a conta do cliente abaixo para um gestor de atendimento:',
+  '1. Dados do cliente relevantes para o atendimento (status, mesas, grupos técnicos).',
+  '2. Volume e natureza dos tickets abertos; destaque os mais antigos e os de maior prioridade.',
+  `3. O que foi resolvido nos últimos ${RECENT_DAYS} dias e padrões recorrentes.`,
+  '4. Pontos de atenção para o relacionamento com o cliente.',
+  'Baseie-se apenas nos dados carregados e cite os números dos tickets.'
+].join('\n');
+
+async function build({ client_name }, { api, runTool, toolSection }) {
+  const resolved = await resolveClientName(api, client_name);
+  if (resolved.error) {
+    return [INSTRUCTIONS, toolSection(`Cliente "${client_name}"`, resolved.response)].join('\n\n---\n\n');
+  }
+
+  const clientIds = String(resolved.clientId);
+  const since = new Date(Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const [client, open, recentlyClosed] = await Promise.all([
+    runTool('get_client', { client_id: resolved.clientId }),
+    runTool('list_tickets', { client_ids: clientIds, filter_by: 'open', limit: 50 }),
+    runTool('list_tickets', {
+      client_ids: clientIds,
+      filter_by: 'closed',
+      date_type: 'solved_in_time',
+      start_datetime: since,
+      limit: 50
+    })
+  ]);
+
+  return [
+    INSTRUCTIONS,
+    toolSection(`Cliente ${resolved.client.name || client_name} (ID: ${resolved.clientId})`, client),
+    toolSection('Tickets abertos', open),
+    toolSection(`Tickets fechados nos últimos ${RECENT_DAYS} dias`, recentlyClosed)
+  ].join('\n\n---\n\n');
+}
+
+module.exports = {
+  name: 'client_account_summary',
+  title: 'Resumo da conta do cliente',
+  description: `Resumo da conta de um cliente: cadastro, tickets abertos e o que foi resolvido nos últimos ${RECENT_DAYS} dias.`,
+  arguments: [
+    { name: 'client_name', description: 'Nome do cliente (empresa)', required: true }
+  ],
+  build
+};
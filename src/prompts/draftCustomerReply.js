@@ -0,0 +1,43 @@
+/**
+ * Prompt: draft_customer_reply — rascunho de resposta ao cliente.
+ *
+ * Pre-carrega: get_ticket + list_ticket_answers (historico da conversa).
+ * So redige — o envio continua sendo create_ticket_answer, com confirmacao.
+ */
+
+const INSTRUCTIONS = [
+  'Redija uma resposta ao cliente para o ticket abaixo, em português do Brasil.',
+  '- Leve em conta o histórico de respostas para não repetir o que já foi dito.',
+  '- Seja objetivo: reconheça o pedido, informe a situação atual e o próximo passo com prazo quando houver.',
+  '- Não prometa nada que não esteja sustentado pelos dados.',
+  'Entregue apenas o texto da resposta. Não envie: o envio é feito com create_ticket_answer após aprovação.'
+].join('\n');
+
+async function build({ ticket_number, tone, notes }, { runTool, toolSection }) {
+  const [ticket, answers] = await Promise.all([
+    runTool('get_ticket', { ticket_number }),
+    runTool('list_ticket_answers', { ticket_number: Number(ticket_number), limit: 20 })
+  ]);
+
+  let header = INSTRUCTIONS;
+  if (tone) header += `\n\nTom desejado: **${tone}**.`;
+  if (notes) header += `\n\nOrientações do atendente: ${notes}`;
+
+  return [
+    header,
+    toolSection(`Ticket #${ticket_number}`, ticket),
+    toolSection('Histórico de respostas', answers)
+  ].join('\n\n---\n\n');
+}
+
+module.exports = {
+  name: 'draft_customer_reply',
+  title: 'Rascunho de resposta ao cliente',
+  description: 'Rascunho de resposta ao cliente de um ticket, considerando o histórico de respostas. Não envia nada.',
+  arguments: [
+    { name: 'ticket_number', description: 'Número do ticket', required: true },
+    { name: 'tone', description: 'Tom da resposta (ex: formal, cordial, técnico) — opcional', required: false },
+    { name: 'notes', description: 'O que a resposta deve comunicar (opcional)', required: false }
+  ],
+  build
+};
@@ -0,0 +1,23 @@
+/**
+ * Registry central de prompts MCP.
+ *
+ * Para adicionar um prompt novo: crie `./<prompt>.js` exportando
+ * `{ name, title, description, arguments, build }` e registre uma linha abaixo.
+ */
+
+const { PromptRegistry } = require('./PromptRegistry');
+
+/**
+ * @param {import('../registry/HandlerRegistry')} handlerRegistry - registry de tools usado na pre-carga
+ * @param {object} [options] - repassado ao PromptRegistry (ex: { apiFactory })
+ */
+function createPromptRegistry(handlerRegistry, options = {}) {
+  const registry = new PromptRegistry(handlerRegistry, options);
+  registry.register(require('./triageTicket'));
+  registry.register(require('./shiftHandover'));
+  registry.register(require('./clientAccountSummary'));
+  registry.register(require('./draftCustomerReply'));
+  return registry;
+}
+
+module.exports = { PromptRegistry, createPromptRegistry };
@@ -0,0 +1,51 @@
+/**
+ * Prompt: shift_handover — passagem de turno de uma mesa.
+ *
+ * Pre-carrega via list_tickets: tickets abertos da mesa (opcionalmente
+ * filtrados por estagio, prioridade e responsavel) + tickets cujo SLA de
+ * resolucao vence nas proximas 12h.
+ */
+
+const SLA_WINDOW_HOURS = 12;
+
+const INSTRUCTIONS = [
+  'Escreva a passagem de turno da mesa com base nos dados abaixo, em tópicos curtos:',
+  '1. Visão geral: quantidade de tickets abertos e distribuição por estágio/prioridade.',
+  '2. Atenção imediata: tickets com SLA vencido ou vencendo nas próximas horas, com o motivo.',
+  '3. Pendências em andamento: o que cada responsável estava tratando e o próximo passo esperado.',
+  '4. Riscos e bloqueios percebidos.',
+  'Cite sempre o número do ticket. Não invente status que não estejam nos dados.'
+].join('\n');
+
+async function build({ desk_name, stage_name, priority_name, responsible_name }, { runTool, toolSection }) {
+  const filters = { desk_name, filter_by: 'open', limit: 50 };
+  if (stage_name) filters.stage_name = stage_name;
+  if (priority_name) filters.priority_name = priority_name;
+  if (responsible_name) filters.responsible_name = responsible_name;
+
+  const slaDeadline = new Date(Date.now() + SLA_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+
+  const [open, slaAtRisk] = await Promise.all([
+    runTool('list_tickets', filters),
+    runTool('list_tickets', { ...filters, sla_expiring_before: slaDeadline })
+  ]);
+
+  return [
+    `${INSTRUCTIONS}\n\nMesa: **${desk_name}**`,
+    toolSection('Tickets abertos', open),
+    toolSection(`SLA de resolução vencido ou vencendo em ${SLA_WINDOW_HOURS}h`, slaAtRisk)
+  ].join('\n\n---\n\n');
+}
+
+module.exports = {
+  name: 'shift_handover',
+  title: 'Passagem de turno da mesa',
+  description: 'Passagem de turno de uma mesa: visão geral dos tickets abertos, SLAs em risco, pendências por responsável e bloqueios.',
+  arguments: [
+    { name: 'desk_name', description: 'Nome da mesa', required: true },
+    { name: 'stage_name', description: 'Filtrar por estágio (opcional)', required: false },
+    { name: 'priority_name', description: 'Filtrar por prioridade (opcional)', required: false },
+    { name: 'responsible_name', description: 'Filtrar por responsável (opcional)', required: false }
+  ],
+  build
+};
@@ -0,0 +1,38 @@
+/**
+ * Prompt: triage_ticket — triagem de um ticket recem-aberto.
+ *
+ * Pre-carrega: get_ticket (com campos personalizados preenchidos) +
+ * list_ticket_answers (ultimas respostas trocadas com o cliente).
+ */
+
+const INSTRUCTIONS = [
+  'Faça a triagem do ticket abaixo. Com base apenas nos dados carregados:',
+  '1. Resuma o problema relatado em até 3 linhas.',
+  '2. Avalie se a prioridade, a mesa e o estágio atuais fazem sentido; se não, sugira os corretos e justifique.',
+  '3. Indique se falta informação do solicitante e quais perguntas fazer.',
+  '4. Proponha os próximos passos e um responsável adequado, se houver indício nos dados.',
+  'Não execute nenhuma alteração — apenas recomende. Se quiser aplicar a sugestão, peça confirmação antes de usar update_ticket.'
+].join('\n');
+
+async function build({ ticket_number }, { runTool, toolSection }) {
+  const [ticket, answers] = await Promise.all([
+    runTool('get_ticket', { ticket_number, include_filled_entity: true }),
+    runTool('list_ticket_answers', { ticket_number: Number(ticket_number), limit: 10 })
+  ]);
+
+  return [
+    INSTRUCTIONS,
+    toolSection(`Ticket #${ticket_number}`, ticket),
+    toolSection('Respostas ao cliente', answers)
+  ].join('\n\n---\n\n');
+}
+
+module.exports = {
+  name: 'triage_ticket',
+  title: 'Triar ticket',
+  description: 'Triagem de um ticket: resumo do problema, revisão de prioridade/mesa/estágio, informações faltantes e próximos passos.',
+  arguments: [
+    { name: 'ticket_number', description: 'Número do ticket a triar', required: true }
+  ],
+  build
+};
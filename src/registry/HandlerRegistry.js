@@ -5,22 +5,107 @@
  * O registry agrega os schemas para `ListTools` e roteia `CallTool` para
  * `instance[method](args)`. Substitui switch statements, handlerMaps manuais
  * e listas inline de tools nos bootstraps (server-sdk, ServerFactory).
+ *
+ * Multi-tenancy: chave de API, verbosidade, logger e request id viajam no
+ * `context` de `execute(toolName, args, context)` e chegam ao slice como
+ * `ctx` montado por requisicao. Nada e gravado nas instancias de handler
+ * (singletons compartilhados), entao requisicoes concorrentes de tenants
+ * diferentes nunca enxergam a chave uma da outra.
+ *
+ * Toda tool precisa declarar `schema.annotations` (readOnlyHint,
+ * destructiveHint, idempotentHint, openWorldHint, title) — ver
+ * src/tools/_shared/annotations.js. `register` recusa tools sem elas.
+ *
+ * Perfil de tools (./toolProfile.js): tools fora do perfil nao entram em
+ * `getTools()` e `execute` as recusa — mesmo que o cliente chame pelo nome.
+ *
+ * Dry-run (./dryRun.js): tools de escrita (readOnlyHint false) com
+ * `dry_run: true`, ou com o modo ligado no servidor, rodam contra um api que
+ * so deixa passar GETs e devolvem as escritas que seriam enviadas.
+ *
+ * Cancelamento: `context.signal` (AbortSignal do tools/call) prende o api da
+ * requisicao ao signal (`TiFluxAPI.withSignal`) — paginacao, retries e o
+ * socket HTTP em curso param quando o cliente cancela — e chega ao slice como
+ * `ctx.signal`.
+ *
+ * Rate limit (./throttleNotice.js): o api da requisicao anota as esperas do
+ * RateLimiter e os 429 da API; se houve alguma, a resposta ganha um aviso.
+ *
+ * Validacao (./argumentValidator.js): os argumentos sao conferidos contra o
+ * `inputSchema` antes de qualquer caminho (normal, dry-run, auditado). Com
+ * violacoes a tool nao roda e volta um `isError` listando todas; com coercao
+ * ligada o slice recebe os args ja convertidos.
+ *
+ * Auditoria (src/audit): com `auditJournal`, toda tool de escrita que chegar
+ * a enviar uma escrita a API vira uma linha no diario. Dry-run nao e auditado.
+ *
+ * Permissoes (./toolPermissions.js): `getToolsFor` aplica as permissoes do
+ * usuario da chave ja conhecidas (checadas em background, em cache por chave)
+ * e sinaliza ou esconde do ListTools as tools que dariam 403; no modo 'hide'
+ * `execute` tambem as recusa.
+ *
+ * Metricas (src/telemetry/metrics.js): toda chamada de tool conhecida conta em
+ * `tiflux_mcp_tool_calls_total` (por desfecho) e `tiflux_mcp_tool_duration_seconds`.
  */
 
+const { validateAnnotations } = require('../tools/_shared/annotations');
+const { createProgressReporter } = require('../tools/_shared/progress');
+const { throwIfCancelled, CancelledError } = require('../utils/errors');
+const { toolCalls, toolDuration } = require('../telemetry/metrics');
+const { createDryRunApi, dryRunResponse } = require('./dryRun');
+const { validateArguments, invalidArgumentsResponse } = require('./argumentValidator');
+const { appendThrottleNotice } = require('./throttleNotice');
+const { createAuditedApi, buildAuditEntry } = require('../audit/auditEntry');
+
+/**
+ * Valores aceitos: 'rich' (default, comportamento atual) | 'compact'.
+ */
+function normalizeVerbosity(v) {
+  return (v === 'compact') ? 'compact' : 'rich';
+}
+
 class HandlerRegistry {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {(apiKey: string) => object} [options.apiFactory] - cria o TiFluxAPI
+   *   por requisicao (ex: `tifluxApiFactory` do container). Default: `new TiFluxAPI(apiKey)`.
+   * @param {{ profile: string, allows: (schema: object) => boolean }} [options.toolFilter]
+   *   filtro do perfil de tools (`createToolFilter`). Default: todas as tools.
+   * @param {boolean} [options.dryRun] - forca dry-run em toda tool de escrita
+   *   (TIFLUX_MCP_DRY_RUN). Default: false — so `dry_run: true` por chamada.
+   * @param {import('../audit/AuditJournal')} [options.auditJournal] - diario das
+   *   escritas; tambem chega ao slice como `ctx.auditJournal` (list_audit_log).
+   * @param {boolean} [options.coerceArgs] - coercao de tipos na validacao dos
+   *   argumentos (TIFLUX_MCP_COERCE_ARGS). Default: true.
+   * @param {object} [options.permissionGate] - gate de permissoes por chave
+   *   (`createPermissionGate`). Default: nenhum — ListTools igual a getTools().
+   * @param {() => Promise<object>} [options.serverStatus] - estado do processo
+   *   (`TifluxMCPServerV2.getStats`); chega ao slice como `ctx.serverStatus`
+   *   (get_server_status).
+   */
+  constructor(options = {}) {
     this.handlers = {};
     this.tools = [];
+    this.apiFactory = options.apiFactory || null;
+    this.toolFilter = options.toolFilter || null;
+    this.disabledTools = new Set();
+    this.dryRun = options.dryRun === true;
+    this.auditJournal = options.auditJournal || null;
+    this.coerceArgs = options.coerceArgs !== false;
+    this.serverStatus = options.serverStatus || null;
+    this.permissionGate = options.permissionGate || null;
   }
 
   /**
-   * Define o nivel de verbosidade para todas as instancias de handlers.
-   * Espelha o padrao de setApiKey: loop dedupe sobre instancias unicas.
-   * Valores aceitos: 'rich' (default, comportamento atual) | 'compact'.
-   * Ausencia de setVerbosity = 'rich' (retrocompatibilidade).
+   * Define a verbosidade DEFAULT de todas as instancias de handlers
+   * (processo inteiro — SDK stdio via TIFLUX_MCP_VERBOSITY).
+   * Loop dedupe sobre instancias unicas. Ausencia de setVerbosity = 'rich'.
+   *
+   * Para verbosidade por requisicao use `execute(..., { verbosity })` —
+   * este metodo muta estado compartilhado e nao deve ser chamado por request.
    */
   setVerbosity(v) {
-    const verbosity = (v === 'compact') ? 'compact' : 'rich';
+    const verbosity = normalizeVerbosity(v);
     const seen = new Set();
     for (const { instance } of Object.values(this.handlers)) {
       if (seen.has(instance)) continue;
@@ -47,11 +132,19 @@ class HandlerRegistry {
       if (!config || !config.schema || !config.method) {
         throw new Error(`Tool ${toolName} precisa de { schema, method }`);
       }
-      if (this.handlers[toolName]) {
+      const annotationsError = validateAnnotations(config.schema);
+      if (annotationsError) {
+        throw new Error(`Tool ${toolName}: ${annotationsError}`);
+      }
+      if (this.handlers[toolName] || this.disabledTools.has(toolName)) {
         throw new Error(`Tool ${toolName} ja registrada`);
       }
+      if (this.toolFilter && !this.toolFilter.allows(config.schema)) {
+        this.disabledTools.add(toolName);
+        continue;
+      }
 
-      this.handlers[toolName] = { instance, method: config.method };
+      this.handlers[toolName] = { instance, method: config.method, schema: config.schema };
       this.tools.push(config.schema);
     }
 
@@ -60,11 +153,14 @@ class HandlerRegistry {
 
   /**
    * Substitui `handler.api` em todas as instancias deduplicadas
-   * por um `TiFluxAPI(apiKey)` novo. Usado pelo Lambda (multi-tenancy).
+   * por um `TiFluxAPI(apiKey)` novo — define a chave DEFAULT do processo.
+   *
+   * @deprecated para multi-tenancy: muta singletons compartilhados, entao duas
+   * requisicoes concorrentes podem rodar com a chave uma da outra. Passe a
+   * chave por requisicao em `execute(..., { apiKey })`.
    */
   setApiKey(apiKey) {
-    const TiFluxAPI = require('../api/tiflux-api');
-    const api = new TiFluxAPI(apiKey);
+    const api = this._createApi(apiKey);
     const seen = new Set();
 
     for (const { instance } of Object.values(this.handlers)) {
@@ -80,12 +176,220 @@ class HandlerRegistry {
     return this.tools;
   }
 
-  async execute(toolName, args) {
+  /**
+   * Tools do ListTools para a chave da requisicao: `getTools()` com as
+   * permissoes do usuario aplicadas. Nao espera a API: enquanto a checagem
+   * da chave roda em background, a lista sai sem marcacao.
+   *
+   * @param {object} [context]
+   * @param {string} [context.apiKey] - chave do tenant (default: a do processo)
+   * @returns {object[]}
+   */
+  getToolsFor(context = {}) {
+    if (!this.permissionGate || this.permissionGate.mode === 'off') return this.tools;
+    return this.permissionGate.apply(this.tools, this._permissionsFor(context.apiKey));
+  }
+
+  /**
+   * Dispara a checagem de permissoes da chave do processo (subida do stdio),
+   * para o primeiro ListTools ja sair com as marcacoes.
+   */
+  warmPermissions() {
+    this._permissionsFor(undefined);
+  }
+
+  /**
+   * Executa a tool com contexto request-scoped.
+   *
+   * @param {string} toolName
+   * @param {object} args
+   * @param {object} [context]
+   * @param {string} [context.apiKey] - chave do tenant desta requisicao (cria um TiFluxAPI proprio)
+   * @param {string} [context.verbosity] - 'rich' | 'compact'
+   * @param {object} [context.logger] - logger da requisicao (ex: logger.child({ requestId }))
+   * @param {string} [context.requestId] - id de correlacao
+   * @param {string|number} [context.progressToken] - `_meta.progressToken` do tools/call
+   * @param {(notification: object) => Promise<void>} [context.sendNotification] - envia
+   *   notifications/progress ao cliente (junto com progressToken vira `ctx.progress`)
+   * @param {AbortSignal} [context.signal] - cancelamento do tools/call (`extra.signal` do SDK)
+   * @throws {CancelledError} quando o signal dispara antes ou durante a execucao
+   */
+  async execute(toolName, args, context = {}) {
     const entry = this.handlers[toolName];
+    if (!entry && this.disabledTools.has(toolName)) {
+      throw new Error(`Tool ${toolName} desabilitada pelo perfil de tools "${this.toolFilter.profile}"`);
+    }
     if (!entry) {
       throw new Error(`Tool desconhecida: ${toolName}`);
     }
-    return await entry.instance[entry.method](args);
+    const denied = this._hiddenByPermission(toolName, context);
+    if (denied) {
+      throw new Error(`Tool ${toolName} oculta: a chave de API nao tem a permissao "${denied.label}" (${denied.endpoint} respondeu 403)`);
+    }
+
+    throwIfCancelled(context.signal);
+
+    const validation = validateArguments(entry.schema.inputSchema, args, { coerce: this.coerceArgs });
+    if (validation.errors.length > 0) {
+      toolCalls.inc({ tool: toolName, outcome: 'invalid_arguments' });
+      return invalidArgumentsResponse(toolName, validation.errors);
+    }
+
+    const stopTimer = toolDuration.startTimer({ tool: toolName });
+    let outcome = 'exception';
+    try {
+      const result = await this._run(toolName, entry, validation.args, context);
+      outcome = result?.isError ? 'error' : 'success';
+      return result;
+    } catch (error) {
+      if (error instanceof CancelledError) outcome = 'cancelled';
+      throw error;
+    } finally {
+      stopTimer();
+      toolCalls.inc({ tool: toolName, outcome });
+    }
+  }
+
+  /**
+   * Roda a tool com os argumentos ja validados: dry-run, auditado ou normal,
+   * mais o aviso de throttling.
+   */
+  async _run(toolName, entry, args, context) {
+    const throttleLog = [];
+    const scoped = { ...context, throttleLog };
+
+    let result;
+    if (this._isDryRun(entry, args)) {
+      result = await this._executeDryRun(toolName, entry, args, scoped);
+    } else if (this.auditJournal && !entry.schema.annotations.readOnlyHint) {
+      result = await this._executeAudited(toolName, entry, args, scoped);
+    } else {
+      result = await entry.instance[entry.method](args, this._sliceContext(entry, scoped));
+    }
+
+    // Slices com try/catch convertem o CancelledError em errorResponse; a
+    // chamada cancelada nao deve subir como resultado comum.
+    throwIfCancelled(context.signal);
+    return appendThrottleNotice(result, throttleLog);
+  }
+
+  /**
+   * buildContext + api preso ao signal e ao log de throttling. Sem apiKey por
+   * requisicao o api e o default da instancia; `withSignal`/`withThrottleLog`
+   * devolvem visoes, sem muta-lo.
+   */
+  _sliceContext(entry, context) {
+    const ctx = this.buildContext(context);
+    let api = ctx.api || entry.instance.api;
+    if (context.signal && api && typeof api.withSignal === 'function') {
+      api = api.withSignal(context.signal);
+    }
+    if (context.throttleLog && api && typeof api.withThrottleLog === 'function') {
+      api = api.withThrottleLog(context.throttleLog);
+    }
+    if (api) ctx.api = api;
+    return ctx;
+  }
+
+  /**
+   * No modo 'hide', a permissao negada que esconde a tool; senao null.
+   * Resultado vencido continua valendo ate a nova checagem terminar.
+   */
+  _hiddenByPermission(toolName, context) {
+    if (this.permissionGate?.mode !== 'hide') return null;
+    return this.permissionGate.deniedPermission(toolName, this._permissionsFor(context.apiKey));
+  }
+
+  _permissionsFor(apiKey) {
+    return this.permissionGate.lookup(apiKey, () => this._createApi(apiKey));
+  }
+
+  _isDryRun(entry, args) {
+    if (entry.schema.annotations.readOnlyHint) return false;
+    return this.dryRun || args?.dry_run === true;
+  }
+
+  /**
+   * Roda o slice com o api de dry-run. Sem nenhuma escrita gravada, o retorno
+   * do proprio slice sobe intacto — e o erro de validacao/resolucao de nome.
+   */
+  async _executeDryRun(toolName, entry, args, context) {
+    const sliceArgs = { ...args };
+    delete sliceArgs.dry_run;
+    const ctx = this._sliceContext(entry, context);
+    const { api, requests } = createDryRunApi(ctx.api || entry.instance.api || this._createApi());
+    ctx.api = api;
+
+    let result;
+    try {
+      result = await entry.instance[entry.method](sliceArgs, ctx);
+    } catch (error) {
+      if (requests.length === 0) throw error;
+      return dryRunResponse(toolName, requests, { serverWide: this.dryRun, error });
+    }
+
+    if (requests.length === 0) return result;
+    return dryRunResponse(toolName, requests, { serverWide: this.dryRun });
+  }
+
+  /**
+   * Roda o slice com o api auditado e grava a entrada no diario — inclusive
+   * quando o slice lanca depois de uma escrita. Sem escrita enviada (erro de
+   * validacao, nome nao resolvido) nada mudou na conta e nada e gravado.
+   */
+  async _executeAudited(toolName, entry, args, context) {
+    const ctx = this._sliceContext(entry, context);
+    const baseApi = ctx.api || entry.instance.api || this._createApi();
+    const { api, writes } = createAuditedApi(baseApi);
+    ctx.api = api;
+
+    let result;
+    let error;
+    try {
+      result = await entry.instance[entry.method](args, ctx);
+      return result;
+    } catch (err) {
+      error = err;
+      throw err;
+    } finally {
+      if (writes.length > 0) {
+        await this.auditJournal.append(buildAuditEntry({
+          tool: toolName,
+          args,
+          writes,
+          api: baseApi,
+          requestId: context.requestId,
+          result,
+          error
+        }));
+      }
+    }
+  }
+
+  /**
+   * Monta o ctx parcial da requisicao. O agregador de cada modulo completa
+   * os campos ausentes com os defaults da instancia (`this.api`,
+   * `this.logger`, `this.verbosity`) — sempre num objeto novo.
+   */
+  buildContext(context = {}) {
+    const ctx = {};
+    if (context.apiKey) ctx.api = this._createApi(context.apiKey);
+    if (context.verbosity) ctx.verbosity = normalizeVerbosity(context.verbosity);
+    if (context.logger) ctx.logger = context.logger;
+    if (context.requestId) ctx.requestId = context.requestId;
+    if (context.signal) ctx.signal = context.signal;
+    if (context.progressToken !== undefined && context.progressToken !== null) {
+      ctx.progress = createProgressReporter(context);
+    }
+    if (this.auditJournal) ctx.auditJournal = this.auditJournal;
+    if (this.serverStatus) ctx.serverStatus = this.serverStatus;
+    return ctx;
+  }
+
+  _createApi(apiKey) {
+    if (this.apiFactory) return this.apiFactory(apiKey);
+    const TiFluxAPI = require('../api/tiflux-api');
+    return new TiFluxAPI(apiKey);
   }
 
   listOperations() {
@@ -94,3 +398,4 @@ class HandlerRegistry {
 }
 
 module.exports = HandlerRegistry;
+module.exports.normalizeVerbosity = normalizeVerbosity;
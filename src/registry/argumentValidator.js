@@ -0,0 +1,252 @@
+/**
+ * argumentValidator.js — Validacao central dos argumentos de tools/call
+ * contra o `inputSchema` de cada tool.
+ *
+ * O HandlerRegistry valida antes de despachar ao slice (inclusive dry-run e
+ * auditoria): argumento invalido nao chega ao slice nem a API. Todas as
+ * violacoes saem juntas numa unica resposta `isError`, para o modelo corrigir
+ * a chamada de uma vez.
+ *
+ * Subconjunto de JSON Schema usado pelos slices: type (string ou lista),
+ * enum, required, properties, additionalProperties, items, minimum/maximum,
+ * minLength/maxLength, minItems/maxItems, oneOf/anyOf. Objeto com
+ * `properties` e fechado: propriedade nao declarada e violacao, a menos que o
+ * schema traga `additionalProperties: true` (ou um schema).
+ *
+ * Coercao (`tools.coerceArgs`, default ligada — TIFLUX_MCP_COERCE_ARGS=false
+ * desliga): clientes MCP mandam `"123"` onde o schema pede number e `123`
+ * onde pede string. Com coercao:
+ *   - string  ← number/boolean
+ *   - number/integer ← string numerica ("42", "-1.5")
+ *   - boolean ← "true"/"false"
+ *   - array   ← valor unico (vira [valor])
+ *   - "" em campo opcional nao-string = campo ausente
+ *   - null em campo opcional que nao aceita null = campo ausente (clientes
+ *     LLM mandam null nos opcionais que deixaram de fora)
+ * Sem coercao, o tipo precisa bater exatamente.
+ *
+ * Onde o schema aceita null (`type: [..., 'null']`), null e valor e chega ao
+ * slice: em update costuma significar "limpar" (responsible_id, value de campo
+ * personalizado). Em campo obrigatorio, null nunca conta como ausente.
+ */
+
+const { errorResponse } = require('../tools/_shared/errors');
+
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return typeof value === 'number' && Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/** Converte `value` para `type`; devolve `undefined` quando nao da. */
+function coerceTo(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'number' || typeof value === 'boolean' ? String(value) : undefined;
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'string' || !NUMERIC.test(value.trim())) return undefined;
+      const number = Number(value.trim());
+      return type === 'integer' && !Number.isInteger(number) ? undefined : number;
+    }
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return undefined;
+    case 'array':
+      return value !== null && value !== undefined && !Array.isArray(value) ? [value] : undefined;
+    default:
+      return undefined;
+  }
+}
+
+function label(path) {
+  return path || 'argumentos';
+}
+
+function describeType(type) {
+  return [].concat(type).join(' | ');
+}
+
+/** "" em campo que nao aceita string — candidato a "campo ausente". */
+function isBlank(value, schema) {
+  const types = schema.type ? [].concat(schema.type) : [];
+  return value === '' && types.length > 0 && !types.includes('string');
+}
+
+/** O schema aceita null (type ou algum ramo de oneOf/anyOf; sem type aceita tudo). */
+function acceptsNull(schema) {
+  const branches = schema.oneOf || schema.anyOf;
+  if (branches) return branches.some(acceptsNull);
+  return !schema.type || [].concat(schema.type).includes('null');
+}
+
+class Validation {
+  constructor(coerce) {
+    this.coerce = coerce;
+    this.errors = [];
+  }
+
+  /**
+   * Valida `value` contra `schema` e devolve o valor (coagido, se for o caso).
+   * Violacoes vao para `this.errors`.
+   */
+  check(value, schema, path) {
+    if (!schema || typeof schema !== 'object') return value;
+
+    if (schema.oneOf || schema.anyOf) {
+      return this._checkAlternatives(value, schema.oneOf || schema.anyOf, path);
+    }
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => matchesType(value, type))) {
+        const coerced = this.coerce
+          ? types.map(type => coerceTo(value, type)).find(result => result !== undefined)
+          : undefined;
+        if (coerced === undefined) {
+          this.errors.push(`\`${label(path)}\`: esperado ${describeType(schema.type)}, recebido ${typeOf(value)}`);
+          return value;
+        }
+        value = coerced;
+      }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+      const allowed = schema.enum.map(option => JSON.stringify(option)).join(', ');
+      this.errors.push(`\`${label(path)}\`: valor ${JSON.stringify(value)} fora das opcoes (${allowed})`);
+    }
+
+    if (typeof value === 'number') this._checkRange(value, schema, path);
+    if (typeof value === 'string') this._checkLength(value, schema, path);
+    if (Array.isArray(value)) return this._checkArray(value, schema, path);
+    if (matchesType(value, 'object')) return this._checkObject(value, schema, path);
+    return value;
+  }
+
+  /**
+   * oneOf/anyOf: vale o primeiro ramo sem violacoes. Os ramos dos schemas
+   * deste repo sao disjuntos, entao "primeiro que casa" equivale a oneOf.
+   */
+  _checkAlternatives(value, branches, path) {
+    for (const strict of [true, false]) {
+      if (!strict && !this.coerce) break;
+      for (const branch of branches) {
+        const attempt = new Validation(!strict);
+        const result = attempt.check(value, branch, path);
+        if (attempt.errors.length === 0) return result;
+      }
+    }
+    const expected = branches.map(branch => describeType(branch.type || 'schema')).join(' | ');
+    this.errors.push(`\`${label(path)}\`: esperado ${expected}, recebido ${typeOf(value)}`);
+    return value;
+  }
+
+  _checkRange(value, schema, path) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      this.errors.push(`\`${label(path)}\`: minimo ${schema.minimum}, recebido ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      this.errors.push(`\`${label(path)}\`: maximo ${schema.maximum}, recebido ${value}`);
+    }
+  }
+
+  _checkLength(value, schema, path) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      this.errors.push(`\`${label(path)}\`: minimo de ${schema.minLength} caracteres, recebido ${value.length}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      this.errors.push(`\`${label(path)}\`: maximo de ${schema.maxLength} caracteres, recebido ${value.length}`);
+    }
+  }
+
+  _checkArray(value, schema, path) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      this.errors.push(`\`${label(path)}\`: minimo de ${schema.minItems} item(ns), recebido ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      this.errors.push(`\`${label(path)}\`: maximo de ${schema.maxItems} item(ns), recebido ${value.length}`);
+    }
+    if (!schema.items) return value;
+    return value.map((item, index) => this.check(item, schema.items, `${path}[${index}]`));
+  }
+
+  _checkObject(value, schema, path) {
+    const properties = schema.properties || {};
+    const required = new Set(schema.required || []);
+    const result = {};
+    const prefix = path ? `${path}.` : '';
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = properties[key];
+      if (!propertySchema) {
+        if (schema.additionalProperties === true || (!schema.properties && schema.additionalProperties === undefined)) {
+          result[key] = propertyValue;
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          result[key] = this.check(propertyValue, schema.additionalProperties, `${prefix}${key}`);
+        } else {
+          this.errors.push(`\`${prefix}${key}\`: propriedade desconhecida`);
+        }
+        continue;
+      }
+      if (propertyValue === undefined) continue;
+      if (isBlank(propertyValue, propertySchema)) {
+        // Obrigatorio vazio cai no "obrigatorio" abaixo; opcional vazio so passa com coercao.
+        if (required.has(key) || this.coerce) continue;
+      }
+      if (propertyValue === null && this.coerce && !required.has(key) && !acceptsNull(propertySchema)) continue;
+      result[key] = this.check(propertyValue, propertySchema, `${prefix}${key}`);
+    }
+
+    for (const key of required) {
+      if (value[key] === undefined || (properties[key] && isBlank(value[key], properties[key]))) {
+        this.errors.push(`\`${prefix}${key}\`: obrigatorio`);
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Valida (e opcionalmente coage) os argumentos de uma tool.
+ *
+ * @param {object} inputSchema - `schema.inputSchema` da tool
+ * @param {object} [args] - argumentos do tools/call
+ * @param {object} [options]
+ * @param {boolean} [options.coerce=true] - coercao de tipos (ver cabecalho)
+ * @returns {{ args: object, errors: string[] }} `args` e uma copia — o objeto do cliente nao e mutado
+ */
+function validateArguments(inputSchema, args, options = {}) {
+  const validation = new Validation(options.coerce !== false);
+  const value = validation.check(args ?? {}, inputSchema || { type: 'object' }, '');
+  return { args: value, errors: validation.errors };
+}
+
+/**
+ * Resposta `isError` uniforme com todas as violacoes.
+ * @param {string} toolName
+ * @param {string[]} errors
+ */
+function invalidArgumentsResponse(toolName, errors) {
+  return errorResponse(
+    `**❌ Argumentos inválidos para \`${toolName}\`**\n\n` +
+    errors.map(error => `- ${error}`).join('\n') +
+    '\n\n*Corrija os argumentos conforme o inputSchema da tool e chame novamente.*'
+  );
+}
+
+module.exports = { validateArguments, invalidArgumentsResponse };
@@ -0,0 +1,140 @@
+/**
+ * dryRun.js — Modo simulacao das tools de escrita (create/update/delete/send).
+ *
+ * Ativado por chamada (`dry_run: true` no args) ou para o servidor inteiro
+ * (`tools.dryRun` / TIFLUX_MCP_DRY_RUN=true). Quando ligado pelo servidor,
+ * `dry_run: false` na chamada NAO desliga — e uma trava de seguranca.
+ *
+ * Como funciona: o HandlerRegistry roda o slice normalmente, mas com um api
+ * embrulhado por `createDryRunApi`. GETs passam direto para a API (resolucao
+ * de mesa, estagio, prioridade, catalogo, solicitante...); qualquer outro
+ * metodo e gravado e respondido com um sucesso sintetico sem sair do processo.
+ * O slice nao sabe que esta em dry-run — validacoes e resolucoes sao as mesmas
+ * do caminho real.
+ *
+ * Limitacao: a resposta sintetica tem `data: {}`, entao escritas encadeadas
+ * que dependem do id criado (ex.: criar e depois anexar) aparecem com o id
+ * ausente no endpoint.
+ */
+
+const { textResponse } = require('../tools/_shared/response');
+
+const DRY_RUN_STATUS = 200;
+
+function headerValue(headers, name) {
+  const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+  return key ? String(headers[key]) : null;
+}
+
+/**
+ * Resume um corpo multipart montado por TiFluxAPI._buildMultipart: campos com
+ * valor, arquivos so com nome/tipo/tamanho (o conteudo nao vai para a resposta).
+ */
+function describeMultipart(buffer, contentType) {
+  const match = /boundary=([^;]+)/.exec(contentType);
+  if (!match) return { format: 'multipart', bytes: buffer.length };
+
+  const fields = [];
+  const files = [];
+  const raw = buffer.toString('latin1');
+  for (const segment of raw.split(`--${match[1]}`)) {
+    const headerEnd = segment.indexOf('\r\n\r\n');
+    if (headerEnd < 0) continue;
+    const head = segment.slice(0, headerEnd);
+    const body = segment.slice(headerEnd + 4).replace(/\r\n$/, '');
+    const name = /name="([^"]*)"/.exec(head)?.[1] ?? null;
+    const filename = /filename="([^"]*)"/.exec(head)?.[1];
+    if (filename !== undefined) {
+      files.push({
+        field: name,
+        filename,
+        content_type: /Content-Type: ([^\r\n]+)/i.exec(head)?.[1] ?? null,
+        bytes: Buffer.byteLength(body, 'latin1')
+      });
+    } else {
+      fields.push({ name, value: Buffer.from(body, 'latin1').toString('utf8') });
+    }
+  }
+  return { format: 'multipart', fields, files };
+}
+
+function describeBody(data, headers) {
+  if (data === null || data === undefined) return null;
+  const contentType = headerValue(headers, 'content-type') || '';
+  if (Buffer.isBuffer(data)) {
+    return contentType.startsWith('multipart/')
+      ? describeMultipart(data, contentType)
+      : { format: 'binary', bytes: data.length };
+  }
+  if (typeof data === 'string') {
+    try {
+      return { format: 'json', payload: JSON.parse(data) };
+    } catch {
+      return { format: 'text', payload: data };
+    }
+  }
+  return { format: 'json', payload: data };
+}
+
+/**
+ * Embrulha um TiFluxAPI: leituras reais, escritas gravadas.
+ *
+ * @param {object} api - TiFluxAPI (ou compativel: makeRequest/makeRequestBinary)
+ * @returns {{ api: object, requests: Array<{ method: string, endpoint: string, content_type: string|null, body: object|null }> }}
+ */
+function createDryRunApi(api) {
+  const requests = [];
+  const wrapped = Object.create(api);
+
+  const intercept = (original) => async function (endpoint, method = 'GET', data = null, headers = {}) {
+    if (String(method).toUpperCase() === 'GET') {
+      return original.call(this, endpoint, method, data, headers);
+    }
+    requests.push({
+      method: String(method).toUpperCase(),
+      endpoint,
+      content_type: headerValue(headers, 'content-type'),
+      body: describeBody(data, headers)
+    });
+    return { data: {}, status: DRY_RUN_STATUS, headers: {}, dryRun: true };
+  };
+
+  wrapped.makeRequest = intercept(api.makeRequest);
+  wrapped.makeRequestBinary = intercept(api.makeRequestBinary);
+
+  return { api: wrapped, requests };
+}
+
+/**
+ * Resposta da tool em dry-run: uma secao por escrita que seria enviada.
+ *
+ * @param {string} toolName
+ * @param {Array<object>} requests - `requests` de createDryRunApi
+ * @param {{ serverWide?: boolean, error?: Error }} [options]
+ *   serverWide: modo ligado pelo servidor; error: excecao do slice apos a 1a escrita
+ */
+function dryRunResponse(toolName, requests, { serverWide = false, error = null } = {}) {
+  const origin = serverWide ? 'modo dry-run do servidor, `TIFLUX_MCP_DRY_RUN`' : '`dry_run: true`';
+  let text = `**🧪 Simulação (dry-run) — ${toolName}**\n\n`;
+  text += `Nada foi gravado na API — ${origin}. Nomes, IDs e validações foram resolvidos normalmente; `;
+  text += requests.length === 1
+    ? 'esta é a requisição que seria enviada:\n'
+    : `estas são as ${requests.length} requisições que seriam enviadas, em ordem:\n`;
+
+  requests.forEach((request, index) => {
+    text += `\n**${index + 1}. \`${request.method} ${request.endpoint}\`**`;
+    if (request.content_type) text += ` — ${request.content_type.split(';')[0]}`;
+    text += '\n';
+    if (request.body) {
+      text += `\n\`\`\`json\n${JSON.stringify(request.body, null, 2)}\n\`\`\`\n`;
+    }
+  });
+
+  if (error) {
+    text += `\n⚠️ A tool parou depois da simulação (${error.message}) — passos seguintes dependiam da resposta real da API.\n`;
+  }
+
+  return textResponse(text);
+}
+
+module.exports = { createDryRunApi, dryRunResponse, describeBody };
@@ -7,6 +7,9 @@
  */
 
 const HandlerRegistry = require('./HandlerRegistry');
+const { createToolFilter } = require('./toolProfile');
+const { createPermissionGate } = require('./toolPermissions');
+const { createAuditJournal } = require('../audit');
 
 const TicketHandlers = require('../tools/tickets');
 const ClientHandlers = require('../tools/clients');
@@ -28,9 +31,33 @@ const TemplateHandlers = require('../tools/templates');
 const BillingHandlers = require('../tools/billings');
 const ServicesCatalogHandlers = require('../tools/services_catalogs');
 const PreAppointmentHandlers = require('../tools/pre_appointments');
+const AuditHandlers = require('../tools/audit');
+const ServerHandlers = require('../tools/server');
 
-function createRegistry() {
-  const registry = new HandlerRegistry();
+/**
+ * @param {object} [options] - repassado ao HandlerRegistry (ex: { apiFactory, serverStatus })
+ * @param {object} [options.tools] - bloco `tools` da config ({ profile, include, exclude, dryRun, coerceArgs,
+ *   permissions }); ver ./toolProfile.js, ./dryRun.js, ./argumentValidator.js e ./toolPermissions.js.
+ *   Ausente = perfil 'full', sem dry-run, com coercao de argumentos, tools sem permissao sinalizadas.
+ * @param {object} [options.audit] - bloco `audit` da config ({ enabled, file }); ver src/audit.
+ *   Ausente = diario ligado no arquivo default.
+ * @param {object} [options.logger] - logger do servidor (warnings do diario)
+ * @param {() => void} [options.onToolsChanged] - chamado quando a checagem de permissoes
+ *   de uma chave muda o que o ListTools devolveria (stdio: notifications/tools/list_changed)
+ * @param {string} [options.transport] - 'stdio' (default) | 'http'. No HTTP as tools
+ *   de introspeccao do servidor (get_server_metrics, get_server_status) ficam de fora: o processo
+ *   atende varios tenants e as metricas saem em GET /metrics.
+ */
+function createRegistry(options = {}) {
+  const { tools = {}, audit, logger, transport = 'stdio', onToolsChanged, ...registryOptions } = options;
+  const registry = new HandlerRegistry({
+    ...registryOptions,
+    toolFilter: createToolFilter(tools),
+    dryRun: tools.dryRun === true,
+    coerceArgs: tools.coerceArgs !== false,
+    permissionGate: createPermissionGate({ mode: tools.permissions, logger, onChange: onToolsChanged }),
+    auditJournal: createAuditJournal(audit, logger)
+  });
   registry.register(TicketHandlers);
   registry.register(ClientHandlers);
   registry.register(UserHandlers);
@@ -51,8 +78,12 @@ function createRegistry() {
   registry.register(BillingHandlers);
   registry.register(ServicesCatalogHandlers);
   registry.register(PreAppointmentHandlers);
+  registry.register(AuditHandlers);
+  if (transport !== 'http') {
+    registry.register(ServerHandlers);
+  }
 
-  // Lê verbosidade do env (SDK); Lambda sobrescreve via registry.setVerbosity por request.
+  // Lê verbosidade default do env (SDK); por requisicao vale execute(..., { verbosity }).
   // Default 'rich' preserva comportamento atual quando env nao esta definido.
   if (process.env.TIFLUX_MCP_VERBOSITY) {
     registry.setVerbosity(process.env.TIFLUX_MCP_VERBOSITY);
@@ -0,0 +1,52 @@
+/**
+ * throttleNotice.js — Aviso de rate limit na resposta da tool.
+ *
+ * O HandlerRegistry prende o api da requisicao a um log
+ * (`TiFluxAPI.withThrottleLog`); cada espera do RateLimiter ou 429 da API
+ * vira um evento. Se houve algum, a resposta da tool ganha uma linha no fim
+ * explicando a demora — ou por que o relatorio parou no meio.
+ */
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1).replace('.', ',')}s`;
+}
+
+/**
+ * @param {object[]} events - `{ type: 'wait', ms }` | `{ type: '429', retryAfterMs }`
+ * @returns {string|null} null quando nao houve throttling
+ */
+function describeThrottling(events) {
+  if (!events || events.length === 0) return null;
+
+  const waits = events.filter(event => event.type === 'wait');
+  const rejections = events.filter(event => event.type === '429').length;
+  const waitedMs = waits.reduce((total, event) => total + event.ms, 0);
+
+  const parts = [];
+  if (waits.length > 0) {
+    parts.push(`aguardou ${formatSeconds(waitedMs)} em ${waits.length} espera(s)`);
+  }
+  if (rejections > 0) {
+    parts.push(`recebeu ${rejections} resposta(s) 429 da API`);
+  }
+  return `*⏱️ Limite de requisições da API TiFlux: esta chamada ${parts.join(' e ')}.*`;
+}
+
+/**
+ * Acrescenta o aviso ao primeiro bloco de texto do resultado (sem mutar o original).
+ * @param {object} result - resposta MCP do slice
+ * @param {object[]} events
+ */
+function appendThrottleNotice(result, events) {
+  const notice = describeThrottling(events);
+  if (!notice || !result || !Array.isArray(result.content)) return result;
+
+  const index = result.content.findIndex(item => item.type === 'text');
+  if (index === -1) return result;
+
+  const content = result.content.slice();
+  content[index] = { ...content[index], text: `${content[index].text}\n\n${notice}` };
+  return { ...result, content };
+}
+
+module.exports = { describeThrottling, appendThrottleNotice };
@@ -0,0 +1,336 @@
+/**
+ * toolPermissions.js — ListTools ciente das permissoes do usuario da chave.
+ *
+ * Varias tools dependem de permissoes do perfil do usuario TiFlux ("Visualizar
+ * recursos", "Faturar servicos avulsos e contratos", licenca Tickets...). Sem
+ * elas a API responde 403 — e o usuario so descobre depois de chamar.
+ *
+ * O gate consulta GET /users/me (quem e o usuario) e faz uma checagem barata
+ * por permissao: um GET de listagem com `limit: 1`. A checagem roda em
+ * background — disparada na subida (stdio, chave do processo) ou na primeira
+ * listagem/chamada de cada chave — e nunca segura o ListTools: ate o resultado
+ * chegar as tools saem sem marcacao. Quando ele muda o que seria listado,
+ * `onChange` avisa (o servidor stdio manda notifications/tools/list_changed).
+ *
+ * So 403 conta como permissao ausente; falha inconclusiva (5xx, timeout, 429)
+ * deixa a permissao como desconhecida — ou negada, se ja estava negada antes.
+ * O resultado fica em cache por chave (hash) por CACHE_TTL_MS — ou so
+ * RETRY_TTL_MS quando alguma checagem foi inconclusiva. Vencido, continua
+ * valendo ate a nova checagem (em background) terminar: uma tool oculta nao
+ * volta a rodar so porque o TTL passou.
+ *
+ * No modo HTTP cada chave distinta ganha uma entrada: a entrada vencida e sem
+ * uso ha STALE_MS sai do cache, e acima de MAX_ENTRIES saem as usadas ha mais
+ * tempo. Chave descartada volta a listar sem marcacao ate a nova checagem.
+ *
+ * Modos (config `tools.permissions` / TIFLUX_MCP_TOOL_PERMISSIONS):
+ *   - 'flag' (default): a tool continua listada, com aviso no inicio da descricao
+ *   - 'hide': a tool some do ListTools e CallTool a recusa
+ *   - 'off': sem checagem
+ *
+ * Permissoes sem checagem de leitura barata ficam de fora (so a descricao da
+ * tool avisa): "Gerenciar conhecimento" (create_knowledge), "Criar e editar
+ * apontamentos" (list_pre_appointments, exige um ticket) e as de relatorio
+ * (get_billings_history, relatorios de feedback) — o unico GET delas e o
+ * proprio relatorio. "Gerenciar recursos" e checada pelo minimo necessario:
+ * sem "Visualizar recursos" a escrita tambem falha.
+ */
+
+const crypto = require('crypto');
+const { CancelledError } = require('../utils/errors');
+
+const MODES = ['flag', 'hide', 'off'];
+const DEFAULT_MODE = 'flag';
+
+const CACHE_TTL_MS = 10 * 60 * 1000; // permissao muda raramente; reinicio ou TTL pegam a mudanca
+const RETRY_TTL_MS = 60 * 1000;
+const STALE_MS = 60 * 60 * 1000;
+const MAX_ENTRIES = 1000;
+const PROBE_TIMEOUT_MS = 5000; // API lenta: sem resposta, a permissao fica desconhecida
+
+const GRANTED = 'granted';
+const DENIED = 'denied';
+const UNKNOWN = 'unknown';
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Catalogo: permissao → checagem barata + tools que dependem dela.
+ * `check(api, me)` devolve a resposta da API (ou um status ja decidido).
+ */
+const PERMISSIONS = [
+  {
+    id: 'admin',
+    label: 'Administrador',
+    endpoint: 'GET /users',
+    // /users/me ja diz se e admin; senao, GET /users decide
+    check: (api, me) => (me?._type === 'admin' ? GRANTED : api.listUsers({ limit: 1 })),
+    tools: ['get_user', 'create_user', 'update_user']
+  },
+  {
+    id: 'resources',
+    label: 'Visualizar recursos',
+    endpoint: 'GET /equipments',
+    check: api => api.listEquipments({ limit: 1 }),
+    tools: [
+      'list_equipments', 'get_equipment', 'list_equipment_types', 'list_equipment_groups',
+      'list_equipment_softwares', 'create_equipment', 'update_equipment'
+    ]
+  },
+  {
+    id: 'pre_tickets',
+    label: 'Gerenciar pré-tickets',
+    endpoint: 'GET /pre-tickets',
+    check: api => api.listPreTickets({ limit: 1 }),
+    tools: ['list_pre_tickets', 'create_pre_ticket']
+  },
+  {
+    id: 'templates',
+    label: 'Gerenciar Modelos',
+    endpoint: 'GET /templates/whatsapp_cloud',
+    check: api => api.listWhatsappCloudTemplates({ limit: 1 }),
+    tools: ['list_whatsapp_cloud_templates', 'list_gupshup_templates']
+  },
+  {
+    id: 'appointments',
+    label: 'acesso aos apontamentos da organização',
+    endpoint: 'GET /appointments',
+    check: api => api.listAppointmentsGlobal({ start_date: today(), end_date: today(), limit: 1 }),
+    tools: ['list_appointments_global', 'list_appointments_report']
+  }
+];
+
+const PERMISSION_BY_TOOL = new Map(
+  PERMISSIONS.flatMap(permission => permission.tools.map(tool => [tool, permission]))
+);
+
+/**
+ * Le o modo do env/config ("flag", "hide", "off").
+ * @throws {Error} modo desconhecido
+ */
+function normalizeMode(mode) {
+  const value = String(mode || DEFAULT_MODE).trim().toLowerCase();
+  if (!MODES.includes(value)) {
+    throw new Error(`Modo de permissoes de tools invalido: ${mode}. Use um de: ${MODES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Resposta da checagem → granted | denied | unknown.
+ * - 403: permissao ausente;
+ * - outro 4xx (400, 404, 422): a API passou da autorizacao — nao e permissao;
+ * - 401, 429, 5xx, rede/timeout: inconclusivo. 401 e a chave inteira invalida,
+ *   nao uma permissao faltando (get_server_status mostra).
+ */
+function statusOf(response) {
+  if (response === GRANTED || response === DENIED) return response;
+  if (!response?.error) return GRANTED;
+  const status = Number(response.status);
+  if (status === 403) return DENIED;
+  if (status >= 400 && status < 500 && status !== 401 && status !== 429) return GRANTED;
+  return UNKNOWN;
+}
+
+function cacheKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey || '')).digest('hex');
+}
+
+/**
+ * Aviso prefixado na descricao da tool no modo 'flag'.
+ */
+function flagDescription(schema, permission) {
+  return `⚠️ SEM PERMISSÃO: a chave de API em uso não tem "${permission.label}" ` +
+    `(${permission.endpoint} respondeu 403) — esta tool deve falhar; peça a permissão ao administrador da conta. ` +
+    schema.description;
+}
+
+/**
+ * IDs das permissoes negadas (para comparar dois resultados).
+ */
+function deniedIds(access) {
+  if (!access) return '';
+  return PERMISSIONS.filter(permission => access.permissions[permission.id] === DENIED).map(p => p.id).join(',');
+}
+
+/**
+ * Cria o gate de permissoes do registry.
+ *
+ * @param {object} [options]
+ * @param {string} [options.mode] - 'flag' | 'hide' | 'off'
+ * @param {object} [options.logger] - logger do servidor (resultado de cada checagem)
+ * @param {(access: object) => void} [options.onChange] - chamado quando uma checagem muda
+ *   as permissoes negadas de uma chave
+ * @returns {{ mode: string, lookup: Function, check: Function, apply: Function, deniedPermission: Function, clear: Function }}
+ */
+function createPermissionGate(options = {}) {
+  const mode = normalizeMode(options.mode);
+  const logger = options.logger || null;
+  const onChange = options.onChange || null;
+  // hash → { access, expiresAt, usedAt }. Ordem de insercao = LRU.
+  const cache = new Map();
+  const inFlight = new Map();
+
+  async function probe(api) {
+    const bound = typeof api.withSignal === 'function' ? api.withSignal(AbortSignal.timeout(PROBE_TIMEOUT_MS)) : api;
+    const run = async (fn) => {
+      try {
+        return statusOf(await fn());
+      } catch (error) {
+        if (!(error instanceof CancelledError)) logger?.warn?.('Permission check failed', { error: error.message });
+        return UNKNOWN;
+      }
+    };
+
+    let me = null;
+    const meStatus = await run(async () => {
+      const response = await bound.fetchCurrentUser();
+      if (!response?.error) me = response.data || null;
+      return response;
+    });
+
+    const permissions = {};
+    if (meStatus === GRANTED) {
+      const statuses = await Promise.all(PERMISSIONS.map(permission => run(() => permission.check(bound, me))));
+      PERMISSIONS.forEach((permission, index) => { permissions[permission.id] = statuses[index]; });
+    } else {
+      for (const permission of PERMISSIONS) permissions[permission.id] = UNKNOWN;
+    }
+
+    const access = {
+      user: me ? { id: me.id, name: me.name, type: me._type } : null,
+      permissions,
+      checkedAt: new Date().toISOString()
+    };
+    logger?.info?.('Tool permissions checked', {
+      user: access.user?.id,
+      denied: PERMISSIONS.filter(p => permissions[p.id] === DENIED).map(p => p.id),
+      unknown: PERMISSIONS.filter(p => permissions[p.id] === UNKNOWN).map(p => p.id)
+    });
+    return access;
+  }
+
+  /**
+   * Checa a chave (uma checagem por chave por vez) e grava no cache.
+   * Inconclusivo nao desfaz um "negado" anterior.
+   */
+  function refresh(key, createApi) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const pending = Promise.resolve()
+      .then(() => probe(createApi()))
+      .then((access) => {
+        const previous = cache.get(key)?.access || null;
+        const hasUnknown = Object.values(access.permissions).includes(UNKNOWN);
+        if (previous) {
+          for (const [id, status] of Object.entries(access.permissions)) {
+            if (status === UNKNOWN && previous.permissions[id] === DENIED) access.permissions[id] = DENIED;
+          }
+        }
+        const now = Date.now();
+        cache.delete(key);
+        cache.set(key, { access, expiresAt: now + (hasUnknown ? RETRY_TTL_MS : CACHE_TTL_MS), usedAt: now });
+        prune(now);
+        if (onChange && deniedIds(previous) !== deniedIds(access)) onChange(access);
+        return access;
+      })
+      .catch((error) => {
+        logger?.warn?.('Permission check failed', { error: error.message });
+        return null;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Permissoes conhecidas da chave, sem esperar a API: o ultimo resultado
+   * (mesmo vencido) ou null se a chave ainda nao foi checada. Sem resultado,
+   * ou com ele vencido, dispara a checagem em background.
+   *
+   * @param {string|null|undefined} apiKey - chave da requisicao (undefined = a do processo)
+   * @param {() => object} createApi - cria o TiFluxAPI da chave, so se for checar
+   * @returns {object|null} null com mode 'off'
+   */
+  function lookup(apiKey, createApi) {
+    if (mode === 'off') return null;
+    const key = cacheKey(apiKey);
+    const entry = cache.get(key);
+    const now = Date.now();
+    if (entry) {
+      entry.usedAt = now;
+      cache.delete(key);
+      cache.set(key, entry);
+    }
+    if (!entry || entry.expiresAt <= now) refresh(key, createApi);
+    return entry ? entry.access : null;
+  }
+
+  /**
+   * Remove as entradas vencidas sem uso ha STALE_MS e volta o cache para
+   * MAX_ENTRIES, descartando as usadas ha mais tempo.
+   */
+  function prune(now) {
+    for (const [key, entry] of cache) {
+      if (entry.expiresAt <= now && now - entry.usedAt > STALE_MS) cache.delete(key);
+    }
+    while (cache.size > MAX_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Checa a chave agora e espera o resultado (aquecimento, testes).
+   * @returns {Promise<object|null>}
+   */
+  function check(apiKey, createApi) {
+    if (mode === 'off') return Promise.resolve(null);
+    return refresh(cacheKey(apiKey), createApi);
+  }
+
+  /**
+   * Permissao negada que bloqueia a tool, ou null.
+   */
+  function deniedPermission(toolName, access) {
+    const permission = PERMISSION_BY_TOOL.get(toolName);
+    if (!permission || !access) return null;
+    return access.permissions[permission.id] === DENIED ? permission : null;
+  }
+
+  /**
+   * Lista de schemas do ListTools com as permissoes aplicadas (nova lista;
+   * os schemas do registry nao sao alterados).
+   */
+  function apply(tools, access) {
+    if (!access) return tools;
+    const result = [];
+    for (const schema of tools) {
+      const permission = deniedPermission(schema.name, access);
+      if (!permission) {
+        result.push(schema);
+      } else if (mode === 'flag') {
+        result.push({ ...schema, description: flagDescription(schema, permission) });
+      }
+    }
+    return result;
+  }
+
+  function clear() {
+    cache.clear();
+  }
+
+  return { mode, lookup, check, apply, deniedPermission, clear };
+}
+
+module.exports = {
+  createPermissionGate,
+  normalizeMode,
+  PERMISSIONS,
+  MODES,
+  DEFAULT_MODE,
+  CACHE_TTL_MS,
+  STALE_MS,
+  MAX_ENTRIES
+};
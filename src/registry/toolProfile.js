@@ -0,0 +1,81 @@
+/**
+ * toolProfile.js — Perfis de tools: quais tools o registry expoe.
+ *
+ * Configuracao em `tools.*` (config/*.json) ou env:
+ *   - profile: 'full' (default) | 'read-only' | 'agent'
+ *       read-only: so list_* / get_* / search_* (annotations.readOnlyHint)
+ *       agent:     tudo menos delete_*, cancel_ticket e send_message (AGENT_BLOCKED)
+ *   - include: globs; quando informado, a tool precisa casar com ao menos um
+ *   - exclude: globs; a tool que casar fica de fora (vence include e profile)
+ *
+ * Globs casam o nome inteiro da tool; `*` = qualquer sequencia, `?` = 1 caractere.
+ * O filtro e aplicado no register do HandlerRegistry: tools fora do perfil nao
+ * aparecem em ListTools e CallTool as recusa.
+ */
+
+// Fora do perfil agent: o que apaga dados, cancela ticket ou fala com o
+// cliente final — o risco do NOC. Lista explicita de proposito: destructiveHint
+// tambem marca close_ticket, que o agente precisa.
+const AGENT_BLOCKED = ['delete_*', 'cancel_ticket', 'send_message'];
+
+const PROFILES = {
+  full: () => true,
+  // Mesmo conjunto de list_*/get_*/search_*: a annotation e a fonte de verdade
+  // (HandlerRegistry exige annotations), o prefixo seria so convencao de nome.
+  'read-only': (schema) => schema.annotations?.readOnlyHint === true,
+  agent: (schema) => !AGENT_BLOCKED.some(glob => globToRegExp(glob).test(schema.name))
+};
+
+const DEFAULT_PROFILE = 'full';
+
+function globToRegExp(glob) {
+  const pattern = glob
+    .trim()
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Aceita array ou CSV ("list_*,get_ticket") — o formato do env.
+ * @returns {string[]}
+ */
+function parseGlobList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Monta o filtro de tools do perfil.
+ *
+ * @param {object} [options] - bloco `tools` da config
+ * @param {string} [options.profile] - 'full' | 'read-only' | 'agent'
+ * @param {string[]|string} [options.include] - globs de inclusao
+ * @param {string[]|string} [options.exclude] - globs de exclusao
+ * @returns {{ profile: string, include: string[], exclude: string[], allows: (schema: object) => boolean }}
+ * @throws {Error} perfil desconhecido
+ */
+function createToolFilter(options = {}) {
+  const profile = options.profile || DEFAULT_PROFILE;
+  const profileAllows = PROFILES[profile];
+  if (!profileAllows) {
+    throw new Error(`Perfil de tools invalido: ${profile}. Use um de: ${Object.keys(PROFILES).join(', ')}`);
+  }
+
+  const include = parseGlobList(options.include);
+  const exclude = parseGlobList(options.exclude);
+  const includeRes = include.map(globToRegExp);
+  const excludeRes = exclude.map(globToRegExp);
+
+  function allows(schema) {
+    if (excludeRes.some(re => re.test(schema.name))) return false;
+    if (includeRes.length > 0 && !includeRes.some(re => re.test(schema.name))) return false;
+    return profileAllows(schema);
+  }
+
+  return { profile, include, exclude, allows };
+}
+
+module.exports = { createToolFilter, parseGlobList, PROFILES, DEFAULT_PROFILE };
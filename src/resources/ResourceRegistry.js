@@ -0,0 +1,146 @@
+/**
+ * ResourceRegistry - registro central de resources MCP (resource templates).
+ *
+ * Cada definicao em `./<recurso>.js` exporta
+ * `{ uriTemplate, name, title, description, mimeType, read }`. O registry
+ * agrega os templates para `resources/templates/list` e roteia
+ * `resources/read` pelo casamento da URI contra cada `uriTemplate`.
+ *
+ * Mesmo modelo de contexto do HandlerRegistry: chave/verbosidade chegam por
+ * requisicao em `read(uri, context)` e viram um ctx novo — nada e gravado na
+ * instancia compartilhada.
+ *
+ * Toda variavel dos templates e um ID numerico: o valor capturado passa por
+ * decodeURIComponent e precisa casar `^\d+$` antes de virar caminho na API.
+ * Fora disso (`tiflux://tickets/1?x=y`, `%2F..`, `abc`) a leitura falha com
+ * InvalidParams, sem chamar a API.
+ */
+
+const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const TiFluxAPI = require('../api/tiflux-api');
+const { normalizeVerbosity } = require('../registry/HandlerRegistry');
+
+// Codigo JSON-RPC "Resource not found" da spec MCP (fora do enum ErrorCode do SDK).
+const RESOURCE_NOT_FOUND = -32002;
+
+const NUMERIC_ID = /^\d+$/;
+
+/**
+ * Converte `tiflux://tickets/{ticket_number}` em regex com grupos nomeados.
+ * Variaveis casam um unico segmento (sem `/`).
+ */
+function compileUriTemplate(uriTemplate) {
+  const pattern = uriTemplate
+    .split(/(\{[a-z_]+\})/)
+    .map(part => {
+      const variable = part.match(/^\{([a-z_]+)\}$/);
+      if (variable) return `(?<${variable[1]}>[^/]+)`;
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Decodifica e valida as variaveis capturadas da URI.
+ * @returns {object} variaveis decodificadas
+ * @throws {McpError} InvalidParams quando alguma nao e um ID numerico
+ */
+function parseVariables(groups, uri) {
+  const variables = {};
+  for (const [name, raw] of Object.entries(groups)) {
+    let value;
+    try {
+      value = decodeURIComponent(raw);
+    } catch {
+      value = null;
+    }
+    if (value === null || !NUMERIC_ID.test(value)) {
+      throw new McpError(ErrorCode.InvalidParams, `URI invalida: ${uri} — \`${name}\` deve ser um ID numerico`, { uri });
+    }
+    variables[name] = value;
+  }
+  return variables;
+}
+
+/** Status da API → codigo JSON-RPC do erro de leitura. */
+function errorCodeFor(status) {
+  if (status === 404) return RESOURCE_NOT_FOUND;
+  if (status === 400 || status === 422) return ErrorCode.InvalidParams;
+  return ErrorCode.InternalError;
+}
+
+class ResourceRegistry {
+  /**
+   * @param {object} [options]
+   * @param {(apiKey: string) => object} [options.apiFactory] - cria o TiFluxAPI por requisicao
+   */
+  constructor(options = {}) {
+    this.templates = [];
+    this.apiFactory = options.apiFactory || null;
+    this.api = new TiFluxAPI();
+  }
+
+  register(definition) {
+    if (!definition || !definition.uriTemplate || typeof definition.read !== 'function') {
+      throw new Error('Resource precisa de { uriTemplate, read }');
+    }
+    if (this.templates.some(t => t.definition.uriTemplate === definition.uriTemplate)) {
+      throw new Error(`Resource ${definition.uriTemplate} ja registrado`);
+    }
+
+    this.templates.push({ definition, matcher: compileUriTemplate(definition.uriTemplate) });
+    return this;
+  }
+
+  getResourceTemplates() {
+    return this.templates.map(({ definition }) => ({
+      uriTemplate: definition.uriTemplate,
+      name: definition.name,
+      title: definition.title,
+      description: definition.description,
+      mimeType: definition.mimeType
+    }));
+  }
+
+  /**
+   * Le um resource pela URI concreta (ex: `tiflux://tickets/123`).
+   *
+   * @param {string} uri
+   * @param {object} [context] - { apiKey, verbosity } da requisicao
+   * @returns {Promise<{ contents: Array<{ uri, mimeType, text }> }>}
+   * @throws {McpError} -32002 quando nenhum template casa ou a API responde 404;
+   *   -32602 com variavel invalida (ou 400/422 da API)
+   */
+  async read(uri, context = {}) {
+    for (const { definition, matcher } of this.templates) {
+      const match = matcher.exec(uri);
+      if (!match) continue;
+
+      const variables = parseVariables(match.groups, uri);
+      const ctx = {
+        api: context.apiKey ? this._createApi(context.apiKey) : this.api,
+        verbosity: normalizeVerbosity(context.verbosity)
+      };
+
+      const result = await definition.read(variables, ctx);
+
+      if (result.error) {
+        throw new McpError(errorCodeFor(result.status), `Erro ao ler ${uri}: ${result.error}`, { uri, status: result.status });
+      }
+
+      return {
+        contents: [{ uri, mimeType: definition.mimeType, text: result.text }]
+      };
+    }
+
+    throw new McpError(RESOURCE_NOT_FOUND, `Resource desconhecido: ${uri}`, { uri });
+  }
+
+  _createApi(apiKey) {
+    if (this.apiFactory) return this.apiFactory(apiKey);
+    return new TiFluxAPI(apiKey);
+  }
+}
+
+module.exports = { ResourceRegistry, compileUriTemplate, RESOURCE_NOT_FOUND };
@@ -0,0 +1,24 @@
+/**
+ * Resource: tiflux://clients/{id} — cadastro do cliente em Markdown.
+ *
+ * Endpoint: GET /clients/{id} (via api.getClient). Reusa o formatter de get_client.
+ */
+
+const { format: formatClient } = require('../tools/clients/getClient');
+const { parseIntStrict } = require('../tools/_shared/validators');
+
+async function read({ id }, { api, verbosity }) {
+  const clientId = parseIntStrict(id, 'id');
+  const response = await api.getClient(clientId);
+  if (response.error) return response;
+  return { text: formatClient(response.data, verbosity) };
+}
+
+module.exports = {
+  uriTemplate: 'tiflux://clients/{id}',
+  name: 'client',
+  title: 'Cliente TiFlux',
+  description: 'Cliente pelo ID: dados cadastrais, status, mesas vinculadas e grupos técnicos.',
+  mimeType: 'text/markdown',
+  read
+};
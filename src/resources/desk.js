@@ -0,0 +1,24 @@
+/**
+ * Resource: tiflux://desks/{id} — configuracao da mesa em Markdown.
+ *
+ * Endpoint: GET /desks/{id} (via api.getDesk). Reusa o formatter de get_desk.
+ */
+
+const { format: formatDesk } = require('../tools/desks/getDesk');
+const { parseIntStrict } = require('../tools/_shared/validators');
+
+async function read({ id }, { api }) {
+  const deskId = parseIntStrict(id, 'id');
+  const response = await api.getDesk(deskId);
+  if (response.error) return response;
+  return { text: formatDesk(response.data) };
+}
+
+module.exports = {
+  uriTemplate: 'tiflux://desks/{id}',
+  name: 'desk',
+  title: 'Mesa TiFlux',
+  description: 'Mesa pelo ID: identificação, configurações de atendimento, SLA e regras da mesa.',
+  mimeType: 'text/markdown',
+  read
+};
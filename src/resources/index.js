@@ -0,0 +1,23 @@
+/**
+ * Registry central de resources MCP.
+ *
+ * Para adicionar um resource novo: crie `./<recurso>.js` exportando
+ * `{ uriTemplate, name, title, description, mimeType, read }` e registre
+ * uma linha abaixo.
+ */
+
+const { ResourceRegistry } = require('./ResourceRegistry');
+
+/**
+ * @param {object} [options] - repassado ao ResourceRegistry (ex: { apiFactory })
+ */
+function createResourceRegistry(options = {}) {
+  const registry = new ResourceRegistry(options);
+  registry.register(require('./ticket'));
+  registry.register(require('./client'));
+  registry.register(require('./desk'));
+  registry.register(require('./knowledge'));
+  return registry;
+}
+
+module.exports = { ResourceRegistry, createResourceRegistry };
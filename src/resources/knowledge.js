@@ -0,0 +1,25 @@
+/**
+ * Resource: tiflux://knowledges/{id} — artigo da base de conhecimento em Markdown.
+ *
+ * Endpoint: GET /knowledges/{id} (via api.getKnowledge). Reusa o formatter de
+ * get_knowledge (corpo convertido de HTML para Markdown).
+ */
+
+const { format: formatKnowledge } = require('../tools/knowledges/getKnowledge');
+const { parseIntStrict } = require('../tools/_shared/validators');
+
+async function read({ id }, { api }) {
+  const knowledgeId = parseIntStrict(id, 'id');
+  const response = await api.getKnowledge(knowledgeId);
+  if (response.error) return response;
+  return { text: formatKnowledge(response.data) };
+}
+
+module.exports = {
+  uriTemplate: 'tiflux://knowledges/{id}',
+  name: 'knowledge',
+  title: 'Conhecimento TiFlux',
+  description: 'Artigo da base de conhecimento pelo ID, com o corpo em Markdown.',
+  mimeType: 'text/markdown',
+  read
+};
@@ -0,0 +1,24 @@
+/**
+ * Resource: tiflux://tickets/{ticket_number} — ticket completo em Markdown.
+ *
+ * Endpoint: GET /tickets/{ticket_number} (via api.fetchTicket).
+ * Reusa o formatter de get_ticket, entao o conteudo anexado e o mesmo que a
+ * tool devolveria — sem gastar uma tool call.
+ */
+
+const { format: formatTicket } = require('../tools/tickets/getTicket');
+
+async function read({ ticket_number }, { api, verbosity }) {
+  const response = await api.fetchTicket(ticket_number, { include_filled_entity: true });
+  if (response.error) return response;
+  return { text: formatTicket(ticket_number, response.data, verbosity) };
+}
+
+module.exports = {
+  uriTemplate: 'tiflux://tickets/{ticket_number}',
+  name: 'ticket',
+  title: 'Ticket TiFlux',
+  description: 'Ticket pelo número: status, prioridade, mesa, estágio, responsável, cliente, SLA, descrição e campos personalizados preenchidos.',
+  mimeType: 'text/markdown',
+  read
+};
@@ -0,0 +1,203 @@
+/**
+ * SandboxServer — API TiFlux v2 falsa, em processo, para treinamento e demos.
+ *
+ * Ligado por `TIFLUX_MCP_SANDBOX=1`: o servidor MCP sobe este HTTP em
+ * 127.0.0.1 (porta livre) e aponta o TiFluxAPI para ele
+ * (`TiFluxAPI.useBaseUrl`). Toda tool funciona — inclusive escritas — sem
+ * conta real e sem risco de tocar producao.
+ *
+ * - Dados ficticios de src/sandbox/seed.js; escritas alteram so a memoria do
+ *   processo (reiniciar volta ao seed).
+ * - Endpoints cobertos em src/sandbox/routes.js (tickets, respostas, clientes,
+ *   mesas, estagios, prioridades, apontamentos, chats e equipamentos).
+ *   Listagens devolvem `X-Total-Items` como a API real.
+ * - Qualquer Bearer token e aceito; sem `Authorization` a resposta e 401.
+ * - Endpoint fora da cobertura responde 400 com mensagem explicita (nao 5xx:
+ *   nao dispara retry nem abre o circuit breaker).
+ */
+
+'use strict';
+
+const http = require('http');
+const { createSeed } = require('./seed');
+const { matchRoute } = require('./routes');
+
+const API_PREFIX = '/api/v2';
+const MAX_BODY_BYTES = 50 * 1024 * 1024; // anexos em base64 chegam via multipart
+
+/**
+ * Campos texto de um multipart/form-data; arquivos so sao contados.
+ * @returns {{ fields: object, files: number }}
+ */
+function parseMultipart(buffer, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  const result = { fields: {}, files: 0 };
+  if (!match) return result;
+
+  const boundary = `--${match[1] || match[2]}`;
+  for (const part of buffer.toString('latin1').split(boundary)) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) continue;
+    const headers = part.slice(0, headerEnd);
+    const name = /name="([^"]*)"/i.exec(headers)?.[1];
+    if (!name) continue;
+    if (/filename="/i.test(headers)) {
+      result.files += 1;
+      continue;
+    }
+    const value = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+    result.fields[name] = Buffer.from(value, 'latin1').toString('utf8');
+  }
+  return result;
+}
+
+class SandboxServer {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.logger] - logger estruturado
+   * @param {string} [options.host] - interface de bind (default 127.0.0.1)
+   * @param {number} [options.port] - porta (default 0 = porta livre)
+   * @param {object} [options.seed] - estado inicial (default `createSeed()`)
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || null;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 0;
+    this.state = options.seed || createSeed();
+    this.httpServer = null;
+    this.requests = 0;
+  }
+
+  /**
+   * Sobe o servidor. Resolve com { host, port, baseUrl } efetivos.
+   */
+  start() {
+    this.httpServer = http.createServer((req, res) => {
+      this._handle(req, res).catch((error) => {
+        this.logger?.error?.('Sandbox request failed', { error: error.message, stack: error.stack });
+        if (!res.headersSent) this._send(res, 500, { error_code: 50001, message: 'Erro interno do sandbox' });
+      });
+    });
+    // Nao segura o processo vivo: quem decide o fim e o transporte MCP
+    this.httpServer.unref();
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        const { port } = this.httpServer.address();
+        resolve({ host: this.host, port, baseUrl: this.baseUrl() });
+      });
+    });
+  }
+
+  /**
+   * URL base da API simulada (equivalente a https://api.tiflux.com/api/v2).
+   */
+  baseUrl() {
+    const address = this.httpServer?.address();
+    return address ? `http://${this.host}:${address.port}${API_PREFIX}` : null;
+  }
+
+  async close() {
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+
+  getStats() {
+    return {
+      base_url: this.baseUrl(),
+      requests: this.requests,
+      tickets: this.state.tickets.length
+    };
+  }
+
+  async _handle(req, res) {
+    this.requests += 1;
+    const url = new URL(req.url, `http://${req.headers.host || this.host}`);
+
+    if (!/^Bearer\s+\S+/i.test(req.headers.authorization || '')) {
+      this._send(res, 401, { error_code: 40101, message: 'Token de API ausente' });
+      return;
+    }
+    if (!url.pathname.startsWith(`${API_PREFIX}/`)) {
+      this._unsupported(res, req.method, url.pathname);
+      return;
+    }
+
+    const pathname = url.pathname.slice(API_PREFIX.length);
+    const route = matchRoute(req.method, pathname);
+    if (!route) {
+      this._unsupported(res, req.method, pathname);
+      return;
+    }
+
+    const { body, files, error } = await this._readBody(req);
+    if (error) {
+      this._send(res, error.status, { error_code: error.status * 100 + 1, message: error.message });
+      return;
+    }
+
+    const result = route.handler(this.state, {
+      params: route.params,
+      query: Object.fromEntries(url.searchParams),
+      body,
+      files
+    });
+    const headers = result.total !== undefined ? { 'X-Total-Items': String(result.total) } : {};
+    this.logger?.debug?.('Sandbox request', { method: req.method, path: pathname, status: result.status || 200 });
+    this._send(res, result.status || 200, result.body, headers);
+  }
+
+  /**
+   * Corpo da requisicao: JSON, multipart (campos texto) ou vazio.
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (size > MAX_BODY_BYTES) {
+          resolve({ error: { status: 413, message: `Body excede o limite de ${MAX_BODY_BYTES} bytes` } });
+          return;
+        }
+        const buffer = Buffer.concat(chunks);
+        const contentType = req.headers['content-type'] || '';
+        if (buffer.length === 0) {
+          resolve({ body: {}, files: 0 });
+        } else if (contentType.startsWith('multipart/form-data')) {
+          const { fields, files } = parseMultipart(buffer, contentType);
+          resolve({ body: fields, files });
+        } else {
+          try {
+            resolve({ body: JSON.parse(buffer.toString('utf8')), files: 0 });
+          } catch {
+            resolve({ error: { status: 400, message: 'Body JSON inválido' } });
+          }
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  _unsupported(res, method, pathname) {
+    this._send(res, 400, {
+      error_code: 40001,
+      message: `Endpoint não disponível no sandbox: ${method} ${pathname}. O sandbox simula tickets, respostas, ` +
+        'clientes, mesas, estágios, prioridades, apontamentos, chats e equipamentos.'
+    });
+  }
+
+  _send(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+module.exports = SandboxServer;
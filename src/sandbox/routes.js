@@ -0,0 +1,836 @@
+/**
+ * routes.js — endpoints da API v2 simulados pelo sandbox.
+ *
+ * Cada rota recebe `{ params, query, body }` (body ja decodificado de JSON ou
+ * multipart) e devolve `{ status?, body, total? }`. `total` vira o header
+ * `X-Total-Items`, como nas listagens paginadas reais (offset = pagina 1-based,
+ * limit ate 200).
+ *
+ * Erros seguem o shape da API: `{ error_code, message, detail? }` — 404 para
+ * ID inexistente e 422 para campo invalido em escrita.
+ */
+
+const { URL_BASE } = require('./seed');
+
+const MAX_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CANCELED_STATUS_ID = 4;
+
+function ok(body, status = 200) {
+  return { status, body };
+}
+
+function notFound(message) {
+  return { status: 404, body: { error_code: 40401, message } };
+}
+
+function invalid(message, detail = null) {
+  return { status: 422, body: { error_code: 42201, message, detail } };
+}
+
+/**
+ * Fatia da pagina pedida + total para o header X-Total-Items.
+ */
+function paginate(items, query) {
+  const offset = Math.max(1, parseInt(query.offset, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { status: 200, body: items.slice((offset - 1) * limit, offset * limit), total: items.length };
+}
+
+/** "1,2,3" → Set de numeros (null quando ausente). */
+function idSet(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return new Set(String(value).split(',').map(id => Number(id.trim())).filter(id => !Number.isNaN(id)));
+}
+
+/** 'true'/'false' da query → boolean (undefined quando ausente). */
+function flag(value) {
+  if (value === undefined) return undefined;
+  return value === true || value === 'true' || value === '1';
+}
+
+function contains(text, term) {
+  return String(text || '').toLowerCase().includes(String(term).toLowerCase());
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function toInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+// ---------------------------------------------------------------------------
+// Tickets
+// ---------------------------------------------------------------------------
+
+function findTicket(state, number) {
+  return state.tickets.find(ticket => String(ticket.ticket_number) === String(number));
+}
+
+function ticketDate(ticket, dateType) {
+  return dateType === 'solved_in_time' ? ticket.closed_at : ticket.created_at;
+}
+
+function matchesStatus(ticket, query) {
+  const canceled = ticket.status.id === CANCELED_STATUS_ID;
+  const filterBy = query.filter_by || (flag(query.is_closed) ? 'closed' : 'open');
+  if (filterBy === 'all') return true;
+  if (filterBy === 'canceled') return canceled;
+  if (filterBy === 'closed') return ticket.is_closed && !canceled;
+  return !ticket.is_closed;
+}
+
+function filterTickets(state, query) {
+  const sets = {
+    desk: idSet(query.desk_ids),
+    client: idSet(query.client_ids),
+    stage: idSet(query.stage_ids),
+    responsible: idSet(query.responsible_ids),
+    requestor: idSet(query.requestor_ids),
+    priority: idSet(query.priority_ids),
+    catalogItem: idSet(query.services_catalogs_item_ids)
+  };
+  const start = query.start_datetime ? Date.parse(query.start_datetime) : null;
+  const end = query.end_datetime ? Date.parse(query.end_datetime) : null;
+  const slaBefore = query.sla_expiring_before ? Date.parse(query.sla_expiring_before) : null;
+
+  return state.tickets.filter(ticket => {
+    if (!matchesStatus(ticket, query)) return false;
+    if (sets.desk && !sets.desk.has(ticket.desk.id)) return false;
+    if (sets.client && !sets.client.has(ticket.client.id)) return false;
+    if (sets.stage && !sets.stage.has(ticket.stage.id)) return false;
+    if (sets.responsible && !sets.responsible.has(ticket.responsible?.id)) return false;
+    if (sets.requestor && !sets.requestor.has(ticket.requestor?.id)) return false;
+    if (sets.priority && !sets.priority.has(ticket.priority.id)) return false;
+    if (sets.catalogItem && !sets.catalogItem.has(ticket.services_catalog?.id)) return false;
+    if (query.requestor_email && ticket.requestor?.email !== query.requestor_email) return false;
+
+    if (start !== null || end !== null) {
+      const date = Date.parse(ticketDate(ticket, query.date_type));
+      if (Number.isNaN(date)) return false;
+      if (start !== null && date < start) return false;
+      if (end !== null && date > end) return false;
+    }
+
+    if (slaBefore !== null) {
+      const expiration = Date.parse(ticket.sla_info.solve_expiration);
+      if (ticket.is_closed || ticket.sla_info.stopped || !(expiration <= slaBefore)) return false;
+    }
+    return true;
+  });
+}
+
+function periodOf(ticket, groupBy, dateType) {
+  if (groupBy === 'desk') return ticket.desk.display_name;
+  const iso = ticketDate(ticket, dateType);
+  if (!iso) return null;
+  if (groupBy === 'month') return iso.slice(0, 7);
+  if (groupBy === 'week') {
+    const date = new Date(iso.slice(0, 10));
+    const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+    return monday.toISOString().slice(0, 10);
+  }
+  return iso.slice(0, 10);
+}
+
+function groupTickets(tickets, query) {
+  const counts = new Map();
+  for (const ticket of tickets) {
+    const period = periodOf(ticket, query.group_by, query.date_type);
+    if (period !== null) counts.set(period, (counts.get(period) || 0) + 1);
+  }
+  const buckets = [...counts.entries()]
+    .map(([period, count]) => ({ period, count }))
+    .sort((a, b) => (query.group_by === 'desk' ? b.count - a.count : a.period.localeCompare(b.period)));
+  const total = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+  return {
+    status: 200,
+    body: { group_by: query.group_by, date_type: query.date_type || 'created_at', total, buckets },
+    total
+  };
+}
+
+function listTickets(state, { query }) {
+  if (query.group_by && !['day', 'week', 'month', 'desk'].includes(query.group_by)) {
+    return invalid('group_by inválido', 'Use day, week, month ou desk');
+  }
+  const tickets = filterTickets(state, query)
+    .sort((a, b) => b.ticket_number - a.ticket_number);
+  if (query.group_by) return groupTickets(tickets, query);
+  return paginate(tickets.map(({ entities, ...ticket }) => ticket), query);
+}
+
+function showTicket(state, { params, query }) {
+  const ticket = findTicket(state, params.number);
+  if (!ticket) return notFound(`Ticket #${params.number} não encontrado`);
+  if (flag(query.show_entities)) return ok(ticket);
+  const { entities, ...rest } = ticket;
+  return ok(rest);
+}
+
+/**
+ * Valida IDs de escrita contra o seed e devolve as entidades resolvidas.
+ */
+function resolveTicketRefs(state, body, current = null) {
+  const errors = [];
+  const refs = {};
+  const deskId = body.desk_id !== undefined ? toInt(body.desk_id) : current?.desk.id;
+  const desk = state.desks.find(d => d.id === deskId);
+  if (!desk) errors.push(`desk_id ${body.desk_id} não existe`);
+
+  if (body.client_id !== undefined) {
+    refs.client = state.clients.find(c => c.id === toInt(body.client_id));
+    if (!refs.client) errors.push(`client_id ${body.client_id} não existe`);
+  }
+  if (desk && body.priority_id !== undefined) {
+    refs.priority = state.priorities[desk.id].find(p => p.id === toInt(body.priority_id));
+    if (!refs.priority) errors.push(`priority_id ${body.priority_id} não pertence à mesa ${desk.display_name}`);
+  }
+  if (desk && body.stage_id !== undefined) {
+    refs.stage = state.stages[desk.id].find(s => s.id === toInt(body.stage_id));
+    if (!refs.stage) errors.push(`stage_id ${body.stage_id} não pertence à mesa ${desk.display_name}`);
+  }
+  if (desk && body.services_catalogs_item_id !== undefined) {
+    refs.catalogItem = state.catalogItems[desk.id].find(i => i.id === toInt(body.services_catalogs_item_id));
+    if (!refs.catalogItem) errors.push(`services_catalogs_item_id ${body.services_catalogs_item_id} não pertence à mesa ${desk.display_name}`);
+  }
+  if (body.responsible_id !== undefined && body.responsible_id !== null && body.responsible_id !== '') {
+    refs.responsible = state.users.find(u => u.id === toInt(body.responsible_id));
+    if (!refs.responsible) errors.push(`responsible_id ${body.responsible_id} não existe`);
+  }
+  if (body.requestor_id !== undefined) {
+    refs.requestor = state.requestors.find(r => r.id === toInt(body.requestor_id));
+    if (!refs.requestor) errors.push(`requestor_id ${body.requestor_id} não existe`);
+  }
+  if (body.status_id !== undefined) {
+    refs.status = state.statuses.find(s => s.id === toInt(body.status_id));
+    if (!refs.status) errors.push(`status_id ${body.status_id} não existe`);
+  }
+  return { desk, refs, errors };
+}
+
+function applyTicketRefs(ticket, desk, refs) {
+  ticket.desk = { id: desk.id, name: desk.name, display_name: desk.display_name, active: true };
+  if (refs.client) ticket.client = { id: refs.client.id, name: refs.client.name, social: refs.client.social, status: refs.client.status };
+  if (refs.priority) ticket.priority = { ...refs.priority };
+  if (refs.stage) ticket.stage = { ...refs.stage };
+  if (refs.status) ticket.status = { ...refs.status };
+  if (refs.requestor) ticket.requestor = { id: refs.requestor.id, name: refs.requestor.name, email: refs.requestor.email };
+  if (refs.responsible) {
+    const user = refs.responsible;
+    ticket.responsible = { id: user.id, name: user.name, email: user.email, active: true, technical_group_id: user.technical_group_id, _type: 'User' };
+  }
+  if (refs.catalogItem) {
+    const item = refs.catalogItem;
+    ticket.services_catalog = {
+      id: item.id, item_name: item.name, area_id: item.area.id, area_name: item.area.name, catalog_id: item.catalog.id, catalog_name: item.catalog.name
+    };
+  }
+}
+
+function createTicket(state, { body }) {
+  const missing = ['title', 'description', 'client_id', 'desk_id'].filter(field => !body[field]);
+  if (missing.length > 0) return invalid('Campos obrigatórios ausentes', missing.join(', '));
+
+  const { desk, refs, errors } = resolveTicketRefs(state, body);
+  if (errors.length > 0) return invalid('Erro de validação', errors.join('; '));
+
+  const number = state.nextIds.ticket++;
+  const now = nowIso();
+  const me = state.me;
+  const ticket = {
+    id: 900000 + number,
+    ticket_number: number,
+    title: body.title,
+    description: body.description,
+    status: { ...state.statuses[0] },
+    priority: { ...state.priorities[desk.id][1] },
+    desk: null,
+    stage: { ...state.stages[desk.id][0] },
+    responsible: null,
+    client: null,
+    requestor: body.requestor_name ? { id: null, name: body.requestor_name, email: body.requestor_email || null } : null,
+    services_catalog: null,
+    is_closed: false,
+    is_grouped: false,
+    is_revised: false,
+    created_at: now,
+    updated_at: now,
+    closed_at: null,
+    tags: [],
+    worked_hours: '00:00',
+    reopen_count: 0,
+    last_reopen_date: null,
+    sla_info: {
+      stopped: false,
+      attend_sla: true,
+      stage_expiration: new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString(),
+      attend_expiration: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString(),
+      solve_expiration: new Date(Date.now() + 2 * DAY_MS).toISOString(),
+      solved_in_time: null
+    },
+    followers: body.followers || '',
+    created_by: { id: me.id, name: me.name },
+    created_by_id: me.id,
+    created_by_way_of: 'api',
+    updated_by: { id: me.id, name: me.name },
+    updated_by_id: me.id,
+    url_internal_path: `${URL_BASE}/v/tickets/${number}`,
+    url_external_path: `${URL_BASE}/t/${number}`,
+    entities: []
+  };
+  applyTicketRefs(ticket, desk, refs);
+  state.tickets.push(ticket);
+  state.answers[number] = [];
+  return ok({ ticket }, 201);
+}
+
+function updateTicket(state, { params, body }) {
+  const ticket = findTicket(state, params.number);
+  if (!ticket) return notFound(`Ticket #${params.number} não encontrado`);
+
+  const deskChanged = body.desk_id !== undefined && toInt(body.desk_id) !== ticket.desk.id;
+  const { desk, refs, errors } = resolveTicketRefs(state, body, ticket);
+  if (errors.length > 0) return invalid('Erro de validação', errors.join('; '));
+
+  if (body.title !== undefined) ticket.title = body.title;
+  if (body.description !== undefined) ticket.description = body.description;
+  if (body.followers !== undefined) ticket.followers = body.followers;
+  if (body.responsible_id === null || body.responsible_id === '') ticket.responsible = null;
+  if (deskChanged) {
+    // Transferencia de mesa volta ao primeiro estagio / prioridade padrao da nova mesa
+    if (!refs.stage) ticket.stage = { ...state.stages[desk.id][0] };
+    if (!refs.priority) ticket.priority = { ...state.priorities[desk.id][1] };
+  }
+  applyTicketRefs(ticket, desk, refs);
+  ticket.updated_at = nowIso();
+  return ok(ticket);
+}
+
+function updateTicketEntities(state, { params, body }) {
+  const ticket = findTicket(state, params.number);
+  if (!ticket) return notFound(`Ticket #${params.number} não encontrado`);
+  const entities = Array.isArray(body?.entities) ? body.entities : Array.isArray(body) ? body : [];
+  ticket.entities = entities;
+  ticket.updated_at = nowIso();
+  return ok({ message: 'Campos personalizados atualizados com sucesso' });
+}
+
+function finishTicket(state, number, statusId) {
+  const ticket = findTicket(state, number);
+  if (!ticket) return notFound(`Ticket #${number} não encontrado`);
+  if (ticket.is_closed) return invalid(`Ticket #${number} já está fechado`);
+
+  const now = nowIso();
+  const stages = state.stages[ticket.desk.id];
+  ticket.status = { ...state.statuses.find(status => status.id === statusId) };
+  ticket.stage = { ...stages[stages.length - 1] };
+  ticket.is_closed = true;
+  ticket.closed_at = now;
+  ticket.updated_at = now;
+  ticket.sla_info.solved_in_time = Date.parse(ticket.sla_info.solve_expiration) >= Date.now();
+  return ok({ message: statusId === CANCELED_STATUS_ID ? 'Ticket cancelado com sucesso' : 'Ticket fechado com sucesso' });
+}
+
+function reopenTicket(state, { params }) {
+  const ticket = findTicket(state, params.number);
+  if (!ticket) return notFound(`Ticket #${params.number} não encontrado`);
+  if (!ticket.is_closed) return invalid(`Ticket #${params.number} não está fechado`);
+
+  const now = nowIso();
+  ticket.status = { ...state.statuses[0] };
+  ticket.stage = { ...state.stages[ticket.desk.id][0] };
+  ticket.is_closed = false;
+  ticket.closed_at = null;
+  ticket.reopen_count += 1;
+  ticket.last_reopen_date = now;
+  ticket.updated_at = now;
+  ticket.sla_info.solved_in_time = null;
+  return ok({ message: 'Ticket reaberto com sucesso' });
+}
+
+// ---------------------------------------------------------------------------
+// Respostas
+// ---------------------------------------------------------------------------
+
+function listAnswers(state, { params, query }) {
+  if (!findTicket(state, params.number)) return notFound(`Ticket #${params.number} não encontrado`);
+  return paginate(state.answers[params.number] || [], query);
+}
+
+function showAnswer(state, { params }) {
+  const answer = (state.answers[params.number] || []).find(a => String(a.id) === String(params.id));
+  if (!answer) return notFound(`Resposta ${params.id} não encontrada no ticket #${params.number}`);
+  return ok(answer);
+}
+
+function createAnswer(state, { params, body, files }) {
+  const ticket = findTicket(state, params.number);
+  if (!ticket) return notFound(`Ticket #${params.number} não encontrado`);
+  if (!body.name) return invalid('Campo name é obrigatório');
+
+  const answer = {
+    id: state.nextIds.answer++,
+    name: body.name,
+    author: state.me.name,
+    answer_time: nowIso(),
+    answer_origin: 'api',
+    signature: body.with_signature !== 'false',
+    files_count: files
+  };
+  state.answers[params.number] = [...(state.answers[params.number] || []), answer];
+  ticket.updated_at = answer.answer_time;
+  return ok(answer, 201);
+}
+
+function deleteAnswer(state, { params }) {
+  const answers = state.answers[params.number] || [];
+  const index = answers.findIndex(a => String(a.id) === String(params.id));
+  if (index === -1) return notFound(`Resposta ${params.id} não encontrada no ticket #${params.number}`);
+  answers.splice(index, 1);
+  return ok({ message: 'Resposta removida com sucesso' });
+}
+
+// ---------------------------------------------------------------------------
+// Apontamentos
+// ---------------------------------------------------------------------------
+
+function publicAppointment({ ticket_number, valorization, ...appointment }, withValorization) {
+  return withValorization ? { ...appointment, valorization } : appointment;
+}
+
+function inDateRange(date, query) {
+  if (query.start_date && date < query.start_date) return false;
+  if (query.end_date && date > query.end_date) return false;
+  return true;
+}
+
+function listTicketAppointments(state, { params, query }) {
+  if (!findTicket(state, params.number)) return notFound(`Ticket #${params.number} não encontrado`);
+  const items = state.appointments
+    .filter(a => a.ticket_number === Number(params.number))
+    .filter(a => !query.user_id || a.user.id === Number(query.user_id))
+    .filter(a => inDateRange(a.date, query))
+    .map(a => publicAppointment(a, false));
+  return paginate(items, query);
+}
+
+function listAppointments(state, { query }) {
+  if (!query.start_date || !query.end_date) {
+    return invalid('start_date e end_date são obrigatórios');
+  }
+  const users = idSet(query.user_ids);
+  const desks = idSet(query.desk_ids);
+  const withValorization = flag(query.include_valorization) === true;
+  const items = state.appointments
+    .filter(a => inDateRange(a.date, query))
+    .filter(a => !users || users.has(a.user.id))
+    .filter(a => !desks || desks.has(a.desk.id))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.init_time.localeCompare(b.init_time))
+    .map(a => publicAppointment(a, withValorization));
+  return paginate(items, query);
+}
+
+function createAppointment(state, { params, body }) {
+  const ticket = findTicket(state, params.number);
+  if (!ticket) return notFound(`Ticket #${params.number} não encontrado`);
+
+  const missing = ['date', 'init_time', 'end_time'].filter(field => !body[field]);
+  if (missing.length > 0) return invalid('Campos obrigatórios ausentes', missing.join(', '));
+  if (body.end_time <= body.init_time) return invalid('end_time deve ser maior que init_time');
+
+  const [initH, initM] = body.init_time.split(':').map(Number);
+  const [endH, endM] = body.end_time.split(':').map(Number);
+  const hours = ((endH * 60 + endM) - (initH * 60 + initM)) / 60;
+  const user = state.me;
+  const appointment = {
+    id: state.nextIds.appointment++,
+    ticket_number: ticket.ticket_number,
+    date: body.date,
+    init_time: body.init_time,
+    end_time: body.end_time,
+    description: body.description || '',
+    user: { id: user.id, name: user.name },
+    client: { id: ticket.client.id, name: ticket.client.name },
+    desk: { id: ticket.desk.id, name: ticket.desk.display_name },
+    ticket: { number: ticket.ticket_number, title: ticket.title },
+    external_user_name: body.external_user_name || null,
+    locations: [],
+    valorization: {
+      attendance: body.attendance || 'Remote',
+      attendance_kind: body.attendance_kind || 'Loose',
+      contract: null,
+      loose_service: body.attendance_kind === 'Contract' ? null : { id: 1, name: 'Hora técnica' },
+      shift: null,
+      guarantee: body.guarantee === true,
+      manual_value: body.value !== undefined,
+      value: body.value !== undefined ? Number(body.value) : Number((hours * 120).toFixed(2))
+    }
+  };
+  state.appointments.push(appointment);
+  return ok(publicAppointment(appointment, true), 201);
+}
+
+// ---------------------------------------------------------------------------
+// Clientes, mesas e cadastros auxiliares
+// ---------------------------------------------------------------------------
+
+function listClients(state, { query }) {
+  const active = flag(query.active);
+  const items = state.clients
+    .filter(c => active === undefined || c.status === active)
+    .filter(c => !query.name || contains(c.name, query.name) || contains(c.social, query.name))
+    .filter(c => !query.social_revenue || c.social_revenue.replace(/\D/g, '') === String(query.social_revenue).replace(/\D/g, ''));
+  return paginate(items, query);
+}
+
+function showClient(state, { params }) {
+  const client = state.clients.find(c => String(c.id) === params.id);
+  return client ? ok(client) : notFound(`Cliente ${params.id} não encontrado`);
+}
+
+function listDesks(state, { query }) {
+  const active = flag(query.active);
+  const items = state.desks
+    .filter(d => active === undefined || d.active === active)
+    .filter(d => !query.name || contains(d.name, query.name) || contains(d.display_name, query.name));
+  return paginate(items, query);
+}
+
+function withDesk(state, id, handler) {
+  const desk = state.desks.find(d => String(d.id) === String(id));
+  return desk ? handler(desk) : notFound(`Mesa ${id} não encontrada`);
+}
+
+function listCatalogItems(state, { params, query }) {
+  return withDesk(state, params.id, desk => paginate(state.catalogItems[desk.id]
+    .filter(item => !query.name || contains(item.name, query.name))
+    .filter(item => !query.area_id || item.area.id === Number(query.area_id))
+    .filter(item => !query.catalog_id || item.catalog.id === Number(query.catalog_id)), query));
+}
+
+function listUsers(state, { query }) {
+  const active = flag(query.active);
+  const items = state.users
+    .filter(u => active === undefined || u.active === active)
+    .filter(u => !query.type || u.type === query.type);
+  return paginate(items, query);
+}
+
+function listTechnicalUsers(state, { query }) {
+  const items = state.users
+    .filter(u => !query.name || contains(u.name, query.name))
+    .filter(u => !query.email || contains(u.email, query.email))
+    .map(({ id, name, email, active }) => ({ id, name, email, active }));
+  return paginate(items, query);
+}
+
+function filterRequestors(requestors, query) {
+  return requestors
+    .filter(r => !query.name || contains(r.name, query.name))
+    .filter(r => !query.email || contains(r.email, query.email))
+    .filter(r => !query.telephone || contains(r.telephone.replace(/\D/g, ''), String(query.telephone).replace(/\D/g, '')));
+}
+
+// ---------------------------------------------------------------------------
+// Chats
+// ---------------------------------------------------------------------------
+
+const CHAT_QUEUES = ['inbox', 'mine', 'in_attendance', 'archived'];
+
+function findChat(state, id) {
+  return state.chats.find(chat => String(chat.id) === String(id));
+}
+
+function publicChat({ queue, ...chat }) {
+  return chat;
+}
+
+function listChats(state, queue, { query }) {
+  const origins = query.origins ? String(query.origins).split(',') : null;
+  const canceled = flag(query.canceled);
+  const items = state.chats
+    .filter(chat => chat.queue === queue)
+    .filter(chat => !query.department_id || chat.department.id === Number(query.department_id))
+    .filter(chat => !query.client_id || chat.client.id === Number(query.client_id))
+    .filter(chat => !query.requestor_id || chat.requestor.id === Number(query.requestor_id))
+    .filter(chat => !query.user_id || chat.responsible?.id === Number(query.user_id))
+    .filter(chat => !origins || origins.includes(chat.origin))
+    .filter(chat => !query.started_by || chat.started_by === query.started_by)
+    .filter(chat => canceled === undefined || chat.canceled === canceled)
+    .filter(chat => !query.created_at_start || chat.created_at >= query.created_at_start)
+    .filter(chat => !query.created_at_end || chat.created_at <= query.created_at_end)
+    .map(publicChat);
+  return paginate(items, query);
+}
+
+function showChat(state, { params }) {
+  const chat = findChat(state, params.id);
+  return chat ? ok(publicChat(chat)) : notFound(`Chat ${params.id} não encontrado`);
+}
+
+function updateChat(state, { params, body }) {
+  const chat = findChat(state, params.id);
+  if (!chat) return notFound(`Chat ${params.id} não encontrado`);
+
+  if (body.user_id !== undefined) {
+    const user = state.users.find(u => u.id === toInt(body.user_id));
+    if (!user) return invalid(`user_id ${body.user_id} não existe`);
+    chat.responsible = { id: user.id, name: user.name };
+    chat.queue = user.id === state.me.id ? 'mine' : 'in_attendance';
+    chat.assumed_at = chat.assumed_at || nowIso();
+  }
+  if (body.ticket_number !== undefined) {
+    const ticket = findTicket(state, body.ticket_number);
+    if (!ticket) return invalid(`ticket_number ${body.ticket_number} não existe`);
+    chat.ticket = { number: ticket.ticket_number, title: ticket.title };
+  }
+  if (body.department_id !== undefined) {
+    chat.department = { id: toInt(body.department_id), name: chat.department.name };
+  }
+  chat.updated_at = nowIso();
+  return ok({ updated_at: chat.updated_at });
+}
+
+function archiveChat(state, { params }) {
+  const chat = findChat(state, params.id);
+  if (!chat) return notFound(`Chat ${params.id} não encontrado`);
+  if (chat.archived) return invalid(`Chat ${params.id} já está arquivado`);
+  chat.queue = 'archived';
+  chat.archived = true;
+  chat.online = false;
+  chat.waiting_answer = false;
+  chat.finished_at = nowIso();
+  chat.updated_at = chat.finished_at;
+  return ok({ message: 'Chat arquivado com sucesso' }, 202);
+}
+
+function listChatMessages(state, { params, query }) {
+  if (!findChat(state, params.id)) return notFound(`Chat ${params.id} não encontrado`);
+  return paginate(state.chatMessages[params.id] || [], query);
+}
+
+function sendChatMessage(state, { body }) {
+  if (!body.number) return invalid('number é obrigatório');
+  if (!body.message && !body.template_id) return invalid('Informe message ou template_id');
+
+  const now = nowIso();
+  let chat = state.chats.find(c => c.queue !== 'archived' && c.room === `sala-${body.number}`);
+  if (!chat) {
+    const client = body.client_id ? state.clients.find(c => c.id === toInt(body.client_id)) : null;
+    chat = {
+      id: state.nextIds.chat++,
+      queue: 'mine',
+      origin: 'whatsapp',
+      started_by: 'attendant',
+      online: true,
+      waiting_answer: false,
+      archived: false,
+      canceled: false,
+      assessment: null,
+      room: `sala-${body.number}`,
+      client: client ? { id: client.id, name: client.name } : null,
+      requestor: { id: null, name: body.name || body.number },
+      department: { id: toInt(body.department_id) || 1, name: 'Suporte' },
+      responsible: { id: state.me.id, name: state.me.name },
+      ticket: null,
+      last_client_message: null,
+      created_at: now,
+      updated_at: now,
+      assumed_at: now,
+      finished_at: null
+    };
+    state.chats.push(chat);
+    state.chatMessages[chat.id] = [];
+  }
+  const message = {
+    id: state.nextIds.message++,
+    type: body.template_id ? 'template' : 'text',
+    text: body.message || `[template ${body.template_id}]`,
+    author: { type: 'attendant', id: state.me.id, name: state.me.name },
+    created_at: now,
+    status: { sent: true, delivered: false, read: false }
+  };
+  state.chatMessages[chat.id].push(message);
+  chat.updated_at = now;
+  return ok({ chat_id: chat.id, message_id: message.id, message: 'Mensagem enviada com sucesso' }, 201);
+}
+
+// ---------------------------------------------------------------------------
+// Equipamentos
+// ---------------------------------------------------------------------------
+
+const EQUIPMENT_LIST_FIELDS = ['id', 'name', 'client', 'equipment_type', 'equipment_group', 'online', 'ipv4', 'agent'];
+
+function findEquipment(state, id) {
+  return state.equipments.find(eq => String(eq.id) === String(id));
+}
+
+function publicEquipment({ softwares, entities, ...equipment }, showEntities = false) {
+  return showEntities ? { ...equipment, entities } : equipment;
+}
+
+function listEquipments(state, { query }) {
+  const items = state.equipments
+    .filter(eq => !query.client_id || eq.client.id === Number(query.client_id))
+    .map(eq => {
+      const item = Object.fromEntries(EQUIPMENT_LIST_FIELDS.map(field => [field, eq[field]]));
+      if (flag(query.include_manufacturer)) item.manufacturer = eq.manufacturer;
+      if (flag(query.include_system)) item.system = eq.system;
+      return item;
+    });
+  return paginate(items, query);
+}
+
+function equipmentRefs(state, body) {
+  const refs = {};
+  if (body.client_id !== undefined) {
+    refs.client = state.clients.find(c => c.id === toInt(body.client_id));
+    if (!refs.client) return { error: invalid(`client_id ${body.client_id} não existe`) };
+  }
+  if (body.equipment_type_id !== undefined) {
+    const type = state.equipments.map(eq => eq.equipment_type).find(t => t.id === toInt(body.equipment_type_id));
+    if (!type) return { error: invalid(`equipment_type_id ${body.equipment_type_id} não existe`) };
+    refs.equipment_type = type;
+  }
+  if (body.equipment_group_id !== undefined) {
+    const group = state.equipments.map(eq => eq.equipment_group).find(g => g.id === toInt(body.equipment_group_id));
+    if (!group) return { error: invalid(`equipment_group_id ${body.equipment_group_id} não existe`) };
+    refs.equipment_group = group;
+  }
+  return { refs };
+}
+
+function createEquipment(state, { body }) {
+  const missing = ['name', 'client_id', 'equipment_type_id'].filter(field => body[field] === undefined);
+  if (missing.length > 0) return invalid('Campos obrigatórios ausentes', missing.join(', '));
+  const { refs, error } = equipmentRefs(state, body);
+  if (error) return error;
+
+  const equipment = {
+    id: state.nextIds.equipment++,
+    name: body.name,
+    client: { id: refs.client.id, name: refs.client.name },
+    equipment_type: refs.equipment_type,
+    equipment_group: refs.equipment_group || null,
+    online: null,
+    ipv4: null,
+    agent: null,
+    last_seen: null,
+    acquisition_date: body.acquisition_date || null,
+    warranty_date: body.warranty_date || null,
+    softwares: [],
+    entities: []
+  };
+  state.equipments.push(equipment);
+  return ok(publicEquipment(equipment), 201);
+}
+
+function updateEquipment(state, { params, body }) {
+  const equipment = findEquipment(state, params.id);
+  if (!equipment) return notFound(`Equipamento ${params.id} não encontrado`);
+  const { refs, error } = equipmentRefs(state, body);
+  if (error) return error;
+
+  if (body.name !== undefined) equipment.name = body.name;
+  if (body.acquisition_date !== undefined) equipment.acquisition_date = body.acquisition_date;
+  if (body.warranty_date !== undefined) equipment.warranty_date = body.warranty_date;
+  if (refs.equipment_type) equipment.equipment_type = refs.equipment_type;
+  if (refs.equipment_group) equipment.equipment_group = refs.equipment_group;
+  return ok(publicEquipment(equipment));
+}
+
+// ---------------------------------------------------------------------------
+// Tabela de rotas
+// ---------------------------------------------------------------------------
+
+/**
+ * Rotas na ordem de avaliacao: `[metodo, caminho, handler(state, req)]`.
+ * Segmentos `:nome` viram `req.params.nome`.
+ */
+const ROUTES = [
+  ['GET', '/tickets', listTickets],
+  ['POST', '/tickets', createTicket],
+  ['GET', '/tickets/:number', showTicket],
+  ['PUT', '/tickets/:number', updateTicket],
+  ['PUT', '/tickets/:number/entities', updateTicketEntities],
+  ['PUT', '/tickets/:number/close', (state, { params }) => finishTicket(state, params.number, 3)],
+  ['PUT', '/tickets/:number/cancel', (state, { params }) => finishTicket(state, params.number, CANCELED_STATUS_ID)],
+  ['PUT', '/tickets/:number/reopen', reopenTicket],
+  ['GET', '/tickets/:number/answers', listAnswers],
+  ['POST', '/tickets/:number/answers', createAnswer],
+  ['GET', '/tickets/:number/answers/:id', showAnswer],
+  ['DELETE', '/tickets/:number/answers/:id', deleteAnswer],
+  ['GET', '/tickets/:number/appointments', listTicketAppointments],
+  ['POST', '/tickets/:number/appointments', createAppointment],
+  ['GET', '/appointments', listAppointments],
+
+  ['GET', '/clients', listClients],
+  ['GET', '/clients/:id', showClient],
+  ['GET', '/clients/:id/requestors', (state, { params, query }) => (
+    state.clients.some(c => String(c.id) === params.id)
+      ? paginate(filterRequestors(state.requestors.filter(r => String(r.client.id) === params.id), query), query)
+      : notFound(`Cliente ${params.id} não encontrado`)
+  )],
+  ['GET', '/requestors', (state, { query }) => paginate(filterRequestors(state.requestors, query), query)],
+
+  ['GET', '/desks', listDesks],
+  ['GET', '/desks/:id', (state, { params }) => withDesk(state, params.id, desk => ok(desk))],
+  ['GET', '/desks/:id/stages', (state, { params, query }) => withDesk(state, params.id, desk => paginate(state.stages[desk.id], query))],
+  ['GET', '/desks/:id/priorities', (state, { params, query }) => withDesk(state, params.id, desk => paginate(state.priorities[desk.id], query))],
+  ['GET', '/desks/:id/services-catalogs-items', listCatalogItems],
+
+  ['GET', '/users', listUsers],
+  ['GET', '/users/me', state => ok(state.me)],
+  ['GET', '/technical-users', listTechnicalUsers],
+
+  ...CHAT_QUEUES.map(queue => ['GET', `/chats/${queue}`, (state, req) => listChats(state, queue, req)]),
+  ['POST', '/chats/send_message', sendChatMessage],
+  ['GET', '/chats/:id', showChat],
+  ['PUT', '/chats/:id', updateChat],
+  ['PUT', '/chats/:id/archive', archiveChat],
+  ['GET', '/chats/:id/messages', listChatMessages],
+
+  ['GET', '/equipments', listEquipments],
+  ['POST', '/equipments', createEquipment],
+  ['GET', '/equipments/:id', (state, { params, query }) => {
+    const equipment = findEquipment(state, params.id);
+    return equipment ? ok(publicEquipment(equipment, flag(query.show_entities))) : notFound(`Equipamento ${params.id} não encontrado`);
+  }],
+  ['PUT', '/equipments/:id', updateEquipment],
+  ['GET', '/equipments/:id/softwares', (state, { params }) => {
+    const equipment = findEquipment(state, params.id);
+    return equipment ? ok(equipment.softwares) : notFound(`Equipamento ${params.id} não encontrado`);
+  }]
+].map(([method, pattern, handler]) => ({
+  method,
+  pattern,
+  segments: pattern.split('/').filter(Boolean),
+  handler
+}));
+
+/**
+ * Rota para `method` + `pathname` (relativo a /api/v2).
+ * @returns {{ handler: Function, params: object }|null}
+ */
+function matchRoute(method, pathname) {
+  const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  for (const route of ROUTES) {
+    if (route.method !== method || route.segments.length !== parts.length) continue;
+    const params = {};
+    const matched = route.segments.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = parts[index];
+        return true;
+      }
+      return segment === parts[index];
+    });
+    if (matched) return { handler: route.handler, params };
+  }
+  return null;
+}
+
+module.exports = { matchRoute, ROUTES };
@@ -0,0 +1,451 @@
+/**
+ * seed.js — dados ficticios do sandbox (TIFLUX_MCP_SANDBOX).
+ *
+ * Gerados de forma deterministica (mesmo conjunto a cada inicio), com datas
+ * relativas ao momento do seed para relatorios de "ultimos 30 dias" terem
+ * conteudo. Os shapes seguem os payloads reais da API v2 que as tools leem
+ * (ver formatters em src/tools/*). O equipamento 385053 segue o contrato
+ * documentado em src/tools/equipments/getEquipment.js.
+ *
+ * `createSeed()` devolve um estado novo e mutavel: as escritas das tools
+ * alteram so a copia do processo.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const URL_BASE = 'https://sandbox.tiflux.com';
+
+/** Gerador pseudoaleatorio com semente fixa (mulberry32). */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)]
+  };
+}
+
+const STATUSES = [
+  { id: 1, name: 'Aberto', default_open: true },
+  { id: 2, name: 'Em andamento', default_open: false },
+  { id: 3, name: 'Fechado', default_open: false },
+  { id: 4, name: 'Cancelado', default_open: false }
+];
+
+const USERS = [
+  { id: 1, name: 'Ana Souza', email: 'ana.souza@sandbox.tiflux.com', technical_group_id: 1 },
+  { id: 2, name: 'Bruno Lima', email: 'bruno.lima@sandbox.tiflux.com', technical_group_id: 1 },
+  { id: 3, name: 'Carla Mendes', email: 'carla.mendes@sandbox.tiflux.com', technical_group_id: 2 },
+  { id: 4, name: 'Diego Ramos', email: 'diego.ramos@sandbox.tiflux.com', technical_group_id: 2 }
+].map(user => ({ ...user, active: true, type: 'attendant', _type: 'User' }));
+
+const CLIENTS = [
+  { id: 101, name: 'Acme Indústria', social: 'Acme Indústria e Comércio Ltda', social_revenue: '12.345.678/0001-90', status: true },
+  { id: 102, name: 'Padaria Pão Quente', social: 'Pão Quente Alimentos ME', social_revenue: '23.456.789/0001-01', status: true },
+  { id: 103, name: 'Clínica Vida', social: 'Clínica Vida Serviços Médicos S/A', social_revenue: '34.567.890/0001-12', status: true },
+  { id: 104, name: 'Escola Saber', social: 'Instituto Educacional Saber Ltda', social_revenue: '45.678.901/0001-23', status: false }
+];
+
+const DESKS = [
+  { id: 10, name: 'suporte', display_name: 'Suporte N1', appointment_type: 'Hours' },
+  { id: 11, name: 'infraestrutura', display_name: 'Infraestrutura', appointment_type: 'Hours' },
+  { id: 12, name: 'financeiro', display_name: 'Financeiro', appointment_type: 'None' }
+];
+
+const STAGE_NAMES = ['Triagem', 'Em atendimento', 'Aguardando cliente', 'Concluído'];
+const PRIORITY_NAMES = [['Baixa', '08:00', '72:00'], ['Média', '04:00', '24:00'], ['Alta', '01:00', '08:00'], ['Urgente', '00:30', '04:00']];
+
+const TICKET_TITLES = [
+  'Impressora não imprime', 'Sem acesso ao e-mail', 'Lentidão no sistema ERP', 'VPN desconectando',
+  'Troca de senha do Wi-Fi', 'Computador não liga', 'Erro ao emitir nota fiscal', 'Backup falhou esta noite',
+  'Instalar Office em máquina nova', 'Boleto em duplicidade', 'Servidor de arquivos sem espaço', 'Telefone IP sem tom',
+  'Atualizar antivírus', 'Cadastro de novo colaborador', 'Câmera do consultório offline', 'Ajuste de fatura mensal'
+];
+
+const ANSWER_TEXTS = [
+  '<p>Olá! Já estamos verificando o seu chamado.</p>',
+  '<p>Poderia reiniciar o equipamento e nos informar se o problema persiste?</p>',
+  '<p>Ajuste aplicado. Pode confirmar se está tudo certo por aí?</p>',
+  '<p>Problema resolvido, obrigado pelo retorno!</p>'
+];
+
+/**
+ * Data `days` dias antes de `now` no horario dado (UTC). Passado nunca cai
+ * depois de `now`; dias negativos dao datas futuras (vencimentos de SLA).
+ */
+function isoDaysAgo(now, days, hour = 9, minute = 0) {
+  const date = new Date(now - days * DAY_MS);
+  date.setUTCHours(hour, minute, 0, 0);
+  if (days >= 0 && date.getTime() > now) return new Date(now - 60 * 60 * 1000).toISOString();
+  return date.toISOString();
+}
+
+function ref(entity) {
+  return entity ? { id: entity.id, name: entity.name } : null;
+}
+
+function buildDesks() {
+  return DESKS.map(desk => ({
+    ...desk,
+    active: true,
+    description: `Mesa ${desk.display_name} (sandbox)`,
+    attendance_type: 'Ticket',
+    review_type: 'None',
+    desk_with_sla: true,
+    can_stop_sla: true,
+    cancelable_tickets: true,
+    receiving_new_tickets: true,
+    internal_desk: false,
+    time_limit_to_reopening: 7,
+    required_fields: []
+  }));
+}
+
+function buildStages(desks) {
+  const stages = {};
+  for (const desk of desks) {
+    stages[desk.id] = STAGE_NAMES.map((name, index) => ({
+      id: desk.id * 100 + index + 1,
+      name,
+      index,
+      first_stage: index === 0,
+      last_stage: index === STAGE_NAMES.length - 1,
+      max_time: index === STAGE_NAMES.length - 1 ? null : `${(index + 1) * 4}:00`
+    }));
+  }
+  return stages;
+}
+
+function buildPriorities(desks) {
+  const priorities = {};
+  for (const desk of desks) {
+    priorities[desk.id] = PRIORITY_NAMES.map(([name, startTime, endTime], index) => ({
+      id: desk.id * 100 + 50 + index + 1,
+      name,
+      order: index + 1,
+      start_time: startTime,
+      end_time: endTime
+    }));
+  }
+  return priorities;
+}
+
+function buildCatalogItems(desks) {
+  const items = {};
+  for (const desk of desks) {
+    const catalog = { id: desk.id * 10, name: `Catálogo ${desk.display_name}` };
+    const area = { id: desk.id * 10 + 1, name: desk.id === 12 ? 'Cobrança' : 'Atendimento' };
+    items[desk.id] = (desk.id === 12 ? ['Segunda via de boleto', 'Ajuste de fatura'] : ['Incidente', 'Requisição de serviço'])
+      .map((name, index) => ({ id: desk.id * 1000 + index + 1, name, area, catalog, active: true }));
+  }
+  return items;
+}
+
+function buildClients(now, desks) {
+  return CLIENTS.map((client, index) => ({
+    ...client,
+    email: `contato@${client.name.toLowerCase().normalize('NFD').replace(/[^a-z]/g, '')}.com.br`,
+    email_financial: null,
+    anotations: null,
+    max_agents: 10,
+    municipal_registration: null,
+    estadual_registration: null,
+    created_at: isoDaysAgo(now, 400 - index * 30),
+    updated_at: isoDaysAgo(now, 20 + index),
+    desks: desks.map(desk => ({ id: desk.id, name: desk.display_name })),
+    technical_groups: []
+  }));
+}
+
+function buildRequestors(clients) {
+  const requestors = [];
+  let id = 5001;
+  for (const client of clients) {
+    const domain = client.email.split('@')[1];
+    for (const name of ['Marcos Pereira', 'Juliana Costa']) {
+      const [first] = name.toLowerCase().split(' ');
+      requestors.push({
+        id: id++,
+        name: `${name} (${client.name})`,
+        email: `${first}@${domain}`,
+        telephone: '(54) 99999-0000',
+        can_open_ticket: true,
+        client: ref(client)
+      });
+    }
+  }
+  return requestors;
+}
+
+function buildTickets(now, random, { clients, desks, stages, priorities, catalogItems, requestors }) {
+  const tickets = [];
+  for (let i = 0; i < 40; i++) {
+    const number = 1001 + i;
+    const desk = desks[i % desks.length];
+    const client = clients[i % 3];
+    const deskStages = stages[desk.id];
+    // Espalhados pelos ultimos 90 dias; os mais antigos quase todos ja fechados
+    const createdDaysAgo = Math.round(89 - (i * 89) / 39);
+    const createdAt = isoDaysAgo(now, createdDaysAgo, 8 + (i % 9), (i * 7) % 60);
+    const canceled = i % 11 === 10;
+    const closed = !canceled && i < 34 && i % 4 !== 3;
+    const status = canceled ? STATUSES[3] : closed ? STATUSES[2] : STATUSES[i % 2];
+    const stage = closed || canceled ? deskStages[deskStages.length - 1] : deskStages[i % (deskStages.length - 1)];
+    const responsible = i % 7 === 6 ? null : USERS[i % USERS.length];
+    const closedAt = closed || canceled ? isoDaysAgo(now, Math.max(0, createdDaysAgo - random.int(0, 5)), 17, 30) : null;
+    const catalogItem = catalogItems[desk.id][i % 2];
+    const requestor = requestors.find(r => r.client.id === client.id);
+
+    tickets.push({
+      id: 900000 + number,
+      ticket_number: number,
+      title: TICKET_TITLES[i % TICKET_TITLES.length],
+      description: `<p>${TICKET_TITLES[i % TICKET_TITLES.length]}. Chamado de exemplo do sandbox.</p>`,
+      status: { ...status },
+      priority: { ...priorities[desk.id][i % 4] },
+      desk: { id: desk.id, name: desk.name, display_name: desk.display_name, active: true },
+      stage: { ...stage },
+      responsible: responsible
+        ? { id: responsible.id, name: responsible.name, email: responsible.email, active: true, technical_group_id: responsible.technical_group_id, _type: 'User' }
+        : null,
+      client: { id: client.id, name: client.name, social: client.social, status: client.status },
+      requestor: { id: requestor.id, name: requestor.name, email: requestor.email },
+      services_catalog: {
+        id: catalogItem.id,
+        item_name: catalogItem.name,
+        area_id: catalogItem.area.id,
+        area_name: catalogItem.area.name,
+        catalog_id: catalogItem.catalog.id,
+        catalog_name: catalogItem.catalog.name
+      },
+      is_closed: closed || canceled,
+      is_grouped: false,
+      is_revised: false,
+      created_at: createdAt,
+      updated_at: closedAt || isoDaysAgo(now, Math.max(0, createdDaysAgo - 1), 14),
+      closed_at: closedAt,
+      tags: i % 3 === 0 ? ['sandbox', 'exemplo'] : [],
+      worked_hours: `0${random.int(0, 4)}:${String(random.int(0, 5) * 10).padStart(2, '0')}`,
+      reopen_count: 0,
+      last_reopen_date: null,
+      sla_info: {
+        stopped: false,
+        attend_sla: true,
+        stage_expiration: closed ? null : isoDaysAgo(now, -1, 18),
+        attend_expiration: isoDaysAgo(now, createdDaysAgo - 1, 18),
+        // Abertos: parte com SLA vencido, parte vencendo nos proximos dias
+        solve_expiration: closed || canceled
+          ? isoDaysAgo(now, Math.max(0, createdDaysAgo - 3), 18)
+          : isoDaysAgo(now, (i * 7) % 5 < 2 ? 1 : -(i % 3) - 1, 18),
+        solved_in_time: closed ? i % 4 !== 0 : null
+      },
+      followers: '',
+      created_by: { id: USERS[0].id, name: USERS[0].name },
+      created_by_id: USERS[0].id,
+      created_by_way_of: 'api',
+      updated_by: { id: USERS[0].id, name: USERS[0].name },
+      updated_by_id: USERS[0].id,
+      url_internal_path: `${URL_BASE}/v/tickets/${number}`,
+      url_external_path: `${URL_BASE}/t/${number}`,
+      entities: []
+    });
+  }
+  return tickets;
+}
+
+function buildAnswers(now, tickets) {
+  const answers = {};
+  let id = 70001;
+  tickets.forEach((ticket, i) => {
+    const count = i % 4;
+    answers[ticket.ticket_number] = ANSWER_TEXTS.slice(0, count).map((name, index) => ({
+      id: id++,
+      name,
+      author: ticket.responsible?.name || USERS[0].name,
+      answer_time: new Date(Date.parse(ticket.created_at) + (index + 1) * 3 * 60 * 60 * 1000).toISOString(),
+      answer_origin: 'web',
+      signature: true,
+      files_count: 0
+    }));
+  });
+  return answers;
+}
+
+function buildAppointments(now, random, tickets) {
+  const appointments = [];
+  let id = 30001;
+  tickets.forEach((ticket, i) => {
+    if (!ticket.responsible || i % 3 === 2) return;
+    const count = 1 + (i % 2);
+    for (let n = 0; n < count; n++) {
+      const day = new Date(Date.parse(ticket.created_at) + n * DAY_MS);
+      if (day.getTime() > now) break;
+      const initHour = 9 + random.int(0, 6);
+      const minutes = 30 * random.int(1, 4);
+      const endTotal = initHour * 60 + minutes;
+      const remote = i % 2 === 0;
+      appointments.push({
+        id: id++,
+        ticket_number: ticket.ticket_number,
+        date: day.toISOString().slice(0, 10),
+        init_time: `${String(initHour).padStart(2, '0')}:00`,
+        end_time: `${String(Math.floor(endTotal / 60)).padStart(2, '0')}:${String(endTotal % 60).padStart(2, '0')}`,
+        description: `Atendimento do ticket #${ticket.ticket_number}`,
+        user: { id: ticket.responsible.id, name: ticket.responsible.name },
+        client: ref(ticket.client),
+        desk: { id: ticket.desk.id, name: ticket.desk.display_name },
+        ticket: { number: ticket.ticket_number, title: ticket.title },
+        external_user_name: null,
+        locations: [],
+        valorization: {
+          attendance: remote ? 'Remote' : 'External',
+          attendance_kind: i % 4 === 0 ? 'Contract' : 'Loose',
+          contract: i % 4 === 0 ? { id: 1, name: 'Contrato mensal' } : null,
+          loose_service: i % 4 === 0 ? null : { id: 1, name: 'Hora técnica' },
+          shift: remote ? null : { id: 1, name: 'Deslocamento urbano', value: 45 },
+          guarantee: false,
+          manual_value: false,
+          value: Number(((minutes / 60) * 120).toFixed(2))
+        }
+      });
+    }
+  });
+  return appointments;
+}
+
+function buildChats(now, clients, requestors, tickets) {
+  const chats = [];
+  const messages = {};
+  const departments = [{ id: 1, name: 'Suporte' }, { id: 2, name: 'Comercial' }];
+  const queues = ['inbox', 'inbox', 'inbox', 'mine', 'mine', 'mine', 'in_attendance', 'in_attendance', 'in_attendance', 'archived', 'archived', 'archived'];
+  queues.forEach((queue, i) => {
+    const id = 8001 + i;
+    const client = clients[i % 3];
+    const requestor = requestors.find(r => r.client.id === client.id);
+    const responsible = queue === 'inbox' ? null : queue === 'mine' ? USERS[0] : USERS[1 + (i % 3)];
+    const createdAt = isoDaysAgo(now, i % 6, 10 + (i % 7));
+    const ticket = i % 4 === 0 ? tickets[i] : null;
+    const lastClientMessage = ['Bom dia, preciso de ajuda com o sistema', 'Vocês conseguem verificar minha fatura?', 'A internet caiu aqui'][i % 3];
+    chats.push({
+      id,
+      queue,
+      origin: i % 2 === 0 ? 'whatsapp' : 'webchat',
+      started_by: i % 5 === 0 ? 'attendant' : 'client',
+      online: queue !== 'archived' && i % 2 === 0,
+      waiting_answer: queue !== 'archived' && i % 3 === 0,
+      archived: queue === 'archived',
+      canceled: queue === 'archived' && i === 11,
+      assessment: queue === 'archived' ? 4 + (i % 2) : null,
+      room: `sala-${id}`,
+      client: ref(client),
+      requestor: { id: requestor.id, name: requestor.name },
+      department: departments[i % 2],
+      responsible: responsible ? ref(responsible) : null,
+      ticket: ticket ? { number: ticket.ticket_number, title: ticket.title } : null,
+      last_client_message: lastClientMessage,
+      created_at: createdAt,
+      updated_at: createdAt,
+      assumed_at: responsible ? createdAt : null,
+      finished_at: queue === 'archived' ? isoDaysAgo(now, i % 6, 18) : null
+    });
+    messages[id] = [
+      { id: id * 10 + 1, type: 'text', text: lastClientMessage, author: { type: 'client', id: requestor.id, name: requestor.name }, created_at: createdAt, status: { sent: true, delivered: true, read: true } },
+      { id: id * 10 + 2, type: 'text', text: 'Olá! Sou do time de suporte, já vou verificar.', author: responsible ? { type: 'attendant', id: responsible.id, name: responsible.name } : { type: 'system', id: null, name: null }, created_at: createdAt, status: { sent: true, delivered: true, read: i % 2 === 0 } }
+    ];
+  });
+  return { chats, messages };
+}
+
+function buildEquipments(now, clients) {
+  const base = [
+    { id: 385053, name: 'NTB-FINANCEIRO-01', client: clients[0], type: { id: 1, name: 'Notebook' }, online: true, agent: '3.4.1' },
+    { id: 385063, name: 'DSK-RECEPCAO', client: clients[0], type: { id: 2, name: 'Desktop' }, online: false, agent: '3.4.1' },
+    { id: 405001, name: 'SRV-ARQUIVOS', client: clients[0], type: { id: 3, name: 'Servidor' }, online: true, agent: '3.3.0' },
+    { id: 405002, name: 'DSK-CAIXA-01', client: clients[1], type: { id: 2, name: 'Desktop' }, online: true, agent: '3.4.1' },
+    { id: 405003, name: 'IMP-CONSULTORIO', client: clients[2], type: { id: 4, name: 'Impressora' }, online: null, agent: null },
+    { id: 405004, name: 'NTB-DIRETORIA', client: clients[2], type: { id: 1, name: 'Notebook' }, online: false, agent: '3.2.0' }
+  ];
+  return base.map((eq, index) => ({
+    id: eq.id,
+    name: eq.name,
+    client: { id: eq.client.id, name: eq.client.name },
+    equipment_type: eq.type,
+    equipment_group: { id: eq.client.id * 10, name: `Parque ${eq.client.name}` },
+    online: eq.online,
+    ipv4: eq.agent ? `192.168.0.${10 + index}` : null,
+    agent: eq.agent ? { version: eq.agent } : null,
+    last_seen: eq.agent ? isoDaysAgo(now, eq.online ? 0 : 3, 12) : null,
+    acquisition_date: null,
+    warranty_date: null,
+    network_name: eq.agent ? 'WORKGROUP' : null,
+    current_user: eq.agent ? 'usuario' : null,
+    agent_email: null,
+    agent_user: null,
+    manufacturer: eq.agent ? { name: 'Dell Inc.', model: 'Latitude 5420', serial: `SN${eq.id}` } : null,
+    system: eq.agent ? { name: 'Microsoft Windows 11 Pro', version: '23H2', kernel: '64 bits', timezone: 'America/Sao_Paulo' } : null,
+    processor: eq.agent ? { name: 'Intel(R) Core(TM) i5-1145G7 CPU @ 2.60GHz' } : null,
+    memory: eq.agent ? { total_gb: 16.0 } : null,
+    motherboard: eq.agent ? { manufacturer: 'Dell Inc.', model: '', bios: '1.21.0' } : null,
+    disks: eq.agent ? [{ name: 'C:', size_gb: 476.0, use_percent: 61.5 }] : [],
+    disksmart: eq.agent ? [{ model: 'NVMe KXG60ZNV512G', status: 'OK' }] : [],
+    network: eq.agent ? [{ name: 'Intel(R) Wi-Fi 6 AX201', ipv4: `192.168.0.${10 + index},fe80::1c2a:3b4c:5d6e:7f80`, mac: `00:1A:2B:3C:4D:${String(10 + index).padStart(2, '0')}` }] : [],
+    vga: eq.agent ? [{ name: 'Intel(R) Iris(R) Xe Graphics', vram_mb: 1024 }] : [],
+    printer: eq.agent ? [{ name: 'Microsoft Print to PDF', port: 'PORTPROMPT:', default: true }] : [],
+    sound: eq.agent ? [{ name: 'Realtek Audio' }] : [],
+    antivirus: eq.agent ? [{ name: 'Windows Defender', up_to_date: true, active: true }] : [],
+    operating_system: eq.agent ? { name: 'Microsoft Windows 11 Pro', version: '10.0.22631', kernel: '64 bits', service_pack: null } : null,
+    windows_update: eq.agent ? { pending_count: index % 3, has_critical_pending: index % 3 === 2 } : null,
+    softwares: eq.agent
+      ? [
+        { name: 'Google Chrome', version: '129.0.6668.90', vendor: 'Google LLC' },
+        { name: 'Microsoft 365 Apps', version: '16.0.17928', vendor: 'Microsoft Corporation' },
+        { name: 'TiFlux Agent', version: eq.agent, vendor: 'TiFlux' }
+      ]
+      : [],
+    entities: []
+  }));
+}
+
+/**
+ * Estado inicial do sandbox.
+ * @param {number} [now=Date.now()] - referencia das datas relativas
+ * @returns {object}
+ */
+function createSeed(now = Date.now()) {
+  const random = createRandom(20240601);
+  const desks = buildDesks();
+  const stages = buildStages(desks);
+  const priorities = buildPriorities(desks);
+  const catalogItems = buildCatalogItems(desks);
+  const clients = buildClients(now, desks);
+  const requestors = buildRequestors(clients);
+  const tickets = buildTickets(now, random, { clients, desks, stages, priorities, catalogItems, requestors });
+  const { chats, messages } = buildChats(now, clients, requestors, tickets);
+
+  return {
+    statuses: STATUSES,
+    users: USERS.map(user => ({ ...user })),
+    me: USERS[0],
+    desks,
+    stages,
+    priorities,
+    catalogItems,
+    clients,
+    requestors,
+    tickets,
+    answers: buildAnswers(now, tickets),
+    appointments: buildAppointments(now, random, tickets),
+    chats,
+    chatMessages: messages,
+    equipments: buildEquipments(now, clients),
+    nextIds: { ticket: 1001 + tickets.length, answer: 79001, appointment: 39001, client: 201, equipment: 500001, chat: 8101, message: 900001 }
+  };
+}
+
+module.exports = { createSeed, URL_BASE };
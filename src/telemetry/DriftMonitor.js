@@ -0,0 +1,94 @@
+/**
+ * DriftMonitor — registro das divergencias entre payloads da API e os schemas
+ * declarados em src/api/responseSchemas.js.
+ *
+ * Cada divergencia (endpoint + caminho + tipo) vira uma entrada com contagem,
+ * primeira/ultima ocorrencia e o valor observado. O warning estruturado
+ * (`API response drift`) sai so na primeira ocorrencia de cada entrada — uma
+ * listagem chamada a cada minuto nao inunda o log. A tool `get_server_status`
+ * mostra o resumo.
+ *
+ * Uma instancia compartilhada (`DriftMonitor.shared()`) atende todas as
+ * instancias de TiFluxAPI, como RequestCoalescer.
+ */
+
+const metrics = require('./metrics');
+
+const MAX_ENTRIES = 200; // teto de memoria: deriva real costuma ser um punhado de campos
+
+let sharedMonitor = null;
+
+class DriftMonitor {
+  constructor() {
+    this.entries = new Map();
+    this.checked = 0;
+    this.logger = null;
+  }
+
+  /**
+   * Logger que recebe o warning da primeira ocorrencia (default: nenhum).
+   */
+  setLogger(logger) {
+    this.logger = logger || null;
+  }
+
+  /**
+   * Registra o resultado da conferencia de uma resposta.
+   * @param {string} method
+   * @param {string} endpoint - template (ex: "/equipments/:id")
+   * @param {object[]} findings - saida de responseSchemas.checkResponse
+   */
+  record(method, endpoint, findings) {
+    this.checked += 1;
+    const now = new Date().toISOString();
+
+    for (const finding of findings) {
+      const key = `${method} ${endpoint} ${finding.path} ${finding.kind}`;
+      const entry = this.entries.get(key);
+      if (entry) {
+        entry.count += 1;
+        entry.last_seen = now;
+        entry.actual = finding.actual;
+        continue;
+      }
+      if (this.entries.size >= MAX_ENTRIES) continue;
+
+      this.entries.set(key, { method, endpoint, ...finding, count: 1, first_seen: now, last_seen: now });
+      metrics.apiResponseDrift.inc({ endpoint, kind: finding.kind });
+      this.logger?.warn?.('API response drift', {
+        method,
+        endpoint,
+        path: finding.path,
+        kind: finding.kind,
+        expected: finding.expected,
+        actual: finding.actual,
+        candidates: finding.candidates
+      });
+    }
+  }
+
+  /**
+   * Divergencias registradas, mais recentes primeiro.
+   * @returns {{ checked: number, entries: object[] }}
+   */
+  snapshot() {
+    const entries = [...this.entries.values()].sort((a, b) => b.last_seen.localeCompare(a.last_seen));
+    return { checked: this.checked, entries };
+  }
+
+  reset() {
+    this.entries.clear();
+    this.checked = 0;
+  }
+
+  /**
+   * Instancia compartilhada pelo processo.
+   * @returns {DriftMonitor}
+   */
+  static shared() {
+    if (!sharedMonitor) sharedMonitor = new DriftMonitor();
+    return sharedMonitor;
+  }
+}
+
+module.exports = DriftMonitor;
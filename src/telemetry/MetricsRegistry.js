@@ -0,0 +1,180 @@
+/**
+ * MetricsRegistry — contadores e histogramas no formato texto do Prometheus.
+ *
+ * Sem dependencias: o servidor roda via `npx` e nao carrega prom-client so
+ * para meia duzia de series. Cobre o que o /metrics e `get_server_metrics`
+ * precisam: counter e histogram com labels, `render()` no formato de
+ * exposicao 0.0.4 e `snapshot()` para resumos em Markdown.
+ *
+ * Labels viram chave da serie — so passe valores de cardinalidade baixa
+ * (nome de tool, template de endpoint, status), nunca IDs ou texto livre.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map(name => labels[name] ?? '').join('\u0000');
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+}
+
+class Counter {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.labelNames = labelNames;
+    this.series = new Map(); // key → { labels, value }
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(this.labelNames, labels);
+    let serie = this.series.get(key);
+    if (!serie) {
+      serie = { labels: this._pick(labels), value: 0 };
+      this.series.set(key, serie);
+    }
+    serie.value += amount;
+  }
+
+  _pick(labels) {
+    return this.labelNames.map(name => [name, labels[name] ?? '']);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    if (this.series.size === 0 && this.labelNames.length === 0) lines.push(`${this.name} 0`);
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+    }
+    return lines.join('\n');
+  }
+
+  snapshot() {
+    return Array.from(this.series.values(), ({ labels, value }) => ({
+      labels: Object.fromEntries(labels),
+      value
+    }));
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Histogram extends Counter {
+  constructor({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    super({ name, help, labelNames });
+    this.type = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {object} labels
+   * @param {number} value - em segundos para histogramas de duracao
+   */
+  observe(labels = {}, value) {
+    const key = labelKey(this.labelNames, labels);
+    let serie = this.series.get(key);
+    if (!serie) {
+      serie = { labels: this._pick(labels), counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, serie);
+    }
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) serie.counts[i] += 1;
+    }
+    serie.sum += value;
+    serie.count += 1;
+  }
+
+  /**
+   * Cronometro: chame a funcao devolvida para registrar a duracao em segundos.
+   * @returns {(extraLabels?: object) => number} segundos medidos
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels([...labels, ['le', formatNumber(bound)]])} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels([...labels, ['le', '+Inf']])} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatNumber(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+
+  snapshot() {
+    return Array.from(this.series.values(), ({ labels, counts, sum, count }) => ({
+      labels: Object.fromEntries(labels),
+      count,
+      sum,
+      // Acumulado por limite superior, em ordem crescente
+      buckets: this.buckets.map((le, i) => ({ le, count: counts[i] }))
+    }));
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  counter(options) {
+    return this._register(new Counter(options));
+  }
+
+  histogram(options) {
+    return this._register(new Histogram(options));
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metrica ja registrada: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  get(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  /**
+   * Formato de exposicao texto do Prometheus (Content-Type `text/plain; version=0.0.4`).
+   * @returns {string}
+   */
+  render() {
+    return Array.from(this.metrics.values(), metric => metric.render()).join('\n\n') + '\n';
+  }
+
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset();
+  }
+}
+
+module.exports = MetricsRegistry;
+module.exports.Counter = Counter;
+module.exports.Histogram = Histogram;
+module.exports.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
@@ -0,0 +1,118 @@
+/**
+ * metrics.js — catalogo das metricas do servidor (registry unico do processo).
+ *
+ * Quem mede importa a serie daqui; quem expoe usa `renderMetrics()`:
+ *   - modo HTTP: GET /metrics (StreamableHttpServer)
+ *   - stdio: tool `get_server_metrics` (src/tools/server)
+ *
+ * Pontos de medicao:
+ *   - tool calls: HandlerRegistry.execute (nome da tool + desfecho)
+ *   - API requests: TiFluxAPI._dispatch (uma por requisicao logica, retries inclusos)
+ *   - retries e rate limit: HttpClient.request
+ *   - cache de metadados: CacheStrategy.getOrFetchMetadata
+ *   - deriva de payload: DriftMonitor.record (primeira ocorrencia de cada divergencia)
+ *
+ * Endpoints entram como template (`endpointTemplate`) para a cardinalidade
+ * nao crescer com IDs: /tickets/123/files?x=1 → /tickets/:id/files.
+ */
+
+const MetricsRegistry = require('./MetricsRegistry');
+
+const registry = new MetricsRegistry();
+
+const toolCalls = registry.counter({
+  name: 'tiflux_mcp_tool_calls_total',
+  help: 'Chamadas de tools MCP por tool e desfecho (success, error, invalid_arguments, cancelled, exception).',
+  labelNames: ['tool', 'outcome']
+});
+
+const toolDuration = registry.histogram({
+  name: 'tiflux_mcp_tool_duration_seconds',
+  help: 'Duracao das chamadas de tools MCP em segundos.',
+  labelNames: ['tool']
+});
+
+const apiRequests = registry.counter({
+  name: 'tiflux_mcp_api_requests_total',
+  help: 'Requisicoes a API TiFlux por metodo, template de endpoint e status final.',
+  labelNames: ['method', 'endpoint', 'status']
+});
+
+const apiDuration = registry.histogram({
+  name: 'tiflux_mcp_api_request_duration_seconds',
+  help: 'Duracao das requisicoes a API TiFlux em segundos (retries e esperas inclusos).',
+  labelNames: ['method', 'endpoint']
+});
+
+const apiRetries = registry.counter({
+  name: 'tiflux_mcp_api_retries_total',
+  help: 'Novas tentativas do HttpClient por metodo e motivo (status HTTP, timeout ou network).',
+  labelNames: ['method', 'reason']
+});
+
+const cacheLookups = registry.counter({
+  name: 'tiflux_mcp_cache_lookups_total',
+  help: 'Consultas ao cache por cache, tipo e resultado (hit, hit_disk, miss).',
+  labelNames: ['cache', 'type', 'result']
+});
+
+const rateLimitWaits = registry.counter({
+  name: 'tiflux_mcp_rate_limit_waits_total',
+  help: 'Requisicoes que esperaram o rate limiter client-side.'
+});
+
+const rateLimitWaitSeconds = registry.counter({
+  name: 'tiflux_mcp_rate_limit_wait_seconds_total',
+  help: 'Tempo total de espera no rate limiter client-side em segundos.'
+});
+
+const rateLimitResponses = registry.counter({
+  name: 'tiflux_mcp_rate_limit_responses_total',
+  help: 'Respostas HTTP 429 recebidas da API TiFlux.'
+});
+
+const apiResponseDrift = registry.counter({
+  name: 'tiflux_mcp_api_response_drift_total',
+  help: 'Divergencias distintas entre respostas da API e os schemas declarados, por endpoint e tipo (missing, type).',
+  labelNames: ['endpoint', 'kind']
+});
+
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f-]{27,}|[0-9a-f]{16,})$/i;
+
+/**
+ * Template de baixa cardinalidade do endpoint: sem query string, segmentos
+ * numericos/UUID/hash viram `:id`.
+ * @param {string} endpoint - ex: "/tickets/123/files?limit=20"
+ * @returns {string} ex: "/tickets/:id/files"
+ */
+function endpointTemplate(endpoint) {
+  const path = String(endpoint || '').split('?')[0];
+  return path
+    .split('/')
+    .map(segment => (ID_SEGMENT.test(segment) ? ':id' : segment))
+    .join('/') || '/';
+}
+
+/**
+ * Todas as metricas no formato texto do Prometheus.
+ * @returns {string}
+ */
+function renderMetrics() {
+  return registry.render();
+}
+
+module.exports = {
+  registry,
+  toolCalls,
+  toolDuration,
+  apiRequests,
+  apiDuration,
+  apiRetries,
+  cacheLookups,
+  rateLimitWaits,
+  rateLimitWaitSeconds,
+  rateLimitResponses,
+  apiResponseDrift,
+  endpointTemplate,
+  renderMetrics
+};
@@ -0,0 +1,94 @@
+/**
+ * annotations.js — Presets de `annotations` MCP para os schemas dos slices.
+ *
+ * Toda tool declara `schema.annotations` (o HandlerRegistry recusa registrar
+ * sem). Clientes usam as dicas para auto-aprovar leituras e pedir confirmacao
+ * antes de operacoes destrutivas — antes o unico sinal era o prefixo do nome.
+ *
+ *   readOnlyAnnotations(title)     — list_/get_/search_: so leitura
+ *   createAnnotations(title)       — cria registro novo (repetir duplica)
+ *   updateAnnotations(title)       — sobrescreve campos (repetir e inofensivo)
+ *   destructiveAnnotations(title)  — remove/cancela/fecha/envia: irreversivel, pedir confirmacao
+ *
+ * Edicao de campo nao pede confirmacao: `updateAnnotations` fica com
+ * `destructiveHint: false`. So o que remove ou encerra estado (delete_*,
+ * cancel_ticket, close_ticket) ou entrega conteudo sem volta (send_message)
+ * usa `destructiveAnnotations`.
+ *
+ * `openWorldHint` fica true apenas em tools que entregam conteudo a pessoas
+ * fora da organizacao (ex.: resposta ao cliente, mensagem de chat) — o resto
+ * opera no dominio fechado da conta TiFlux.
+ */
+
+function build(title, hints, { openWorld = false, idempotent } = {}) {
+  return {
+    title,
+    readOnlyHint: hints.readOnly,
+    destructiveHint: hints.destructive,
+    idempotentHint: idempotent ?? hints.idempotent,
+    openWorldHint: openWorld
+  };
+}
+
+/** @param {string} title - titulo legivel exibido pelo cliente */
+function readOnlyAnnotations(title) {
+  return build(title, { readOnly: true, destructive: false, idempotent: true });
+}
+
+/**
+ * @param {string} title
+ * @param {{ openWorld?: boolean }} [options]
+ */
+function createAnnotations(title, options) {
+  return build(title, { readOnly: false, destructive: false, idempotent: false }, options);
+}
+
+/**
+ * @param {string} title
+ * @param {{ openWorld?: boolean, idempotent?: boolean }} [options]
+ */
+function updateAnnotations(title, options) {
+  return build(title, { readOnly: false, destructive: false, idempotent: true }, options);
+}
+
+/**
+ * @param {string} title
+ * @param {{ openWorld?: boolean, idempotent?: boolean }} [options] - idempotent default true (delete/cancel)
+ */
+function destructiveAnnotations(title, options) {
+  return build(title, { readOnly: false, destructive: true, idempotent: true }, options);
+}
+
+const ANNOTATION_HINTS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+
+/**
+ * Valida `schema.annotations` — usado pelo HandlerRegistry no register.
+ *
+ * @param {object} schema - schema MCP da tool
+ * @returns {string|null} motivo da rejeicao, ou null se valido
+ */
+function validateAnnotations(schema) {
+  const annotations = schema.annotations;
+  if (!annotations || typeof annotations !== 'object') {
+    return 'nao declara annotations';
+  }
+  if (typeof annotations.title !== 'string' || annotations.title.trim() === '') {
+    return 'annotations.title ausente';
+  }
+  const missing = ANNOTATION_HINTS.filter(hint => typeof annotations[hint] !== 'boolean');
+  if (missing.length > 0) {
+    return `annotations sem ${missing.join(', ')}`;
+  }
+  if (annotations.readOnlyHint && annotations.destructiveHint) {
+    return 'annotations readOnlyHint e destructiveHint sao mutuamente exclusivos';
+  }
+  return null;
+}
+
+module.exports = {
+  readOnlyAnnotations,
+  createAnnotations,
+  updateAnnotations,
+  destructiveAnnotations,
+  validateAnnotations
+};
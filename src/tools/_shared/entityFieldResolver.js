@@ -259,7 +259,7 @@ function buildEntitiesSchema(idSourceHint) {
         entity_field_name: { type: 'string', description: 'Nome do campo dentro da entidade para resolução automática do entity_field_id — use junto com entity_name.' },
         entity_field_option_name: { type: 'string', description: 'Nome da opção para resolução automática do entity_field_option_id (campos single_select/checkbox). Alternativa ao entity_field_option_id.' },
         value: {
-          type: 'string',
+          type: ['string', 'null'],
           description: 'Valor do campo. Tipos aceitos: text (string), text_area (string), currency (float como string ex: "150.55"), phone (apenas números ex: "47999999999"), email (string), link (URL começando com http/https/ftp), date (formato YYYY-MM-DD), single_select (ID da opção como string), checkbox (boolean como string "true"/"false"). Use null para limpar campos não obrigatórios.'
         },
         entity_field_option_id: { type: 'number', description: 'ID da opcao selecionada (opcional). Obrigatorio para checkbox multiplo — use list_entity_field_options para obter os IDs. Para marcar multiplas opcoes, envie um item por opcao com o mesmo entity_field_id e entity_field_option_id diferente.' },
@@ -20,12 +20,13 @@ const { errorResponse } = require('./errors');
 const { footer } = require('./format');
 const { previousPeriod, validatePeriod } = require('./periodMath');
 const { capIds, calcDelta, formatDeltaStr } = require('./reportMath');
+const { noopProgress } = require('./progress');
 
 /**
  * Executa um relatório de avaliação com comparação de período.
  *
  * @param {object} args - argumentos MCP (start_date, end_date, compare_*, include_list, offset, limit, *_ids)
- * @param {object} ctx - { api, verbosity, logger }
+ * @param {object} ctx - { api, verbosity, logger, progress }
  * @param {object} cfg - configuração por entidade:
  *   @param {string} cfg.entityLabel - rótulo capitalizado plural ('Chats' | 'Tickets')
  *   @param {string} cfg.entitySingular - singular minúsculo ('chat' | 'ticket')
@@ -38,7 +39,7 @@ const { capIds, calcDelta, formatDeltaStr } = require('./reportMath');
  * @returns {object} resposta MCP (textResponse | errorResponse)
  */
 async function runFeedbackReport(args, ctx, cfg) {
-  const { api, verbosity, logger } = ctx || {};
+  const { api, verbosity, logger, progress = noopProgress } = ctx || {};
   const v = verbosity || 'rich';
   const label = cfg.entityLabel;
   const labelLower = label.toLowerCase();
@@ -136,6 +137,7 @@ async function runFeedbackReport(args, ctx, cfg) {
 
     const mainData = mainResponse.data || {};
     const mainSummary = mainData.summary || mainData || {};
+    progress(1, 2, 'Período principal consultado');
 
     // --- Chamada 2: período de comparação ---
     const compareFilters = {
@@ -158,6 +160,7 @@ async function runFeedbackReport(args, ctx, cfg) {
 
     const compareData = compareResponse.data || {};
     const compareSummary = compareData.summary || compareData || {};
+    progress(2, 2, 'Período de comparação consultado');
 
     // --- Métricas / deltas ---
     const evaluated = mainSummary[cfg.evaluatedKey] ?? 0;
@@ -0,0 +1,219 @@
+/**
+ * pagination.js — Paginacao concorrente e limitada para tools agregadas.
+ *
+ * A primeira pagina e buscada sozinha para ler o total (X-Total-Items, exposto
+ * pelo TiFluxAPI como `response.total`). Com o total conhecido, as paginas
+ * restantes saem em paralelo, no maximo `concurrency` de cada vez. Sem o total,
+ * cai na paginacao sequencial ate a primeira pagina incompleta.
+ *
+ * Rate limit: a concorrencia nunca passa do `headroom()` do RateLimiter da
+ * chave (minimo 1) — paginas em paralelo esperando token so estourariam o
+ * `maxWaitMs`. Um 429 numa pagina depois da primeira encerra a busca com
+ * resultado parcial em vez de descartar o que ja veio.
+ *
+ * Teto: `maxItems` e um limite duro. Passou dele, o resultado vem marcado como
+ * parcial e `partialNotice` monta o aviso honesto para a resposta da tool.
+ *
+ * Uso:
+ *   const paged = await fetchAllPages(
+ *     (page, limit) => api.listAppointmentsGlobal({ ...filters, offset: page, limit }),
+ *     { pageSize: 200, maxItems: 10000, rateLimiter: api.rateLimiter, progress, label: 'apontamentos' }
+ *   );
+ *   if (paged.error) return erro(paged.response);
+ *   paged.items; paged.partial; partialNotice(paged, 'apontamentos')
+ */
+
+const { noopProgress } = require('./progress');
+
+const DEFAULT_PAGE_SIZE = 200;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_ITEMS = 10000;
+
+/**
+ * Executa `fn` para cada item com no maximo `concurrency` chamadas em curso.
+ * Resultados na ordem de `items`. A primeira rejeicao interrompe novas chamadas.
+ *
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {(item: *, index: number) => Promise<*>} fn
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Concorrencia efetiva: `concurrency` limitado pelo headroom do rate limiter.
+ */
+function effectiveConcurrency(concurrency, rateLimiter) {
+  const headroom = rateLimiter?.headroom ? rateLimiter.headroom() : Infinity;
+  return Math.max(1, Math.min(concurrency, headroom));
+}
+
+/**
+ * Busca todas as paginas de um endpoint paginado (offset = numero da pagina).
+ *
+ * @param {(page: number, limit: number) => Promise<{ data?: Array, total?: number, error?: string, status?: * }>} fetchPage
+ * @param {object} [options]
+ * @param {number} [options.pageSize=200]
+ * @param {number} [options.concurrency=4] - paginas em paralelo depois da primeira
+ * @param {number} [options.maxItems=10000] - teto duro de itens
+ * @param {object} [options.rateLimiter] - RateLimiter da chave (ex: `api.rateLimiter`)
+ * @param {Function} [options.progress] - ctx.progress (ver ./progress.js)
+ * @param {string} [options.label='itens'] - substantivo das mensagens de progresso
+ * @returns {Promise<{
+ *   error?: boolean,
+ *   response?: object,
+ *   items?: Array,
+ *   total?: number|null,
+ *   partial?: false|{ reason: 'cap'|'rate_limit', maxItems?: number, retryAfter?: number }
+ * }>} `error: true` so quando a primeira pagina falha ou uma pagina falha sem ser por rate limit
+ */
+async function fetchAllPages(fetchPage, options = {}) {
+  const {
+    pageSize = DEFAULT_PAGE_SIZE,
+    concurrency = DEFAULT_CONCURRENCY,
+    maxItems = DEFAULT_MAX_ITEMS,
+    rateLimiter = null,
+    progress = noopProgress,
+    label = 'itens'
+  } = options;
+
+  const first = await fetchPage(1, pageSize);
+  if (first.error) return { error: true, response: first };
+
+  const firstItems = first.data || [];
+  const total = first.total != null ? first.total : null;
+  const target = total !== null ? Math.min(total, maxItems) : maxItems;
+  const report = (loaded) => progress(
+    loaded,
+    total !== null ? target : undefined,
+    `${loaded}${total !== null ? ` de ${target}` : ''} ${label} carregados`
+  );
+  report(firstItems.length);
+
+  const pages = total !== null
+    ? await fetchKnownPages(fetchPage, { pageSize, concurrency, rateLimiter, target, firstItems, report })
+    : await fetchSequentialPages(fetchPage, { pageSize, maxItems, firstItems, report });
+  if (pages.error) return pages;
+
+  let items = pages.items;
+  let partial = pages.partial || false;
+  if (items.length > maxItems || (!partial && total !== null && total > maxItems)) {
+    items = items.slice(0, maxItems);
+    partial = { reason: 'cap', maxItems };
+  } else if (!partial && pages.hitCap) {
+    partial = { reason: 'cap', maxItems };
+  }
+
+  return { items, total, partial };
+}
+
+/**
+ * Total conhecido: paginas 2..N em paralelo (limitado por concorrencia e rate limit).
+ */
+async function fetchKnownPages(fetchPage, { pageSize, concurrency, rateLimiter, target, firstItems, report }) {
+  const lastPage = Math.ceil(target / pageSize);
+  if (lastPage <= 1 || firstItems.length < pageSize) return { items: firstItems };
+
+  const pageNumbers = [];
+  for (let page = 2; page <= lastPage; page++) pageNumbers.push(page);
+
+  let loaded = firstItems.length;
+  let stop = null;
+
+  const results = await mapWithConcurrency(pageNumbers, effectiveConcurrency(concurrency, rateLimiter), async (page) => {
+    if (stop) return null;
+    const response = await fetchPage(page, pageSize);
+    if (response.error) {
+      stop = stop || response;
+      return null;
+    }
+    const data = response.data || [];
+    loaded += data.length;
+    report(loaded);
+    return data;
+  });
+
+  if (stop && stop.status !== 429) return { error: true, response: stop };
+
+  // Paginas contiguas ate a primeira que faltou (429 no meio nao deixa buraco)
+  const items = [...firstItems];
+  for (const data of results) {
+    if (!data) break;
+    items.push(...data);
+  }
+
+  return stop
+    ? { items, partial: { reason: 'rate_limit', retryAfter: stop.retryAfter } }
+    : { items };
+}
+
+/**
+ * Total desconhecido: pagina a pagina ate uma pagina incompleta ou o teto.
+ */
+async function fetchSequentialPages(fetchPage, { pageSize, maxItems, firstItems, report }) {
+  const items = [...firstItems];
+  let lastCount = firstItems.length;
+  let page = 1;
+
+  while (lastCount >= pageSize) {
+    if (items.length >= maxItems) return { items, hitCap: true };
+    page += 1;
+    const response = await fetchPage(page, pageSize);
+    if (response.error) {
+      if (response.status === 429) {
+        return { items, partial: { reason: 'rate_limit', retryAfter: response.retryAfter } };
+      }
+      return { error: true, response };
+    }
+    const data = response.data || [];
+    items.push(...data);
+    lastCount = data.length;
+    report(items.length);
+  }
+
+  return { items };
+}
+
+/**
+ * Aviso Markdown para resultado parcial ('' quando completo).
+ *
+ * @param {{ items: Array, total: number|null, partial: false|object }} paged
+ * @param {string} noun - ex: 'apontamentos'
+ * @param {string} [hint] - como obter o resto (ex: 'Reduza o período ou filtre por técnico.')
+ * @returns {string}
+ */
+function partialNotice(paged, noun, hint = '') {
+  if (!paged.partial) return '';
+  const loaded = paged.items.length;
+  const ofTotal = paged.total != null ? ` de ${paged.total}` : '';
+  const suffix = hint ? ` ${hint}` : '';
+
+  if (paged.partial.reason === 'rate_limit') {
+    const retry = paged.partial.retryAfter ? ` Tente novamente em ${paged.partial.retryAfter}s.` : '';
+    return `\n*⚠️ Resultado parcial: ${loaded}${ofTotal} ${noun} carregados — a API TiFlux limitou as requisições (HTTP 429) no meio da paginação. Os totais consideram só o que foi carregado.${retry}${suffix}*\n`;
+  }
+
+  return `\n*⚠️ Resultado parcial: ${loaded}${ofTotal} ${noun} carregados (limite de ${paged.partial.maxItems} por chamada). Os totais consideram só o que foi carregado.${suffix}*\n`;
+}
+
+module.exports = { fetchAllPages, mapWithConcurrency, partialNotice };
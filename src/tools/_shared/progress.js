@@ -0,0 +1,49 @@
+/**
+ * progress.js — Notificacoes MCP `notifications/progress` para slices longos.
+ *
+ * O HandlerRegistry monta `ctx.progress` por requisicao. Quando o cliente
+ * manda `_meta.progressToken` no tools/call, cada chamada vira uma notificacao
+ * para ele; sem token (ou fora do registry, ex: testes que injetam so { api }),
+ * e um no-op — o slice chama sempre, sem checar.
+ *
+ * Uso no slice:
+ *   async function execute(args, { api, progress = noopProgress }) {
+ *     progress(1, 3, 'Buscando periodo atual');
+ *
+ * Contrato MCP: `progress` precisa crescer a cada notificacao — valores que nao
+ * avancam sao descartados aqui. `total` pode ser omitido quando desconhecido
+ * (ex: paginacao antes do primeiro X-Total-Items).
+ */
+
+/** Reporter que nao faz nada — default dos slices. */
+function noopProgress() {}
+
+/**
+ * @param {object} options
+ * @param {string|number} [options.progressToken] - `_meta.progressToken` do request
+ * @param {(notification: object) => Promise<void>} [options.sendNotification] - `extra.sendNotification` do SDK
+ * @param {object} [options.logger] - debug quando o envio falha
+ * @returns {(progress: number, total?: number, message?: string) => void}
+ */
+function createProgressReporter({ progressToken, sendNotification, logger } = {}) {
+  if (progressToken === undefined || progressToken === null || typeof sendNotification !== 'function') {
+    return noopProgress;
+  }
+
+  let last = -Infinity;
+  return function progress(value, total, message) {
+    if (!Number.isFinite(value) || value <= last) return;
+    last = value;
+
+    const params = { progressToken, progress: value };
+    if (Number.isFinite(total)) params.total = total;
+    if (message) params.message = message;
+
+    // Fire-and-forget: progresso perdido nao pode derrubar a tool.
+    Promise.resolve()
+      .then(() => sendNotification({ method: 'notifications/progress', params }))
+      .catch(error => logger?.debug?.('Progress notification failed', { error: error.message }));
+  };
+}
+
+module.exports = { createProgressReporter, noopProgress };
@@ -3,10 +3,21 @@
  *
  * Pattern de resposta MCP: { content: [{ type: 'text', text }] }.
  * Todos os slices retornam nesse shape — este helper centraliza.
+ * Slices com `outputSchema` usam structuredResponse (ver ./structured.js).
  */
 
 function textResponse(text) {
   return { content: [{ type: 'text', text }] };
 }
 
-module.exports = { textResponse };
+/**
+ * Markdown de sempre + `structuredContent` tipado conforme o outputSchema do slice.
+ *
+ * @param {string} text - mesmo texto que textResponse devolveria
+ * @param {object} structuredContent - objeto que valida contra schema.outputSchema
+ */
+function structuredResponse(text, structuredContent) {
+  return { content: [{ type: 'text', text }], structuredContent };
+}
+
+module.exports = { textResponse, structuredResponse };
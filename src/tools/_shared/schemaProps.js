@@ -126,10 +126,24 @@ function feedbackReportSchemaProperties(includeListDescription) {
   };
 }
 
+/**
+ * Propriedade de schema para `dry_run`. Presente em toda tool de escrita
+ * (create/update/delete/send) — quem intercepta e o HandlerRegistry, o slice
+ * nao le o flag. Ver src/registry/dryRun.js.
+ * @returns {object} objeto de schema pronto para `properties.dry_run`
+ */
+function dryRunSchemaProperty() {
+  return {
+    type: 'boolean',
+    description: 'Simular sem gravar (padrão: false). Resolve nomes e valida normalmente, mas NÃO envia a escrita à API — devolve método, endpoint e payload que seriam enviados.'
+  };
+}
+
 module.exports = {
   ticketNumberSchemaProperty,
   createdAtFilterSchemaProperties,
   finishedAtFilterSchemaProperties,
   paginationSchemaProperties,
-  feedbackReportSchemaProperties
+  feedbackReportSchemaProperties,
+  dryRunSchemaProperty
 };
@@ -0,0 +1,103 @@
+/**
+ * structured.js — Saida estruturada (outputSchema + structuredContent).
+ *
+ * Tools de leitura podem declarar `schema.outputSchema` e devolver, ao lado do
+ * Markdown de sempre, um `structuredContent` tipado (ver structuredResponse em
+ * ./response.js). Agentes programaticos e dashboards consomem o JSON sem
+ * precisar parsear tabelas em pt-BR; o texto continua igual para o modelo.
+ *
+ * Contrato MCP: quando a tool declara outputSchema, TODO retorno de sucesso
+ * precisa trazer structuredContent valido (o client SDK valida). Retornos de
+ * erro (isError) ficam de fora. Por isso os mappers abaixo normalizam o dado
+ * da API (ids numericos, null em vez de undefined) antes de sair.
+ *
+ * Fragmentos de schema:
+ *   refOutputSchema()            — { id, name } | null (status, mesa, cliente...)
+ *   paginationOutputSchema()     — { offset, limit, count, total, has_more }
+ *   nullable(type)               — tipo JSON Schema aceitando null
+ * Mappers:
+ *   toRef(obj, nameKey?)         — { id, name } | null
+ *   toPagination(opts)           — mesmo calculo de hasMore que format.pagination
+ *   toId(value) / toText(value)  — normalizacao de escalares
+ */
+
+/**
+ * @param {string|string[]} type - tipo(s) JSON Schema
+ * @returns {object} `{ type: [...type, 'null'] }`
+ */
+function nullable(type) {
+  return { type: [].concat(type, 'null') };
+}
+
+/** Referencia `{ id, name }` a uma entidade relacionada (ou null). */
+function refOutputSchema() {
+  return {
+    type: ['object', 'null'],
+    properties: {
+      id: nullable('number'),
+      name: nullable('string')
+    },
+    required: ['id', 'name']
+  };
+}
+
+/** Bloco de paginacao das listagens (offset 1-based, como a API). */
+function paginationOutputSchema() {
+  return {
+    type: 'object',
+    properties: {
+      offset: { type: 'integer' },
+      limit: { type: 'integer' },
+      count: { type: 'integer' },
+      total: nullable('integer'),
+      has_more: { type: 'boolean' }
+    },
+    required: ['offset', 'limit', 'count', 'total', 'has_more']
+  };
+}
+
+function toId(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  return String(value);
+}
+
+/**
+ * @param {object|null|undefined} obj - entidade aninhada vinda da API
+ * @param {string} [nameKey='name'] - campo usado como nome (ex: 'display_name')
+ */
+function toRef(obj, nameKey = 'name') {
+  if (!obj || typeof obj !== 'object') return null;
+  return { id: toId(obj.id), name: toText(obj[nameKey] ?? obj.name) };
+}
+
+/**
+ * Mesmo criterio de "ha mais paginas" de format.pagination: total quando
+ * conhecido, senao pagina cheia.
+ *
+ * @param {{ offset?: number, limit?: number, count: number, total?: number }} opts
+ */
+function toPagination({ offset, limit, count, total }) {
+  const currentOffset = Math.max(1, Number.parseInt(offset) || 1);
+  const currentLimit = Math.max(1, Number.parseInt(limit) || 20);
+  const knownTotal = Number.isInteger(total) ? total : null;
+  const hasMore = knownTotal !== null
+    ? (currentOffset - 1) * currentLimit + count < knownTotal
+    : count === currentLimit;
+  return { offset: currentOffset, limit: currentLimit, count, total: knownTotal, has_more: hasMore };
+}
+
+module.exports = {
+  nullable,
+  refOutputSchema,
+  paginationOutputSchema,
+  toId,
+  toText,
+  toRef,
+  toPagination
+};
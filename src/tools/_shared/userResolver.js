@@ -29,22 +29,24 @@
 const { resolveEntityByName } = require('./entityResolver');
 
 /**
- * Resolve um nome de responsavel para responsible_id.
+ * Busca atendentes por nome — cascata /technical-users → smartSearchUsers.
  *
  * Usa GET /technical-users como caminho primario (rapido, 1 round-trip, funciona
  * para admin e nao-admin). Fallback a smartSearchUsers apenas se primario retornar
- * erro inesperado (404 ou 403).
+ * erro inesperado (404 ou 403). Compartilhado entre resolveResponsibleName e o
+ * autocomplete de responsible_name (src/completions).
  *
  * @param {object} api - instancia de TiFluxAPI
- * @param {string} name - nome (parcial ou exato) do responsavel
+ * @param {string} name - nome (parcial ou exato); vazio lista os atendentes
  * @param {object} [scope] - escopo opcional para desambiguacao server-side
  * @param {number} [scope.deskId] - ID da mesa (reduz resultados para atendentes da mesa)
  * @param {number} [scope.clientId] - ID do cliente (reduz resultados para atendentes do cliente)
- * @returns {Promise<{error: boolean, userId?: number, user?: object, response?: object}>}
+ * @param {number} [limit] - maximo de resultados (default 10)
+ * @returns {Promise<object>} resposta da API ({ data } ou { error, status })
  */
-async function resolveResponsibleName(api, name, { deskId, clientId } = {}) {
+async function searchResponsibles(api, name, { deskId, clientId } = {}, limit = 10) {
   // Caminho primario: GET /technical-users (permissivo, sem admin)
-  const primaryFilters = { name, limit: 10 };
+  const primaryFilters = { name, limit };
   if (deskId != null) primaryFilters.desk_id = deskId;
   if (clientId != null) primaryFilters.client_id = clientId;
 
@@ -55,18 +57,27 @@ async function resolveResponsibleName(api, name, { deskId, clientId } = {}) {
     primaryResponse.error &&
     (primaryResponse.status === 404 || primaryResponse.status === 403);
 
-  let response;
-  if (primaryFailed) {
-    // Fallback: GET /users (admin) ou GET /technical-groups/{id}/users (nao-admin)
-    response = await api.smartSearchUsers({
-      name,
-      active: true,
-      type: 'attendant',
-      limit: 10
-    });
-  } else {
-    response = primaryResponse;
-  }
+  if (!primaryFailed) return primaryResponse;
+
+  // Fallback: GET /users (admin) ou GET /technical-groups/{id}/users (nao-admin)
+  return await api.smartSearchUsers({
+    name,
+    active: true,
+    type: 'attendant',
+    limit
+  });
+}
+
+/**
+ * Resolve um nome de responsavel para responsible_id via searchResponsibles.
+ *
+ * @param {object} api - instancia de TiFluxAPI
+ * @param {string} name - nome (parcial ou exato) do responsavel
+ * @param {object} [scope] - escopo opcional ({ deskId, clientId }), ver searchResponsibles
+ * @returns {Promise<{error: boolean, userId?: number, user?: object, response?: object}>}
+ */
+async function resolveResponsibleName(api, name, scope = {}) {
+  const response = await searchResponsibles(api, name, scope);
 
   return resolveEntityByName(response, {
     idKey: 'userId',
@@ -100,4 +111,4 @@ async function resolveResponsibleName(api, name, { deskId, clientId } = {}) {
   });
 }
 
-module.exports = { resolveResponsibleName };
+module.exports = { resolveResponsibleName, searchResponsibles };
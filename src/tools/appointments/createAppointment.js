@@ -23,6 +23,8 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse, apiFailureResponse, extractApiErrorCode, extractApiErrorDetail } = require('../_shared/errors');
 const { requireField, parseIntStrict } = require('../_shared/validators');
 const { currencyBRL } = require('../_shared/format');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { resolveShiftName, resolveLooseServiceName, resolveContractName } = require('./valorizationResolver');
 
 const schema = {
@@ -103,10 +105,12 @@ const schema = {
       contract_name: {
         type: 'string',
         description: 'Nome (ou parte do nome) do contrato para resolução automática. Retorna o contract_rider_id correspondente. Alternativa a contract_rider_id. Quando contract_rider_id também for informado, contract_rider_id tem precedência.'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number', 'date', 'init_time', 'end_time', 'description']
-  }
+  },
+  annotations: createAnnotations('Registrar apontamento')
 };
 
 /**
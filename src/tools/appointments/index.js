@@ -22,8 +22,8 @@ class AppointmentTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  AppointmentTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  AppointmentTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
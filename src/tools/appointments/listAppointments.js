@@ -10,6 +10,7 @@ const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { footer, pagination, currencyBRL } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 const { ATTENDANCE_LABELS, ATTENDANCE_KIND_LABELS } = require('./appointmentFilters');
 
 const schema = {
@@ -37,7 +38,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar apontamentos do ticket')
 };
 
 function formatAppointmentsList(ticket_number, appointments, offset, limit, verbosity) {
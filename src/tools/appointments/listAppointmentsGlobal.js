@@ -13,10 +13,20 @@
  * Resolução de nomes: user_names → IDs via userResolver; desk_names → IDs via deskResolver.
  */
 
-const { textResponse } = require('../_shared/response');
+const { structuredResponse } = require('../_shared/response');
 const { internalErrorResponse } = require('../_shared/errors');
 const { renderList, currencyBRL } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const {
+  nullable,
+  refOutputSchema,
+  paginationOutputSchema,
+  toId,
+  toText,
+  toRef,
+  toPagination
+} = require('../_shared/structured');
 const {
   ATTENDANCE_LABELS,
   appointmentFilterSchemaProperties,
@@ -35,7 +45,47 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['start_date', 'end_date']
-  }
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      appointments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'number' },
+            date: nullable('string'),
+            init_time: nullable('string'),
+            end_time: nullable('string'),
+            description: nullable('string'),
+            user: refOutputSchema(),
+            client: refOutputSchema(),
+            desk: refOutputSchema(),
+            ticket: {
+              type: ['object', 'null'],
+              properties: { number: nullable('number'), title: nullable('string') }
+            },
+            external_user_name: nullable('string'),
+            valorization: {
+              type: ['object', 'null'],
+              properties: {
+                attendance: nullable('string'),
+                value: nullable('string'),
+                guarantee: { type: 'boolean' },
+                manual_value: { type: 'boolean' }
+              }
+            }
+          },
+          required: ['id', 'date', 'user', 'client', 'desk', 'ticket']
+        }
+      },
+      pagination: paginationOutputSchema(),
+      warnings: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['appointments', 'pagination', 'warnings']
+  },
+  annotations: readOnlyAnnotations('Listar apontamentos')
 };
 
 function renderAppointmentItem(appt) {
@@ -78,6 +128,31 @@ function renderAppointmentItem(appt) {
   return text;
 }
 
+// value segue string como na API (ex: "974.30") — a formatacao R$ fica so no texto
+function toStructuredAppointment(appt) {
+  const val = appt.valorization && typeof appt.valorization === 'object' ? appt.valorization : null;
+  return {
+    id: toId(appt.id),
+    date: toText(appt.date),
+    init_time: toText(appt.init_time),
+    end_time: toText(appt.end_time),
+    description: toText(appt.description),
+    user: toRef(appt.user),
+    client: toRef(appt.client),
+    desk: toRef(appt.desk),
+    ticket: appt.ticket ? { number: toId(appt.ticket.number), title: toText(appt.ticket.title) } : null,
+    external_user_name: toText(appt.external_user_name),
+    valorization: val
+      ? {
+        attendance: toText(val.attendance),
+        value: val.value === '' ? null : toText(val.value),
+        guarantee: val.guarantee === true,
+        manual_value: val.manual_value === true
+      }
+      : null
+  };
+}
+
 function formatAppointmentsGlobalList(appointments, opts = {}) {
   return renderList({
     items: appointments,
@@ -143,11 +218,17 @@ async function execute(args, { api, verbosity }) {
     });
 
     // Nota informativa: user_ids pode ter sido silenciado pela API se sem view_users_manage
+    const warnings = [];
     if (userNamesRequested && appointments.length > 0) {
       result += '\n\n> ⚠️ **Nota:** se este usuário não tem a permissão "Visualizar relatórios dos técnicos", o filtro por técnico pode ter sido ignorado pela API — os resultados podem incluir apontamentos de outros técnicos.';
+      warnings.push('O filtro por técnico pode ter sido ignorado pela API sem a permissão "Visualizar relatórios dos técnicos".');
     }
 
-    return textResponse(result);
+    return structuredResponse(result, {
+      appointments: appointments.map(toStructuredAppointment),
+      pagination: toPagination({ offset: effectiveOffset, limit: effectiveLimit, count: appointments.length, total }),
+      warnings
+    });
   } catch (error) {
     return internalErrorResponse('**❌ Erro interno ao listar apontamentos**', error);
   }
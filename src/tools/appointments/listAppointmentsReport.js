@@ -2,7 +2,8 @@
  * Slice: list_appointments_report — relatório agregado de apontamentos por N2 e mesa.
  *
  * Endpoint: GET /appointments (via api.listAppointmentsGlobal).
- * Pagina até X-Total-Items, concatena todos os apontamentos e agrega:
+ * Pagina até X-Total-Items (páginas em paralelo, teto MAX_REPORT_ITEMS com aviso
+ * de resultado parcial), concatena todos os apontamentos e agrega:
  *   - por N2 (user): contagem + soma de horas
  *   - sub-quebra por mesa quando desk_ids/desk_names informados
  *   - totalizadores por N2 e geral
@@ -17,6 +18,9 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse } = require('../_shared/errors');
 const { currencyBRL } = require('../_shared/format');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const { noopProgress } = require('../_shared/progress');
+const { fetchAllPages, partialNotice } = require('../_shared/pagination');
 const {
   appointmentFilterSchemaProperties,
   validateRequiredPeriod,
@@ -37,7 +41,8 @@ const schema = {
       include_valorization: 'Incluir soma do valor de valorização por técnico (e por mesa). Padrão: false.'
     }),
     required: ['start_date', 'end_date']
-  }
+  },
+  annotations: readOnlyAnnotations('Relatório de apontamentos')
 };
 
 // "HH:MM" (sem flag /g — exec() não guarda lastIndex entre chamadas)
@@ -183,37 +188,27 @@ function formatReport(userMap, opts = {}) {
 }
 
 const PAGE_LIMIT = 200;
+const MAX_REPORT_ITEMS = 20000; // 100 paginas; acima disso o relatorio sai parcial com aviso
 
 /**
- * Pagina GET /appointments até X-Total-Items e concatena todos os apontamentos.
+ * Busca todos os apontamentos do período via GET /appointments.
+ * Primeira página lê o X-Total-Items; as demais saem em paralelo (ver _shared/pagination.js).
  * @param {object} api - TiFluxAPI
  * @param {object} filters - filtros já resolvidos (start_date, end_date, user_ids, desk_ids, include_valorization)
- * @returns {Promise<{error?: boolean, response?: object, appointments?: Array}>}
+ * @param {Function} [progress] - ctx.progress (ver _shared/progress.js)
+ * @returns {Promise<{error?: boolean, response?: object, items?: Array, total?: number|null, partial?: false|object}>}
  */
-async function fetchAllAppointments(api, filters) {
-  const allAppointments = [];
-  let page = 1;
-  let totalItems = null;
-
-  do {
-    const response = await api.listAppointmentsGlobal({ ...filters, offset: page, limit: PAGE_LIMIT });
-
-    if (response.error) return { error: true, response };
-
-    const pageData = response.data || [];
-    allAppointments.push(...pageData);
-
-    if (totalItems === null && response.total != null) {
-      totalItems = response.total;
+function fetchAllAppointments(api, filters, progress = noopProgress) {
+  return fetchAllPages(
+    (page, limit) => api.listAppointmentsGlobal({ ...filters, offset: page, limit }),
+    {
+      pageSize: PAGE_LIMIT,
+      maxItems: MAX_REPORT_ITEMS,
+      rateLimiter: api.rateLimiter,
+      progress,
+      label: 'apontamentos'
     }
-
-    if (pageData.length < PAGE_LIMIT) break;
-    if (totalItems !== null && allAppointments.length >= totalItems) break;
-
-    page += 1;
-  } while (true); // eslint-disable-line no-constant-condition
-
-  return { appointments: allAppointments };
+  );
 }
 
 /**
@@ -232,7 +227,7 @@ function sumTotals(userMap) {
   return totals;
 }
 
-async function execute(args, { api }) {
+async function execute(args, { api, progress = noopProgress }) {
   const {
     start_date,
     end_date,
@@ -261,13 +256,14 @@ async function execute(args, { api }) {
       user_ids: finalUserIds,
       desk_ids: finalDeskIds,
       include_valorization: includeValorization
-    });
+    }, progress);
 
     if (paged.error) {
       return appointmentsApiErrorResponse(paged.response, '**❌ Erro ao buscar apontamentos para o relatório**');
     }
 
-    const allAppointments = paged.appointments;
+    const allAppointments = paged.items;
+    const notice = partialNotice(paged, 'apontamentos', 'Reduza o período ou filtre por técnico/mesa para um relatório completo.');
 
     if (allAppointments.length === 0) {
       return textResponse(
@@ -292,7 +288,7 @@ async function execute(args, { api }) {
       totalManualValue
     });
 
-    return textResponse(reportText + '\n*✅ Dados obtidos da API TiFlux em tempo real*');
+    return textResponse(reportText + notice + '\n*✅ Dados obtidos da API TiFlux em tempo real*');
   } catch (error) {
     return internalErrorResponse('**❌ Erro interno ao gerar relatório de apontamentos**', error);
   }
@@ -0,0 +1,36 @@
+/**
+ * AuditTools — agregador do modulo audit (diario local das escritas).
+ *
+ * O diario em si nao e da instancia: chega por requisicao em
+ * `ctx.auditJournal`, injetado pelo HandlerRegistry (ver src/audit).
+ */
+
+const TiFluxAPI = require('../../api/tiflux-api');
+
+const slices = [
+  require('./listAuditLog')
+];
+
+class AuditTools {
+  constructor() {
+    this.api = new TiFluxAPI();
+    this.logger = console;
+    this.verbosity = 'rich';
+  }
+}
+
+slices.forEach(slice => {
+  const methodName = `_exec_${slice.name}`;
+  AuditTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
+  };
+});
+
+AuditTools.TOOLS = Object.fromEntries(
+  slices.map(slice => [
+    slice.name,
+    { schema: slice.schema, method: `_exec_${slice.name}` }
+  ])
+);
+
+module.exports = AuditTools;
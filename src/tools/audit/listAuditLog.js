@@ -0,0 +1,162 @@
+/**
+ * Slice: list_audit_log — consulta o diario local de auditoria das escritas.
+ *
+ * Fonte: arquivo JSONL do AuditJournal (src/audit), gravado pelo HandlerRegistry
+ * a cada tool de escrita que enviou ao menos uma escrita a API. Nao chama a API
+ * TiFlux — o diario chega no ctx como `ctx.auditJournal`.
+ *
+ * Escopo por tenant: so aparecem as entradas gravadas com a mesma chave de API
+ * da requisicao (hash em `tenant`).
+ *
+ * Datas: ISO 8601; data sem hora (YYYY-MM-DD) = dia inteiro em UTC
+ * (start → 00:00:00Z, end → 23:59:59.999Z).
+ */
+
+const { textResponse } = require('../_shared/response');
+const { errorResponse } = require('../_shared/errors');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const { tenantOf } = require('../../audit/AuditJournal');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const schema = {
+  name: 'list_audit_log',
+  description: 'Consultar o diario local de auditoria: o que foi alterado na conta TiFlux por este servidor MCP ' +
+    '(criacoes, atualizacoes, exclusoes, envios). Cada entrada traz data/hora, tool, argumentos (sanitizados), ' +
+    'endpoint, status HTTP, IDs resolvidos enviados e IDs da entidade resultante. ' +
+    'Filtre por periodo, tool ou ticket. Mais recentes primeiro. Simulacoes (dry_run) nao sao registradas.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      start_datetime: {
+        type: 'string',
+        description: 'Inicio do periodo (ISO 8601). Data sem hora (YYYY-MM-DD) = desde 00:00 UTC do dia (opcional)'
+      },
+      end_datetime: {
+        type: 'string',
+        description: 'Fim do periodo (ISO 8601). Data sem hora (YYYY-MM-DD) = ate 23:59 UTC do dia (opcional)'
+      },
+      tool: {
+        type: 'string',
+        description: 'Nome exato da tool (ex: "update_ticket", "send_message") (opcional)'
+      },
+      ticket_number: {
+        type: 'string',
+        description: 'Apenas operacoes ligadas a este ticket (ex: "123") (opcional)'
+      },
+      limit: {
+        type: 'number',
+        description: `Maximo de entradas (padrao: ${DEFAULT_LIMIT}, maximo: ${MAX_LIMIT})`
+      }
+    }
+  },
+  annotations: readOnlyAnnotations('Consultar diário de auditoria')
+};
+
+function parseBoundary(value, field, endOfDay) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const iso = DATE_ONLY.test(text)
+    ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+    : text;
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} invalido: use ISO 8601 (ex: 2026-10-18 ou 2026-10-18T14:00:00-03:00)`);
+  }
+  return date;
+}
+
+function formatIds(ids) {
+  return Object.entries(ids || {})
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`)
+    .join(', ');
+}
+
+function formatRequest(request) {
+  let line = `\`${request.method} ${request.endpoint}\` → ${request.status ?? '—'}`;
+  const sent = formatIds(request.resolved_ids);
+  const resulting = formatIds(request.entity_ids);
+  if (sent) line += ` · enviados: ${sent}`;
+  if (resulting) line += ` · resultado: ${resulting}`;
+  return line;
+}
+
+function formatEntry(entry, v) {
+  const icon = entry.outcome === 'ok' ? '✅' : '❌';
+  const ticket = entry.ticket_number ? ` · ticket #${entry.ticket_number}` : '';
+
+  if (v === 'compact') {
+    const requests = (entry.requests || []).map(r => `${r.method} ${r.endpoint} ${r.status ?? '—'}`).join('; ');
+    return `- ${entry.ts} ${entry.tool} ${entry.outcome}${ticket} — ${requests}`;
+  }
+
+  let text = `- **${entry.ts}** · \`${entry.tool}\` · ${icon} ${entry.outcome}${ticket}\n`;
+  for (const request of entry.requests || []) {
+    text += `  - ${formatRequest(request)}\n`;
+  }
+  if (entry.error) text += `  - Erro: ${entry.error}\n`;
+  text += `  - Argumentos: \`${JSON.stringify(entry.args)}\`\n`;
+  return text;
+}
+
+function format(entries, matched, filters, verbosity) {
+  const v = verbosity || 'rich';
+  const scope = [
+    filters.tool && `tool ${filters.tool}`,
+    filters.ticketNumber && `ticket #${filters.ticketNumber}`,
+    filters.start && `desde ${filters.start.toISOString()}`,
+    filters.end && `ate ${filters.end.toISOString()}`
+  ].filter(Boolean).join(' · ');
+
+  if (entries.length === 0) {
+    return `**📒 Diário de auditoria**\n\nNenhuma operação de escrita registrada${scope ? ` (${scope})` : ''}.`;
+  }
+
+  const countLabel = matched > entries.length ? `${entries.length} de ${matched}` : `${entries.length}`;
+  let text = `**📒 Diário de auditoria (${countLabel})**\n`;
+  if (scope) text += `*Filtros: ${scope}*\n`;
+  text += '\n';
+  text += entries.map(entry => formatEntry(entry, v)).join(v === 'compact' ? '\n' : '');
+
+  if (matched > entries.length) {
+    text += `\n\n*Mais ${matched - entries.length} entradas antigas — aumente \`limit\` ou restrinja o periodo.*`;
+  }
+  // Rodape proprio: o footer() padrao diz "dados da API TiFlux", e aqui a fonte e o arquivo local.
+  if (v === 'compact') return text;
+  return `${text}\n\n*📒 Diário local deste servidor MCP — alterações feitas fora dele não aparecem aqui*`;
+}
+
+async function execute(args, { api, auditJournal, verbosity }) {
+  if (!auditJournal) {
+    return errorResponse(
+      '**❌ Diário de auditoria desabilitado**\n\n' +
+      '*Este servidor roda com `audit.enabled=false` (TIFLUX_MCP_AUDIT=false): as escritas não estão sendo registradas.*'
+    );
+  }
+
+  const filters = {
+    start: parseBoundary(args.start_datetime, 'start_datetime', false),
+    end: parseBoundary(args.end_datetime, 'end_datetime', true),
+    tool: args.tool ? String(args.tool).trim() : null,
+    ticketNumber: args.ticket_number != null && args.ticket_number !== '' ? String(args.ticket_number).trim() : null,
+    limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(args.limit) || DEFAULT_LIMIT))
+  };
+  if (filters.start && filters.end && filters.start > filters.end) {
+    throw new Error('start_datetime deve ser anterior a end_datetime');
+  }
+
+  try {
+    const { entries, matched } = await auditJournal.query({ ...filters, tenant: tenantOf(api?.apiKey) });
+    return textResponse(format(entries, matched, filters, verbosity));
+  } catch (error) {
+    return errorResponse(
+      `**❌ Erro ao ler o diário de auditoria**\n\n` +
+      `**Erro:** ${error.message}\n\n` +
+      `*Verifique o caminho e as permissões do arquivo (audit.file / TIFLUX_MCP_AUDIT_FILE).*`
+    );
+  }
+}
+
+module.exports = { name: schema.name, schema, execute, format };
@@ -29,12 +29,14 @@
  * Permissao necessaria: "Faturar servicos avulsos e contratos" + licenca Tickets.
  */
 
-const { textResponse } = require('../_shared/response');
+const { structuredResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { footer, pagination, currencyBRL } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
 const { resolveClientName } = require('../_shared/clientResolver');
 const { escapeCell } = require('../_shared/markdown');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const { nullable, refOutputSchema, paginationOutputSchema, toId, toText, toPagination } = require('../_shared/structured');
 
 const schema = {
   name: 'get_billings_history',
@@ -82,7 +84,43 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      billings: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            billing_id: nullable('number'),
+            client: refOutputSchema(),
+            billing_date: nullable('string'),
+            due_date: nullable('string'),
+            nfe_number: nullable('string'),
+            situation: { type: 'string', enum: ['billed', 'reversed', 'paid'] },
+            paid: { type: 'boolean' },
+            reversal: { type: 'boolean' },
+            real_value: nullable('string')
+          },
+          required: ['billing_id', 'client', 'situation', 'paid', 'reversal', 'real_value']
+        }
+      },
+      page_sum: {
+        type: 'object',
+        description: 'Soma da pagina EXCLUINDO estornos (nao e total do filtro)',
+        properties: {
+          value: { type: 'string' },
+          reversed_count: { type: 'integer' },
+          reversed_value: { type: 'string' }
+        },
+        required: ['value', 'reversed_count', 'reversed_value']
+      },
+      pagination: paginationOutputSchema()
+    },
+    required: ['billings', 'page_sum', 'pagination']
+  },
+  annotations: readOnlyAnnotations('Histórico de faturamento')
 };
 
 /**
@@ -121,6 +159,33 @@ function sumPageValues(billings) {
   }, { total: 0, reversedCount: 0, reversedValue: 0 });
 }
 
+/**
+ * structuredContent: situacao com a mesma precedencia de deriveSituacao
+ * (reversal > paid > billed) e valores como string decimal, igual a API.
+ */
+function toStructuredBillings(billings, offset, limit, total) {
+  const { total: pageSum, reversedCount, reversedValue } = sumPageValues(billings);
+  return {
+    billings: billings.map(b => ({
+      billing_id: toId(b.billing_id),
+      client: b.client_id != null || b.client_name ? { id: toId(b.client_id), name: toText(b.client_name) } : null,
+      billing_date: toText(b.billing_date),
+      due_date: toText(b.due_date),
+      nfe_number: toText(b.nfe_number),
+      situation: b.reversal ? 'reversed' : (b.paid ? 'paid' : 'billed'),
+      paid: Boolean(b.paid),
+      reversal: Boolean(b.reversal),
+      real_value: toText(b.real_value)
+    })),
+    page_sum: {
+      value: pageSum.toFixed(2),
+      reversed_count: reversedCount,
+      reversed_value: reversedValue.toFixed(2)
+    },
+    pagination: toPagination({ offset, limit, count: billings.length, total })
+  };
+}
+
 function formatBillingsHistory(billings, offset, limit, verbosity, total) {
   const v = verbosity || 'rich';
 
@@ -266,7 +331,10 @@ async function execute(args, { api, verbosity }) {
     const effectiveLimit = Math.min(200, Math.max(1, parseInt(limit) || 20));
     const effectiveOffset = Math.max(1, parseInt(offset) || 1);
 
-    return textResponse(formatBillingsHistory(billings, effectiveOffset, effectiveLimit, verbosity, response.total));
+    return structuredResponse(
+      formatBillingsHistory(billings, effectiveOffset, effectiveLimit, verbosity, response.total),
+      toStructuredBillings(billings, effectiveOffset, effectiveLimit, response.total)
+    );
   } catch (error) {
     return errorResponse(
       `**Erro interno ao buscar histórico de faturamentos**\n\n` +
@@ -18,8 +18,8 @@ class BillingTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  BillingTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  BillingTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
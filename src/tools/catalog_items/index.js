@@ -18,8 +18,8 @@ class CatalogItemTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  CatalogItemTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  CatalogItemTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
@@ -16,6 +16,7 @@
 const { errorResponse } = require('../_shared/errors');
 const { resolveDeskName } = require('../_shared/deskResolver');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'search_catalog_item',
@@ -50,7 +51,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar itens de catálogo da mesa')
 };
 
 function errorTextResponse(message) {
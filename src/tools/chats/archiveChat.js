@@ -10,6 +10,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireIntField, parseIntStrict } = require('../_shared/validators');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { chatWriteApiError } = require('./chatWriteErrors');
 
 const schema = {
@@ -29,10 +31,12 @@ A API responde 202 (Accepted) — o encerramento pode ser processado de forma as
       services_catalogs_item_id: {
         type: 'number',
         description: 'ID do item de catálogo de serviços. Condicional: obrigatório apenas quando a org usa "Usar catálogo de serviços no chat" (senão a API retorna 422).'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['id']
-  }
+  },
+  annotations: updateAnnotations('Arquivar chat')
 };
 
 async function execute(args, { api }) {
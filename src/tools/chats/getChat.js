@@ -10,6 +10,7 @@ const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { footer } = require('../_shared/format');
 const { ticketReference } = require('../_shared/chatTicket');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_chat',
@@ -23,7 +24,8 @@ const schema = {
       }
     },
     required: ['id']
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar chat')
 };
 
 function formatChatCard(chat, verbosity) {
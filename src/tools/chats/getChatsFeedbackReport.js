@@ -25,6 +25,7 @@
 
 const { runFeedbackReport } = require('../_shared/feedbackReport');
 const { feedbackReportSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_chats_feedback_report',
@@ -54,7 +55,8 @@ Exemplos de uso:
       'Se true, inclui a lista paginada de chats avaliados no período principal. Útil para ver itens individuais e filtrar por nota client-side. Default: false.'
     ),
     required: ['start_date', 'end_date']
-  }
+  },
+  annotations: readOnlyAnnotations('Relatório de avaliações de chats')
 };
 
 const METRICS = [
@@ -30,8 +30,8 @@ class ChatTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  ChatTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  ChatTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
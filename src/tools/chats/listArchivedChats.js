@@ -11,6 +11,7 @@ const { footer, pagination } = require('../_shared/format');
 const { createdAtFilterSchemaProperties, finishedAtFilterSchemaProperties, paginationSchemaProperties } = require('../_shared/schemaProps');
 const { commonChatListFilters } = require('../_shared/chatFilters');
 const { ticketLine } = require('../_shared/chatTicket');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_archived_chats',
@@ -51,7 +52,8 @@ const schema = {
       ...finishedAtFilterSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar chats arquivados')
 };
 
 function formatChatItem(chat, index) {
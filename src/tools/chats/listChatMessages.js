@@ -12,6 +12,7 @@ const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { footer, pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const AUTHOR_ROLE = {
   client: 'Cliente',
@@ -33,7 +34,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['id']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar mensagens do chat')
 };
 
 /**
@@ -11,6 +11,7 @@ const { footer, pagination } = require('../_shared/format');
 const { createdAtFilterSchemaProperties, paginationSchemaProperties } = require('../_shared/schemaProps');
 const { commonChatListFilters } = require('../_shared/chatFilters');
 const { ticketLine } = require('../_shared/chatTicket');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_in_attendance_chats',
@@ -54,7 +55,8 @@ const schema = {
       ...createdAtFilterSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar chats em atendimento')
 };
 
 function formatChatItem(chat, index) {
@@ -11,6 +11,7 @@ const { footer, pagination } = require('../_shared/format');
 const { createdAtFilterSchemaProperties, paginationSchemaProperties } = require('../_shared/schemaProps');
 const { commonChatListFilters } = require('../_shared/chatFilters');
 const { ticketLine } = require('../_shared/chatTicket');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_my_chats',
@@ -46,7 +47,8 @@ const schema = {
       ...createdAtFilterSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar meus chats')
 };
 
 function formatChatItem(chat, index) {
@@ -10,6 +10,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireIntField, parseIntStrict } = require('../_shared/validators');
+const { destructiveAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { chatWriteApiError } = require('./chatWriteErrors');
 
 const schema = {
@@ -73,10 +75,12 @@ Para HSM com variaveis use parameters (corpo) e header_parameters (cabecalho, ap
       archive: {
         type: 'boolean',
         description: 'Default false. true = cria e envia direto para encerrados.'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['number', 'integration_id']
-  }
+  },
+  annotations: destructiveAnnotations('Enviar mensagem no chat', { idempotent: false, openWorld: true })
 };
 
 async function execute(args, { api }) {
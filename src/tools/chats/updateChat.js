@@ -10,6 +10,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireIntField, parseIntStrict } = require('../_shared/validators');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { chatWriteApiError } = require('./chatWriteErrors');
 
 const schema = {
@@ -45,10 +47,12 @@ Informe pelo menos um de: user_id, user_name, department_id, ticket_number.`,
       ticket_number: {
         type: 'number',
         description: 'Número do ticket a vincular ao chat (opcional)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['id']
-  }
+  },
+  annotations: updateAnnotations('Atualizar chat')
 };
 
 async function execute(args, { api }) {
@@ -8,6 +8,8 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'add_client_email_permission',
@@ -22,10 +24,12 @@ const schema = {
       address: {
         type: 'string',
         description: 'Domínio (ex: "@empresa.com.br") ou e-mail específico autorizado a abrir tickets em nome do cliente (obrigatório)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id', 'address']
-  }
+  },
+  annotations: updateAnnotations('Liberar e-mail para abrir tickets do cliente')
 };
 
 async function execute(args, { api }) {
@@ -0,0 +1,107 @@
+/**
+ * clientOutput.js — outputSchema/structuredContent de cliente.
+ *
+ * Compartilhado por list_clients (resumo por item) e get_client (detalhe).
+ */
+
+const {
+  nullable,
+  refOutputSchema,
+  toId,
+  toText,
+  toRef
+} = require('../_shared/structured');
+
+function clientSummaryProperties() {
+  return {
+    id: { type: 'number' },
+    name: nullable('string'),
+    social: nullable('string'),
+    social_revenue: nullable('string'),
+    active: { type: 'boolean' },
+    email: nullable('string'),
+    email_financial: nullable('string')
+  };
+}
+
+/** Schema de um item de list_clients. */
+function clientSummaryOutputSchema() {
+  return {
+    type: 'object',
+    properties: clientSummaryProperties(),
+    required: ['id', 'name', 'active']
+  };
+}
+
+/** outputSchema de get_client. */
+function clientDetailOutputSchema() {
+  return {
+    type: 'object',
+    properties: {
+      ...clientSummaryProperties(),
+      municipal_registration: nullable('string'),
+      estadual_registration: nullable('string'),
+      max_agents: nullable('number'),
+      anotations: nullable('string'),
+      desks: { type: 'array', items: refOutputSchema() },
+      technical_groups: { type: 'array', items: refOutputSchema() },
+      entity_fields: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            entity_field_id: nullable('number'),
+            name: nullable('string'),
+            field_type: nullable('string'),
+            value: {}
+          }
+        }
+      },
+      created_at: nullable('string'),
+      updated_at: nullable('string')
+    },
+    required: ['id', 'name', 'active', 'desks', 'technical_groups', 'entity_fields']
+  };
+}
+
+function toClientSummary(client) {
+  return {
+    id: toId(client.id),
+    name: toText(client.name),
+    social: toText(client.social),
+    social_revenue: toText(client.social_revenue),
+    active: Boolean(client.status),
+    email: toText(client.email),
+    email_financial: toText(client.email_financial)
+  };
+}
+
+function toClientDetail(client) {
+  const asList = value => (Array.isArray(value) ? value : []);
+  return {
+    ...toClientSummary(client),
+    municipal_registration: toText(client.municipal_registration),
+    estadual_registration: toText(client.estadual_registration),
+    max_agents: toId(client.max_agents),
+    anotations: toText(client.anotations),
+    desks: asList(client.desks).map(desk => toRef(desk)),
+    technical_groups: asList(client.technical_groups).map(group => toRef(group)),
+    entity_fields: asList(client.entities)
+      .flatMap(entity => entity.entity_fields || [])
+      .map(field => ({
+        entity_field_id: toId(field.entity_field_id ?? field.id),
+        name: toText(field.name),
+        field_type: toText(field.field_type),
+        value: field.value ?? null
+      })),
+    created_at: toText(client.created_at),
+    updated_at: toText(client.updated_at)
+  };
+}
+
+module.exports = {
+  clientSummaryOutputSchema,
+  clientDetailOutputSchema,
+  toClientSummary,
+  toClientDetail
+};
@@ -9,6 +9,8 @@ const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { clientWritableFieldSchemas, CLIENT_WRITABLE_FIELDS } = require('../_shared/clientShared');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'create_client',
@@ -24,10 +26,12 @@ const schema = {
         type: 'string',
         description: 'Razão social do cliente (obrigatório)'
       },
-      ...clientWritableFieldSchemas
+      ...clientWritableFieldSchemas,
+      dry_run: dryRunSchemaProperty()
     },
     required: ['name', 'social']
-  }
+  },
+  annotations: createAnnotations('Criar cliente')
 };
 
 async function execute(args, { api }) {
@@ -9,6 +9,8 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'create_client_address',
@@ -47,10 +49,12 @@ const schema = {
       complement: {
         type: 'string',
         description: 'Complemento do endereço (opcional, ex: "Sala 3", "Apto 12")'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id', 'cep', 'city', 'neighborhood', 'number', 'state', 'street']
-  }
+  },
+  annotations: createAnnotations('Criar endereço do cliente')
 };
 
 async function execute(args, { api }) {
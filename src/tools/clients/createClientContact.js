@@ -10,6 +10,8 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'create_client_contact',
@@ -40,10 +42,12 @@ const schema = {
       country: {
         type: 'string',
         description: 'Código do país (opcional, ex: "BR", "US")'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id', 'use', 'number', 'owner', 'email']
-  }
+  },
+  annotations: createAnnotations('Criar contato do cliente')
 };
 
 async function execute(args, { api }) {
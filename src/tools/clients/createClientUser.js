@@ -8,6 +8,8 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'create_client_user',
@@ -42,10 +44,12 @@ const schema = {
       country_code: {
         type: 'string',
         description: 'Código do país do telefone (opcional, ex: "55" para Brasil)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id', 'name', 'email']
-  }
+  },
+  annotations: createAnnotations('Criar usuário do cliente')
 };
 
 async function execute(args, { api }) {
@@ -8,6 +8,8 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { destructiveAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'delete_client_address',
@@ -22,10 +24,12 @@ const schema = {
       id: {
         type: 'number',
         description: 'ID do endereço a ser removido (obrigatório)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id', 'id']
-  }
+  },
+  annotations: destructiveAnnotations('Remover endereço do cliente')
 };
 
 async function execute(args, { api }) {
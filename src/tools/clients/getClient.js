@@ -5,10 +5,12 @@
  * Retorna: dados cadastrais, status, mesas, grupos técnicos, campos personalizados (opcional).
  */
 
-const { textResponse } = require('../_shared/response');
+const { structuredResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { footer } = require('../_shared/format');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const { clientDetailOutputSchema, toClientDetail } = require('./clientOutput');
 
 const schema = {
   name: 'get_client',
@@ -26,7 +28,9 @@ const schema = {
       }
     },
     required: ['client_id']
-  }
+  },
+  outputSchema: clientDetailOutputSchema(),
+  annotations: readOnlyAnnotations('Buscar cliente')
 };
 
 function formatClient(client, verbosity) {
@@ -116,7 +120,7 @@ async function execute(args, { api, verbosity }) {
       );
     }
 
-    return textResponse(formatClient(response.data, verbosity));
+    return structuredResponse(formatClient(response.data, verbosity), toClientDetail(response.data));
   } catch (error) {
     return internalErrorResponse(
       `**❌ Erro interno ao buscar cliente #${client_id}**`,
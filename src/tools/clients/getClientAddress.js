@@ -7,6 +7,7 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_client_address',
@@ -24,7 +25,8 @@ const schema = {
       }
     },
     required: ['client_id', 'id']
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar endereço do cliente')
 };
 
 async function execute(args, { api }) {
@@ -8,6 +8,7 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_client_contact',
@@ -25,7 +26,8 @@ const schema = {
       }
     },
     required: ['client_id', 'id']
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar contato do cliente')
 };
 
 async function execute(args, { api }) {
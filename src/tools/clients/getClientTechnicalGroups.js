@@ -6,6 +6,7 @@
 
 const { listClientSubresource } = require('../_shared/clientShared');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_client_technical_groups',
@@ -20,7 +21,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['client_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar grupos técnicos do cliente')
 };
 
 function renderGroup(group, index) {
@@ -37,8 +37,8 @@ class ClientTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  ClientTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  ClientTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
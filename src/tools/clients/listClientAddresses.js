@@ -7,6 +7,7 @@
 
 const { listClientSubresource } = require('../_shared/clientShared');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_client_addresses',
@@ -21,7 +22,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['client_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar endereços do cliente')
 };
 
 function renderAddress(address, index) {
@@ -8,6 +8,7 @@
 
 const { listClientSubresource } = require('../_shared/clientShared');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_client_contacts',
@@ -22,7 +23,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['client_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar contatos do cliente')
 };
 
 function renderContact(contact, index) {
@@ -6,10 +6,13 @@
  * search_client é mantido como atalho name-only para compatibilidade.
  */
 
-const { textResponse } = require('../_shared/response');
+const { structuredResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { footer, pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const { paginationOutputSchema, toPagination } = require('../_shared/structured');
+const { clientSummaryOutputSchema, toClientSummary } = require('./clientOutput');
 
 const schema = {
   name: 'list_clients',
@@ -32,7 +35,16 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      clients: { type: 'array', items: clientSummaryOutputSchema() },
+      pagination: paginationOutputSchema()
+    },
+    required: ['clients', 'pagination']
+  },
+  annotations: readOnlyAnnotations('Listar clientes')
 };
 
 async function execute(args, { api, verbosity }) {
@@ -58,15 +70,22 @@ async function execute(args, { api, verbosity }) {
     }
 
     const clients = response.data || [];
+    const currentOffset = filters.offset || 1;
+    const currentLimit = filters.limit || 20;
+    const structured = {
+      clients: clients.map(toClientSummary),
+      pagination: toPagination({ offset: currentOffset, limit: currentLimit, count: clients.length })
+    };
 
     if (clients.length === 0) {
-      return textResponse(
+      return structuredResponse(
         `**📋 Nenhum cliente encontrado**\n\n` +
         `Não foram encontrados clientes com os filtros aplicados.\n\n` +
         (name ? `• Nome: "${name}"\n` : '') +
         (social_revenue ? `• CPF/CNPJ: "${social_revenue}"\n` : '') +
         (active !== undefined ? `• Status: ${active ? 'Ativo' : 'Inativo'}\n` : '') +
-        `\n*Tente ajustar os filtros.*`
+        `\n*Tente ajustar os filtros.*`,
+        structured
       );
     }
 
@@ -86,12 +105,10 @@ async function execute(args, { api, verbosity }) {
       text += '\n';
     });
 
-    const currentOffset = filters.offset || 1;
-    const currentLimit = filters.limit || 20;
     text += pagination({ offset: currentOffset, limit: currentLimit, count: clients.length, unit: 'clientes' }, v);
     const footerStr = footer(v);
     if (footerStr) text += `\n${footerStr}`;
-    return textResponse(text);
+    return structuredResponse(text, structured);
   } catch (error) {
     return internalErrorResponse(`**❌ Erro interno ao listar clientes**`, error);
   }
@@ -8,6 +8,7 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'search_client',
@@ -21,7 +22,8 @@ const schema = {
       }
     },
     required: ['client_name']
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar cliente por nome')
 };
 
 function formatClientsList(client_name, clients) {
@@ -9,6 +9,8 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { clientWritableFieldSchemas, CLIENT_WRITABLE_FIELDS } = require('../_shared/clientShared');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'update_client',
@@ -28,10 +30,12 @@ const schema = {
         type: 'string',
         description: 'Razão social do cliente'
       },
-      ...clientWritableFieldSchemas
+      ...clientWritableFieldSchemas,
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id']
-  }
+  },
+  annotations: updateAnnotations('Atualizar cliente')
 };
 
 // name/social tambem sao atualizaveis, alem dos campos compartilhados.
@@ -8,6 +8,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'update_client_address',
@@ -50,10 +52,12 @@ const schema = {
       complement: {
         type: 'string',
         description: 'Complemento do endereço (ex: "Sala 3")'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id', 'id']
-  }
+  },
+  annotations: updateAnnotations('Atualizar endereço do cliente')
 };
 
 const UPDATABLE_FIELDS = ['cep', 'city', 'neighborhood', 'number', 'state', 'street', 'complement'];
@@ -8,6 +8,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'update_client_contact',
@@ -42,10 +44,12 @@ const schema = {
       country: {
         type: 'string',
         description: 'Código do país (ex: "BR", "US")'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id', 'id']
-  }
+  },
+  annotations: updateAnnotations('Atualizar contato do cliente')
 };
 
 const UPDATABLE_FIELDS = ['use', 'number', 'owner', 'email', 'country'];
@@ -10,6 +10,8 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { resolveEntities, formatUpdatedFields, buildEntitiesSchema } = require('../_shared/entityFieldResolver');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'update_client_entities',
@@ -21,10 +23,12 @@ const schema = {
         type: 'number',
         description: 'ID do cliente a ser atualizado (obrigatório)'
       },
-      entities: buildEntitiesSchema('get_client')
+      entities: buildEntitiesSchema('get_client'),
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id', 'entities']
-  }
+  },
+  annotations: updateAnnotations('Atualizar campos personalizados do cliente')
 };
 
 async function execute(args, { api }) {
@@ -18,8 +18,8 @@ class ContractTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  ContractTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  ContractTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
@@ -26,6 +26,7 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { footer, pagination, currencyBRL } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 // Traducoes PT-BR sem default silencioso: valor desconhecido cai no valor cru da API.
 const MODALITY_LABELS = {
@@ -69,7 +70,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar contratos')
 };
 
 function formatContractsList(contracts, offset, limit, verbosity, include_details, total) {
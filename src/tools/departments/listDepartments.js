@@ -13,6 +13,7 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_departments',
@@ -28,7 +29,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar departamentos')
 };
 
 function formatDepartmentsList(departments) {
@@ -10,6 +10,7 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { resolveDeskName } = require('../_shared/deskResolver');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_desk',
@@ -27,7 +28,8 @@ const schema = {
       }
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar mesa')
 };
 
 function val(v) {
@@ -21,8 +21,8 @@ class DeskTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  DeskTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  DeskTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
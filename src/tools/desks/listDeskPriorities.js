@@ -17,6 +17,7 @@ const { errorResponse } = require('../_shared/errors');
 const { resolveDeskName } = require('../_shared/deskResolver');
 const { fuzzyMatchItems } = require('../_shared/fuzzyMatch');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_desk_priorities',
@@ -39,7 +40,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar prioridades da mesa')
 };
 
 function formatPriorities(priorities) {
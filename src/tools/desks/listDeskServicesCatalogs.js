@@ -19,6 +19,7 @@ const { errorResponse } = require('../_shared/errors');
 const { resolveDeskName } = require('../_shared/deskResolver');
 const { fuzzyMatchItems } = require('../_shared/fuzzyMatch');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_desk_services_catalogs',
@@ -41,7 +42,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar catálogos de serviço da mesa')
 };
 
 function formatServicesCatalogs(catalogs) {
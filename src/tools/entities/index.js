@@ -20,8 +20,8 @@ class EntityTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  EntityTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  EntityTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
@@ -10,6 +10,7 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_entity_field_options',
@@ -28,7 +29,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['entity_field_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar opções de campo personalizado')
 };
 
 function formatEntityFieldOptionsList(entityFieldId, options) {
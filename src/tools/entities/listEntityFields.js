@@ -10,6 +10,7 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const TYPES_WITH_OPTIONS = new Set(['single_select', 'checkbox']);
 
@@ -38,7 +39,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['entity_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar campos personalizados')
 };
 
 function formatEntityFieldsList(entityId, fields) {
@@ -16,6 +16,8 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField, requireIntField } = require('../_shared/validators');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'create_equipment',
@@ -54,10 +56,12 @@ const schema = {
       warranty_date: {
         type: 'string',
         description: 'Data de fim de garantia (opcional, formato YYYY-MM-DD; deve ser >= acquisition_date)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['name', 'client_id', 'equipment_type_id']
-  }
+  },
+  annotations: createAnnotations('Criar equipamento')
 };
 
 async function execute(args, { api }) {
@@ -39,6 +39,7 @@ const { errorResponse, internalErrorResponse, apiFailureResponse, extractApiErro
 const { requireIntField } = require('../_shared/validators');
 const { footer } = require('../_shared/format');
 const { formatEntityField } = require('../_shared/entityFields');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_equipment',
@@ -60,7 +61,8 @@ const schema = {
       }
     },
     required: ['equipment_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar equipamento')
 };
 
 /** Retorna true se a string tem conteudo relevante (nao nula, nao vazia). */
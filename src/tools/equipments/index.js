@@ -24,8 +24,8 @@ class EquipmentTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  EquipmentTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  EquipmentTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
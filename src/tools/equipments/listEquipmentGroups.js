@@ -14,6 +14,7 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { footer, pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_equipment_groups',
@@ -32,7 +33,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar grupos de equipamentos')
 };
 
 function formatGroupsList(groups, offset, limit, total, verbosity) {
@@ -17,6 +17,7 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireIntField } = require('../_shared/validators');
 const { footer } = require('../_shared/format');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_equipment_softwares',
@@ -36,7 +37,8 @@ const schema = {
       }
     },
     required: ['equipment_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar softwares do equipamento')
 };
 
 function formatSoftwaresList(softwares, verbosity) {
@@ -15,6 +15,7 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { footer, pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_equipment_types',
@@ -34,7 +35,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar tipos de equipamento')
 };
 
 function formatTypesList(types, offset, limit, total, verbosity) {
@@ -12,10 +12,20 @@
  * Permissoes necessarias: "Visualizar recursos" + Licenca Tickets.
  */
 
-const { textResponse } = require('../_shared/response');
+const { structuredResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { footer, pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const {
+  nullable,
+  refOutputSchema,
+  paginationOutputSchema,
+  toId,
+  toText,
+  toRef,
+  toPagination
+} = require('../_shared/structured');
 
 const schema = {
   name: 'list_equipments',
@@ -47,7 +57,45 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      equipments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'number' },
+            name: nullable('string'),
+            client: refOutputSchema(),
+            equipment_type: refOutputSchema(),
+            equipment_group: refOutputSchema(),
+            has_agent: { type: 'boolean' },
+            online: nullable('boolean'),
+            ipv4: nullable('string'),
+            manufacturer: {
+              type: ['object', 'null'],
+              properties: { name: nullable('string'), model: nullable('string'), serial: nullable('string') }
+            },
+            system: {
+              type: ['object', 'null'],
+              properties: {
+                name: nullable('string'),
+                version: nullable('string'),
+                kernel: nullable('string'),
+                timezone: nullable('string')
+              }
+            }
+          },
+          required: ['id', 'name', 'client', 'has_agent', 'online', 'ipv4']
+        }
+      },
+      pagination: paginationOutputSchema()
+    },
+    required: ['equipments', 'pagination']
+  },
+  annotations: readOnlyAnnotations('Listar equipamentos')
 };
 
 /**
@@ -58,6 +106,27 @@ function hasAgent(equipment) {
   return !!(equipment.agent && equipment.agent.version != null);
 }
 
+// Campos de agente (online, IP) ficam null em recursos sem agente — mesma regra do formatter
+function toStructuredEquipment(eq) {
+  const withAgent = hasAgent(eq);
+  const m = eq.manufacturer;
+  const s = eq.system;
+  return {
+    id: toId(eq.id),
+    name: toText(eq.name),
+    client: toRef(eq.client),
+    equipment_type: toRef(eq.equipment_type),
+    equipment_group: toRef(eq.equipment_group),
+    has_agent: withAgent,
+    online: withAgent ? Boolean(eq.online) : null,
+    ipv4: withAgent ? toText(eq.ipv4) : null,
+    manufacturer: m ? { name: toText(m.name), model: toText(m.model), serial: toText(m.serial) } : null,
+    system: s
+      ? { name: toText(s.name), version: toText(s.version), kernel: toText(s.kernel), timezone: toText(s.timezone) }
+      : null
+  };
+}
+
 function formatEquipmentsList(equipments, offset, limit, total, verbosity) {
   const v = verbosity || 'rich';
 
@@ -137,8 +206,17 @@ async function execute(args, { api, verbosity }) {
     const equipments = response.data || [];
     const effectiveLimit = Math.min(200, Math.max(1, parseInt(limit) || 20));
     const effectiveOffset = Math.max(1, parseInt(offset) || 1);
-    return textResponse(
-      formatEquipmentsList(equipments, effectiveOffset, effectiveLimit, response.total, verbosity)
+    return structuredResponse(
+      formatEquipmentsList(equipments, effectiveOffset, effectiveLimit, response.total, verbosity),
+      {
+        equipments: equipments.map(toStructuredEquipment),
+        pagination: toPagination({
+          offset: effectiveOffset,
+          limit: effectiveLimit,
+          count: equipments.length,
+          total: response.total
+        })
+      }
     );
   } catch (error) {
     return internalErrorResponse('**Erro interno ao listar recursos**', error);
@@ -14,6 +14,8 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireIntField } = require('../_shared/validators');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'update_equipment',
@@ -53,10 +55,12 @@ const schema = {
       warranty_date: {
         type: 'string',
         description: 'Nova data de fim de garantia (formato YYYY-MM-DD; deve ser >= acquisition_date). Opcional.'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['equipment_id']
-  }
+  },
+  annotations: updateAnnotations('Atualizar equipamento')
 };
 
 async function execute(args, { api }) {
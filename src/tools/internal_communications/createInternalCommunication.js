@@ -17,6 +17,8 @@ const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { markdownToHtml } = require('../_shared/markdownToHtml');
 const { validateBase64Files, filesBase64SchemaProperty, tooManyFilesError, MAX_BASE64_BYTES_25MB } = require('../_shared/fileValidation');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const MAX_FILES = 10;
 
@@ -37,10 +39,12 @@ const schema = {
       files_base64: filesBase64SchemaProperty(
         'Lista de arquivos em formato base64 para anexar (máximo 10 arquivos de 25MB cada)',
         '"documento.pdf", "planilha.csv"'
-      )
+      ),
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number', 'text']
-  }
+  },
+  annotations: createAnnotations('Criar comunicação interna')
 };
 
 
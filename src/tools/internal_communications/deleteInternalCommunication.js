@@ -8,7 +8,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
-const { ticketNumberSchemaProperty } = require('../_shared/schemaProps');
+const { ticketNumberSchemaProperty, dryRunSchemaProperty } = require('../_shared/schemaProps');
+const { destructiveAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'delete_internal_communication',
@@ -17,10 +18,12 @@ const schema = {
     type: 'object',
     properties: {
       ticket_number: ticketNumberSchemaProperty('Número do ticket de onde a comunicação interna será removida (ex: "123", "456")'),
-      communication_id: { type: 'string', description: 'ID da comunicação interna a ser removida (obtido via list_internal_communications)' }
+      communication_id: { type: 'string', description: 'ID da comunicação interna a ser removida (obtido via list_internal_communications)' },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number', 'communication_id']
-  }
+  },
+  annotations: destructiveAnnotations('Remover comunicação interna')
 };
 
 async function execute(args, { api }) {
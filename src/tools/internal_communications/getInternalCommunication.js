@@ -9,6 +9,7 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_internal_communication',
@@ -26,7 +27,8 @@ const schema = {
       }
     },
     required: ['ticket_number', 'communication_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar comunicação interna')
 };
 
 async function execute(args, { api }) {
@@ -23,8 +23,8 @@ class InternalCommunicationsTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  InternalCommunicationsTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  InternalCommunicationsTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
@@ -11,6 +11,7 @@ const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { footer, pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_internal_communications',
@@ -25,7 +26,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar comunicações internas')
 };
 
 function formatCommunicationsList(ticket_number, communications, offset, limit, verbosity) {
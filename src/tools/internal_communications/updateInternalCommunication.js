@@ -11,7 +11,8 @@ const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { markdownToHtml } = require('../_shared/markdownToHtml');
 const { stripHtml } = require('../_shared/markdown');
-const { ticketNumberSchemaProperty } = require('../_shared/schemaProps');
+const { ticketNumberSchemaProperty, dryRunSchemaProperty } = require('../_shared/schemaProps');
+const { updateAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'update_internal_communication',
@@ -24,10 +25,12 @@ const schema = {
       text: {
         type: 'string',
         description: 'Novo conteúdo da comunicação interna. Aceita Markdown (negrito, listas, cabeçalhos, código) — o MCP converte automaticamente para HTML antes de enviar à API.'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number', 'communication_id', 'text']
-  }
+  },
+  annotations: updateAnnotations('Atualizar comunicação interna')
 };
 
 async function execute(args, { api }) {
@@ -13,6 +13,8 @@ const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { markdownToHtml } = require('../_shared/markdownToHtml');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const OPTIONAL_FIELDS = [
   'tags',
@@ -65,10 +67,12 @@ const schema = {
         type: 'array',
         items: { type: 'number' },
         description: 'IDs dos itens de catalogo de servicos relacionados ao conhecimento. Exemplo: [301, 302].'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['title', 'description', 'knowledge_folder_ids']
-  }
+  },
+  annotations: createAnnotations('Criar artigo na base de conhecimento')
 };
 
 async function execute(args, { api }) {
@@ -16,6 +16,7 @@ const { textResponse } = require('../_shared/response');
 const { apiFailureResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireIntField } = require('../_shared/validators');
 const { htmlToMarkdown } = require('../_shared/htmlToMarkdown');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_knowledge',
@@ -29,7 +30,8 @@ const schema = {
       }
     },
     required: ['knowledge_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar artigo da base de conhecimento')
 };
 
 function formatKnowledge(knowledge) {
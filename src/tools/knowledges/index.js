@@ -21,8 +21,8 @@ class KnowledgeTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  KnowledgeTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  KnowledgeTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
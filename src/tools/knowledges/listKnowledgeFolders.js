@@ -14,6 +14,7 @@ const { errorResponse } = require('../_shared/errors');
 const { pagination, truncate } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
 const { parseIntStrict } = require('../_shared/validators');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 // Bounds do endpoint (Swagger GET /knowledge-folders): `offset` e NUMERO DA PAGINA
 // (default 1, minimo 1); `limit` sao itens por pagina (default 20, min 1, max 200).
@@ -34,7 +35,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar pastas da base de conhecimento')
 };
 
 function formatKnowledgeFoldersList(folders, opts = {}) {
@@ -18,8 +18,8 @@ class PreAppointmentTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  PreAppointmentTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  PreAppointmentTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
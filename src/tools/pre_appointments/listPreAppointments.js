@@ -20,6 +20,7 @@ const { footer, pagination } = require('../_shared/format');
 const { requireField } = require('../_shared/validators');
 const { ticketNumberSchemaProperty, paginationSchemaProperties } = require('../_shared/schemaProps');
 const { escapeCell } = require('../_shared/markdown');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_pre_appointments',
@@ -34,7 +35,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar pré-apontamentos')
 };
 
 /**
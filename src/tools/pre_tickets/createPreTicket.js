@@ -11,6 +11,8 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const REQUIRED_FIELDS = [
   'title',
@@ -75,10 +77,12 @@ const schema = {
           required: ['content', 'filename']
         },
         description: 'Arquivos anexos (opcional). Máximo 10 arquivos, 25MB cada em base64. Exemplo: [{ "content": "<base64>", "filename": "anexo.pdf" }].'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: REQUIRED_FIELDS
-  }
+  },
+  annotations: createAnnotations('Criar pré-ticket')
 };
 
 async function execute(args, { api }) {
@@ -19,8 +19,8 @@ class PreTicketTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  PreTicketTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  PreTicketTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
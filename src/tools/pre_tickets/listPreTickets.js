@@ -13,6 +13,7 @@ const { textResponse } = require('../_shared/response');
 const { apiFailureResponse, internalErrorResponse } = require('../_shared/errors');
 const { pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_pre_tickets',
@@ -43,7 +44,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar pré-tickets')
 };
 
 function formatPreTicketsList(preTickets, opts = {}) {
@@ -13,6 +13,8 @@
 const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 // Campos opcionais do solicitante (alem de name/email obrigatorios).
 const OPTIONAL_FIELDS = ['telephone', 'can_open_ticket', 'extension', 'country'];
@@ -50,10 +52,12 @@ const schema = {
       country: {
         type: 'string',
         description: 'País do solicitante (opcional)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id', 'name', 'email']
-  }
+  },
+  annotations: createAnnotations('Criar solicitante')
 };
 
 async function execute(args, { api }) {
@@ -10,6 +10,7 @@ const { errorResponse, internalErrorResponse, apiFailureResponse } = require('..
 const { requireField } = require('../_shared/validators');
 const { footer } = require('../_shared/format');
 const { formatEntityField } = require('../_shared/entityFields');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_requestor',
@@ -31,7 +32,8 @@ const schema = {
       }
     },
     required: ['client_id', 'requestor_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar solicitante por ID')
 };
 
 function formatRequestor(requestor, verbosity) {
@@ -26,8 +26,8 @@ class RequestorTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  RequestorTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  RequestorTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
@@ -12,6 +12,7 @@ const { requireField } = require('../_shared/validators');
 const { footer, pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
 const { formatEntityField } = require('../_shared/entityFields');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_requestors',
@@ -50,7 +51,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['client_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar solicitantes')
 };
 
 async function execute(args, { api, verbosity }) {
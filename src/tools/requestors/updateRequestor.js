@@ -8,6 +8,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 // Campos atualizaveis do solicitante.
 const UPDATABLE_FIELDS = ['name', 'telephone', 'email', 'can_open_ticket', 'extension'];
@@ -45,10 +47,12 @@ const schema = {
       extension: {
         type: 'string',
         description: 'Ramal do solicitante'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id', 'requestor_id']
-  }
+  },
+  annotations: updateAnnotations('Atualizar solicitante')
 };
 
 async function execute(args, { api }) {
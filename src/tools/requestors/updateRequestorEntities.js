@@ -10,6 +10,8 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { resolveEntities, formatUpdatedFields, buildEntitiesSchema } = require('../_shared/entityFieldResolver');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'update_requestor_entities',
@@ -25,10 +27,12 @@ const schema = {
         type: 'number',
         description: 'ID do solicitante a ser atualizado (obrigatório)'
       },
-      entities: buildEntitiesSchema('get_requestor')
+      entities: buildEntitiesSchema('get_requestor'),
+      dry_run: dryRunSchemaProperty()
     },
     required: ['client_id', 'requestor_id', 'entities']
-  }
+  },
+  annotations: updateAnnotations('Atualizar campos personalizados do solicitante')
 };
 
 async function execute(args, { api }) {
@@ -0,0 +1,166 @@
+/**
+ * Slice: get_server_metrics — metricas de desempenho deste servidor MCP.
+ *
+ * Fonte: registry de metricas do processo (src/telemetry/metrics.js). Nao
+ * chama a API TiFlux. No modo HTTP as mesmas series saem em GET /metrics; a
+ * tool so e registrada no stdio (ver src/tools/server/index.js).
+ *
+ * format 'summary' (padrao): Markdown com as tools mais lentas/falhas, os
+ * endpoints mais chamados, retries, cache e rate limit.
+ * format 'prometheus': texto bruto do formato de exposicao.
+ */
+
+const { textResponse } = require('../_shared/response');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const metrics = require('../../telemetry/metrics');
+
+const TOP_ENDPOINTS = 15;
+
+const schema = {
+  name: 'get_server_metrics',
+  description: 'Metricas de desempenho deste servidor MCP desde que ele iniciou: chamadas de tools por desfecho e ' +
+    'duracao (media e p95), requisicoes a API TiFlux por endpoint e status, retries, acertos do cache de ' +
+    'metadados e esperas por rate limit. Use para descobrir quais tools estao lentas ou falhando. ' +
+    'Nao consulta a API TiFlux.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      format: {
+        type: 'string',
+        enum: ['summary', 'prometheus'],
+        description: 'summary (padrao): resumo em Markdown; prometheus: texto bruto no formato de exposicao do Prometheus'
+      }
+    }
+  },
+  annotations: readOnlyAnnotations('Métricas do servidor')
+};
+
+function formatSeconds(seconds) {
+  if (seconds < 1) return `${Math.round(seconds * 1000)}ms`;
+  return `${seconds.toFixed(seconds < 10 ? 2 : 1)}s`;
+}
+
+/**
+ * p95 aproximado pelo limite superior do bucket do histograma.
+ */
+function approximateP95(serie) {
+  const target = serie.count * 0.95;
+  for (const { le, count } of serie.buckets) {
+    if (count >= target) return `≤ ${formatSeconds(le)}`;
+  }
+  return `> ${formatSeconds(serie.buckets[serie.buckets.length - 1].le)}`;
+}
+
+function isSuccessStatus(status) {
+  const code = Number(status);
+  return code >= 200 && code < 400;
+}
+
+function formatTools() {
+  const outcomes = new Map();
+  for (const { labels, value } of metrics.toolCalls.snapshot()) {
+    const entry = outcomes.get(labels.tool) || { total: 0, failed: 0 };
+    entry.total += value;
+    if (labels.outcome !== 'success') entry.failed += value;
+    outcomes.set(labels.tool, entry);
+  }
+  if (outcomes.size === 0) return '_Nenhuma tool chamada ainda._\n';
+
+  const durations = new Map(metrics.toolDuration.snapshot().map(serie => [serie.labels.tool, serie]));
+  const rows = [...outcomes.entries()].sort((a, b) => {
+    const avg = ([tool]) => {
+      const serie = durations.get(tool);
+      return serie && serie.count ? serie.sum / serie.count : 0;
+    };
+    return avg(b) - avg(a);
+  });
+
+  let text = '| Tool | Chamadas | Falhas | Duração média | p95 |\n|------|----------|--------|---------------|-----|\n';
+  for (const [tool, { total, failed }] of rows) {
+    const serie = durations.get(tool);
+    const avg = serie && serie.count ? formatSeconds(serie.sum / serie.count) : '—';
+    const p95 = serie && serie.count ? approximateP95(serie) : '—';
+    text += `| \`${tool}\` | ${total} | ${failed} | ${avg} | ${p95} |\n`;
+  }
+
+  const failures = metrics.toolCalls.snapshot().filter(({ labels }) => labels.outcome !== 'success');
+  if (failures.length > 0) {
+    const byOutcome = {};
+    for (const { labels, value } of failures) byOutcome[labels.outcome] = (byOutcome[labels.outcome] || 0) + value;
+    text += `\n**Falhas por desfecho:** ${Object.entries(byOutcome).map(([outcome, n]) => `${outcome}: ${n}`).join(', ')}\n`;
+  }
+  return text;
+}
+
+function formatApi() {
+  const endpoints = new Map();
+  for (const { labels, value } of metrics.apiRequests.snapshot()) {
+    const key = `${labels.method} ${labels.endpoint}`;
+    const entry = endpoints.get(key) || { total: 0, errors: {} };
+    entry.total += value;
+    if (!isSuccessStatus(labels.status)) entry.errors[labels.status] = (entry.errors[labels.status] || 0) + value;
+    endpoints.set(key, entry);
+  }
+  if (endpoints.size === 0) return '_Nenhuma requisição à API TiFlux ainda._\n';
+
+  const durations = new Map(metrics.apiDuration.snapshot().map(serie => [`${serie.labels.method} ${serie.labels.endpoint}`, serie]));
+  const rows = [...endpoints.entries()].sort((a, b) => b[1].total - a[1].total);
+
+  let text = '| Endpoint | Requisições | Erros (status) | Duração média |\n|----------|-------------|----------------|---------------|\n';
+  for (const [key, { total, errors }] of rows.slice(0, TOP_ENDPOINTS)) {
+    const serie = durations.get(key);
+    const avg = serie && serie.count ? formatSeconds(serie.sum / serie.count) : '—';
+    const errorText = Object.entries(errors).map(([status, n]) => `${n} (${status})`).join(', ') || '0';
+    text += `| \`${key}\` | ${total} | ${errorText} | ${avg} |\n`;
+  }
+  if (rows.length > TOP_ENDPOINTS) {
+    text += `\n*+${rows.length - TOP_ENDPOINTS} endpoint(s) com menos requisições — use \`format: "prometheus"\` para a lista completa.*\n`;
+  }
+  return text;
+}
+
+function formatResilience() {
+  const sum = (counter) => counter.snapshot().reduce((total, { value }) => total + value, 0);
+
+  const retries = metrics.apiRetries.snapshot();
+  const retryText = retries.length > 0
+    ? retries.map(({ labels, value }) => `${labels.method} ${labels.reason}: ${value}`).join(', ')
+    : 'nenhum';
+
+  const cache = {};
+  for (const { labels, value } of metrics.cacheLookups.snapshot()) {
+    const entry = cache[labels.type] || { hits: 0, total: 0 };
+    entry.total += value;
+    if (labels.result !== 'miss') entry.hits += value;
+    cache[labels.type] = entry;
+  }
+  const cacheText = Object.keys(cache).length > 0
+    ? Object.entries(cache)
+      .map(([type, { hits, total }]) => `${type} ${Math.round((hits / total) * 100)}% (${hits}/${total})`)
+      .join(', ')
+    : 'sem consultas';
+
+  let text = `**Retries:** ${retryText}\n`;
+  text += `**Cache de metadados (acertos):** ${cacheText}\n`;
+  text += `**Rate limit:** ${sum(metrics.rateLimitWaits)} espera(s), ${formatSeconds(sum(metrics.rateLimitWaitSeconds))} no total; ` +
+    `${sum(metrics.rateLimitResponses)} resposta(s) 429 da API\n`;
+  return text;
+}
+
+function formatSummary() {
+  let text = '## Métricas do servidor TiFlux MCP\n\n';
+  text += `**Em execução há:** ${formatSeconds(process.uptime())}\n\n`;
+  text += '### Tools (mais lentas primeiro)\n\n' + formatTools() + '\n';
+  text += '### API TiFlux (mais chamados primeiro)\n\n' + formatApi() + '\n';
+  text += '### Resiliência\n\n' + formatResilience();
+  return text;
+}
+
+async function execute(args = {}) {
+  if (args.format === 'prometheus') {
+    return textResponse('```\n' + metrics.renderMetrics() + '```');
+  }
+  return textResponse(formatSummary());
+}
+
+module.exports = { name: schema.name, schema, execute, formatSummary };
@@ -0,0 +1,221 @@
+/**
+ * Slice: get_server_status — diagnostico deste servidor MCP.
+ *
+ * Primeira parada do suporte ao depurar o setup de um usuario. Reune:
+ * - versao, modo (ClientFingerprint.detectMode), transporte e tempo no ar;
+ * - config efetiva com segredos mascarados (Config.getMasked);
+ * - API: alcance e latencia medidos com GET /users/me, que tambem diz QUEM e
+ *   o usuario da chave, e o estado do circuit breaker da chave;
+ * - cache (respostas e metadados), coalescing e rate limit da chave;
+ * - contagem de erros (tools e API) desde o inicio do processo.
+ *
+ * O estado do processo chega como `ctx.serverStatus` (TifluxMCPServerV2.getStats,
+ * repassado pelo HandlerRegistry). Sem ele — slice usado fora do servidor —
+ * as secoes que dependem dele sao omitidas.
+ *
+ * Deriva de payload: divergencias entre as respostas da API e os schemas de
+ * src/api/responseSchemas.js (campo sumido, renomeado ou com outro tipo),
+ * registradas pelo DriftMonitor. E o primeiro lugar para olhar quando uma tool
+ * passa a devolver blocos vazios sem erro.
+ */
+
+const { textResponse } = require('../_shared/response');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const { formatFileSize } = require('../_shared/markdown');
+const DriftMonitor = require('../../telemetry/DriftMonitor');
+const ClientFingerprint = require('../../telemetry/ClientFingerprint');
+const metrics = require('../../telemetry/metrics');
+const RateLimiter = require('../../infrastructure/http/RateLimiter');
+const CircuitBreaker = require('../../infrastructure/http/CircuitBreaker');
+const { version } = require('../../../package.json');
+
+const MAX_DRIFT_ROWS = 20;
+
+const schema = {
+  name: 'get_server_status',
+  description: 'Diagnostico deste servidor MCP, para depurar o setup de um usuario: versao, modo e transporte, ' +
+    'configuracao efetiva (segredos mascarados), alcance e latencia da API TiFlux, usuario autenticado pela chave, ' +
+    'estado do cache e do rate limit, contagem de erros desde o inicio e divergencias entre as respostas da API e o ' +
+    'formato esperado pelas tools (campos ausentes, renomeados ou com tipo diferente). Use primeiro quando algo nao ' +
+    'funcionar ou uma tool devolver informacoes em branco sem erro. Faz uma unica consulta leve a API (GET /users/me).',
+  inputSchema: {
+    type: 'object',
+    properties: {}
+  },
+  annotations: readOnlyAnnotations('Status do servidor')
+};
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) return `${hours}h${String(minutes).padStart(2, '0')}min`;
+  if (minutes > 0) return `${minutes}min${String(total % 60).padStart(2, '0')}s`;
+  return `${total}s`;
+}
+
+/**
+ * Mede alcance e latencia da API com GET /users/me (leve e sem efeito).
+ * @returns {Promise<{ ms: number, response: object }>}
+ */
+async function probeApi(api) {
+  const started = Date.now();
+  let response;
+  try {
+    response = await api.fetchCurrentUser();
+  } catch (error) {
+    response = { error: error.message, status: 'EXCEPTION' };
+  }
+  return { ms: Date.now() - started, response };
+}
+
+function formatApi(api, { ms, response }) {
+  let text = '### API TiFlux\n\n';
+  text += `**URL base:** ${api.baseUrl}\n`;
+
+  if (response?.status === 'CONFIG_ERROR') {
+    text += '**Alcance:** ❌ não testado — chave de API não configurada (TIFLUX_API_KEY)\n';
+  } else if (response?.error) {
+    text += `**Alcance:** ❌ falhou em ${ms}ms — ${response.error} (${response.status})\n`;
+    if (response.status === 401 || response.status === 403) {
+      text += '*A API respondeu, mas recusou a chave: confira se ela foi copiada inteira e se o usuário está ativo.*\n';
+    }
+  } else {
+    text += `**Alcance:** ✅ HTTP ${response.status} em ${ms}ms\n`;
+    const user = response.data || {};
+    const email = user.email ? ` (${user.email})` : '';
+    text += `**Usuário autenticado:** ${user.name || '—'}${email} · ID ${user.id ?? '—'}\n`;
+  }
+
+  const breaker = CircuitBreaker.forHost(new URL(api.baseUrl).host, api.apiKey).getState();
+  const detail = breaker.state === 'closed'
+    ? `${breaker.failures} falha(s) seguida(s)`
+    : `reabre ${breaker.retryAt || 'em breve'}${breaker.lastError ? ` — último erro: ${breaker.lastError}` : ''}`;
+  text += `**Circuit breaker (esta chave):** ${breaker.host} ${breaker.state} (${detail})\n`;
+  return text;
+}
+
+function formatCacheAndRateLimit(api, stats) {
+  let text = '### Cache e rate limit\n\n';
+
+  if (stats) {
+    const responses = stats.cache?.global;
+    if (responses) {
+      text += `**Cache de respostas:** ${responses.currentSize}/${responses.maxSize} entrada(s), ` +
+        `acertos ${responses.hitRate} (${responses.hits} hit / ${responses.misses} miss)\n`;
+    }
+    const metadata = stats.infrastructure?.cache?.metadata;
+    if (metadata) {
+      text += `**Cache de metadados:** ${metadata.currentSize}/${metadata.maxSize} entrada(s), ` +
+        `acertos ${metadata.hitRate} (${metadata.hits} hit / ${metadata.misses} miss)\n`;
+    }
+    const coalescing = stats.http?.coalescing;
+    if (coalescing) {
+      text += `**Coalescing de GETs:** ${coalescing.coalesced} chamada(s) HTTP economizada(s)\n`;
+    }
+  }
+
+  const limiter = api.rateLimiter || RateLimiter.forKey(api.apiKey);
+  const state = limiter.getState();
+  if (state.pausedUntil) {
+    text += `**Rate limit (esta chave):** ⏸️ pausado pela API até ${state.pausedUntil}\n`;
+  } else if (!state.enabled) {
+    text += '**Rate limit (esta chave):** limite local desligado (só respeita 429/Retry-After da API)\n';
+  } else {
+    text += `**Rate limit (esta chave):** ${state.available}/${state.maxRequests} requisição(ões) livre(s) ` +
+      `por janela de ${formatDuration(state.windowMs / 1000)}\n`;
+  }
+  return text;
+}
+
+function sumBy(snapshot, keyOf) {
+  const totals = {};
+  for (const { labels, value } of snapshot) {
+    const key = keyOf(labels);
+    if (key) totals[key] = (totals[key] || 0) + value;
+  }
+  return totals;
+}
+
+function formatErrors() {
+  const toolFailures = sumBy(metrics.toolCalls.snapshot(), labels => (labels.outcome !== 'success' ? labels.outcome : null));
+  const apiErrors = sumBy(metrics.apiRequests.snapshot(), (labels) => {
+    const code = Number(labels.status);
+    return code >= 200 && code < 400 ? null : String(labels.status);
+  });
+  const describe = totals => Object.entries(totals).map(([key, n]) => `${key}: ${n}`).join(', ') || 'nenhuma';
+
+  let text = '### Erros desde o início\n\n';
+  text += `**Tools com falha:** ${describe(toolFailures)}\n`;
+  text += `**Requisições à API com erro (status):** ${describe(apiErrors)}\n`;
+  text += '*Detalhe por tool e endpoint: `get_server_metrics`.*\n';
+  return text;
+}
+
+function formatConfig(stats) {
+  return '### Configuração efetiva (segredos mascarados)\n\n```json\n' + JSON.stringify(stats.config, null, 2) + '\n```\n';
+}
+
+function formatDriftFinding(entry) {
+  if (entry.kind === 'missing') {
+    const hint = entry.candidates?.length
+      ? ` — possível renomeação: ${entry.candidates.map(c => `\`${c}\``).join(', ')}`
+      : '';
+    return `ausente (esperado ${entry.expected})${hint}`;
+  }
+  return `tipo ${entry.actual} (esperado ${entry.expected})`;
+}
+
+/**
+ * Secao de deriva de payload (Markdown).
+ * @param {DriftMonitor} [monitor]
+ * @returns {string}
+ */
+function formatDrift(monitor = DriftMonitor.shared()) {
+  const { checked, entries } = monitor.snapshot();
+  let text = '### Deriva de payload da API\n\n';
+  if (entries.length === 0) {
+    text += checked > 0
+      ? `✅ Nenhuma divergência em ${checked} resposta(s) conferida(s).\n`
+      : '_Nenhuma resposta conferida ainda — use alguma tool de consulta e chame de novo._\n';
+    return text;
+  }
+
+  const endpoints = new Set(entries.map(entry => `${entry.method} ${entry.endpoint}`));
+  text += `⚠️ **${entries.length} divergência(s)** em ${endpoints.size} endpoint(s) (${checked} resposta(s) conferida(s)). ` +
+    'Blocos que dependem desses campos podem estar saindo vazios.\n\n';
+  text += '| Endpoint | Campo | Divergência | Ocorrências | Última |\n|----------|-------|-------------|-------------|--------|\n';
+  for (const entry of entries.slice(0, MAX_DRIFT_ROWS)) {
+    text += `| \`${entry.method} ${entry.endpoint}\` | \`${entry.path}\` | ${formatDriftFinding(entry)} | ${entry.count} | ${entry.last_seen} |\n`;
+  }
+  if (entries.length > MAX_DRIFT_ROWS) {
+    text += `\n*+${entries.length - MAX_DRIFT_ROWS} divergência(s) mais antiga(s) omitida(s).*\n`;
+  }
+  return text;
+}
+
+async function formatStatus(api, stats) {
+  const probe = await probeApi(api);
+
+  let text = '## Status do servidor TiFlux MCP\n\n';
+  text += `**Versão:** ${version} · **Modo:** ${ClientFingerprint.detectMode()}`;
+  if (stats?.transport) text += ` · **Transporte:** ${stats.transport}`;
+  text += `\n**Em execução há:** ${formatDuration(process.uptime())} · ` +
+    `**Memória (RSS):** ${formatFileSize(process.memoryUsage().rss)} · **Node:** ${process.version}\n`;
+  if (stats?.sandbox) {
+    text += `**Sandbox:** ⚠️ ligado — dados fictícios em ${stats.sandbox.base_url}\n`;
+  }
+  text += '\n' + formatApi(api, probe) + '\n';
+  text += formatCacheAndRateLimit(api, stats) + '\n';
+  text += formatErrors() + '\n';
+  text += formatDrift() + '\n';
+  if (stats?.config) text += formatConfig(stats);
+  return text;
+}
+
+async function execute(args, ctx = {}) {
+  const stats = ctx.serverStatus ? await ctx.serverStatus() : null;
+  return textResponse(await formatStatus(ctx.api, stats));
+}
+
+module.exports = { name: schema.name, schema, execute, formatDrift };
@@ -0,0 +1,38 @@
+/**
+ * ServerTools — agregador do modulo server (introspeccao do proprio servidor MCP).
+ *
+ * Nenhuma tool daqui chama a API TiFlux. So e registrado no transporte stdio:
+ * no modo HTTP o processo atende varios tenants e as metricas saem em
+ * GET /metrics (ver src/registry/index.js).
+ */
+
+const TiFluxAPI = require('../../api/tiflux-api');
+
+const slices = [
+  require('./getServerMetrics'),
+  require('./getServerStatus')
+];
+
+class ServerTools {
+  constructor() {
+    this.api = new TiFluxAPI();
+    this.logger = console;
+    this.verbosity = 'rich';
+  }
+}
+
+slices.forEach(slice => {
+  const methodName = `_exec_${slice.name}`;
+  ServerTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
+  };
+});
+
+ServerTools.TOOLS = Object.fromEntries(
+  slices.map(slice => [
+    slice.name,
+    { schema: slice.schema, method: `_exec_${slice.name}` }
+  ])
+);
+
+module.exports = ServerTools;
@@ -5,20 +5,31 @@
  * aborta o DELETE: a contagem e coletada antes da chamada destrutiva apenas
  * porque depois dela os registros ja estao inativos e nao seriam mais contaveis.
  * O resultado alimenta somente a mensagem de sucesso (relatorio pos-fato).
- * Nao existe confirmacao/dry_run nas tools de delete deste modulo.
+ * Nao existe confirmacao. Com `dry_run` (ver src/registry/dryRun.js) a contagem
+ * roda (e GET) e o DELETE e so simulado — a mensagem de sucesso do slice e
+ * substituida pela descricao da requisicao, entao a contagem nao aparece.
  *
  * Consulta a API antes do DELETE para informar ao usuario a contagem de
  * areas/itens que serao desativados em cascata (soft delete silencioso da API).
  *
- * Teto de paginacao: PREFLIGHT_AREA_LIMIT / PREFLIGHT_ITEM_LIMIT por consulta.
- * Se o real ultrapassar o teto, a mensagem diz "ao menos N" em vez de mentir.
+ * Uma pagina so por consulta, sem paginar: a contagem vem do total da
+ * resposta (X-Total-Items, `response.total`), exato mesmo alem da primeira
+ * pagina. Sem o total, conta o que veio em ate PREFLIGHT_AREA_LIMIT /
+ * PREFLIGHT_ITEM_LIMIT registros e, com a pagina cheia, a mensagem diz
+ * "ao menos N" em vez de mentir. Os itens so sao contados nas areas da
+ * primeira pagina (areas alem dela tambem viram "ao menos"), com no maximo
+ * PREFLIGHT_CONCURRENCY consultas em paralelo.
  *
  * Em caso de erro da API na consulta, o delete AINDA prossegue — a mensagem
  * avisa que a contagem nao pode ser apurada (nao bloqueia).
  */
 
+const { noopProgress } = require('../_shared/progress');
+const { mapWithConcurrency } = require('../_shared/pagination');
+
 const PREFLIGHT_AREA_LIMIT = 100;
 const PREFLIGHT_ITEM_LIMIT = 200;
+const PREFLIGHT_CONCURRENCY = 5;
 
 /**
  * Conta os itens de uma area antes de deleta-la.
@@ -32,12 +43,11 @@ const PREFLIGHT_ITEM_LIMIT = 200;
  */
 async function preflightArea(api, areaId) {
   try {
-    const r = await api.listServicesCatalogItems(areaId, { limit: PREFLIGHT_ITEM_LIMIT, offset: 1 });
-    if (r.error) return { itemCount: 0, itemsCapped: false, error: true };
-    const items = r.data || [];
-    const total = r.total != null ? r.total : null;
-    const itemCount = total != null ? total : items.length;
-    const itemsCapped = total == null && items.length >= PREFLIGHT_ITEM_LIMIT;
+    const response = await api.listServicesCatalogItems(areaId, { limit: PREFLIGHT_ITEM_LIMIT, offset: 1 });
+    if (response.error) return { itemCount: 0, itemsCapped: false, error: true };
+    const items = response.data || [];
+    const itemCount = response.total != null ? response.total : items.length;
+    const itemsCapped = response.total == null && items.length >= PREFLIGHT_ITEM_LIMIT;
     return { itemCount, itemsCapped, error: false };
   } catch {
     return { itemCount: 0, itemsCapped: false, error: true };
@@ -49,28 +59,35 @@ async function preflightArea(api, areaId) {
  *
  * @param {object} api
  * @param {number|string} catalogId
+ * @param {Function} [progress] - ctx.progress: uma notificacao por area contada
  * @returns {{ areaCount: number, areasCapped: boolean, itemCount: number, itemsCapped: boolean, error: boolean }}
  */
-async function preflightCatalog(api, catalogId) {
+async function preflightCatalog(api, catalogId, progress = noopProgress) {
   try {
-    const areasResp = await api.listServicesCatalogAreas(catalogId, { limit: PREFLIGHT_AREA_LIMIT, offset: 1 });
-    if (areasResp.error) return { areaCount: 0, areasCapped: false, itemCount: 0, itemsCapped: false, error: true };
+    const response = await api.listServicesCatalogAreas(catalogId, { limit: PREFLIGHT_AREA_LIMIT, offset: 1 });
+    if (response.error) return { areaCount: 0, areasCapped: false, itemCount: 0, itemsCapped: false, error: true };
 
-    const areas = areasResp.data || [];
-    const areasTotal = areasResp.total != null ? areasResp.total : null;
-    const areaCount = areasTotal != null ? areasTotal : areas.length;
-    const areasCapped = areasTotal == null && areas.length >= PREFLIGHT_AREA_LIMIT;
+    const areas = response.data || [];
+    const areaCount = response.total != null ? response.total : areas.length;
+    const areasCapped = response.total == null && areas.length >= PREFLIGHT_AREA_LIMIT;
 
     if (areas.length === 0) {
       return { areaCount: 0, areasCapped: false, itemCount: 0, itemsCapped: false, error: false };
     }
 
-    // Conta itens de cada area retornada (ate o teto), em paralelo:
+    // Conta itens de cada area da primeira pagina com concorrencia limitada:
     // sequencial custaria ate PREFLIGHT_AREA_LIMIT round-trips antes do DELETE.
-    const perArea = await Promise.all(areas.map(area => preflightArea(api, area.id)));
+    let counted = 0;
+    const perArea = await mapWithConcurrency(areas, PREFLIGHT_CONCURRENCY, async area => {
+      const pf = await preflightArea(api, area.id);
+      counted++;
+      progress(counted, areas.length, `Contagem de itens: ${counted} de ${areas.length} áreas`);
+      return pf;
+    });
 
     let totalItems = 0;
-    let itemsCapped = false;
+    // Areas alem do teto nao tiveram os itens contados
+    let itemsCapped = areas.length < areaCount || areasCapped;
     for (const pf of perArea) {
       // erro em uma area nao bloqueia — conta 0 nessa area
       if (pf.error) continue;
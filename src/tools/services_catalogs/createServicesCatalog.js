@@ -11,6 +11,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse, apiFailureResponse, internalErrorResponse, extractApiErrorDetail } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'create_services_catalog',
@@ -24,10 +26,12 @@ const schema = {
       name: {
         type: 'string',
         description: 'Nome do catálogo (obrigatório, único na organização)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['name']
-  }
+  },
+  annotations: createAnnotations('Criar catálogo de serviço')
 };
 
 async function execute(args, { api }) {
@@ -11,6 +11,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse, apiFailureResponse, internalErrorResponse, extractApiErrorDetail } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { resolveCatalogContext } = require('./catalogResolver');
 
 const schema = {
@@ -33,10 +35,12 @@ const schema = {
       name: {
         type: 'string',
         description: 'Nome da área (obrigatório, único por catálogo)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['name']
-  }
+  },
+  annotations: createAnnotations('Criar área do catálogo')
 };
 
 async function execute(args, { api }) {
@@ -20,6 +20,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse, apiFailureResponse, internalErrorResponse, extractApiErrorDetail } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { resolveAreaContext } = require('./catalogResolver');
 
 // Regex da API v2: \A\d{1,3}:[0-5]\d\z — horas 0..999, minutos 00..59
@@ -63,10 +65,12 @@ const schema = {
       end_time: {
         type: 'string',
         description: 'SLA de solução no formato HH:MM (horas 0-999). Deve ser >= start_time. Obrigatório.'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['name', 'start_time', 'end_time']
-  }
+  },
+  annotations: createAnnotations('Criar item do catálogo')
 };
 
 /**
@@ -19,6 +19,8 @@
 const { textResponse } = require('../_shared/response');
 const { apiFailureResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { destructiveAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { preflightCatalog, formatCatalogCascade } = require('./cascadePreflight');
 
 const schema = {
@@ -35,19 +37,21 @@ const schema = {
       id: {
         type: 'number',
         description: 'ID do catálogo a ser removido (obrigatório)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['id']
-  }
+  },
+  annotations: destructiveAnnotations('Remover catálogo de serviço')
 };
 
-async function execute(args, { api }) {
+async function execute(args, { api, progress }) {
   requireField(args, 'id');
 
   const { id } = args;
 
   // Pre-flight: conta areas e itens antes do delete
-  const preflight = await preflightCatalog(api, id);
+  const preflight = await preflightCatalog(api, id, progress);
 
   try {
     const response = await api.deleteServicesCatalog(id);
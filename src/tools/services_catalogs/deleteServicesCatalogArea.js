@@ -13,6 +13,8 @@
 const { textResponse } = require('../_shared/response');
 const { apiFailureResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { destructiveAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { resolveCatalogContext } = require('./catalogResolver');
 const { preflightArea, formatAreaCascade } = require('./cascadePreflight');
 
@@ -37,10 +39,12 @@ const schema = {
       id: {
         type: 'number',
         description: 'ID da área a ser removida (obrigatório)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['id']
-  }
+  },
+  annotations: destructiveAnnotations('Remover área do catálogo')
 };
 
 async function execute(args, { api }) {
@@ -14,6 +14,8 @@
 const { textResponse } = require('../_shared/response');
 const { apiFailureResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { destructiveAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { resolveAreaContext } = require('./catalogResolver');
 
 const schema = {
@@ -45,10 +47,12 @@ const schema = {
       id: {
         type: 'number',
         description: 'ID do item a ser removido (obrigatório)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['id']
-  }
+  },
+  annotations: destructiveAnnotations('Remover item do catálogo')
 };
 
 async function execute(args, { api }) {
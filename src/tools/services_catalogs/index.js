@@ -33,8 +33,8 @@ class ServicesCatalogTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  ServicesCatalogTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  ServicesCatalogTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
@@ -13,6 +13,7 @@ const { textResponse } = require('../_shared/response');
 const { apiFailureResponse, internalErrorResponse } = require('../_shared/errors');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
 const { renderList } = require('../_shared/format');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 const { resolveCatalogContext } = require('./catalogResolver');
 
 const schema = {
@@ -39,7 +40,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar áreas do catálogo')
 };
 
 function renderItem(area) {
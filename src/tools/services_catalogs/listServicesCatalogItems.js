@@ -15,6 +15,7 @@ const { textResponse } = require('../_shared/response');
 const { apiFailureResponse, internalErrorResponse } = require('../_shared/errors');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
 const { renderList } = require('../_shared/format');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 const { resolveAreaContext } = require('./catalogResolver');
 
 const schema = {
@@ -50,7 +51,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: []
-  }
+  },
+  annotations: readOnlyAnnotations('Listar itens do catálogo')
 };
 
 function renderItem(item) {
@@ -12,6 +12,8 @@
 const { textResponse } = require('../_shared/response');
 const { apiFailureResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'update_services_catalog',
@@ -30,10 +32,12 @@ const schema = {
       name: {
         type: 'string',
         description: 'Novo nome do catálogo (obrigatório)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['id', 'name']
-  }
+  },
+  annotations: updateAnnotations('Atualizar catálogo de serviço')
 };
 
 async function execute(args, { api }) {
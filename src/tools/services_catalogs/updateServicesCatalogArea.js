@@ -11,6 +11,8 @@
 const { textResponse } = require('../_shared/response');
 const { apiFailureResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { resolveCatalogContext } = require('./catalogResolver');
 
 const schema = {
@@ -37,10 +39,12 @@ const schema = {
       name: {
         type: 'string',
         description: 'Novo nome da área (obrigatório)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['id', 'name']
-  }
+  },
+  annotations: updateAnnotations('Atualizar área do catálogo')
 };
 
 async function execute(args, { api }) {
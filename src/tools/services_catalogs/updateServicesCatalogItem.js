@@ -12,6 +12,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse, apiFailureResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { resolveAreaContext } = require('./catalogResolver');
 const { validateTimes } = require('./createServicesCatalogItem');
 
@@ -56,10 +58,12 @@ const schema = {
       end_time: {
         type: 'string',
         description: 'SLA de solução no formato HH:MM. Deve ser >= start_time. Opcional.'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['id']
-  }
+  },
+  annotations: updateAnnotations('Atualizar item do catálogo')
 };
 
 const UPDATABLE_FIELDS = ['name', 'start_time', 'end_time'];
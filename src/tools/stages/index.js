@@ -18,8 +18,8 @@ class StageTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  StageTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  StageTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
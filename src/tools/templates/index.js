@@ -22,8 +22,8 @@ class TemplateTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  TemplateTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  TemplateTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
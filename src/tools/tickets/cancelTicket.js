@@ -7,6 +7,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { destructiveAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'cancel_ticket',
@@ -14,10 +16,12 @@ const schema = {
   inputSchema: {
     type: 'object',
     properties: {
-      ticket_number: { type: 'string', description: 'Número do ticket a ser cancelado (ex: "123", "456")' }
+      ticket_number: { type: 'string', description: 'Número do ticket a ser cancelado (ex: "123", "456")' },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: destructiveAnnotations('Cancelar ticket')
 };
 
 async function execute(args, { api }) {
@@ -25,6 +25,8 @@ const { resolveRequestorName, resolveRequestorEmail } = require('../_shared/requ
 const { resolveResponsibleName } = require('../_shared/userResolver');
 const { markdownToHtml } = require('../_shared/markdownToHtml');
 const { validateBase64Files, filesBase64SchemaProperty, MAX_BASE64_BYTES_25MB } = require('../_shared/fileValidation');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const MAX_FILES = 10;
 
@@ -60,10 +62,12 @@ const schema = {
       parent_ticket_number: { type: 'number', description: 'Número do ticket pai. O ticket criado será vinculado como filho deste ticket.' },
       files_base64: filesBase64SchemaProperty(
         'Lista de arquivos em formato base64 para anexar ao ticket (máximo 10 arquivos de 25MB cada)'
-      )
+      ),
+      dry_run: dryRunSchemaProperty()
     },
     required: ['title', 'description']
-  }
+  },
+  annotations: createAnnotations('Criar ticket')
 };
 
 async function execute(args, { api }) {
@@ -11,6 +11,8 @@ const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { markdownToHtml } = require('../_shared/markdownToHtml');
 const { validateBase64Files, filesBase64SchemaProperty, tooManyFilesError, MAX_BASE64_BYTES_40MB } = require('../_shared/fileValidation');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const MAX_FILES = 10;
 
@@ -26,10 +28,12 @@ const schema = {
       files_base64: filesBase64SchemaProperty(
         'Lista de arquivos em formato base64 para anexar (máximo 10 arquivos de 40MB cada)',
         '"documento.pdf", "relatorio.xlsx"'
-      )
+      ),
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number', 'text']
-  }
+  },
+  annotations: createAnnotations('Responder ao cliente no ticket', { openWorld: true })
 };
 
 async function execute(args, { api }) {
@@ -8,7 +8,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
-const { ticketNumberSchemaProperty } = require('../_shared/schemaProps');
+const { ticketNumberSchemaProperty, dryRunSchemaProperty } = require('../_shared/schemaProps');
+const { destructiveAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'delete_ticket_answer',
@@ -17,10 +18,12 @@ const schema = {
     type: 'object',
     properties: {
       ticket_number: ticketNumberSchemaProperty('Número do ticket de onde a resposta será removida (ex: "123", "456")'),
-      answer_id: { type: 'string', description: 'ID da resposta a ser removida (obtido via list_ticket_answers ou get_ticket_answer)' }
+      answer_id: { type: 'string', description: 'ID da resposta a ser removida (obtido via list_ticket_answers ou get_ticket_answer)' },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number', 'answer_id']
-  }
+  },
+  annotations: destructiveAnnotations('Remover resposta do ticket')
 };
 
 async function execute(args, { api }) {
@@ -9,6 +9,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { destructiveAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'delete_ticket_answer_file',
@@ -17,10 +19,12 @@ const schema = {
     type: 'object',
     properties: {
       answer_id: { type: 'string', description: 'ID da resposta de onde o arquivo será removido (obtido via list_ticket_answers ou get_ticket_answer)' },
-      file_id: { type: 'string', description: 'ID do arquivo a ser removido (obtido via get_ticket_answer, campo files[].id)' }
+      file_id: { type: 'string', description: 'ID do arquivo a ser removido (obtido via get_ticket_answer, campo files[].id)' },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['answer_id', 'file_id']
-  }
+  },
+  annotations: destructiveAnnotations('Remover arquivo de resposta do ticket')
 };
 
 async function execute(args, { api }) {
@@ -8,7 +8,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
-const { ticketNumberSchemaProperty } = require('../_shared/schemaProps');
+const { ticketNumberSchemaProperty, dryRunSchemaProperty } = require('../_shared/schemaProps');
+const { destructiveAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'delete_ticket_file',
@@ -17,10 +18,12 @@ const schema = {
     type: 'object',
     properties: {
       ticket_number: ticketNumberSchemaProperty('Número do ticket de onde o arquivo será removido (ex: "123", "456")'),
-      file_id: { type: 'string', description: 'ID do arquivo a ser removido (obtido via get_ticket_files)' }
+      file_id: { type: 'string', description: 'ID do arquivo a ser removido (obtido via get_ticket_files)' },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number', 'file_id']
-  }
+  },
+  annotations: destructiveAnnotations('Remover arquivo do ticket')
 };
 
 async function execute(args, { api }) {
@@ -6,12 +6,14 @@
  * cliente, criado_por, atualizado_por, SLA, URLs, campos personalizados.
  */
 
-const { textResponse } = require('../_shared/response');
+const { structuredResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { footer, truncate } = require('../_shared/format');
 const { stripHtml } = require('../_shared/markdown');
 const { formatEntityField } = require('../_shared/entityFields');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const { ticketDetailOutputSchema, toTicketDetail } = require('./ticketOutput');
 
 const schema = {
   name: 'get_ticket',
@@ -24,7 +26,9 @@ const schema = {
       include_filled_entity: { type: 'boolean', description: 'Incluir apenas campos personalizados que possuem valores preenchidos (padrão: false)' }
     },
     required: ['ticket_number']
-  }
+  },
+  outputSchema: ticketDetailOutputSchema(),
+  annotations: readOnlyAnnotations('Buscar ticket')
 };
 
 function formatTicket(ticketNumber, ticket, v) {
@@ -311,7 +315,10 @@ async function execute(args, { api, verbosity }) {
       );
     }
 
-    return textResponse(formatTicket(ticket_number, response.data, v));
+    return structuredResponse(
+      formatTicket(ticket_number, response.data, v),
+      toTicketDetail(ticket_number, response.data)
+    );
   } catch (error) {
     return errorResponse(
       `**❌ Erro interno ao buscar ticket #${ticket_number}**\n\n` +
@@ -10,6 +10,7 @@ const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { stripHtml } = require('../_shared/markdown');
 const { footer } = require('../_shared/format');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_ticket_answer',
@@ -27,7 +28,8 @@ const schema = {
       }
     },
     required: ['ticket_number', 'answer_id']
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar resposta do ticket')
 };
 
 async function execute(args, { api, verbosity }) {
@@ -15,6 +15,7 @@ const { requireField } = require('../_shared/validators');
 const { ticketSubresourceErrorResponse } = require('../_shared/ticketSubresourceErrors');
 const { pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const RESOURCE_LABEL = 'checklists';
 
@@ -36,7 +37,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar checklists do ticket')
 };
 
 /**
@@ -9,6 +9,7 @@ const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { formatFileSize } = require('../_shared/markdown');
 const { footer } = require('../_shared/format');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_ticket_files',
@@ -19,7 +20,8 @@ const schema = {
       ticket_number: { type: 'string', description: 'Número do ticket para buscar os arquivos anexados (ex: "123", "456")' }
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar arquivos do ticket')
 };
 
 function formatFilesList(ticketNumber, files, verbosity) {
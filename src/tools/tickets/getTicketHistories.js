@@ -11,6 +11,7 @@ const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { footer, pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_ticket_histories',
@@ -39,7 +40,8 @@ const schema = {
       }
     },
     required: ['ticket_number', 'history_of']
-  }
+  },
+  annotations: readOnlyAnnotations('Consultar histórico do ticket')
 };
 
 // O Swagger nao garante valores escalares em old_values/new_values; sem isto,
@@ -11,6 +11,7 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { ticketSubresourceErrorResponse } = require('../_shared/ticketSubresourceErrors');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const RESOURCE_LABEL = 'tipos de atendimento';
 
@@ -24,7 +25,8 @@ const schema = {
       date: { type: 'string', description: 'Data-base para filtrar contratos/adendos vigentes (formato ISO YYYY-MM-DD, ex: "2026-08-04"). Padrão: hoje. Não pode ser uma data futura.' }
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar tipos de serviço do ticket')
 };
 
 async function execute(args, { api }) {
@@ -13,6 +13,7 @@ const { textResponse } = require('../_shared/response');
 const { internalErrorResponse } = require('../_shared/errors');
 const { requireField, parseIntStrict } = require('../_shared/validators');
 const { ticketSubresourceErrorResponse } = require('../_shared/ticketSubresourceErrors');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const RESOURCE_LABEL = 'deslocamentos';
 
@@ -34,7 +35,8 @@ const schema = {
       contract_id: { type: 'number', description: 'ID do contrato (número inteiro positivo) para filtrar deslocamentos vinculados a esse contrato específico (opcional). Omita para retornar todos os deslocamentos aplicáveis ao ticket. Valor não inteiro falha localmente com mensagem clara, sem chamar a API.' }
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar turnos do ticket')
 };
 
 async function execute(args, { api }) {
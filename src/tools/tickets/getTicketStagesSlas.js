@@ -12,6 +12,7 @@ const { requireField } = require('../_shared/validators');
 const { footer, pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
 const { ticketSubresourceErrorResponse } = require('../_shared/ticketSubresourceErrors');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const RESOURCE_LABEL = 'estágios/SLAs';
 
@@ -25,7 +26,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: readOnlyAnnotations('Consultar SLAs por estágio do ticket')
 };
 
 async function execute(args, { api, verbosity }) {
@@ -7,6 +7,7 @@
  *
  * Nome deliberado: o orquestrador do Assistente IA filtra tools por prefixo
  * de leitura (list_, get_, search_) — get_ passa; compare_ seria filtrado fora.
+ * Clientes MCP devem preferir `annotations.readOnlyHint` ao prefixo.
  *
  * Período de comparação default: imediatamente anterior de mesma duração
  * (compare_end = start − 1s; compare_start = compare_end − duração).
@@ -30,6 +31,8 @@ const { previousPeriod, validatePeriod } = require('../_shared/periodMath');
 const { capIds, calcDelta, formatDeltaStr } = require('../_shared/reportMath');
 const { renderAppliedFilters } = require('../_shared/appliedFilters');
 const { diagnoseZero } = require('../_shared/zeroDiagnostics');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const { noopProgress } = require('../_shared/progress');
 
 // Teto explicito de buckets por chamada. Em modo group_by a API atual ignora
 // `limit` e devolve todos os buckets (validado ao vivo: 66 buckets com limit=20);
@@ -127,7 +130,8 @@ Exemplos de uso:
       }
     },
     required: ['start_datetime', 'end_datetime']
-  }
+  },
+  annotations: readOnlyAnnotations('Comparar tickets entre períodos')
 };
 
 /**
@@ -171,7 +175,7 @@ function alignDeskBuckets(currentBuckets, previousBuckets) {
   return rows;
 }
 
-async function execute(args, { api, verbosity, logger }) {
+async function execute(args, { api, verbosity, logger, progress = noopProgress }) {
   const v = verbosity || 'rich';
 
   try {
@@ -315,6 +319,8 @@ async function execute(args, { api, verbosity, logger }) {
     );
   }
 
+  progress(1, 2, 'Período atual consultado');
+
   // --- Chamada 2: período de comparação ---
   const compareResponse = await api.listTickets({
     ...baseFilters,
@@ -341,6 +347,8 @@ async function execute(args, { api, verbosity, logger }) {
     );
   }
 
+  progress(2, 2, 'Período de comparação consultado');
+
   const currentBuckets = currentPayload.buckets;
   const compareBuckets = comparePayload.buckets;
 
@@ -30,6 +30,7 @@
 
 const { runFeedbackReport } = require('../_shared/feedbackReport');
 const { feedbackReportSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_tickets_feedback_report',
@@ -61,7 +62,8 @@ Exemplos de uso:
       'Se true, inclui a lista paginada de tickets avaliados no período principal (com comments, rating, mesa, responsável). Útil para ver itens individuais e filtrar por nota client-side. Default: false.'
     ),
     required: ['start_date', 'end_date']
-  }
+  },
+  annotations: readOnlyAnnotations('Relatório de avaliações de tickets')
 };
 
 const METRICS = [
@@ -3,8 +3,9 @@
  *
  * Cada slice em `./<toolName>.js` exporta `{ name, schema, execute }`.
  * O agregador:
- *   - instancia `this.api` (TiFluxAPI) para o registry hidratar via setApiKey
- *   - instala um metodo `_exec_<toolName>` por slice, com ctx { api, logger }
+ *   - instancia `this.api` (TiFluxAPI) como default do processo (chave do env)
+ *   - instala um metodo `_exec_<toolName>` por slice, com ctx { api, logger, verbosity }
+ *     — o ctx request-scoped vindo do registry sobrepoe os defaults da instancia
  *   - expoe `static TOOLS` derivado dos slices (formato consumido pelo registry)
  *
  * Status: 24 slices — 10 originais com paridade byte-a-byte contra o legado
@@ -57,8 +58,8 @@ class TicketTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  TicketTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  TicketTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
@@ -12,6 +12,7 @@ const { requireField } = require('../_shared/validators');
 const { stripHtml } = require('../_shared/markdown');
 const { footer, pagination } = require('../_shared/format');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'list_ticket_answers',
@@ -26,7 +27,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: readOnlyAnnotations('Listar respostas do ticket')
 };
 
 function formatAnswersList(ticketNumber, answers, offset, limit, verbosity) {
@@ -25,9 +25,13 @@
  * Exibicao (Phase 1, custo zero de API):
  * - rich: card do ticket inclui Prioridade e Catalogo (catalog_name > area_name > item_name).
  * - compact: linha do ticket inclui prioridade e catalogo de forma terse.
+ *
+ * structuredContent (ver ./ticketOutput.js): `tickets` + `pagination` na listagem;
+ * `group_by`/`total`/`buckets` no modo agregado. `filters` sao os enviados a API
+ * (ja resolvidos para IDs) e `warnings` os avisos exibidos no texto.
  */
 
-const { textResponse } = require('../_shared/response');
+const { structuredResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { resolveDeskName } = require('../_shared/deskResolver');
 const { resolveClientName } = require('../_shared/clientResolver');
@@ -38,6 +42,9 @@ const { resolveCatalogItemIds } = require('../_shared/catalogFilterResolver');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
 const { renderAppliedFilters } = require('../_shared/appliedFilters');
 const { diagnoseZero } = require('../_shared/zeroDiagnostics');
+const { readOnlyAnnotations } = require('../_shared/annotations');
+const { nullable, paginationOutputSchema, toPagination } = require('../_shared/structured');
+const { ticketSummaryOutputSchema, toTicketSummary } = require('./ticketOutput');
 
 // Contrato de GET /tickets (Swagger): services_catalogs_item_ids e priority_ids aceitam
 // no maximo 15 IDs, sem duplicados (erro 42201 "cannot have more than 15 items").
@@ -331,7 +338,29 @@ const schema = {
       end_datetime: { type: 'string', description: 'Data/hora final do filtro no formato ISO 8601 (ex: "2024-05-15T23:59:59Z" ou "2024-05-15T23:59:59-03:00"). Filtra tickets com data <= end_datetime' }
     },
     required: []
-  }
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      tickets: { type: 'array', items: ticketSummaryOutputSchema() },
+      pagination: paginationOutputSchema(),
+      group_by: nullable('string'),
+      date_type: nullable('string'),
+      total: nullable('integer'),
+      buckets: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { period: { type: 'string' }, count: { type: 'integer' } },
+          required: ['period', 'count']
+        }
+      },
+      filters: { type: 'object' },
+      warnings: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['tickets', 'filters', 'warnings']
+  },
+  annotations: readOnlyAnnotations('Listar tickets')
 };
 
 async function execute(args, { api, verbosity }) {
@@ -672,6 +701,15 @@ async function execute(args, { api, verbosity }) {
       group_by, sla_expiring_before
     });
 
+    const structuredBase = {
+      filters,
+      warnings: [
+        filterByAssumed ? 'filter_by não informado com date_type="solved_in_time" — assumido filter_by="closed"' : null,
+        catalogWarning,
+        priorityWarning
+      ].filter(Boolean)
+    };
+
     // Modo agregado: API retorna { group_by, date_type, total, buckets } em vez de lista.
     if (group_by) {
       const payload = response.data || {};
@@ -683,6 +721,16 @@ async function execute(args, { api, verbosity }) {
       const dtSuffix = isDesk ? '' : ` (data de ${(payload.date_type || date_type) === 'solved_in_time' ? 'fechamento/resolução' : 'criação'})`;
 
       const filtersBlock = renderAppliedFilters(filterEntries, v);
+      // Zero-fill temporal buckets quando start/end informados e ao menos 1 bucket
+      const displayBuckets = zeroFillTemporalBuckets(buckets, start_datetime, end_datetime, group_by);
+      const aggregateStructured = {
+        ...structuredBase,
+        tickets: [],
+        group_by,
+        date_type: payload.date_type || date_type || null,
+        total: Number.parseInt(agg) || 0,
+        buckets: displayBuckets.map(b => ({ period: String(b.period), count: Number.parseInt(b.count) || 0 }))
+      };
 
       if (buckets.length === 0) {
         // Sem tabela — exibe filtros + diagnostico para nao deixar o modelo inventar zeros
@@ -697,18 +745,15 @@ async function execute(args, { api, verbosity }) {
         }
         out += `Nenhum ticket no período/filtros informados.`;
         if (diagText) out += `\n\n${diagText}`;
-        return textResponse(out);
+        return structuredResponse(out, aggregateStructured);
       }
 
       if (v === 'compact') {
         const filtersLine = filtersBlock ? `\n${filtersBlock}` : '';
         const line = buckets.map(b => `${b.period}:${b.count}`).join(' · ');
-        return textResponse(`Contagem por ${unitLabel} (total ${agg}): ${line}${filtersLine}`);
+        return structuredResponse(`Contagem por ${unitLabel} (total ${agg}): ${line}${filtersLine}`, aggregateStructured);
       }
 
-      // Zero-fill temporal buckets quando start/end informados e ao menos 1 bucket
-      const displayBuckets = zeroFillTemporalBuckets(buckets, start_datetime, end_datetime, group_by);
-
       let out = '';
       if (filterByAssumed) {
         out += `**⚠️ Suposição de status:** \`filter_by\` não informado com \`date_type="solved_in_time"\` — assumiu \`filter_by="closed"\`. Use \`filter_by="all"\` para incluir cancelados.\n\n`;
@@ -718,7 +763,7 @@ async function execute(args, { api, verbosity }) {
       out += `| ${colLabel} | Quantidade |\n|---|---|\n`;
       displayBuckets.forEach(b => { out += `| ${b.period} | ${b.count} |\n`; });
       const footerStr = footer(v);
-      return textResponse(footerStr ? `${out}\n${footerStr}` : out);
+      return structuredResponse(footerStr ? `${out}\n${footerStr}` : out, aggregateStructured);
     }
 
     const tickets = response.data || [];
@@ -739,7 +784,11 @@ async function execute(args, { api, verbosity }) {
       if (priorityWarning) out += `**⚠️ Aviso:** ${priorityWarning}\n\n`;
       out += `*Tente ajustar os filtros para encontrar tickets.*`;
       if (diagText) out += `\n\n${diagText}`;
-      return textResponse(out);
+      return structuredResponse(out, {
+        ...structuredBase,
+        tickets: [],
+        pagination: toPagination({ offset: filters.offset, limit: filters.limit, count: 0, total })
+      });
     }
 
     const currentOffset = filters.offset || 1;
@@ -841,7 +890,14 @@ async function execute(args, { api, verbosity }) {
       }
     }
 
-    return textResponse(`${ticketsList}${assumptionBlock}${filtersSummary}${warningBlock}${paginationInfo}${sep}${footerStr}${volumeGuard}`);
+    return structuredResponse(
+      `${ticketsList}${assumptionBlock}${filtersSummary}${warningBlock}${paginationInfo}${sep}${footerStr}${volumeGuard}`,
+      {
+        ...structuredBase,
+        tickets: tickets.map(toTicketSummary),
+        pagination: toPagination({ offset: currentOffset, limit: currentLimit, count: tickets.length, total })
+      }
+    );
   } catch (error) {
     return errorResponse(
       `**❌ Erro interno ao listar tickets**\n\n` +
@@ -9,6 +9,8 @@
 const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'reopen_ticket',
@@ -23,10 +25,12 @@ const schema = {
       disapproval_reason: {
         type: 'string',
         description: 'Motivo da reprovação/reabertura (obrigatório para tickets pendentes de revisão)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: updateAnnotations('Reabrir ticket')
 };
 
 async function execute(args, { api }) {
@@ -0,0 +1,161 @@
+/**
+ * ticketOutput.js — outputSchema/structuredContent de ticket.
+ *
+ * Compartilhado por get_ticket (detalhe) e list_tickets (resumo por item):
+ * o resumo e um subconjunto do detalhe, entao o consumidor le os mesmos
+ * campos nas duas tools.
+ */
+
+const {
+  nullable,
+  refOutputSchema,
+  toId,
+  toText,
+  toRef
+} = require('../_shared/structured');
+
+function ticketSummaryProperties() {
+  return {
+    ticket_number: nullable('number'),
+    title: nullable('string'),
+    status: refOutputSchema(),
+    priority: refOutputSchema(),
+    desk: refOutputSchema(),
+    stage: refOutputSchema(),
+    responsible: refOutputSchema(),
+    client: refOutputSchema(),
+    services_catalog: {
+      type: ['object', 'null'],
+      properties: {
+        item_id: nullable('number'),
+        item_name: nullable('string'),
+        area_name: nullable('string'),
+        catalog_name: nullable('string')
+      }
+    },
+    is_closed: { type: 'boolean' },
+    created_at: nullable('string'),
+    updated_at: nullable('string'),
+    closed_at: nullable('string')
+  };
+}
+
+/** Schema de um item de list_tickets. */
+function ticketSummaryOutputSchema() {
+  return {
+    type: 'object',
+    properties: ticketSummaryProperties(),
+    required: ['ticket_number', 'title', 'status', 'desk', 'stage', 'responsible', 'client', 'is_closed']
+  };
+}
+
+/** outputSchema de get_ticket. */
+function ticketDetailOutputSchema() {
+  return {
+    type: 'object',
+    properties: {
+      ...ticketSummaryProperties(),
+      description: nullable('string'),
+      tags: { type: 'array', items: { type: 'string' } },
+      worked_hours: nullable('string'),
+      reopen_count: { type: 'integer' },
+      sla: {
+        type: ['object', 'null'],
+        properties: {
+          stopped: { type: 'boolean' },
+          stage_expiration: nullable('string'),
+          attend_expiration: nullable('string'),
+          solve_expiration: nullable('string'),
+          solved_in_time: nullable('boolean')
+        }
+      },
+      url_internal: nullable('string'),
+      url_external: nullable('string'),
+      entity_fields: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            entity_field_id: nullable('number'),
+            name: nullable('string'),
+            value: {}
+          }
+        }
+      }
+    },
+    required: ['ticket_number', 'title', 'status', 'desk', 'stage', 'responsible', 'client', 'is_closed', 'description', 'sla', 'entity_fields']
+  };
+}
+
+function toTicketSummary(ticket) {
+  const catalog = ticket.services_catalog;
+  return {
+    ticket_number: toId(ticket.ticket_number),
+    title: toText(ticket.title),
+    status: toRef(ticket.status),
+    priority: toRef(ticket.priority),
+    desk: toRef(ticket.desk, 'display_name'),
+    stage: toRef(ticket.stage),
+    responsible: toRef(ticket.responsible),
+    client: toRef(ticket.client),
+    services_catalog: catalog
+      ? {
+        item_id: toId(catalog.id),
+        item_name: toText(catalog.item_name),
+        area_name: toText(catalog.area_name),
+        catalog_name: toText(catalog.catalog_name)
+      }
+      : null,
+    is_closed: Boolean(ticket.is_closed),
+    created_at: toText(ticket.created_at),
+    updated_at: toText(ticket.updated_at),
+    closed_at: toText(ticket.closed_at)
+  };
+}
+
+function toTags(tags) {
+  if (Array.isArray(tags)) return tags.map(String);
+  if (typeof tags === 'string' && tags.trim()) return tags.split(',').map(t => t.trim()).filter(Boolean);
+  return [];
+}
+
+// Mesma regra do formatter rich: entities[] agrupado tem precedencia sobre entity_fields[] root
+function toEntityFields(ticket) {
+  const grouped = (ticket.entities || []).flatMap(entity => entity.entity_fields || []);
+  const fields = grouped.length > 0 ? grouped : (ticket.entity_fields || []);
+  return fields.map(field => ({
+    entity_field_id: toId(field.entity_field_id ?? field.id),
+    name: toText(field.name),
+    value: field.value ?? null
+  }));
+}
+
+function toTicketDetail(ticketNumber, ticket) {
+  const sla = ticket.sla_info;
+  return {
+    ...toTicketSummary({ ticket_number: ticketNumber, ...ticket }),
+    description: toText(ticket.description),
+    tags: toTags(ticket.tags),
+    worked_hours: toText(ticket.worked_hours),
+    reopen_count: Number.parseInt(ticket.reopen_count) || 0,
+    sla: sla
+      ? {
+        stopped: Boolean(sla.stopped),
+        stage_expiration: toText(sla.stage_expiration),
+        attend_expiration: toText(sla.attend_expiration),
+        solve_expiration: toText(sla.solve_expiration),
+        solved_in_time: typeof sla.solved_in_time === 'boolean' ? sla.solved_in_time : null
+      }
+      : null,
+    url_internal: toText(ticket.url_internal_path),
+    url_external: toText(ticket.url_external_path),
+    entity_fields: toEntityFields(ticket)
+  };
+}
+
+module.exports = {
+  ticketSummaryOutputSchema,
+  ticketDetailOutputSchema,
+  toTicketSummary,
+  toTicketDetail
+};
@@ -19,6 +19,8 @@ const { resolveDeskName } = require('../_shared/deskResolver');
 const { resolveResponsibleName } = require('../_shared/userResolver');
 const { markdownToHtml } = require('../_shared/markdownToHtml');
 const { fuzzyMatchItems } = require('../_shared/fuzzyMatch');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'update_ticket',
@@ -46,16 +48,18 @@ const schema = {
       priority_name: { type: 'string', description: 'Nome da prioridade para busca automática (requer desk_id ou desk_name para resolver). IMPORTANTE: como exige informar a mesa, a API interpreta como transferência — só funciona ao transferir para outra mesa. Para mudar a prioridade na mesa ATUAL do ticket, use priority_id diretamente (sem desk).' },
       priority_change_reason: { type: 'string', description: 'Motivo da mudança de prioridade (texto livre). OBRIGATÓRIO ao mudar a prioridade (priority_id) FORA de uma transferência de mesa — a API rejeita priority_id sem ele. NÃO deve ser usado durante transferência de mesa (a API rejeita); nesse caso é ignorado automaticamente.' },
       status_id: { type: 'number', description: 'ID do status do ticket (opcional). Não há endpoint de listagem de status por mesa na API v2 — informe o ID diretamente (sem status_name).' },
-      responsible_id: { type: 'number', description: 'ID do responsável (opcional - use null ou omita para remover responsável)' },
+      responsible_id: { type: ['number', 'null'], description: 'ID do responsável (opcional - use null para remover o responsável)' },
       responsible_name: { type: 'string', description: 'Nome do responsável para busca automática (alternativa ao responsible_id)' },
       requestor_id: { type: 'number', description: 'ID do novo solicitante do ticket (opcional). O solicitante deve pertencer ao mesmo cliente vinculado ao ticket. Conflito com requestor_name: requestor_id tem prioridade.' },
       requestor_name: { type: 'string', description: 'Nome do solicitante para busca automática (alternativa ao requestor_id). Busca em GET /requestors (global) com fallback para GET /clients/{id}/requestors em caso de 403. Multiplos candidatos listam opções para desambiguação; zero → sugerir search_requestor. Conflito com requestor_id: requestor_id vence.' },
       followers: { type: 'string', description: 'E-mails dos seguidores separados por vírgula. ATENÇÃO: o valor enviado SUBSTITUI a lista atual de seguidores — para adicionar sem remover, consulte os seguidores atuais via get_ticket e envie a lista completa (atuais + novos). String vazia "" remove todos os seguidores.' },
       services_catalogs_item_id: { type: 'number', description: 'ID do item de catálogo para atualizar mesa com item específico (opcional)' },
-      catalog_item_name: { type: 'string', description: 'Nome do item de catálogo para busca automática (alternativa ao services_catalogs_item_id, requer desk_id ou desk_name)' }
+      catalog_item_name: { type: 'string', description: 'Nome do item de catálogo para busca automática (alternativa ao services_catalogs_item_id, requer desk_id ou desk_name)' },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number']
-  }
+  },
+  annotations: updateAnnotations('Atualizar ticket')
 };
 
 /**
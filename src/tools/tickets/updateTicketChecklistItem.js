@@ -16,6 +16,8 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField, requireIntField } = require('../_shared/validators');
 const { ticketSubresourceErrorResponse } = require('../_shared/ticketSubresourceErrors');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 const { _formatField } = require('./getTicketChecklists');
 
 const RESOURCE_LABEL = 'checklist item';
@@ -70,10 +72,12 @@ const schema = {
           },
           required: ['id', 'checked']
         }
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number', 'checklist_id', 'index']
-  }
+  },
+  annotations: updateAnnotations('Atualizar item de checklist do ticket')
 };
 
 /**
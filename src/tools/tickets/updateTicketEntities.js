@@ -9,6 +9,8 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { resolveEntities, formatUpdatedFields, buildEntitiesSchema } = require('../_shared/entityFieldResolver');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const schema = {
   name: 'update_ticket_entities',
@@ -17,10 +19,12 @@ const schema = {
     type: 'object',
     properties: {
       ticket_number: { type: 'string', description: 'Número do ticket a ser atualizado' },
-      entities: buildEntitiesSchema('get_ticket')
+      entities: buildEntitiesSchema('get_ticket'),
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number', 'entities']
-  }
+  },
+  annotations: updateAnnotations('Atualizar campos personalizados do ticket')
 };
 
 async function execute(args, { api }) {
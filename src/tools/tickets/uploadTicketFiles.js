@@ -10,7 +10,8 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { validateBase64Files, filesBase64SchemaProperty, tooManyFilesError, MAX_BASE64_BYTES_25MB } = require('../_shared/fileValidation');
-const { ticketNumberSchemaProperty } = require('../_shared/schemaProps');
+const { ticketNumberSchemaProperty, dryRunSchemaProperty } = require('../_shared/schemaProps');
+const { createAnnotations } = require('../_shared/annotations');
 
 const MAX_FILES = 10;
 
@@ -23,10 +24,12 @@ const schema = {
       ticket_number: ticketNumberSchemaProperty('Número do ticket onde os arquivos serão anexados (ex: "123", "456")'),
       files_base64: filesBase64SchemaProperty(
         'Lista de arquivos em formato base64 para anexar ao ticket (máximo 10 arquivos de 25MB cada)'
-      )
+      ),
+      dry_run: dryRunSchemaProperty()
     },
     required: ['ticket_number', 'files_base64']
-  }
+  },
+  annotations: createAnnotations('Anexar arquivos ao ticket')
 };
 
 async function execute(args, { api }) {
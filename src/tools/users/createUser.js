@@ -11,6 +11,8 @@ const { textResponse } = require('../_shared/response');
 const { internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { resolveTechnicalGroup } = require('../_shared/technicalGroupResolver');
+const { createAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const LICENSE_FIELDS = [
   'whatsapp_license',
@@ -61,10 +63,12 @@ const schema = {
       splashtop_license: {
         type: 'boolean',
         description: 'Licença Splashtop (opcional)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['name', 'email']
-  }
+  },
+  annotations: createAnnotations('Criar usuário')
 };
 
 async function execute(args, { api }) {
@@ -10,6 +10,7 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireIntField } = require('../_shared/validators');
 const { footer } = require('../_shared/format');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'get_user',
@@ -23,7 +24,8 @@ const schema = {
       }
     },
     required: ['id']
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar usuário por ID')
 };
 
 function formatUser(user, verbosity) {
@@ -25,8 +25,8 @@ class UserTools {
 
 slices.forEach(slice => {
   const methodName = `_exec_${slice.name}`;
-  UserTools.prototype[methodName] = function (args) {
-    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity });
+  UserTools.prototype[methodName] = function (args, ctx = {}) {
+    return slice.execute(args, { api: this.api, logger: this.logger, verbosity: this.verbosity, ...ctx });
   };
 });
 
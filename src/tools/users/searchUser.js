@@ -12,6 +12,7 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse } = require('../_shared/errors');
 const { requireField } = require('../_shared/validators');
 const { paginationSchemaProperties } = require('../_shared/schemaProps');
+const { readOnlyAnnotations } = require('../_shared/annotations');
 
 const schema = {
   name: 'search_user',
@@ -35,7 +36,8 @@ const schema = {
       ...paginationSchemaProperties()
     },
     required: ['name']
-  }
+  },
+  annotations: readOnlyAnnotations('Buscar usuário')
 };
 
 function formatUsersList(name, users) {
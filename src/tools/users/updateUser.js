@@ -11,6 +11,8 @@ const { textResponse } = require('../_shared/response');
 const { errorResponse, internalErrorResponse, apiFailureResponse } = require('../_shared/errors');
 const { requireIntField } = require('../_shared/validators');
 const { resolveTechnicalGroup } = require('../_shared/technicalGroupResolver');
+const { updateAnnotations } = require('../_shared/annotations');
+const { dryRunSchemaProperty } = require('../_shared/schemaProps');
 
 const UPDATABLE_FIELDS = [
   'name',
@@ -93,10 +95,12 @@ const schema = {
       splashtop_license: {
         type: 'boolean',
         description: 'Licença Splashtop (opcional)'
-      }
+      },
+      dry_run: dryRunSchemaProperty()
     },
     required: ['id']
-  }
+  },
+  annotations: updateAnnotations('Atualizar usuário')
 };
 
 async function execute(args, { api }) {
@@ -0,0 +1,303 @@
+/**
+ * StreamableHttpServer — transporte MCP Streamable HTTP para self-hosting.
+ *
+ * Mesmo contrato do servidor hospedado (README "Outros clientes MCP"):
+ *   - POST   /mcp     operacoes MCP; exige header `x-tiflux-api-key`
+ *   - GET    /mcp     com `mcp-session-id`: stream SSE da sessao; sem: info do servidor
+ *   - DELETE /mcp     encerra a sessao (`mcp-session-id`)
+ *   - GET    /health  health check (sem auth)
+ *   - GET    /metrics metricas no formato texto do Prometheus (sem auth; so com `renderMetrics`)
+ *
+ * Cada sessao MCP ganha seu proprio `Server` do SDK (um Server conecta em um
+ * transporte so) via `createServer()`. O handler de CallTool le
+ * `x-tiflux-api-key` do request HTTP corrente (`extra.requestInfo.headers`).
+ * A sessao guarda o hash da chave que a criou (nunca a chave): POST, GET e
+ * DELETE com `mcp-session-id` precisam trazer a mesma chave, senao recebem
+ * 403 — quem descobre o id de uma sessao nao le o stream SSE nem encerra a
+ * sessao de outro tenant. Sem dependencias alem do SDK — usa o `http` nativo
+ * do Node.
+ *
+ * Sessoes ociosas por mais de `sessionIdleMs` sao encerradas por uma varredura
+ * periodica; com `maxSessions` sessoes abertas um novo initialize recebe 503.
+ * Sem isso qualquer cliente com o header de chave faria a memoria crescer sem
+ * limite abrindo sessoes que nunca fecha.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+const API_KEY_HEADER = 'x-tiflux-api-key';
+const VERBOSITY_HEADER = 'x-tiflux-verbosity';
+const SESSION_HEADER = 'mcp-session-id';
+const DEFAULT_MAX_BODY_BYTES = 50 * 1024 * 1024; // anexos base64 (ate 10x25MB) chegam no body JSON
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 1000;
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+
+function keyHash(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest();
+}
+
+class StreamableHttpServer {
+  /**
+   * @param {object} options
+   * @param {() => import('@modelcontextprotocol/sdk/server/index.js').Server} options.createServer - fabrica de Server MCP por sessao
+   * @param {object} options.logger - logger estruturado
+   * @param {string} [options.host] - interface de bind (default 127.0.0.1)
+   * @param {number} [options.port] - porta (default 8787)
+   * @param {string} [options.path] - rota MCP (default /mcp)
+   * @param {string} [options.version] - versao do pacote (exibida em /health e GET /mcp)
+   * @param {number} [options.maxBodyBytes] - limite do body de POST /mcp
+   * @param {() => string} [options.renderMetrics] - corpo de GET /metrics (ver src/telemetry/metrics.js);
+   *   ausente = rota desligada (404)
+   * @param {number} [options.sessionIdleMs] - sessao sem requisicao por esse tempo e encerrada (default 30 min)
+   * @param {number} [options.maxSessions] - teto de sessoes abertas; acima dele initialize recebe 503 (default 1000)
+   */
+  constructor(options = {}) {
+    this.createServer = options.createServer;
+    this.logger = options.logger;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 8787;
+    this.path = options.path || '/mcp';
+    this.version = options.version || 'unknown';
+    this.maxBodyBytes = options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES;
+    this.renderMetrics = options.renderMetrics || null;
+    this.sessionIdleMs = options.sessionIdleMs || DEFAULT_SESSION_IDLE_MS;
+    this.maxSessions = options.maxSessions || DEFAULT_MAX_SESSIONS;
+
+    this.sessions = new Map(); // sessionId -> { transport, server, keyHash, lastUsedAt }
+    this.httpServer = null;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Sobe o servidor HTTP. Resolve com { host, port } efetivos (port 0 = porta livre).
+   */
+  start() {
+    this.httpServer = http.createServer((req, res) => {
+      this._route(req, res).catch((error) => {
+        this.logger.error('HTTP transport request failed', { error: error.message, stack: error.stack });
+        if (!res.headersSent) {
+          this._sendJsonRpcError(res, 500, -32603, 'Erro interno do servidor');
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        this._startSweep();
+        const address = this.httpServer.address();
+        resolve({ host: this.host, port: address.port });
+      });
+    });
+  }
+
+  /**
+   * Encerra todas as sessoes e o servidor HTTP.
+   */
+  async close() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    for (const { transport } of this.sessions.values()) {
+      await transport.close().catch(() => {});
+    }
+    this.sessions.clear();
+
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+
+  /**
+   * Varredura periodica das sessoes ociosas. O timer nao segura o processo vivo.
+   */
+  _startSweep() {
+    const interval = Math.min(this.sessionIdleMs, MAX_SWEEP_INTERVAL_MS);
+    this.sweepTimer = setInterval(() => this.sweepIdleSessions(), interval);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Encerra as sessoes sem requisicao ha mais de `sessionIdleMs`.
+   * @returns {Promise<number>} sessoes encerradas
+   */
+  async sweepIdleSessions(now = Date.now()) {
+    const expired = [...this.sessions.entries()].filter(([, session]) => now - session.lastUsedAt > this.sessionIdleMs);
+    for (const [id, { transport }] of expired) {
+      this.sessions.delete(id);
+      await transport.close().catch(() => {});
+      this.logger.info('HTTP session expired', { sessionId: id, sessions: this.sessions.size });
+    }
+    return expired.length;
+  }
+
+  /**
+   * Sessao pelo id, se a requisicao trouxe a chave que a criou; marca o uso
+   * (adia a expiracao por ociosidade). Sem sessao valida, responde o erro e
+   * devolve null.
+   */
+  _sessionFor(req, res, sessionId) {
+    const apiKey = req.headers[API_KEY_HEADER];
+    if (!apiKey) {
+      this._sendJsonRpcError(res, 401, -32001, `Header ${API_KEY_HEADER} é obrigatório`);
+      return null;
+    }
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this._sendJsonRpcError(res, 404, -32001, 'Sessão não encontrada');
+      return null;
+    }
+    if (!crypto.timingSafeEqual(session.keyHash, keyHash(apiKey))) {
+      this.logger.warn('HTTP session key mismatch', { sessionId, method: req.method });
+      this._sendJsonRpcError(res, 403, -32001, `Sessão criada com outra chave de API (${API_KEY_HEADER})`);
+      return null;
+    }
+    session.lastUsedAt = Date.now();
+    return session;
+  }
+
+  async _route(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/health' && req.method === 'GET') {
+      return this._sendJson(res, 200, {
+        status: 'ok',
+        version: this.version,
+        transport: 'streamable-http',
+        sessions: this.sessions.size,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (pathname === '/metrics' && req.method === 'GET' && this.renderMetrics) {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      return res.end(this.renderMetrics());
+    }
+
+    if (pathname !== this.path) {
+      return this._sendJson(res, 404, { error: 'Not found' });
+    }
+
+    const sessionId = req.headers[SESSION_HEADER];
+
+    if (req.method === 'GET' && !sessionId) {
+      return this._sendJson(res, 200, {
+        name: 'tiflux-mcp',
+        version: this.version,
+        transport: 'streamable-http',
+        endpoint: this.path,
+        auth: { header: API_KEY_HEADER }
+      });
+    }
+
+    if (req.method === 'POST') {
+      return this._handlePost(req, res, sessionId);
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      const session = this._sessionFor(req, res, sessionId);
+      if (!session) return;
+      return session.transport.handleRequest(req, res);
+    }
+
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    return this._sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  async _handlePost(req, res, sessionId) {
+    if (!req.headers[API_KEY_HEADER]) {
+      return this._sendJsonRpcError(res, 401, -32001, `Header ${API_KEY_HEADER} é obrigatório`);
+    }
+
+    let body;
+    try {
+      body = await this._readJsonBody(req);
+    } catch (error) {
+      const status = error.code === 'BODY_TOO_LARGE' ? 413 : 400;
+      return this._sendJsonRpcError(res, status, -32700, error.message);
+    }
+
+    if (sessionId) {
+      const session = this._sessionFor(req, res, sessionId);
+      if (!session) return;
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (!isInitializeRequest(body)) {
+      return this._sendJsonRpcError(res, 400, -32000, `Requisição sem ${SESSION_HEADER} precisa ser initialize`);
+    }
+
+    if (this.sessions.size >= this.maxSessions) {
+      this.logger.warn('HTTP session limit reached', { sessions: this.sessions.size, maxSessions: this.maxSessions });
+      res.setHeader('Retry-After', String(Math.ceil(Math.min(this.sessionIdleMs, MAX_SWEEP_INTERVAL_MS) / 1000)));
+      return this._sendJsonRpcError(res, 503, -32000, 'Limite de sessões abertas atingido; tente novamente mais tarde');
+    }
+
+    const owner = keyHash(req.headers[API_KEY_HEADER]);
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, { transport, server, keyHash: owner, lastUsedAt: Date.now() });
+        this.logger.info('HTTP session initialized', { sessionId: id, sessions: this.sessions.size });
+      }
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+        this.logger.info('HTTP session closed', { sessionId: transport.sessionId, sessions: this.sessions.size });
+      }
+    };
+
+    await server.connect(transport);
+    return transport.handleRequest(req, res, body);
+  }
+
+  _readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      // Ao estourar o limite o restante do body e drenado e descartado (sem
+      // destroy) para que a resposta 413 ainda chegue ao cliente.
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= this.maxBodyBytes) chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        if (size > this.maxBodyBytes) {
+          const error = new Error(`Body excede o limite de ${this.maxBodyBytes} bytes`);
+          error.code = 'BODY_TOO_LARGE';
+          reject(error);
+          return;
+        }
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch {
+          reject(new Error('Body JSON inválido'));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  _sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  _sendJsonRpcError(res, status, code, message) {
+    this._sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+  }
+}
+
+module.exports = { StreamableHttpServer, API_KEY_HEADER, VERBOSITY_HEADER };
@@ -207,6 +207,50 @@ class NetworkError extends TiFluxError {
   }
 }
 
+/**
+ * Requisicao cancelada pelo cliente MCP (AbortSignal do tools/call).
+ * Nunca e retentada: HttpClient e RetryPolicy param no ato.
+ */
+class CancelledError extends TiFluxError {
+  constructor(message = 'Requisição cancelada pelo cliente') {
+    super(message, 'CANCELLED_ERROR', 499);
+  }
+}
+
+/**
+ * Lanca CancelledError se o signal ja foi abortado. `signal` ausente = no-op.
+ * @param {AbortSignal} [signal]
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new CancelledError();
+}
+
+/**
+ * setTimeout cancelavel: rejeita com CancelledError assim que o signal abortar
+ * (espera entre retries/paginas nao segura uma chamada ja cancelada).
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function cancellableDelay(ms, signal) {
+  if (!signal) return new Promise(resolve => setTimeout(resolve, ms));
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 /**
  * Erro de timeout ou conexão
  */
@@ -237,6 +281,52 @@ class ConnectionError extends TiFluxError {
   }
 }
 
+/**
+ * Circuit breaker aberto: a API falhou seguidamente e a chamada foi recusada
+ * sem tentar a rede. Mesmo codigo de ConnectionError (CONNECTION_ERROR).
+ */
+class CircuitOpenError extends ConnectionError {
+  /**
+   * @param {string} host
+   * @param {object} [details]
+   * @param {number} [details.failures] - falhas seguidas que abriram o circuito
+   * @param {string} [details.retryAt] - ISO de quando uma nova tentativa sera liberada
+   * @param {string} [details.lastError] - mensagem da ultima falha
+   */
+  constructor(host, details = {}) {
+    const retryIn = details.retryAt
+      ? Math.max(0, Math.ceil((Date.parse(details.retryAt) - Date.now()) / 1000))
+      : null;
+    super(
+      `API TiFlux indisponível (${host}): ${details.failures ?? 'várias'} falhas seguidas (rede, timeout ou erro 5xx). ` +
+      'Chamadas suspensas temporariamente' +
+      (retryIn !== null ? ` — nova tentativa liberada em ${retryIn}s; não repita a chamada antes disso.` : '.')
+    );
+    this.details = { host, retryIn, ...details };
+  }
+}
+
+/**
+ * Modo replay do cassette sem gravacao para a requisicao. Nunca cai na rede
+ * nem e retentado: o cassette precisa ser regravado.
+ */
+class CassetteMissError extends TiFluxError {
+  /**
+   * @param {string} method
+   * @param {string} path - pathname + query da URL
+   * @param {string} file - arquivo do cassette
+   */
+  constructor(method, path, file) {
+    super(
+      `Cassette sem gravação para ${method} ${path} (${file}). ` +
+      'Regrave com TIFLUX_MCP_CASSETTE_MODE=record contra a API real.',
+      'CASSETTE_MISS',
+      500,
+      { method, path, file }
+    );
+  }
+}
+
 /**
  * Erro de rate limiting
  */
@@ -361,8 +451,13 @@ module.exports = {
   TimeoutError,
   NetworkError,
   ConnectionError,
+  CancelledError,
+  CircuitOpenError,
+  CassetteMissError,
   RateLimitError,
   AuthenticationError,
   NotFoundError,
-  createErrorFromResponse
+  createErrorFromResponse,
+  throwIfCancelled,
+  cancellableDelay
 };
\ No newline at end of file
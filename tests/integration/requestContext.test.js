@@ -0,0 +1,83 @@
+/**
+ * Isolamento por requisicao: chamadas concorrentes de tenants diferentes no
+ * mesmo registry (modo HTTP) saem cada uma com a propria chave de API.
+ *
+ * A API TiFlux e trocada por um stub HTTP local que registra o header
+ * Authorization de cada requisicao e responde com atraso variado, para que
+ * as chamadas dos dois tenants se intercalem.
+ */
+
+const http = require('http');
+const { createRegistry } = require('../../src/registry');
+const TiFluxAPI = require('../../src/api/tiflux-api');
+
+const TENANTS = {
+  'chave-tenant-a': [101, 103, 105, 107, 109],
+  'chave-tenant-b': [202, 204, 206, 208, 210]
+};
+
+describe('contexto por requisicao', () => {
+  let server;
+  let received;
+  let registry;
+
+  beforeAll(async () => {
+    received = [];
+    server = http.createServer((req, res) => {
+      const authorization = req.headers.authorization || '';
+      const ticketNumber = Number((req.url.match(/^\/tickets\/(\d+)/) || [])[1]);
+      received.push({ url: req.url, authorization });
+
+      // Respostas fora de ordem: quem chegou primeiro nao responde primeiro
+      setTimeout(() => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({
+          ticket_number: ticketNumber,
+          title: `Ticket de ${authorization.replace('Bearer ', '')}`
+        }));
+      }, (ticketNumber % 7) * 5);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    TiFluxAPI.useBaseUrl(`http://127.0.0.1:${server.address().port}`);
+    registry = createRegistry({
+      transport: 'http',
+      audit: { enabled: false },
+      tools: { permissions: 'off' }
+    });
+  });
+
+  afterAll(async () => {
+    TiFluxAPI.useBaseUrl(null);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('chamadas concorrentes com chaves diferentes usam cada uma a sua chave', async () => {
+    const calls = [];
+    const [keyA, keyB] = Object.keys(TENANTS);
+    TENANTS[keyA].forEach((ticketA, index) => {
+      const ticketB = TENANTS[keyB][index];
+      calls.push({ apiKey: keyA, ticket: ticketA });
+      calls.push({ apiKey: keyB, ticket: ticketB });
+    });
+
+    const results = await Promise.all(calls.map(({ apiKey, ticket }) =>
+      registry.execute('get_ticket', { ticket_number: String(ticket) }, { apiKey })
+    ));
+
+    // Cada requisicao que saiu levou a chave do tenant dono do ticket
+    const ticketRequests = received.filter(request => /^\/tickets\/\d+/.test(request.url));
+    expect(ticketRequests).toHaveLength(calls.length);
+    for (const request of ticketRequests) {
+      const ticket = Number(request.url.match(/^\/tickets\/(\d+)/)[1]);
+      const owner = Object.keys(TENANTS).find(key => TENANTS[key].includes(ticket));
+      expect(request.authorization).toBe(`Bearer ${owner}`);
+    }
+
+    // E cada resposta voltou para quem pediu
+    results.forEach((result, index) => {
+      const text = result.content.map(block => block.text).join('\n');
+      expect(text).toContain(`Ticket de ${calls[index].apiKey}`);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Cassette = require('../../src/infrastructure/http/Cassette');
+const { CassetteMissError, ConfigError } = require('../../src/utils/errors');
+
+const BASE = 'https://api.tiflux.com/api/v2';
+
+function jsonResponse(status, body, headers = {}) {
+  return {
+    statusCode: status,
+    statusMessage: status === 200 ? 'OK' : 'Error',
+    headers: { 'content-type': 'application/json', ...headers },
+    rawData: JSON.stringify(body)
+  };
+}
+
+describe('Cassette', () => {
+  let dir;
+  let file;
+  const open = [];
+
+  function recorder(options = {}) {
+    const cassette = new Cassette({ mode: 'record', file, ...options });
+    open.push(cassette);
+    return cassette;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    file = path.join(dir, 'gravacao.json');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    while (open.length) open.pop().close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('gravacao', () => {
+    test('arquivo sem header authorization nem valores de campos de segredo', () => {
+      const cassette = recorder();
+      cassette.record(
+        {
+          method: 'post',
+          url: `${BASE}/users`,
+          headers: { Authorization: 'Bearer chave-do-cliente' },
+          data: JSON.stringify({ name: 'Ana', password: 'senha-da-ana', api_key: 'chave-embutida' })
+        },
+        jsonResponse(201, { id: 1, name: 'Ana', token: 'token-da-ana', profile: { secret: 'segredo' } }, {
+          Authorization: 'Bearer eco',
+          'Set-Cookie': 'sessao=abc',
+          'X-Total-Items': '1'
+        })
+      );
+      cassette.close();
+
+      const content = fs.readFileSync(file, 'utf8');
+      for (const secret of ['chave-do-cliente', 'senha-da-ana', 'chave-embutida', 'token-da-ana', 'segredo', 'sessao=abc', 'Bearer']) {
+        expect(content).not.toContain(secret);
+      }
+
+      const [interaction] = JSON.parse(content).interactions;
+      expect(interaction.request).toEqual({
+        method: 'POST',
+        path: '/api/v2/users',
+        body: { name: 'Ana', password: '[redacted]', api_key: '[redacted]' }
+      });
+      expect(Object.keys(interaction.response.headers)).toEqual(['content-type', 'x-total-items']);
+      expect(interaction.response.body).toEqual({ id: 1, name: 'Ana', token: '[redacted]', profile: { secret: '[redacted]' } });
+    });
+
+    test('arquivo com permissao 0600', () => {
+      const cassette = recorder();
+      cassette.record({ method: 'GET', url: `${BASE}/tickets/1` }, jsonResponse(200, { id: 1 }));
+      cassette.close();
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+      }
+    });
+
+    test('corpo binario vira so o marcador', () => {
+      const cassette = recorder();
+      cassette.record({ method: 'POST', url: `${BASE}/tickets/1/files`, data: Buffer.from('anexo') }, jsonResponse(200, {}));
+      cassette.close();
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).interactions[0].request.body).toEqual({ binary: true });
+    });
+
+    test('grava em lote depois de saveDelayMs, nao a cada interacao', async () => {
+      jest.useFakeTimers();
+      const writeFile = jest.spyOn(fs.promises, 'writeFile');
+      try {
+        const cassette = recorder({ saveDelayMs: 500 });
+        for (let id = 1; id <= 3; id++) {
+          cassette.record({ method: 'GET', url: `${BASE}/tickets/${id}` }, jsonResponse(200, { id }));
+        }
+        expect(fs.existsSync(file)).toBe(false);
+
+        jest.advanceTimersByTime(500);
+        await cassette.saving;
+        expect(writeFile).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).interactions).toHaveLength(3);
+      } finally {
+        writeFile.mockRestore();
+      }
+    });
+
+    test('close grava as pendencias de forma sincrona', () => {
+      const cassette = recorder({ saveDelayMs: 60000 });
+      cassette.record({ method: 'GET', url: `${BASE}/tickets/1` }, jsonResponse(200, { id: 1 }));
+      expect(fs.existsSync(file)).toBe(false);
+      cassette.close();
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).interactions).toHaveLength(1);
+    });
+  });
+
+  describe('replay', () => {
+    function recordAndReplay(pairs) {
+      const cassette = recorder();
+      for (const [request, response] of pairs) cassette.record(request, response);
+      cassette.close();
+      return new Cassette({ mode: 'replay', file });
+    }
+
+    test('chave de comparacao usa o corpo JSON canonico', () => {
+      expect(Cassette.keyOf('post', '/x', { a: 1, b: { c: 2, d: 3 } }))
+        .toBe(Cassette.keyOf('POST', '/x', { b: { d: 3, c: 2 }, a: 1 }));
+      expect(Cassette.keyOf('POST', '/x', { a: 1 })).not.toBe(Cassette.keyOf('POST', '/x', { a: 2 }));
+
+      const replay = recordAndReplay([
+        [{ method: 'PUT', url: `${BASE}/tickets/1`, data: '{"title":"A","status_id":2}' }, jsonResponse(200, { ok: true })]
+      ]);
+      const response = replay.replay({ method: 'PUT', url: `${BASE}/tickets/1`, data: { status_id: 2, title: 'A' } });
+      expect(JSON.parse(response.rawData)).toEqual({ ok: true });
+    });
+
+    test('qualquer host serve a gravacao (so caminho e query contam)', () => {
+      const replay = recordAndReplay([[{ method: 'GET', url: `${BASE}/tickets?limit=1` }, jsonResponse(200, [])]]);
+      const response = replay.replay({ method: 'GET', url: 'http://127.0.0.1:3000/api/v2/tickets?limit=1' });
+      expect(response.statusCode).toBe(200);
+    });
+
+    test('chamadas repetidas seguem a ordem gravada e depois repetem a ultima', () => {
+      const request = { method: 'GET', url: `${BASE}/tickets/1` };
+      const replay = recordAndReplay([
+        [request, jsonResponse(503, { error: 'indisponivel' })],
+        [request, jsonResponse(200, { id: 1, title: 'Primeira' })]
+      ]);
+
+      expect(replay.replay(request).statusCode).toBe(503);
+      expect(replay.replay(request).statusCode).toBe(200);
+      const third = replay.replay(request);
+      expect(third.statusCode).toBe(200);
+      expect(JSON.parse(third.data)).toEqual({ id: 1, title: 'Primeira' });
+    });
+
+    test('requisicao sem gravacao lanca CassetteMissError e conta o miss', () => {
+      const replay = recordAndReplay([[{ method: 'GET', url: `${BASE}/tickets/1` }, jsonResponse(200, { id: 1 })]]);
+
+      const miss = () => replay.replay({ method: 'GET', url: `${BASE}/tickets/2` });
+      expect(miss).toThrow(CassetteMissError);
+      expect(miss).toThrow('/api/v2/tickets/2');
+      expect(() => replay.replay({ method: 'DELETE', url: `${BASE}/tickets/1` })).toThrow(CassetteMissError);
+      expect(replay.getStats()).toMatchObject({ mode: 'replay', interactions: 1, misses: 3 });
+    });
+
+    test('arquivo ausente ou em formato desconhecido e ConfigError', () => {
+      expect(() => new Cassette({ mode: 'replay', file })).toThrow(ConfigError);
+      fs.writeFileSync(file, JSON.stringify({ version: 99, interactions: [] }));
+      expect(() => new Cassette({ mode: 'replay', file })).toThrow(ConfigError);
+    });
+  });
+
+  test('modo invalido e ConfigError', () => {
+    expect(() => new Cassette({ mode: 'gravar', file })).toThrow(ConfigError);
+  });
+});
@@ -0,0 +1,184 @@
+const CircuitBreaker = require('../../src/infrastructure/http/CircuitBreaker');
+const { IDLE_MS, MAX_BREAKERS } = CircuitBreaker;
+const HttpClient = require('../../src/infrastructure/http/HttpClient');
+const {
+  APIError,
+  CancelledError,
+  CircuitOpenError,
+  NetworkError,
+  RateLimitError,
+  TimeoutError
+} = require('../../src/utils/errors');
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+
+function openBreaker(options = {}) {
+  const breaker = new CircuitBreaker('api.teste.local', { failureThreshold: 2, resetTimeoutMs: 1000, ...options });
+  breaker.beforeRequest();
+  breaker.record(new NetworkError('ECONNREFUSED'));
+  breaker.beforeRequest();
+  breaker.record(new NetworkError('ECONNREFUSED'));
+  return breaker;
+}
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    CircuitBreaker.configure();
+  });
+
+  describe('limiar de falhas', () => {
+    test('abre ao atingir failureThreshold e recusa com CircuitOpenError', () => {
+      const breaker = new CircuitBreaker('api.teste.local', { failureThreshold: 3 });
+      breaker.record(new NetworkError('ECONNRESET'));
+      breaker.record(new TimeoutError());
+      expect(breaker.state).toBe('closed');
+      breaker.record(new APIError('Bad Gateway', 502));
+
+      expect(breaker.getState()).toMatchObject({ state: 'open', failures: 3, lastError: 'Bad Gateway' });
+      expect(() => breaker.beforeRequest()).toThrow(CircuitOpenError);
+    });
+
+    test('sucesso no meio zera o contador', () => {
+      const breaker = new CircuitBreaker('api.teste.local', { failureThreshold: 2 });
+      breaker.record(new NetworkError('ECONNRESET'));
+      breaker.record(null);
+      breaker.record(new NetworkError('ECONNRESET'));
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 1 });
+    });
+
+    test('resposta 4xx conta como sucesso', () => {
+      const breaker = new CircuitBreaker('api.teste.local', { failureThreshold: 2 });
+      breaker.record(new NetworkError('ECONNRESET'));
+      breaker.record(new APIError('Not Found', 404));
+      breaker.record(new NetworkError('ECONNRESET'));
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 1 });
+    });
+
+    test('desligado nunca recusa', () => {
+      const breaker = openBreaker({ enabled: false });
+      expect(() => breaker.beforeRequest()).not.toThrow();
+    });
+  });
+
+  describe('half-open', () => {
+    test('passado resetTimeoutMs libera uma unica requisicao de teste', () => {
+      const breaker = openBreaker();
+      expect(() => breaker.beforeRequest()).toThrow(CircuitOpenError);
+
+      jest.advanceTimersByTime(1000);
+      expect(() => breaker.beforeRequest()).not.toThrow();
+      expect(breaker.state).toBe('half_open');
+      expect(() => breaker.beforeRequest()).toThrow(CircuitOpenError);
+    });
+
+    test('sucesso no teste fecha o circuito', () => {
+      const breaker = openBreaker();
+      jest.advanceTimersByTime(1000);
+      breaker.beforeRequest();
+      breaker.record(null);
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+      expect(() => breaker.beforeRequest()).not.toThrow();
+    });
+
+    test('falha no teste reabre por mais resetTimeoutMs', () => {
+      const breaker = openBreaker();
+      jest.advanceTimersByTime(1000);
+      breaker.beforeRequest();
+      breaker.record(new TimeoutError());
+
+      expect(breaker.getState()).toMatchObject({
+        state: 'open',
+        retryAt: new Date(NOW + 2000).toISOString()
+      });
+      expect(() => breaker.beforeRequest()).toThrow(CircuitOpenError);
+    });
+
+    test.each([
+      ['cancelamento', new CancelledError()],
+      ['rate limit', new RateLimitError('limite', 5)]
+    ])('%s devolve a vaga de teste sem mudar o estado', (_, error) => {
+      const breaker = openBreaker();
+      jest.advanceTimersByTime(1000);
+      breaker.beforeRequest();
+      breaker.record(error);
+
+      expect(breaker.state).toBe('half_open');
+      expect(() => breaker.beforeRequest()).not.toThrow();
+    });
+  });
+
+  describe('HttpClient', () => {
+    const URL = 'https://api.teste.local/tickets';
+
+    // Espera real entre retries (retryDelay: 0); o relogio continua falso
+    beforeEach(() => {
+      jest.useFakeTimers({ now: NOW, doNotFake: ['setTimeout', 'clearTimeout'] });
+    });
+
+    test('retries esgotados contam como uma falha', async () => {
+      CircuitBreaker.configure({ failureThreshold: 2 });
+      const client = new HttpClient({ maxRetries: 3, retryDelay: 0 });
+      const execute = jest.spyOn(client, '_executeRequest').mockRejectedValue(new TimeoutError());
+
+      await expect(client.get(URL, { circuitKey: 'chave-retries' })).rejects.toBeInstanceOf(TimeoutError);
+      expect(execute).toHaveBeenCalledTimes(4);
+      expect(CircuitBreaker.forHost('api.teste.local', 'chave-retries').getState())
+        .toMatchObject({ state: 'closed', failures: 1 });
+
+      await expect(client.get(URL, { circuitKey: 'chave-retries' })).rejects.toBeInstanceOf(TimeoutError);
+      expect(CircuitBreaker.forHost('api.teste.local', 'chave-retries').state).toBe('open');
+
+      execute.mockClear();
+      await expect(client.get(URL, { circuitKey: 'chave-retries' })).rejects.toBeInstanceOf(CircuitOpenError);
+      expect(execute).not.toHaveBeenCalled();
+    });
+
+    test('circuito de uma chave nao afeta outra', async () => {
+      CircuitBreaker.configure({ failureThreshold: 1 });
+      const client = new HttpClient({ maxRetries: 0 });
+      jest.spyOn(client, '_executeRequest').mockRejectedValueOnce(new APIError('Unavailable', 503))
+        .mockResolvedValue({ statusCode: 200, headers: {}, data: {} });
+
+      await expect(client.get(URL, { circuitKey: 'chave-isolada-a' })).rejects.toBeInstanceOf(APIError);
+      await expect(client.get(URL, { circuitKey: 'chave-isolada-b' })).resolves.toMatchObject({ statusCode: 200 });
+      await expect(client.get(URL, { circuitKey: 'chave-isolada-a' })).rejects.toBeInstanceOf(CircuitOpenError);
+    });
+  });
+
+  describe('forHost', () => {
+    test('mesmo host e chave compartilham o breaker, sem a chave em claro', () => {
+      const breaker = CircuitBreaker.forHost('api.teste.local', 'chave-secreta');
+      expect(CircuitBreaker.forHost('api.teste.local', 'chave-secreta')).toBe(breaker);
+      expect(CircuitBreaker.forHost('api.teste.local', 'outra-chave')).not.toBe(breaker);
+      expect(JSON.stringify(CircuitBreaker.snapshot())).not.toContain('chave-secreta');
+    });
+
+    test('fechado ocioso sai do mapa; aberto fica', () => {
+      CircuitBreaker.configure({ failureThreshold: 1 });
+      const idle = CircuitBreaker.forHost('api.teste.local', 'chave-ociosa');
+      const open = CircuitBreaker.forHost('api.teste.local', 'chave-aberta');
+      open.record(new NetworkError('ECONNREFUSED'));
+
+      jest.advanceTimersByTime(IDLE_MS + 1);
+      const tenants = CircuitBreaker.snapshot().map(state => state.tenant);
+      expect(tenants).toContain(open.tenant);
+      expect(tenants).not.toContain(idle.tenant);
+      expect(CircuitBreaker.forHost('api.teste.local', 'chave-ociosa')).not.toBe(idle);
+    });
+
+    test('mapa limitado a MAX_BREAKERS, descartando fechados antes dos abertos', () => {
+      CircuitBreaker.configure({ failureThreshold: 1 });
+      const open = CircuitBreaker.forHost('api.teste.local', 'chave-aberta-lote');
+      open.record(new NetworkError('ECONNREFUSED'));
+      for (let i = 0; i < MAX_BREAKERS + 50; i++) CircuitBreaker.forHost('api.teste.local', `chave-lote-${i}`);
+
+      expect(CircuitBreaker.size()).toBe(MAX_BREAKERS);
+      expect(CircuitBreaker.forHost('api.teste.local', 'chave-aberta-lote')).toBe(open);
+    });
+  });
+});
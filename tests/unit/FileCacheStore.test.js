@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileCacheStore = require('../../src/infrastructure/cache/FileCacheStore');
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+const TENANT = 'a1b2c3d4e5f6';
+
+describe('FileCacheStore', () => {
+  let dir;
+  let now;
+  const stores = [];
+
+  function createStore(options = {}) {
+    const store = new FileCacheStore({ dir, saveDelayMs: 60000, ...options });
+    stores.push(store);
+    return store;
+  }
+
+  function readFile(tenant = TENANT) {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${tenant}.json`), 'utf8'));
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-'));
+    // So o relogio e falso: os timers de gravacao seguem reais
+    now = NOW;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    while (stores.length) stores.pop().close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('valor gravado sobrevive a um novo processo', async () => {
+    const first = createStore();
+    await first.set(TENANT, 'desks|/desks', [{ id: 1 }], NOW + 60000);
+    first.close();
+
+    const second = createStore();
+    expect(await second.get(TENANT, 'desks|/desks')).toEqual({ value: [{ id: 1 }], expiresAt: NOW + 60000 });
+    expect(fs.statSync(path.join(dir, `${TENANT}.json`)).mode & 0o777).toBe(0o600);
+  });
+
+  describe('TTL', () => {
+    test('entradas vencidas no arquivo sao descartadas ao carregar', async () => {
+      fs.writeFileSync(path.join(dir, `${TENANT}.json`), JSON.stringify({
+        version: 1,
+        entries: {
+          'desks|/desks': { value: ['valida'], expiresAt: NOW + 1000, storedAt: NOW - 5000 },
+          'stages|/stages': { value: ['vencida'], expiresAt: NOW - 1, storedAt: NOW - 5000 }
+        }
+      }));
+
+      const store = createStore();
+      expect(await store.get(TENANT, 'stages|/stages')).toBeNull();
+      expect((await store.get(TENANT, 'desks|/desks')).value).toEqual(['valida']);
+    });
+
+    test('entrada que vence em memoria sai no get e do arquivo', async () => {
+      const store = createStore();
+      await store.set(TENANT, 'desks|/desks', ['mesa'], NOW + 1000);
+      now = NOW + 1000;
+      expect(await store.get(TENANT, 'desks|/desks')).toBeNull();
+
+      store.flushSync();
+      expect(readFile().entries).toEqual({});
+    });
+
+    test('arquivo corrompido recomeca vazio', async () => {
+      fs.writeFileSync(path.join(dir, `${TENANT}.json`), '{ nao e json');
+      const logger = { warn: jest.fn() };
+      const store = createStore({ logger });
+      expect(await store.get(TENANT, 'desks|/desks')).toBeNull();
+      expect(logger.warn).toHaveBeenCalledWith('Persistent cache load failed', expect.any(Object));
+    });
+  });
+
+  describe('limites', () => {
+    test('maxEntries mantem as gravadas mais recentemente', async () => {
+      const store = createStore({ maxEntries: 2 });
+      for (let i = 1; i <= 3; i++) {
+        now = NOW + i;
+        await store.set(TENANT, `desks|/desks?page=${i}`, i, NOW + 60000);
+      }
+      store.flushSync();
+      expect(Object.keys(readFile().entries).sort()).toEqual(['desks|/desks?page=2', 'desks|/desks?page=3']);
+    });
+
+    test('maxBytes corta as mais antigas ate caber', async () => {
+      const store = createStore({ maxBytes: 1000 });
+      for (let i = 1; i <= 10; i++) {
+        now = NOW + i;
+        await store.set(TENANT, `catalogs|/catalogs/${i}`, 'x'.repeat(200), NOW + 60000);
+      }
+      store.flushSync();
+
+      expect(fs.statSync(path.join(dir, `${TENANT}.json`)).size).toBeLessThanOrEqual(1000);
+      const keys = Object.keys(readFile().entries);
+      expect(keys.length).toBeGreaterThan(0);
+      expect(keys).toContain('catalogs|/catalogs/10');
+      expect(keys).not.toContain('catalogs|/catalogs/1');
+    });
+  });
+
+  test('deletePrefix remove so as chaves do prefixo, da memoria e do disco', async () => {
+    const store = createStore();
+    await store.set(TENANT, 'catalogs|/catalogs', ['a'], NOW + 60000);
+    await store.set(TENANT, 'catalogs|/catalogs/1/areas', ['b'], NOW + 60000);
+    await store.set(TENANT, 'desks|/desks', ['c'], NOW + 60000);
+
+    expect(await store.deletePrefix(TENANT, 'catalogs|')).toBe(2);
+    expect(await store.deletePrefix(TENANT, 'catalogs|')).toBe(0);
+    expect(await store.get(TENANT, 'catalogs|/catalogs')).toBeNull();
+
+    store.flushSync();
+    expect(Object.keys(readFile().entries)).toEqual(['desks|/desks']);
+  });
+
+  describe('clear', () => {
+    test('apaga memoria, gravacoes pendentes e arquivos', async () => {
+      const store = createStore();
+      await store.set(TENANT, 'desks|/desks', ['a'], NOW + 60000);
+      await store.set('outrotenant', 'desks|/desks', ['b'], NOW + 60000);
+      store.flushSync();
+      await store.set(TENANT, 'stages|/stages', ['pendente'], NOW + 60000);
+
+      expect(await store.clear()).toBe(2);
+      store.flushSync();
+      expect(fs.readdirSync(dir)).toEqual([]);
+      expect(await store.get(TENANT, 'desks|/desks')).toBeNull();
+    });
+
+    test('gravacao em curso durante o clear nao recria o arquivo', async () => {
+      const store = createStore({ saveDelayMs: 0 });
+      await store.set(TENANT, 'desks|/desks', ['a'], NOW + 60000);
+
+      // O timer de gravacao dispara antes deste: a escrita esta em curso
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await store.clear();
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('depois do clear o store volta a gravar normalmente', async () => {
+      const store = createStore();
+      await store.set(TENANT, 'desks|/desks', ['antes'], NOW + 60000);
+      await store.clear();
+      await store.set(TENANT, 'desks|/desks', ['depois'], NOW + 60000);
+      store.flushSync();
+      expect(readFile().entries['desks|/desks'].value).toEqual(['depois']);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const RateLimiter = require('../../src/infrastructure/http/RateLimiter');
+const { retryAfterMs, MAX_KEYS } = RateLimiter;
+const { RateLimitError, CancelledError } = require('../../src/utils/errors');
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    RateLimiter.configure();
+  });
+
+  describe('token bucket', () => {
+    test('consome um token por acquire ate esvaziar', async () => {
+      const limiter = new RateLimiter({ maxRequests: 3, windowMs: 3000 });
+      expect(await limiter.acquire()).toBe(0);
+      expect(await limiter.acquire()).toBe(0);
+      expect(await limiter.acquire()).toBe(0);
+      expect(limiter.headroom()).toBe(0);
+    });
+
+    test('bucket vazio espera a reposicao de um token', async () => {
+      const limiter = new RateLimiter({ maxRequests: 2, windowMs: 2000 });
+      await limiter.acquire();
+      await limiter.acquire();
+
+      let waited = null;
+      const pending = limiter.acquire().then((ms) => { waited = ms; });
+      await jest.advanceTimersByTimeAsync(999);
+      expect(waited).toBeNull();
+      await jest.advanceTimersByTimeAsync(1);
+      await pending;
+      expect(waited).toBe(1000);
+    });
+
+    test('reposicao continua, limitada a maxRequests', () => {
+      const limiter = new RateLimiter({ maxRequests: 10, windowMs: 10000 });
+      limiter.tokens = 0;
+      jest.advanceTimersByTime(3000);
+      expect(limiter.headroom()).toBe(3);
+      jest.advanceTimersByTime(60000);
+      expect(limiter.headroom()).toBe(10);
+    });
+
+    test('espera acima de maxWaitMs lanca RateLimitError com retryAfter em segundos', async () => {
+      const limiter = new RateLimiter({ maxRequests: 1, windowMs: 60000, maxWaitMs: 5000 });
+      await limiter.acquire();
+      const error = await limiter.acquire().catch(e => e);
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.details.retryAfter).toBe(60);
+    });
+
+    test('bucket desligado nao limita', async () => {
+      const limiter = new RateLimiter({ enabled: false, maxRequests: 1 });
+      for (let i = 0; i < 5; i++) expect(await limiter.acquire()).toBe(0);
+      expect(limiter.headroom()).toBe(Infinity);
+    });
+
+    test('signal abortado cancela a espera', async () => {
+      const limiter = new RateLimiter({ maxRequests: 1, windowMs: 10000 });
+      await limiter.acquire();
+      const controller = new AbortController();
+      const pending = limiter.acquire(controller.signal).catch(e => e);
+      controller.abort();
+      expect(await pending).toBeInstanceOf(CancelledError);
+    });
+  });
+
+  describe('pausa (blockedUntil)', () => {
+    test('pause segura acquire mesmo com bucket desligado', async () => {
+      const limiter = new RateLimiter({ enabled: false });
+      limiter.pause(2000);
+      expect(limiter.headroom()).toBe(0);
+
+      let waited = null;
+      const pending = limiter.acquire().then((ms) => { waited = ms; });
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(waited).toBeNull();
+      await jest.advanceTimersByTimeAsync(1);
+      await pending;
+      expect(waited).toBe(2000);
+    });
+
+    test('pause nunca encurta uma pausa vigente', () => {
+      const limiter = new RateLimiter();
+      limiter.pause(5000);
+      limiter.pause(1000);
+      expect(limiter.getState().pausedUntil).toBe(new Date(NOW + 5000).toISOString());
+    });
+
+    test('429 com Retry-After pausa a chave', () => {
+      const limiter = new RateLimiter();
+      expect(limiter.observe(429, { 'retry-after': '3' })).toBe(3000);
+      expect(limiter.getState().pausedUntil).toBe(new Date(NOW + 3000).toISOString());
+    });
+
+    test('429 sem Retry-After usa fallbackPauseMs', () => {
+      const limiter = new RateLimiter({ fallbackPauseMs: 1500 });
+      expect(limiter.observe(429, {})).toBe(1500);
+    });
+
+    test('X-RateLimit-Remaining: 0 pausa ate o reset (delta em segundos)', () => {
+      const limiter = new RateLimiter();
+      expect(limiter.observe(200, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '10' })).toBe(10000);
+    });
+
+    test('X-RateLimit-Reset em epoch (segundos desde 1970)', () => {
+      const limiter = new RateLimiter();
+      const reset = String(NOW / 1000 + 7);
+      expect(limiter.observe(200, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset })).toBe(7000);
+    });
+
+    test('Remaining acima de zero nao pausa', () => {
+      const limiter = new RateLimiter();
+      expect(limiter.observe(200, { 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': '10' })).toBe(0);
+      expect(limiter.getState().pausedUntil).toBeNull();
+    });
+  });
+
+  describe('retryAfterMs', () => {
+    test('segundos', () => {
+      expect(retryAfterMs({ 'retry-after': '30' })).toBe(30000);
+      expect(retryAfterMs({ 'retry-after': '0' })).toBe(0);
+    });
+
+    test('data HTTP', () => {
+      const date = new Date(NOW + 45000).toUTCString();
+      expect(retryAfterMs({ 'retry-after': date })).toBe(45000);
+    });
+
+    test('data no passado vira 0', () => {
+      expect(retryAfterMs({ 'retry-after': new Date(NOW - 5000).toUTCString() })).toBe(0);
+    });
+
+    test('ausente ou invalido', () => {
+      expect(retryAfterMs({})).toBeNull();
+      expect(retryAfterMs({ 'retry-after': '' })).toBeNull();
+      expect(retryAfterMs({ 'retry-after': 'amanha' })).toBeNull();
+    });
+  });
+
+  describe('forKey e configure', () => {
+    test('mesma chave compartilha o limiter; chaves diferentes nao', () => {
+      const a = RateLimiter.forKey('chave-forkey-a');
+      expect(RateLimiter.forKey('chave-forkey-a')).toBe(a);
+      expect(RateLimiter.forKey('chave-forkey-b')).not.toBe(a);
+    });
+
+    test('configure atualiza os limiters ja criados e os novos', () => {
+      const existing = RateLimiter.forKey('chave-configure');
+      RateLimiter.configure({ maxRequests: 7, windowMs: 7000 });
+      expect(existing.getState()).toMatchObject({ maxRequests: 7, windowMs: 7000 });
+      expect(RateLimiter.forKey('chave-configure-nova').getState().maxRequests).toBe(7);
+    });
+
+    test('configure sem opcoes volta aos defaults', () => {
+      RateLimiter.configure({ maxRequests: 7 });
+      RateLimiter.configure();
+      expect(RateLimiter.forKey('chave-defaults').getState().maxRequests).toBe(100);
+    });
+
+    test('mapa limitado a MAX_KEYS, descartando ociosos antes dos pausados', () => {
+      const busy = RateLimiter.forKey('chave-pausada');
+      busy.pause(60000);
+      for (let i = 0; i < MAX_KEYS + 50; i++) RateLimiter.forKey(`chave-lote-${i}`);
+
+      expect(RateLimiter.size()).toBe(MAX_KEYS);
+      expect(RateLimiter.forKey('chave-pausada')).toBe(busy);
+    });
+  });
+});
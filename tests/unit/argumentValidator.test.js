@@ -0,0 +1,146 @@
+const { validateArguments, invalidArgumentsResponse } = require('../../src/registry/argumentValidator');
+
+const schema = {
+  type: 'object',
+  properties: {
+    n: { type: 'integer', minimum: 1, maximum: 10 },
+    price: { type: 'number' },
+    active: { type: 'boolean' },
+    name: { type: 'string' },
+    ids: { type: 'array', items: { type: 'number' } },
+    status: { type: 'string', enum: ['open', 'closed'] },
+    responsible_id: { type: ['number', 'null'] }
+  },
+  required: ['n']
+};
+
+describe('validateArguments', () => {
+  describe('coercao', () => {
+    test('string numerica vira integer/number e "true"/"false" vira boolean', () => {
+      const { args, errors } = validateArguments(schema, { n: '5', price: '-1.5', active: 'false' });
+      expect(errors).toEqual([]);
+      expect(args).toEqual({ n: 5, price: -1.5, active: false });
+    });
+
+    test('number vira string e valor unico vira lista', () => {
+      const { args, errors } = validateArguments(schema, { n: 1, name: 123, ids: 7 });
+      expect(errors).toEqual([]);
+      expect(args).toEqual({ n: 1, name: '123', ids: [7] });
+    });
+
+    test.each(['5.5', '0x10', '1e1', 'abc', ''])('integer recusa %p', (value) => {
+      const { errors } = validateArguments(schema, { n: value });
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatch(/^`n`: /);
+    });
+
+    test('boolean recusa string fora de "true"/"false"', () => {
+      const { errors } = validateArguments(schema, { n: 1, active: 'yes' });
+      expect(errors).toEqual(['`active`: esperado boolean, recebido string']);
+    });
+
+    test('sem coercao o tipo precisa bater', () => {
+      const { errors } = validateArguments(schema, { n: '5', active: 'true' }, { coerce: false });
+      expect(errors).toEqual([
+        '`n`: esperado integer, recebido string',
+        '`active`: esperado boolean, recebido string'
+      ]);
+    });
+
+    test('nao muta os argumentos do cliente', () => {
+      const input = { n: '5' };
+      validateArguments(schema, input);
+      expect(input).toEqual({ n: '5' });
+    });
+  });
+
+  describe('enum e limites', () => {
+    test('valor fora do enum', () => {
+      const { errors } = validateArguments(schema, { n: 1, status: 'pending' });
+      expect(errors).toEqual(['`status`: valor "pending" fora das opcoes ("open", "closed")']);
+    });
+
+    test('minimum e maximum', () => {
+      expect(validateArguments(schema, { n: 0 }).errors).toEqual(['`n`: minimo 1, recebido 0']);
+      expect(validateArguments(schema, { n: 11 }).errors).toEqual(['`n`: maximo 10, recebido 11']);
+      expect(validateArguments(schema, { n: 10 }).errors).toEqual([]);
+    });
+  });
+
+  describe('propriedades', () => {
+    test('propriedade desconhecida e violacao', () => {
+      const { errors } = validateArguments(schema, { n: 1, extra: true });
+      expect(errors).toEqual(['`extra`: propriedade desconhecida']);
+    });
+
+    test('additionalProperties: true deixa passar', () => {
+      const open = { ...schema, additionalProperties: true };
+      const { args, errors } = validateArguments(open, { n: 1, extra: true });
+      expect(errors).toEqual([]);
+      expect(args.extra).toBe(true);
+    });
+
+    test('obrigatorio ausente', () => {
+      expect(validateArguments(schema, {}).errors).toEqual(['`n`: obrigatorio']);
+    });
+  });
+
+  describe('"" e null', () => {
+    test('"" em opcional nao-string e campo ausente', () => {
+      const { args, errors } = validateArguments(schema, { n: 1, price: '' });
+      expect(errors).toEqual([]);
+      expect(args).toEqual({ n: 1 });
+    });
+
+    test('"" em obrigatorio nao-string conta como ausente', () => {
+      expect(validateArguments(schema, { n: '' }).errors).toEqual(['`n`: obrigatorio']);
+    });
+
+    test('null em opcional que nao aceita null e campo ausente', () => {
+      const { args, errors } = validateArguments(schema, { n: 5, name: null, price: null });
+      expect(errors).toEqual([]);
+      expect(args).toEqual({ n: 5 });
+    });
+
+    test('null em campo que aceita null chega ao slice', () => {
+      const { args, errors } = validateArguments(schema, { n: 5, responsible_id: null });
+      expect(errors).toEqual([]);
+      expect(args).toEqual({ n: 5, responsible_id: null });
+    });
+
+    test('null em obrigatorio e erro de tipo', () => {
+      expect(validateArguments(schema, { n: null }).errors).toEqual(['`n`: esperado integer, recebido null']);
+    });
+
+    test('sem coercao, null em opcional que nao aceita null e erro de tipo', () => {
+      const { errors } = validateArguments(schema, { n: 5, name: null }, { coerce: false });
+      expect(errors).toEqual(['`name`: esperado string, recebido null']);
+    });
+
+    test('null em item de array aninhado segue o schema do item', () => {
+      const entities = {
+        type: 'object',
+        properties: {
+          entities: {
+            type: 'array',
+            items: { type: 'object', properties: { value: { type: ['string', 'null'] } }, required: ['value'] }
+          }
+        }
+      };
+      const { args, errors } = validateArguments(entities, { entities: [{ value: null }] });
+      expect(errors).toEqual([]);
+      expect(args.entities[0]).toEqual({ value: null });
+    });
+  });
+
+  test('todas as violacoes saem juntas numa resposta isError', () => {
+    const { errors } = validateArguments(schema, { n: 0, status: 'x', extra: 1, active: 'talvez' });
+    expect(errors).toHaveLength(4);
+
+    const response = invalidArgumentsResponse('list_tickets', errors);
+    expect(response.isError).toBe(true);
+    const text = response.content[0].text;
+    expect(text).toContain('`list_tickets`');
+    for (const error of errors) expect(text).toContain(`- ${error}`);
+  });
+});
@@ -0,0 +1,160 @@
+const { fetchAllPages, mapWithConcurrency, partialNotice } = require('../../src/tools/_shared/pagination');
+
+/**
+ * Endpoint paginado falso: `total` itens numerados, X-Total-Items opcional.
+ * `failures` mapeia pagina → resposta de erro.
+ */
+function fakeEndpoint({ total, withTotal = true, failures = {} }) {
+  const calls = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const fetchPage = async (page, limit) => {
+    calls.push({ page, limit });
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setImmediate(resolve));
+    inFlight -= 1;
+
+    if (failures[page]) return failures[page];
+    const start = (page - 1) * limit;
+    const data = [];
+    for (let i = start; i < Math.min(start + limit, total); i++) data.push({ id: i + 1 });
+    return withTotal ? { data, total } : { data };
+  };
+
+  return { fetchPage, calls, maxInFlight: () => maxInFlight };
+}
+
+describe('fetchAllPages', () => {
+  describe('total conhecido (X-Total-Items)', () => {
+    test('busca ceil(total / pageSize) paginas e junta os itens em ordem', async () => {
+      const endpoint = fakeEndpoint({ total: 450 });
+      const paged = await fetchAllPages(endpoint.fetchPage, { pageSize: 200 });
+
+      expect(endpoint.calls.map(call => call.page).sort()).toEqual([1, 2, 3]);
+      expect(endpoint.calls.every(call => call.limit === 200)).toBe(true);
+      expect(paged.total).toBe(450);
+      expect(paged.partial).toBe(false);
+      expect(paged.items.map(item => item.id)).toEqual(Array.from({ length: 450 }, (_, i) => i + 1));
+    });
+
+    test('total que cabe na primeira pagina faz uma requisicao so', async () => {
+      const endpoint = fakeEndpoint({ total: 200 });
+      const paged = await fetchAllPages(endpoint.fetchPage, { pageSize: 200 });
+      expect(endpoint.calls).toHaveLength(1);
+      expect(paged.items).toHaveLength(200);
+    });
+
+    test('progresso informa carregados de alvo', async () => {
+      const progress = jest.fn();
+      const endpoint = fakeEndpoint({ total: 250 });
+      await fetchAllPages(endpoint.fetchPage, { pageSize: 100, progress, label: 'apontamentos' });
+      expect(progress).toHaveBeenNthCalledWith(1, 100, 250, '100 de 250 apontamentos carregados');
+      expect(progress).toHaveBeenLastCalledWith(250, 250, '250 de 250 apontamentos carregados');
+    });
+  });
+
+  describe('concorrencia', () => {
+    test('no maximo `concurrency` paginas em curso', async () => {
+      const endpoint = fakeEndpoint({ total: 1000 });
+      const paged = await fetchAllPages(endpoint.fetchPage, { pageSize: 100, concurrency: 3 });
+      expect(endpoint.calls).toHaveLength(10);
+      expect(endpoint.maxInFlight()).toBe(3);
+      expect(paged.items).toHaveLength(1000);
+    });
+
+    test('headroom do rate limiter reduz a concorrencia (minimo 1)', async () => {
+      const endpoint = fakeEndpoint({ total: 500 });
+      const rateLimiter = { headroom: () => 0 };
+      await fetchAllPages(endpoint.fetchPage, { pageSize: 100, concurrency: 4, rateLimiter });
+      expect(endpoint.maxInFlight()).toBe(1);
+    });
+  });
+
+  describe('teto (maxItems)', () => {
+    test('para no teto e marca o resultado como parcial', async () => {
+      const endpoint = fakeEndpoint({ total: 1000 });
+      const paged = await fetchAllPages(endpoint.fetchPage, { pageSize: 200, maxItems: 300 });
+
+      expect(endpoint.calls.map(call => call.page).sort()).toEqual([1, 2]);
+      expect(paged.items).toHaveLength(300);
+      expect(paged.partial).toEqual({ reason: 'cap', maxItems: 300 });
+      expect(partialNotice(paged, 'apontamentos')).toContain('300 de 1000 apontamentos carregados (limite de 300 por chamada)');
+    });
+
+    test('sem total, pagina ate o teto e marca como parcial', async () => {
+      const endpoint = fakeEndpoint({ total: 1000, withTotal: false });
+      const paged = await fetchAllPages(endpoint.fetchPage, { pageSize: 100, maxItems: 250 });
+
+      expect(endpoint.calls.map(call => call.page)).toEqual([1, 2, 3]);
+      expect(paged.items).toHaveLength(250);
+      expect(paged.total).toBeNull();
+      expect(paged.partial).toEqual({ reason: 'cap', maxItems: 250 });
+    });
+
+    test('sem total, para na primeira pagina incompleta', async () => {
+      const endpoint = fakeEndpoint({ total: 230, withTotal: false });
+      const paged = await fetchAllPages(endpoint.fetchPage, { pageSize: 100 });
+      expect(endpoint.calls.map(call => call.page)).toEqual([1, 2, 3]);
+      expect(paged.items).toHaveLength(230);
+      expect(paged.partial).toBe(false);
+      expect(partialNotice(paged, 'itens')).toBe('');
+    });
+  });
+
+  describe('erros', () => {
+    test('falha na primeira pagina devolve a resposta de erro', async () => {
+      const failure = { error: 'Erro interno', status: 500 };
+      const endpoint = fakeEndpoint({ total: 500, failures: { 1: failure } });
+      const paged = await fetchAllPages(endpoint.fetchPage, { pageSize: 100 });
+      expect(paged).toEqual({ error: true, response: failure });
+      expect(endpoint.calls).toHaveLength(1);
+    });
+
+    test('falha numa pagina do meio propaga o erro e nao busca novas paginas', async () => {
+      const failure = { error: 'Erro interno', status: 500 };
+      const endpoint = fakeEndpoint({ total: 1000, failures: { 3: failure } });
+      const paged = await fetchAllPages(endpoint.fetchPage, { pageSize: 100, concurrency: 1 });
+      expect(paged).toEqual({ error: true, response: failure });
+      expect(endpoint.calls.map(call => call.page)).toEqual([1, 2, 3]);
+    });
+
+    test('429 numa pagina do meio devolve as paginas contiguas como parcial', async () => {
+      const endpoint = fakeEndpoint({ total: 500, failures: { 3: { error: 'Limite', status: 429, retryAfter: 30 } } });
+      const paged = await fetchAllPages(endpoint.fetchPage, { pageSize: 100, concurrency: 1 });
+
+      expect(paged.items).toHaveLength(200);
+      expect(paged.partial).toEqual({ reason: 'rate_limit', retryAfter: 30 });
+      expect(partialNotice(paged, 'apontamentos')).toContain('Tente novamente em 30s.');
+    });
+
+    test('429 sem total tambem vira parcial', async () => {
+      const endpoint = fakeEndpoint({ total: 500, withTotal: false, failures: { 2: { error: 'Limite', status: 429 } } });
+      const paged = await fetchAllPages(endpoint.fetchPage, { pageSize: 100 });
+      expect(paged.items).toHaveLength(100);
+      expect(paged.partial).toEqual({ reason: 'rate_limit', retryAfter: undefined });
+    });
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('resultados na ordem da entrada', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (ms) => {
+      await new Promise(resolve => setTimeout(resolve, ms));
+      return ms * 2;
+    });
+    expect(results).toEqual([60, 20, 40]);
+  });
+
+  test('primeira rejeicao propaga e interrompe novas chamadas', async () => {
+    const started = [];
+    const run = mapWithConcurrency([1, 2, 3, 4, 5], 1, async (item) => {
+      started.push(item);
+      if (item === 2) throw new Error('falhou');
+      return item;
+    });
+    await expect(run).rejects.toThrow('falhou');
+    expect(started).toEqual([1, 2]);
+  });
+});